@@ -13,6 +13,11 @@ import LettersScreen from './src/screens/LettersScreen';
 import UserSelectionScreen, { getUserSelection } from './src/screens/UserSelectionScreen';
 import MovieTimeScreen from './src/screens/MovieTimeScreen';
 import PDFViewerScreen from './src/screens/PDFViewerScreen';
+import PeerExchangeScreen from './src/screens/PeerExchangeScreen';
+import TripScreen from './src/screens/TripScreen';
+import { startAutoSync, stopAutoSync } from './src/lib/syncManager';
+import { registerBackgroundTasks } from './src/lib/backgroundTasks';
+import letterTrackingSystem from './src/lib/letterTracking';
 
 const Stack = createNativeStackNavigator();
 
@@ -24,6 +29,20 @@ export default function App() {
     checkUserSelection();
   }, []);
 
+  // Follow connectivity for the app's lifetime and sync whenever we come back online;
+  // the background task takes over while the app is closed
+  useEffect(() => {
+    startAutoSync().catch(error => console.warn('Failed to start auto sync:', error));
+    registerBackgroundTasks();
+    return () => stopAutoSync();
+  }, []);
+
+  // Move letters along with the simulated flights while the app is open
+  useEffect(() => {
+    letterTrackingSystem.initialize();
+    return () => letterTrackingSystem.cleanup();
+  }, []);
+
   const checkUserSelection = async () => {
     try {
       const userType = await getUserSelection();
@@ -67,6 +86,9 @@ export default function App() {
         <Stack.Screen name="Vault" component={VaultScreen} />
   <Stack.Screen name="PDFViewer" component={PDFViewerScreen} options={{ title: 'Document' }} />
         <Stack.Screen name="Map" component={MapScreen} />
+        <Stack.Screen name="PeerExchange" component={PeerExchangeScreen} options={{ title: 'Swap Letters' }} />
+        <Stack.Screen name="SyncStatus" component={SyncStatusScreen} options={{ title: 'Sync' }} />
+        <Stack.Screen name="Trip" component={TripScreen} options={{ title: 'Past Trip' }} />
         {/* <Stack.Screen name="PDFViewer" component={PDFViewerScreen} options={{ title: 'View PDF' }} /> */}
       </Stack.Navigator>
     </NavigationContainer>
@@ -0,0 +1,484 @@
+// server/syncServer.js
+// Reference sync server for local development and tests.
+// No dependencies: plain Node http plus a minimal WebSocket endpoint.
+//
+//   npm run sync-server                 # listens on :8787, in memory
+//   PORT=9000 SYNC_DATA_FILE=./sync.json node server/syncServer.js
+//                                       # attachment files go in ./sync.json.attachments/
+//
+// REST:
+//   GET  /health                         -> { ok: true }
+//   GET  /letters?since=<cursor>&deviceId=<id>
+//                                        -> { letters, cursor }  (changes by other devices)
+//   POST /letters { deviceId, letters, keys? }
+//                                        -> { accepted, duplicates, cursor }
+//        (a letter record with deleted: true is a deletion tombstone; keys are
+//        optional idempotency keys, one per letter, and a key seen before is
+//        reported in duplicates instead of being applied again)
+//   GET  /attachments/<id>               -> { id, mimeType, data }  (404 if unknown)
+//   PUT  /attachments/<id> { deviceId, mimeType, data }
+//                                        -> { id, size }  (data is base64; 413 if too large)
+// WebSocket (/ws): JSON messages { type: 'ping' | 'pull' | 'push' | 'getAttachment' |
+// 'putAttachment', requestId, ... }
+// answered with { requestId, ok, ... }; after a push every other socket gets
+// { type: 'changed', cursor }.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_IDEMPOTENCY_KEYS = 5000;
+// Mirrors MAX_PHOTO_BYTES in src/lib/letterAttachments.js, the largest attachment a letter carries
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+// Largest request body read: an attachment as base64 plus room for the rest of the JSON,
+// and a push of many letters
+const MAX_ATTACHMENT_BODY_BYTES = 3 * 1024 * 1024;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_ID_PATTERN = /^[\w-]+$/;
+
+// Mirrors the forward progression in src/lib/letterStateMachine.js
+const PROGRESSION = ['draft', 'scheduled', 'in_transit', 'delivered', 'read'];
+const EXITS = {
+  failed: ['draft', 'scheduled', 'in_transit'],
+  recalled: ['draft', 'scheduled']
+};
+
+// Compare version vectors (mirrors compareVersions in src/lib/letterMerge.js)
+function compareVersions(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(device => {
+    if ((a[device] || 0) > (b[device] || 0)) aAhead = true;
+    if ((b[device] || 0) > (a[device] || 0)) bAhead = true;
+  });
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+/**
+ * Decide whether an incoming record should replace the stored one.
+ * Records are letters or tombstones ({ id, deleted: true, version }).
+ * Versioned records win unless the stored copy already includes them; concurrent
+ * copies are accepted too, since clients merge them and push back a version
+ * that dominates both. Deletions are final.
+ * Letters without versions fall back to status order, then updatedAt.
+ */
+function shouldAccept(stored, incoming) {
+  if (!stored) return true;
+  if (stored.deleted) return false;
+
+  if (incoming.version && Object.keys(incoming.version).length > 0) {
+    const relation = compareVersions(incoming.version, stored.version || {});
+    return incoming.deleted || relation === 'after' || relation === 'concurrent';
+  }
+  if (incoming.deleted) return true;
+
+  if (stored.status === incoming.status) {
+    return new Date(incoming.updatedAt || 0) > new Date(stored.updatedAt || 0);
+  }
+  if (EXITS[incoming.status]) return EXITS[incoming.status].includes(stored.status);
+
+  const from = PROGRESSION.indexOf(stored.status);
+  const to = PROGRESSION.indexOf(incoming.status);
+  return from >= 0 && to > from;
+}
+
+/**
+ * In-memory letter store; each accepted write gets the next sequence number.
+ * With a data file, attachment files are kept one per file in a directory beside it
+ * and the data file only lists them.
+ */
+class LetterStore {
+  constructor(dataFile) {
+    this.dataFile = dataFile;
+    this.attachmentsDir = dataFile ? `${dataFile}.attachments` : null;
+    this.entries = new Map(); // id -> { letter, seq, writer }
+    this.seenKeys = new Map(); // idempotency key -> seq when first seen
+    this.attachments = new Map(); // attachment id -> { id, mimeType, size, writer }
+    this.attachmentData = new Map(); // attachment id -> base64, without a data file
+    this.seq = 0;
+    this.load();
+  }
+
+  load() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.seq = data.seq || 0;
+      (data.entries || []).forEach(entry => this.entries.set(entry.letter.id, entry));
+      (data.seenKeys || []).forEach(([key, seq]) => this.seenKeys.set(key, seq));
+      (data.attachments || []).forEach(attachment => this.attachments.set(attachment.id, attachment));
+    } catch (error) {
+      console.warn('Failed to load sync data file:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.dataFile) return;
+    const data = {
+      seq: this.seq,
+      entries: Array.from(this.entries.values()),
+      seenKeys: Array.from(this.seenKeys.entries()),
+      attachments: Array.from(this.attachments.values())
+    };
+    fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+  }
+
+  pull(deviceId, since = 0) {
+    const letters = [];
+    this.entries.forEach(({ letter, seq, writer }) => {
+      if (seq > since && writer !== deviceId) letters.push(letter);
+    });
+    return { letters, cursor: this.seq };
+  }
+
+  push(deviceId, letters = [], keys = []) {
+    const accepted = [];
+    const duplicates = [];
+    let keysAdded = 0;
+    letters.forEach((letter, index) => {
+      if (!letter || !letter.id) return;
+      const key = keys[index];
+      if (key && this.seenKeys.has(key)) {
+        duplicates.push(letter.id);
+        return;
+      }
+      if (key) {
+        this.rememberKey(key);
+        keysAdded += 1;
+      }
+
+      const stored = this.entries.get(letter.id);
+      if (!shouldAccept(stored && stored.letter, letter)) return;
+
+      this.seq += 1;
+      this.entries.set(letter.id, { letter, seq: this.seq, writer: deviceId });
+      accepted.push(letter.id);
+    });
+    if (accepted.length > 0 || keysAdded > 0) this.save();
+    return { accepted, duplicates, cursor: this.seq };
+  }
+
+  getAttachment(id) {
+    const attachment = this.attachments.get(id);
+    if (!attachment) return null;
+    let data;
+    try {
+      data = this.attachmentsDir
+        ? fs.readFileSync(path.join(this.attachmentsDir, id)).toString('base64')
+        : this.attachmentData.get(id);
+    } catch (error) {
+      // The file went missing; treated as never uploaded
+      return null;
+    }
+    return data ? { id, mimeType: attachment.mimeType, data } : null;
+  }
+
+  /**
+   * Keep an attachment's file; attachments never change, so a second upload is ignored
+   * @returns {Object} { id, size }, or { error, status } if it is refused
+   */
+  putAttachment(deviceId, id, { mimeType, data } = {}) {
+    if (typeof id !== 'string' || !ATTACHMENT_ID_PATTERN.test(id) || typeof data !== 'string') {
+      return { error: 'A valid id and data are required', status: 400 };
+    }
+    const size = Buffer.byteLength(data, 'base64');
+    if (size > MAX_ATTACHMENT_BYTES) return { error: 'Attachment is too large', status: 413 };
+
+    if (!this.attachments.has(id)) {
+      if (this.attachmentsDir) {
+        fs.mkdirSync(this.attachmentsDir, { recursive: true });
+        fs.writeFileSync(path.join(this.attachmentsDir, id), Buffer.from(data, 'base64'));
+      } else {
+        this.attachmentData.set(id, data);
+      }
+      this.attachments.set(id, { id, mimeType: mimeType || null, size, writer: deviceId });
+      this.save();
+    }
+    return { id, size };
+  }
+
+  // Remember an idempotency key, forgetting the oldest once the set is full
+  rememberKey(key) {
+    this.seenKeys.set(key, this.seq);
+    if (this.seenKeys.size > MAX_IDEMPOTENCY_KEYS) {
+      this.seenKeys.delete(this.seenKeys.keys().next().value);
+    }
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body, giving up as soon as it grows past a limit
+ * @returns {Promise<Object>} Parsed body; rejects with status 413 when too large
+ */
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    let received = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      received += chunk.length;
+      if (received > maxBytes) {
+        // The rest of the body is read and dropped so the 413 reply can still be sent
+        tooLarge = true;
+        raw = '';
+        const error = new Error('Request body is too large');
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Encode a text frame (server frames are never masked)
+ */
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * @returns {{ frames: Array<{opcode, payload}>, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = masked ? buffer.slice(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.slice(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+/**
+ * Create the sync server (not yet listening)
+ * @param {Object} options - { dataFile }
+ * @returns {http.Server} Server with a `store` property
+ */
+function createSyncServer({ dataFile } = {}) {
+  const store = new LetterStore(dataFile);
+  const sockets = new Set();
+
+  const broadcastChange = (origin) => {
+    const frame = encodeFrame(JSON.stringify({ type: 'changed', cursor: store.seq }));
+    sockets.forEach(socket => {
+      if (socket !== origin) socket.write(frame);
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') return sendJson(res, 204, {});
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { ok: true, cursor: store.seq });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/letters') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const deviceId = url.searchParams.get('deviceId');
+        return sendJson(res, 200, store.pull(deviceId, since));
+      }
+
+      if (req.method === 'POST' && url.pathname === '/letters') {
+        const { deviceId, letters, keys } = await readJsonBody(req);
+        if (!deviceId || !Array.isArray(letters)) {
+          return sendJson(res, 400, { error: 'deviceId and letters are required' });
+        }
+        const result = store.push(deviceId, letters, Array.isArray(keys) ? keys : []);
+        if (result.accepted.length > 0) broadcastChange(null);
+        return sendJson(res, 200, result);
+      }
+
+      const attachmentMatch = /^\/attachments\/([\w-]+)$/.exec(url.pathname);
+      if (req.method === 'GET' && attachmentMatch) {
+        const attachment = store.getAttachment(attachmentMatch[1]);
+        return attachment
+          ? sendJson(res, 200, attachment)
+          : sendJson(res, 404, { error: 'Attachment not found' });
+      }
+
+      if (req.method === 'PUT' && attachmentMatch) {
+        const { deviceId, ...attachment } = await readJsonBody(req, MAX_ATTACHMENT_BODY_BYTES);
+        const result = store.putAttachment(deviceId, attachmentMatch[1], attachment);
+        return sendJson(res, result.error ? result.status : 200, result);
+      }
+
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      return sendJson(res, error.status || 400, { error: error.message });
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!req.url.startsWith('/ws') || !key) {
+      socket.destroy();
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    sockets.add(socket);
+
+    let buffer = Buffer.alloc(0);
+    const reply = (message) => socket.write(encodeFrame(JSON.stringify(message)));
+
+    socket.on('data', chunk => {
+      const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+      buffer = decoded.rest;
+      // A frame bigger than any request we accept is not waited for
+      if (buffer.length > MAX_BODY_BYTES) {
+        socket.destroy();
+        return;
+      }
+
+      for (const { opcode, payload } of decoded.frames) {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame('', 0x8));
+          return;
+        }
+        if (opcode === 0x9) {
+          socket.write(encodeFrame(payload.toString(), 0xa));
+          continue;
+        }
+        if (opcode !== 0x1) continue;
+
+        let message;
+        try {
+          message = JSON.parse(payload.toString());
+        } catch (error) {
+          reply({ ok: false, error: 'Malformed JSON' });
+          continue;
+        }
+
+        if (!message || typeof message !== 'object') {
+          reply({ ok: false, error: 'Messages must be JSON objects' });
+          continue;
+        }
+
+        // One bad frame gets an error reply; it must not take the server down
+        const { type, requestId } = message;
+        try {
+          if (type === 'ping') {
+            reply({ requestId, ok: true });
+          } else if (type === 'pull') {
+            reply({ requestId, ok: true, ...store.pull(message.deviceId, Number(message.since) || 0) });
+          } else if (type === 'push') {
+            if (!message.deviceId || !Array.isArray(message.letters)) {
+              reply({ requestId, ok: false, status: 400, error: 'deviceId and letters are required' });
+              continue;
+            }
+            const keys = Array.isArray(message.keys) ? message.keys : [];
+            const result = store.push(message.deviceId, message.letters, keys);
+            reply({ requestId, ok: true, ...result });
+            if (result.accepted.length > 0) broadcastChange(socket);
+          } else if (type === 'getAttachment') {
+            const attachment = store.getAttachment(message.id);
+            reply(attachment
+              ? { requestId, ok: true, attachment }
+              : { requestId, ok: false, status: 404, error: 'Attachment not found' });
+          } else if (type === 'putAttachment') {
+            const result = store.putAttachment(message.deviceId, message.id, message);
+            reply(result.error ? { requestId, ok: false, ...result } : { requestId, ok: true, ...result });
+          } else {
+            reply({ requestId, ok: false, error: `Unknown message type: ${type}` });
+          }
+        } catch (error) {
+          reply({ requestId, ok: false, error: error.message });
+        }
+      }
+    });
+
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  server.store = store;
+  return server;
+}
+
+module.exports = { createSyncServer, shouldAccept, compareVersions };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  createSyncServer({ dataFile: process.env.SYNC_DATA_FILE }).listen(port, () => {
+    console.log(`AirLetters sync server listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,170 @@
+// src/components/AttachmentList.js
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Image } from 'react-native';
+import { Audio } from 'expo-av';
+import {
+  ATTACHMENT_TYPE,
+  getAttachmentUri,
+  hasAttachmentFile,
+  formatVoiceDuration
+} from '../lib/letterAttachments';
+import theme from '../theme';
+
+// Plays a voice note from its file; the sound is loaded on the first tap
+function VoiceNotePlayer({ attachment }) {
+  const soundRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+
+  useEffect(() => () => {
+    if (soundRef.current) soundRef.current.unloadAsync();
+  }, []);
+
+  const handleStatus = (status) => {
+    if (!status.isLoaded) return;
+    setIsPlaying(status.isPlaying);
+    setPositionMs(status.positionMillis);
+    if (status.didJustFinish) soundRef.current?.stopAsync();
+  };
+
+  const handlePress = async () => {
+    try {
+      if (!soundRef.current) {
+        await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+        const { sound } = await Audio.Sound.createAsync(
+          { uri: getAttachmentUri(attachment) },
+          { shouldPlay: true },
+          handleStatus
+        );
+        soundRef.current = sound;
+      } else if (isPlaying) {
+        await soundRef.current.pauseAsync();
+      } else {
+        await soundRef.current.playAsync();
+      }
+    } catch (error) {
+      console.warn('Failed to play voice note:', error);
+    }
+  };
+
+  return (
+    <TouchableOpacity style={styles.voiceNote} onPress={handlePress}>
+      <Text style={styles.voiceNoteIcon}>{isPlaying ? '⏸️' : '▶️'}</Text>
+      <Text style={styles.voiceNoteText}>
+        Voice note · {formatVoiceDuration(positionMs || attachment.durationMs)}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+function AttachmentItem({ attachment, large, onRemove }) {
+  // Files of letters from other devices come with a later sync
+  const [available, setAvailable] = useState(true);
+  useEffect(() => {
+    hasAttachmentFile(attachment).then(setAvailable);
+  }, [attachment.id]);
+
+  const isPhoto = attachment.type === ATTACHMENT_TYPE.PHOTO;
+  return (
+    <View style={[styles.attachmentItem, large && styles.attachmentItemLarge]}>
+      {!available ? (
+        <Text style={styles.attachmentPending}>
+          {isPhoto ? '📷 Photo' : '🎙️ Voice note'} arrives with the next sync
+        </Text>
+      ) : isPhoto ? (
+        <Image
+          source={{ uri: getAttachmentUri(attachment) }}
+          style={large ? styles.attachmentPhotoLarge : styles.attachmentPhoto}
+          resizeMode={large ? 'contain' : 'cover'}
+        />
+      ) : (
+        <VoiceNotePlayer attachment={attachment} />
+      )}
+      {onRemove && (
+        <TouchableOpacity style={styles.attachmentRemove} onPress={() => onRemove(attachment)}>
+          <Text style={styles.attachmentRemoveText}>✕</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Photos and voice notes of a letter; large shows photos at full width, as Letters does
+ */
+export default function AttachmentList({ attachments, large = false, onRemove }) {
+  if (!attachments || attachments.length === 0) return null;
+  return (
+    <View style={[styles.attachmentList, large && styles.attachmentListLarge]}>
+      {attachments.map(attachment => (
+        <AttachmentItem key={attachment.id} attachment={attachment} large={large} onRemove={onRemove} />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  voiceNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    paddingVertical: theme.spacing.sm,
+    paddingLeft: theme.spacing.md,
+    paddingRight: theme.spacing.xl,
+  },
+  voiceNoteIcon: {
+    fontSize: 18,
+  },
+  voiceNoteText: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  attachmentItem: {
+    borderRadius: theme.radius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: theme.colors.card,
+    overflow: 'hidden',
+  },
+  attachmentItemLarge: {
+    width: '100%',
+  },
+  attachmentPending: {
+    fontSize: 13,
+    color: theme.colors.textMuted,
+    padding: theme.spacing.md,
+  },
+  attachmentPhoto: {
+    width: 72,
+    height: 72,
+  },
+  attachmentPhotoLarge: {
+    width: '100%',
+    height: 220,
+  },
+  attachmentRemove: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  attachmentRemoveText: {
+    fontSize: 11,
+    color: '#FFFFFF',
+  },
+  attachmentList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  attachmentListLarge: {
+    flexDirection: 'column',
+    marginTop: theme.spacing.md,
+  },
+});
@@ -0,0 +1,36 @@
+// src/components/DrawingView.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Svg, Path } from 'react-native-svg';
+import { DRAWING_SIZE, strokeToPath } from '../lib/letterDocument';
+
+/**
+ * A handwritten drawing, scaled to the width it is given.
+ */
+export default function DrawingView({ drawing }) {
+  if (!drawing) return null;
+  return (
+    <View style={styles.drawingFrame} pointerEvents="none">
+      <Svg width="100%" height="100%" viewBox={`0 0 ${drawing.width} ${drawing.height}`}>
+        {drawing.strokes.map((stroke, index) => (
+          <Path
+            key={index}
+            d={strokeToPath(stroke)}
+            stroke={stroke.color}
+            strokeWidth={stroke.width}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            fill="none"
+          />
+        ))}
+      </Svg>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  drawingFrame: {
+    width: '100%',
+    aspectRatio: DRAWING_SIZE.width / DRAWING_SIZE.height,
+  },
+});
@@ -0,0 +1,77 @@
+// src/components/LetterDocumentView.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { BLOCK_TYPE, DEFAULT_STATIONERY } from '../lib/letterDocument';
+import DrawingView from './DrawingView';
+import theme from '../theme';
+
+/**
+ * A letter as it was written: its stationery, formatted text, stickers and drawing.
+ * Letters and past trips show letters with it.
+ */
+export default function LetterDocumentView({ document, textStyle, style }) {
+  const paper = theme.stationery[document.stationery] || theme.stationery[DEFAULT_STATIONERY];
+  return (
+    <View style={[
+      styles.documentPaper,
+      { backgroundColor: paper.paper, borderColor: paper.edge, borderStyle: paper.dashed ? 'dashed' : 'solid' },
+      style
+    ]}>
+      {document.blocks.map((block, index) => (
+        <Text
+          key={index}
+          style={[textStyle, { color: paper.ink }, block.type === BLOCK_TYPE.HEADING && styles.letterHeading]}
+        >
+          {block.spans.length === 0 ? ' ' : block.spans.map((span, spanIndex) => (
+            <Text
+              key={spanIndex}
+              style={[span.bold && styles.letterBold, span.italic && styles.letterItalic]}
+            >
+              {span.text}
+            </Text>
+          ))}
+        </Text>
+      ))}
+      {document.drawing && (
+        <View style={styles.letterDrawing}>
+          <DrawingView drawing={document.drawing} />
+        </View>
+      )}
+      {document.stickers.map(sticker => (
+        <Text
+          key={`${sticker.x}_${sticker.y}`}
+          style={[styles.letterSticker, { left: `${sticker.x * 100}%`, top: `${sticker.y * 100}%` }]}
+        >
+          {sticker.emoji}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  documentPaper: {
+    borderRadius: theme.radius.md,
+    borderWidth: 2,
+    padding: theme.spacing.xl,
+    paddingTop: 44, // Room for stickers along the top edge
+    paddingBottom: 44,
+  },
+  letterHeading: {
+    fontSize: 24,
+    fontWeight: '700',
+  },
+  letterBold: {
+    fontWeight: '700',
+  },
+  letterItalic: {
+    fontStyle: 'italic',
+  },
+  letterDrawing: {
+    marginTop: theme.spacing.lg,
+  },
+  letterSticker: {
+    position: 'absolute',
+    fontSize: 28,
+  },
+});
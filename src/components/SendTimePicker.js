@@ -0,0 +1,168 @@
+// src/components/SendTimePicker.js
+import React, { useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { DateTime } from 'luxon';
+import { flightKey, getTravellerName } from '../lib/roster';
+import {
+  SEND_TRIGGER,
+  SEND_TRIGGER_LABELS,
+  FLIGHT_TRIGGERS,
+  getCitiesOnRoute,
+  resolveSendTime,
+  describeSendTrigger,
+  formatSendTime
+} from '../lib/sendSchedule';
+import OptionChip from './OptionChip';
+import theme from '../theme';
+
+// Steps for the set-time option, like the time fields in Flight Setup
+const SEND_TIME_STEPS = [
+  { label: '1 h', minutes: 60 },
+  { label: '15 min', minutes: 15 }
+];
+
+/**
+ * When a letter leaves: now, at a moment of the writer's or the recipient's flight, or at
+ * a set time. Letters uses it to reschedule a letter that hasn't left.
+ */
+export default function SendTimePicker({ flights, sender, recipient, trigger, onChange }) {
+  const slot = trigger.slot || sender;
+  const flight = flights[flightKey(slot)];
+  // Scanning the route is too slow to repeat on every countdown tick
+  const cities = useMemo(() => getCitiesOnRoute(flight), [flight]);
+  const now = Date.now();
+  const sendAt = resolveSendTime(trigger, flights, now);
+
+  const choose = (type) => {
+    if (type === SEND_TRIGGER.NOW) {
+      onChange({ type });
+    } else if (type === SEND_TRIGGER.AT_TIME) {
+      // Half an hour from now, on the next quarter hour
+      const start = DateTime.local().plus({ minutes: 30 }).startOf('minute');
+      const at = start.plus({ minutes: (15 - (start.minute % 15)) % 15 });
+      onChange({ type, at: at.toUTC().toISO() });
+    } else if (type === SEND_TRIGGER.OVER_CITY) {
+      onChange({ type, slot, city: cities.find(city => city.time > now)?.name || null });
+    } else {
+      onChange({ type, slot });
+    }
+  };
+
+  // Another flight passes over other cities, so the city is picked again
+  const chooseFlight = (next) => onChange(
+    trigger.type === SEND_TRIGGER.OVER_CITY ? { type: trigger.type, slot: next, city: null } : { ...trigger, slot: next }
+  );
+
+  const stepTime = (minutes) => onChange({
+    ...trigger,
+    at: DateTime.fromISO(trigger.at).plus({ minutes }).toUTC().toISO()
+  });
+
+  let summary;
+  if (trigger.type === SEND_TRIGGER.NOW) {
+    summary = 'Leaves as soon as you send it';
+  } else if (sendAt === null) {
+    summary = trigger.type === SEND_TRIGGER.OVER_CITY ? 'Pick a city' : 'This flight has no schedule yet';
+  } else if (sendAt <= now) {
+    summary = '⚠️ That moment has already passed';
+  } else {
+    summary = `Leaves ${formatSendTime(sendAt)} · ${describeSendTrigger(trigger, flights)}`;
+  }
+
+  return (
+    <View>
+      <View style={styles.row}>
+        {Object.values(SEND_TRIGGER).map(type => (
+          <OptionChip
+            key={type}
+            label={SEND_TRIGGER_LABELS[type]}
+            selected={trigger.type === type}
+            onPress={() => choose(type)}
+          />
+        ))}
+      </View>
+
+      {FLIGHT_TRIGGERS.includes(trigger.type) && recipient && (
+        <View style={styles.row}>
+          {[sender, recipient].map(traveller => (
+            <OptionChip
+              key={traveller}
+              label={traveller === sender ? 'Your flight' : `${getTravellerName(flights, traveller)}'s flight`}
+              selected={slot === traveller}
+              onPress={() => chooseFlight(traveller)}
+            />
+          ))}
+        </View>
+      )}
+
+      {trigger.type === SEND_TRIGGER.OVER_CITY && (
+        cities.some(city => city.time > now) ? (
+          <View style={styles.row}>
+            {cities.filter(city => city.time > now).map(city => (
+              <OptionChip
+                key={city.name}
+                label={`${city.name} · ${DateTime.fromMillis(city.time).toFormat('HH:mm')}`}
+                selected={trigger.city === city.name}
+                onPress={() => onChange({ ...trigger, city: city.name })}
+              />
+            ))}
+          </View>
+        ) : (
+          <Text style={styles.hintText}>No cities on this route are still ahead</Text>
+        )
+      )}
+
+      {trigger.type === SEND_TRIGGER.AT_TIME && SEND_TIME_STEPS.map(({ label, minutes }) => (
+        <View key={label} style={styles.stepRow}>
+          <TouchableOpacity style={styles.stepButton} onPress={() => stepTime(-minutes)}>
+            <Text style={styles.stepButtonText}>−</Text>
+          </TouchableOpacity>
+          <Text style={styles.stepLabel}>{label}</Text>
+          <TouchableOpacity style={styles.stepButton} onPress={() => stepTime(minutes)}>
+            <Text style={styles.stepButtonText}>+</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <Text style={styles.hintText}>{summary}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.md,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  stepButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.backgroundSecondary,
+  },
+  stepButtonText: {
+    fontSize: 18,
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+  stepLabel: {
+    width: 70,
+    textAlign: 'center',
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+  },
+});
@@ -0,0 +1,81 @@
+// src/data/airportsData.js
+// Offline airport database: IATA code, name, city, position and IANA time zone
+export const airportsData = [
+  { "iata": "BLR", "name": "Kempegowda International Airport", "city": "Bengaluru", "lat": 13.1986, "lon": 77.7066, "tz": "Asia/Kolkata", "aliases": ["Bangalore"] },
+  { "iata": "BOM", "name": "Chhatrapati Shivaji Maharaj International Airport", "city": "Mumbai", "lat": 19.0896, "lon": 72.8656, "tz": "Asia/Kolkata", "aliases": ["Bombay"] },
+  { "iata": "DEL", "name": "Indira Gandhi International Airport", "city": "Delhi", "lat": 28.5562, "lon": 77.1, "tz": "Asia/Kolkata", "aliases": ["New Delhi"] },
+  { "iata": "MAA", "name": "Chennai International Airport", "city": "Chennai", "lat": 12.9941, "lon": 80.1709, "tz": "Asia/Kolkata", "aliases": ["Madras"] },
+  { "iata": "CCU", "name": "Netaji Subhas Chandra Bose International Airport", "city": "Kolkata", "lat": 22.6547, "lon": 88.4467, "tz": "Asia/Kolkata", "aliases": ["Calcutta"] },
+  { "iata": "HYD", "name": "Rajiv Gandhi International Airport", "city": "Hyderabad", "lat": 17.2403, "lon": 78.4294, "tz": "Asia/Kolkata" },
+  { "iata": "AMD", "name": "Sardar Vallabhbhai Patel International Airport", "city": "Ahmedabad", "lat": 23.0772, "lon": 72.6347, "tz": "Asia/Kolkata" },
+  { "iata": "PNQ", "name": "Pune Airport", "city": "Pune", "lat": 18.5821, "lon": 73.9197, "tz": "Asia/Kolkata" },
+  { "iata": "IXC", "name": "Shaheed Bhagat Singh International Airport", "city": "Chandigarh", "lat": 30.6735, "lon": 76.7885, "tz": "Asia/Kolkata" },
+  { "iata": "JAI", "name": "Jaipur International Airport", "city": "Jaipur", "lat": 26.8242, "lon": 75.8122, "tz": "Asia/Kolkata" },
+  { "iata": "KNU", "name": "Kanpur Airport", "city": "Kanpur", "lat": 26.4044, "lon": 80.4101, "tz": "Asia/Kolkata" },
+  { "iata": "STV", "name": "Surat Airport", "city": "Surat", "lat": 21.1141, "lon": 72.7418, "tz": "Asia/Kolkata" },
+  { "iata": "GOI", "name": "Dabolim Airport", "city": "Goa", "lat": 15.3808, "lon": 73.8314, "tz": "Asia/Kolkata", "aliases": ["Dabolim"] },
+  { "iata": "GOX", "name": "Manohar International Airport", "city": "Mopa", "lat": 15.7442, "lon": 73.8606, "tz": "Asia/Kolkata", "aliases": ["North Goa"] },
+  { "iata": "COK", "name": "Cochin International Airport", "city": "Kochi", "lat": 10.152, "lon": 76.4019, "tz": "Asia/Kolkata", "aliases": ["Cochin"] },
+  { "iata": "TRV", "name": "Trivandrum International Airport", "city": "Thiruvananthapuram", "lat": 8.4821, "lon": 76.9201, "tz": "Asia/Kolkata", "aliases": ["Trivandrum"] },
+  { "iata": "CCJ", "name": "Calicut International Airport", "city": "Kozhikode", "lat": 11.1368, "lon": 75.9553, "tz": "Asia/Kolkata", "aliases": ["Calicut"] },
+  { "iata": "IXE", "name": "Mangaluru International Airport", "city": "Mangaluru", "lat": 12.9613, "lon": 74.8901, "tz": "Asia/Kolkata", "aliases": ["Mangalore"] },
+  { "iata": "CJB", "name": "Coimbatore International Airport", "city": "Coimbatore", "lat": 11.03, "lon": 77.0434, "tz": "Asia/Kolkata" },
+  { "iata": "IXM", "name": "Madurai Airport", "city": "Madurai", "lat": 9.8345, "lon": 78.0934, "tz": "Asia/Kolkata" },
+  { "iata": "TRZ", "name": "Tiruchirappalli International Airport", "city": "Tiruchirappalli", "lat": 10.7654, "lon": 78.7097, "tz": "Asia/Kolkata", "aliases": ["Trichy"] },
+  { "iata": "VTZ", "name": "Visakhapatnam Airport", "city": "Visakhapatnam", "lat": 17.7212, "lon": 83.2245, "tz": "Asia/Kolkata", "aliases": ["Vizag"] },
+  { "iata": "VGA", "name": "Vijayawada Airport", "city": "Vijayawada", "lat": 16.5304, "lon": 80.7968, "tz": "Asia/Kolkata" },
+  { "iata": "LKO", "name": "Chaudhary Charan Singh International Airport", "city": "Lucknow", "lat": 26.7606, "lon": 80.8893, "tz": "Asia/Kolkata" },
+  { "iata": "VNS", "name": "Lal Bahadur Shastri International Airport", "city": "Varanasi", "lat": 25.4524, "lon": 82.8593, "tz": "Asia/Kolkata", "aliases": ["Benares"] },
+  { "iata": "PAT", "name": "Jay Prakash Narayan International Airport", "city": "Patna", "lat": 25.5913, "lon": 85.088, "tz": "Asia/Kolkata" },
+  { "iata": "IXR", "name": "Birsa Munda Airport", "city": "Ranchi", "lat": 23.3143, "lon": 85.3217, "tz": "Asia/Kolkata" },
+  { "iata": "BBI", "name": "Biju Patnaik International Airport", "city": "Bhubaneswar", "lat": 20.2444, "lon": 85.8178, "tz": "Asia/Kolkata" },
+  { "iata": "RPR", "name": "Swami Vivekananda Airport", "city": "Raipur", "lat": 21.1804, "lon": 81.7388, "tz": "Asia/Kolkata" },
+  { "iata": "NAG", "name": "Dr. Babasaheb Ambedkar International Airport", "city": "Nagpur", "lat": 21.0922, "lon": 79.0472, "tz": "Asia/Kolkata" },
+  { "iata": "IDR", "name": "Devi Ahilyabai Holkar Airport", "city": "Indore", "lat": 22.7218, "lon": 75.8011, "tz": "Asia/Kolkata" },
+  { "iata": "BHO", "name": "Raja Bhoj Airport", "city": "Bhopal", "lat": 23.2875, "lon": 77.3374, "tz": "Asia/Kolkata" },
+  { "iata": "BDQ", "name": "Vadodara Airport", "city": "Vadodara", "lat": 22.3362, "lon": 73.2263, "tz": "Asia/Kolkata", "aliases": ["Baroda"] },
+  { "iata": "UDR", "name": "Maharana Pratap Airport", "city": "Udaipur", "lat": 24.6177, "lon": 73.8961, "tz": "Asia/Kolkata" },
+  { "iata": "ATQ", "name": "Sri Guru Ram Dass Jee International Airport", "city": "Amritsar", "lat": 31.7096, "lon": 74.7973, "tz": "Asia/Kolkata" },
+  { "iata": "DED", "name": "Dehradun Airport", "city": "Dehradun", "lat": 30.1897, "lon": 78.1803, "tz": "Asia/Kolkata" },
+  { "iata": "IXJ", "name": "Jammu Airport", "city": "Jammu", "lat": 32.6891, "lon": 74.8374, "tz": "Asia/Kolkata" },
+  { "iata": "SXR", "name": "Srinagar International Airport", "city": "Srinagar", "lat": 33.9871, "lon": 74.7742, "tz": "Asia/Kolkata" },
+  { "iata": "IXL", "name": "Kushok Bakula Rimpochee Airport", "city": "Leh", "lat": 34.1359, "lon": 77.5465, "tz": "Asia/Kolkata" },
+  { "iata": "GAU", "name": "Lokpriya Gopinath Bordoloi International Airport", "city": "Guwahati", "lat": 26.1061, "lon": 91.5859, "tz": "Asia/Kolkata" },
+  { "iata": "IXB", "name": "Bagdogra Airport", "city": "Siliguri", "lat": 26.6812, "lon": 88.3286, "tz": "Asia/Kolkata", "aliases": ["Bagdogra"] },
+  { "iata": "IXZ", "name": "Veer Savarkar International Airport", "city": "Port Blair", "lat": 11.6412, "lon": 92.7297, "tz": "Asia/Kolkata" },
+  { "iata": "CMB", "name": "Bandaranaike International Airport", "city": "Colombo", "lat": 7.1808, "lon": 79.8841, "tz": "Asia/Colombo" },
+  { "iata": "MLE", "name": "Velana International Airport", "city": "Malé", "lat": 4.1918, "lon": 73.5291, "tz": "Indian/Maldives", "aliases": ["Male"] },
+  { "iata": "KTM", "name": "Tribhuvan International Airport", "city": "Kathmandu", "lat": 27.6966, "lon": 85.3591, "tz": "Asia/Kathmandu" },
+  { "iata": "DAC", "name": "Hazrat Shahjalal International Airport", "city": "Dhaka", "lat": 23.8433, "lon": 90.3978, "tz": "Asia/Dhaka" },
+  { "iata": "DXB", "name": "Dubai International Airport", "city": "Dubai", "lat": 25.2532, "lon": 55.3657, "tz": "Asia/Dubai" },
+  { "iata": "AUH", "name": "Zayed International Airport", "city": "Abu Dhabi", "lat": 24.433, "lon": 54.6511, "tz": "Asia/Dubai" },
+  { "iata": "DOH", "name": "Hamad International Airport", "city": "Doha", "lat": 25.2731, "lon": 51.6081, "tz": "Asia/Qatar" },
+  { "iata": "SIN", "name": "Singapore Changi Airport", "city": "Singapore", "lat": 1.3644, "lon": 103.9915, "tz": "Asia/Singapore" },
+  { "iata": "KUL", "name": "Kuala Lumpur International Airport", "city": "Kuala Lumpur", "lat": 2.7456, "lon": 101.7099, "tz": "Asia/Kuala_Lumpur" },
+  { "iata": "BKK", "name": "Suvarnabhumi Airport", "city": "Bangkok", "lat": 13.69, "lon": 100.7501, "tz": "Asia/Bangkok" },
+  { "iata": "HKG", "name": "Hong Kong International Airport", "city": "Hong Kong", "lat": 22.308, "lon": 113.9185, "tz": "Asia/Hong_Kong" },
+  { "iata": "PEK", "name": "Beijing Capital International Airport", "city": "Beijing", "lat": 40.0799, "lon": 116.6031, "tz": "Asia/Shanghai" },
+  { "iata": "PVG", "name": "Shanghai Pudong International Airport", "city": "Shanghai", "lat": 31.1443, "lon": 121.8083, "tz": "Asia/Shanghai" },
+  { "iata": "ICN", "name": "Incheon International Airport", "city": "Seoul", "lat": 37.4602, "lon": 126.4407, "tz": "Asia/Seoul" },
+  { "iata": "NRT", "name": "Narita International Airport", "city": "Tokyo", "lat": 35.772, "lon": 140.3929, "tz": "Asia/Tokyo" },
+  { "iata": "HND", "name": "Haneda Airport", "city": "Tokyo", "lat": 35.5494, "lon": 139.7798, "tz": "Asia/Tokyo" },
+  { "iata": "SYD", "name": "Sydney Kingsford Smith Airport", "city": "Sydney", "lat": -33.9399, "lon": 151.1753, "tz": "Australia/Sydney" },
+  { "iata": "MEL", "name": "Melbourne Airport", "city": "Melbourne", "lat": -37.669, "lon": 144.841, "tz": "Australia/Melbourne" },
+  { "iata": "IST", "name": "Istanbul Airport", "city": "Istanbul", "lat": 41.2753, "lon": 28.7519, "tz": "Europe/Istanbul" },
+  { "iata": "LHR", "name": "Heathrow Airport", "city": "London", "lat": 51.47, "lon": -0.4543, "tz": "Europe/London" },
+  { "iata": "CDG", "name": "Paris Charles de Gaulle Airport", "city": "Paris", "lat": 49.0097, "lon": 2.5479, "tz": "Europe/Paris" },
+  { "iata": "AMS", "name": "Amsterdam Airport Schiphol", "city": "Amsterdam", "lat": 52.3105, "lon": 4.7683, "tz": "Europe/Amsterdam" },
+  { "iata": "FRA", "name": "Frankfurt Airport", "city": "Frankfurt", "lat": 50.0379, "lon": 8.5622, "tz": "Europe/Berlin" },
+  { "iata": "MUC", "name": "Munich Airport", "city": "Munich", "lat": 48.3538, "lon": 11.7861, "tz": "Europe/Berlin" },
+  { "iata": "ZRH", "name": "Zurich Airport", "city": "Zurich", "lat": 47.4582, "lon": 8.5555, "tz": "Europe/Zurich" },
+  { "iata": "JNB", "name": "O. R. Tambo International Airport", "city": "Johannesburg", "lat": -26.1367, "lon": 28.2411, "tz": "Africa/Johannesburg" },
+  { "iata": "NBO", "name": "Jomo Kenyatta International Airport", "city": "Nairobi", "lat": -1.3192, "lon": 36.9278, "tz": "Africa/Nairobi" },
+  { "iata": "JFK", "name": "John F. Kennedy International Airport", "city": "New York", "lat": 40.6413, "lon": -73.7781, "tz": "America/New_York" },
+  { "iata": "EWR", "name": "Newark Liberty International Airport", "city": "Newark", "lat": 40.6895, "lon": -74.1745, "tz": "America/New_York" },
+  { "iata": "ORD", "name": "O'Hare International Airport", "city": "Chicago", "lat": 41.9742, "lon": -87.9073, "tz": "America/Chicago" },
+  { "iata": "SFO", "name": "San Francisco International Airport", "city": "San Francisco", "lat": 37.6213, "lon": -122.379, "tz": "America/Los_Angeles" },
+  { "iata": "LAX", "name": "Los Angeles International Airport", "city": "Los Angeles", "lat": 33.9416, "lon": -118.4085, "tz": "America/Los_Angeles" },
+  { "iata": "YYZ", "name": "Toronto Pearson International Airport", "city": "Toronto", "lat": 43.6777, "lon": -79.6248, "tz": "America/Toronto" }
+];
+
+export default airportsData;
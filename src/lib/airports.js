@@ -0,0 +1,93 @@
+// src/lib/airports.js
+// Lookups in the bundled airport database. Works offline; the labels travellers type
+// ("Bengaluru (BLR – T1)", "BOM", "Bombay") all resolve to the same airport.
+import { airportsData } from '../data/airportsData';
+
+const AIRPORTS_BY_CODE = new Map(airportsData.map(airport => [airport.iata, airport]));
+
+const normalize = (value) => value.trim().toLowerCase();
+
+function matchesName(airport, name) {
+  return normalize(airport.city) === name
+    || normalize(airport.name) === name
+    || (airport.aliases || []).some(alias => normalize(alias) === name);
+}
+
+/**
+ * Airport by IATA code
+ * @param {string} code - IATA code, any case
+ * @returns {Object|null} Airport
+ */
+export function getAirportByCode(code) {
+  if (!code) return null;
+  return AIRPORTS_BY_CODE.get(code.trim().toUpperCase()) || null;
+}
+
+/**
+ * Airport for a free-text label: a code in brackets, a bare code, or a city,
+ * airport name or alias
+ * @param {string} label - e.g. 'Mumbai (BOM – T1)', 'IXC' or 'Bangalore'
+ * @returns {Object|null} Airport, or null if it is not in the database
+ */
+export function findAirport(label) {
+  if (!label) return null;
+
+  const bracketed = /\(([A-Z]{3})\b/.exec(label);
+  if (bracketed && AIRPORTS_BY_CODE.has(bracketed[1])) return AIRPORTS_BY_CODE.get(bracketed[1]);
+  if (/^\s*[A-Za-z]{3}\s*$/.test(label) && getAirportByCode(label)) return getAirportByCode(label);
+
+  const name = normalize(label.split('(')[0]);
+  if (!name) return null;
+  return airportsData.find(airport => matchesName(airport, name)) || null;
+}
+
+/**
+ * Airports matching what the traveller has typed so far, best matches first:
+ * exact code, then code, city or alias prefix, then anywhere in the name
+ * @param {string} query - Partial code, city, alias or airport name
+ * @param {number} limit - Maximum results
+ * @returns {Array} Airports
+ */
+export function searchAirports(query, limit = 8) {
+  const text = normalize(query || '');
+  if (!text) return [];
+
+  const scored = [];
+  airportsData.forEach(airport => {
+    const names = [airport.city, ...(airport.aliases || [])].map(normalize);
+    let score = 0;
+    if (airport.iata.toLowerCase() === text) score = 4;
+    else if (airport.iata.toLowerCase().startsWith(text)) score = 3;
+    else if (names.some(name => name.startsWith(text))) score = 2;
+    else if (normalize(airport.name).includes(text) || names.some(name => name.includes(text))) score = 1;
+    if (score > 0) scored.push({ airport, score });
+  });
+
+  // Stable sort keeps the database order within a score
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.airport);
+}
+
+/**
+ * Short label used on maps and routes
+ * @param {Object} airport - Airport
+ * @returns {string} e.g. 'Mumbai (BOM)'
+ */
+export function formatAirportLabel(airport) {
+  return airport ? `${airport.city} (${airport.iata})` : '';
+}
+
+/**
+ * Origin and destination airports of a flight
+ * @param {Object} flight - Flight with origin/destination or departure/arrival labels
+ * @returns {Object} { origin, destination }, each an airport or null
+ */
+export function getFlightAirports(flight) {
+  if (!flight) return { origin: null, destination: null };
+  return {
+    origin: findAirport(flight.origin) || findAirport(flight.departure),
+    destination: findAirport(flight.destination) || findAirport(flight.arrival)
+  };
+}
@@ -0,0 +1,170 @@
+// src/lib/backgroundTasks.js
+// Keeps letters moving while the app is closed. The OS wakes the app at its own
+// discretion (at most every 15 minutes); each run advances letters with the delivery
+// engine, attempts a sync, and notifies about newly delivered letters.
+// App.js imports this module so the task is defined before the OS asks for it.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import letterRepository, { LETTER_STATUS } from './letterRepository';
+import { performSync } from './syncManager';
+import { processLetterStatuses } from './deliveryEngine';
+import { getCurrentUser, getFlights } from './storage';
+import { getTravellerName } from './roster';
+import { presentLocalNotification, requestNotificationPermissions } from './movieService';
+
+export const BACKGROUND_TASK_NAME = 'airletters-background-work';
+
+const BACKGROUND_STATUS_KEY = '@airletters_background_status';
+const NOTIFIED_LETTERS_KEY = '@airletters_delivery_notified';
+const MAX_NOTIFIED_ENTRIES = 500;
+const MINIMUM_INTERVAL_MINUTES = 15;
+
+const isDeliveredTo = (user) => (letter) =>
+  letter.status === LETTER_STATUS.DELIVERED && letter.toFlight === user;
+
+async function getNotifiedLetterIds() {
+  try {
+    const raw = await AsyncStorage.getItem(NOTIFIED_LETTERS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Failed to get notified letters:', error);
+    return [];
+  }
+}
+
+async function saveNotifiedLetterIds(ids) {
+  await AsyncStorage.setItem(NOTIFIED_LETTERS_KEY, JSON.stringify(ids.slice(-MAX_NOTIFIED_ENTRIES)));
+}
+
+/**
+ * Notify about letters delivered to this user that we have not announced yet.
+ * Deliveries that happened before the first run are recorded without a notification.
+ * @param {Array} before - Letters before this run advanced anything
+ * @param {Array} after - Letters after advancing and syncing
+ * @param {string} user - Current user's traveller slot
+ * @returns {Promise<number>} Number of letters announced
+ */
+async function notifyNewDeliveries(before, after, user) {
+  let notified = await getNotifiedLetterIds();
+  if (notified === null) {
+    notified = before.filter(isDeliveredTo(user)).map(letter => letter.id);
+  }
+
+  const seen = new Set(notified);
+  const fresh = after.filter(letter => isDeliveredTo(user)(letter) && !seen.has(letter.id));
+
+  if (fresh.length > 0) {
+    const first = fresh[0];
+    const flights = fresh.length === 1 ? await getFlights() : null;
+    await presentLocalNotification({
+      title: fresh.length === 1 ? '📬 A letter has landed' : `📬 ${fresh.length} letters have landed`,
+      body: fresh.length === 1
+        ? `${getTravellerName(flights, first.fromFlight)} wrote to you. Open AirLetters to read it.`
+        : 'Open AirLetters to read them.',
+      data: { type: 'letter_delivered', letterIds: fresh.map(letter => letter.id) }
+    });
+  }
+
+  await saveNotifiedLetterIds([...notified, ...fresh.map(letter => letter.id)]);
+  return fresh.length;
+}
+
+/**
+ * One background run: advance statuses, sync, announce deliveries
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Run summary, also saved for SyncStatusScreen
+ */
+export async function runBackgroundWork(now = new Date()) {
+  const result = {
+    startedAt: now.toISOString(),
+    synced: false,
+    offline: false,
+    notified: 0,
+    error: null
+  };
+
+  try {
+    const [user, before] = await Promise.all([
+      getCurrentUser(),
+      letterRepository.getAll()
+    ]);
+
+    await processLetterStatuses({ now, source: 'background' });
+
+    const syncResult = await performSync();
+    result.synced = syncResult.success && !syncResult.offlineMode;
+    result.offline = !!syncResult.offlineMode;
+
+    const after = await letterRepository.getAll();
+    result.notified = await notifyNewDeliveries(before, after, user);
+  } catch (error) {
+    console.warn('Background work failed:', error);
+    result.error = error.message;
+  }
+
+  result.finishedAt = new Date().toISOString();
+  try {
+    await AsyncStorage.setItem(BACKGROUND_STATUS_KEY, JSON.stringify(result));
+  } catch (error) {
+    console.warn('Failed to save background status:', error);
+  }
+  return result;
+}
+
+TaskManager.defineTask(BACKGROUND_TASK_NAME, async () => {
+  const result = await runBackgroundWork();
+  return result.error
+    ? BackgroundTask.BackgroundTaskResult.Failed
+    : BackgroundTask.BackgroundTaskResult.Success;
+});
+
+/**
+ * Ask the OS to run the background task periodically (idempotent)
+ * @returns {Promise<boolean>} True if the task is registered
+ */
+export async function registerBackgroundTasks() {
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+      console.warn('Background tasks are restricted on this device');
+      return false;
+    }
+
+    await requestNotificationPermissions();
+
+    if (!(await TaskManager.isTaskRegisteredAsync(BACKGROUND_TASK_NAME))) {
+      await BackgroundTask.registerTaskAsync(BACKGROUND_TASK_NAME, {
+        minimumInterval: MINIMUM_INTERVAL_MINUTES
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Failed to register background tasks:', error);
+    return false;
+  }
+}
+
+// Stop background runs
+export async function unregisterBackgroundTasks() {
+  try {
+    if (await TaskManager.isTaskRegisteredAsync(BACKGROUND_TASK_NAME)) {
+      await BackgroundTask.unregisterTaskAsync(BACKGROUND_TASK_NAME);
+    }
+    return true;
+  } catch (error) {
+    console.warn('Failed to unregister background tasks:', error);
+    return false;
+  }
+}
+
+// Get the summary of the last background run
+export async function getBackgroundStatus() {
+  try {
+    const raw = await AsyncStorage.getItem(BACKGROUND_STATUS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Failed to get background status:', error);
+    return null;
+  }
+}
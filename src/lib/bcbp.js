@@ -0,0 +1,179 @@
+// src/lib/bcbp.js
+// Decodes the IATA Bar Coded Boarding Pass (BCBP, Resolution 792) string carried in the
+// PDF417, Aztec or QR code on a boarding pass, whether scanned from an image or pasted.
+import { scanFromURLAsync } from 'expo-camera';
+import { DateTime } from 'luxon';
+import { getAirportByCode, formatAirportLabel } from './airports';
+import { normalizeFlightNumber } from './flightSchedule';
+
+// iOS only reads QR codes from still images; Android reads them all
+const BOARDING_PASS_BARCODES = ['pdf417', 'aztec', 'qr', 'datamatrix'];
+
+// Mandatory items of each leg, from the PNR to the size of its conditional items
+const LEG_LENGTH = 37;
+const HEADER_LENGTH = 23;
+
+const NAME_TITLES = ['MR', 'MRS', 'MS', 'MISS', 'MSTR', 'DR', 'PROF'];
+
+function readHex(text, at) {
+  const value = parseInt(text.substr(at, 2), 16);
+  return Number.isNaN(value) ? null : value;
+}
+
+function readLeg(text, at) {
+  if (text.length < at + LEG_LENGTH) return null;
+  const field = (offset, length) => text.substr(at + offset, length).trim();
+
+  const day = parseInt(field(21, 3), 10);
+  const conditionalSize = readHex(text, at + 35);
+  if (!/^[A-Z]{3}$/.test(field(7, 3)) || !/^[A-Z]{3}$/.test(field(10, 3)) || conditionalSize === null) {
+    return null;
+  }
+
+  return {
+    leg: {
+      pnr: field(0, 7),
+      from: field(7, 3),
+      to: field(10, 3),
+      carrier: field(13, 3),
+      flightNumber: normalizeFlightNumber(`${field(13, 3)} ${field(16, 5).replace(/^0+/, '')}`),
+      dayOfYear: day >= 1 && day <= 366 ? day : null,
+      compartment: field(24, 1),
+      seat: field(25, 4).replace(/^0+/, ''),
+      sequence: field(29, 5).replace(/^0+/, ''),
+      status: field(34, 1)
+    },
+    conditional: text.substr(at + LEG_LENGTH, conditionalSize),
+    next: at + LEG_LENGTH + conditionalSize
+  };
+}
+
+// Day the pass was issued, from the first leg's unique conditional items: '>' + version,
+// a hex size, three single-character items and then the date as last year digit + day of year
+function readIssueDate(conditional) {
+  if (conditional[0] !== '>' || readHex(conditional, 2) < 7) return null;
+  const match = /^(\d)(\d{3})$/.exec(conditional.substr(7, 4));
+  return match ? { yearDigit: Number(match[1]), dayOfYear: Number(match[2]) } : null;
+}
+
+// Boarding passes only carry the day of the year. Take the year of issue when it is
+// printed, otherwise the year that puts the flight closest to the reference date.
+function resolveDate(dayOfYear, issued, referenceDate) {
+  if (!dayOfYear) return null;
+  const reference = DateTime.fromJSDate(referenceDate, { zone: 'utc' });
+
+  if (issued) {
+    const issueYear = [reference.year - 1, reference.year, reference.year + 1]
+      .find(year => year % 10 === issued.yearDigit);
+    if (issueYear) {
+      // A flight earlier in the year than the pass was issued flies the year after
+      const year = dayOfYear < issued.dayOfYear ? issueYear + 1 : issueYear;
+      const date = DateTime.fromObject({ year, ordinal: dayOfYear }, { zone: 'utc' });
+      if (date.isValid) return date.toISODate();
+    }
+  }
+
+  const candidates = [reference.year - 1, reference.year, reference.year + 1]
+    .map(year => DateTime.fromObject({ year, ordinal: dayOfYear }, { zone: 'utc' }))
+    .filter(date => date.isValid);
+  const closest = candidates.sort((a, b) =>
+    Math.abs(a.diff(reference).milliseconds) - Math.abs(b.diff(reference).milliseconds))[0];
+  return closest ? closest.toISODate() : null;
+}
+
+/**
+ * Decode a BCBP string
+ * @param {string} text - Barcode contents, e.g. 'M1GUPTA/ANJALI MS     EXUDKJR BLRIXC6E 6633 232Y003C0027 100'
+ * @param {Date} referenceDate - Date used to pick the year of the flight
+ * @returns {Object|null} { passengerName, pnr, electronicTicket, legs: [{ pnr, from, to, carrier,
+ *   flightNumber, date, compartment, seat, sequence, status }], raw }, or null if it is not a boarding pass
+ */
+export function decodeBCBP(text, referenceDate = new Date()) {
+  if (!text) return null;
+  const data = text.replace(/^[\s\u0000-\u001f]+/, '').replace(/[\r\n]+$/, '');
+  if (data[0] !== 'M' || !/^[1-9]$/.test(data[1]) || data.length < HEADER_LENGTH + LEG_LENGTH) {
+    return null;
+  }
+
+  const legCount = Number(data[1]);
+  const legs = [];
+  let issued = null;
+  let at = HEADER_LENGTH;
+  for (let i = 0; i < legCount; i++) {
+    const read = readLeg(data, at);
+    if (!read) break;
+    if (i === 0) issued = readIssueDate(read.conditional);
+    legs.push(read.leg);
+    at = read.next;
+  }
+  if (legs.length === 0) return null;
+
+  return {
+    passengerName: data.substr(2, 20).trim(),
+    pnr: legs[0].pnr,
+    electronicTicket: data[22] === 'E',
+    legs: legs.map(({ dayOfYear, ...leg }) => ({ ...leg, date: resolveDate(dayOfYear, issued, referenceDate) })),
+    raw: data
+  };
+}
+
+/**
+ * Passenger name as people write it
+ * @param {string} name - BCBP name, 'SURNAME/GIVEN NAMES TITLE'
+ * @returns {string} e.g. 'Anjali Gupta'
+ */
+export function formatPassengerName(name) {
+  if (!name) return '';
+  const [surname, given = ''] = name.split('/');
+  const words = given.split(/\s+/).filter(word => word && !NAME_TITLES.includes(word));
+  return [...words, ...surname.split(/\s+/)]
+    .filter(Boolean)
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * Flight fields for FlightSetup from one leg of a boarding pass. Boarding passes carry the
+ * date but not the times, so departureUTC and arrivalUTC stay empty.
+ * @param {Object} decoded - Result of decodeBCBP
+ * @param {number} index - Leg
+ * @returns {Object|null} { flightNumber, origin, destination, departure, arrival, date,
+ *   departureUTC, arrivalUTC, bookingReference }
+ */
+export function getBoardingPassFlight(decoded, index = 0) {
+  const leg = decoded?.legs?.[index];
+  if (!leg) return null;
+  const origin = getAirportByCode(leg.from);
+  const destination = getAirportByCode(leg.to);
+
+  return {
+    flightNumber: leg.flightNumber,
+    origin: origin ? formatAirportLabel(origin) : leg.from,
+    destination: destination ? formatAirportLabel(destination) : leg.to,
+    departure: origin ? origin.city : null,
+    arrival: destination ? destination.city : null,
+    date: leg.date,
+    departureUTC: null,
+    arrivalUTC: null,
+    bookingReference: leg.pnr
+  };
+}
+
+/**
+ * Decode the boarding pass barcode in an image on the device
+ * @param {string} uri - Local image URI
+ * @returns {Promise<Object|null>} Result of decodeBCBP, or null if no boarding pass barcode was found
+ */
+export async function readBoardingPassImage(uri) {
+  try {
+    const results = await scanFromURLAsync(uri, BOARDING_PASS_BARCODES);
+    for (const result of results) {
+      const decoded = decodeBCBP(result.data);
+      if (decoded) return decoded;
+    }
+    return null;
+  } catch (error) {
+    console.warn('Failed to scan boarding pass:', error);
+    return null;
+  }
+}
@@ -0,0 +1,106 @@
+// src/lib/closestApproach.js
+// When and where the two aircraft are geographically closest while both are airborne.
+// This is where "meet mid-air" letters change planes.
+import { calculateDistance, intermediatePoint } from '../utils/mapUtils';
+import { getFlightPositionAt } from './flightPaths';
+import { citiesData } from '../data/citiesData';
+
+// A coarse scan of the shared airborne window, then a narrowing search around the
+// best sample. Fixed counts keep the answer identical on every device.
+const APPROACH_SAMPLES = 120;
+const APPROACH_REFINE_STEPS = 30;
+// Further than this from every city, a point is not named after one
+const NEAREST_CITY_RANGE_KM = 300;
+
+const toMillis = (value) => new Date(value).getTime();
+const round = (value, places) => Number(value.toFixed(places));
+
+/**
+ * City nearest to a point
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} maxDistanceKm - Cities further away than this don't count
+ * @returns {Object|null} { name, latitude, longitude, distanceKm }, or null if no city is
+ *   within range (over the ocean, say)
+ */
+export function getNearestCity(point, maxDistanceKm = NEAREST_CITY_RANGE_KM) {
+  if (!point) return null;
+
+  let nearest = null;
+  citiesData.forEach(city => {
+    const coordinate = { latitude: city.lat, longitude: city.lon };
+    const distanceKm = calculateDistance(point, coordinate);
+    if (distanceKm <= maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) {
+      nearest = { name: city.name, ...coordinate, distanceKm: round(distanceKm, 1) };
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Moment the two flights are nearest each other while both are airborne
+ * @param {Object} flightA - First flight
+ * @param {Object} flightB - Second flight
+ * @param {number} notBefore - Ignore anything earlier (milliseconds)
+ * @returns {Object|null} { time, distanceKm, positionA, positionB, meetingPoint, nearestCity },
+ *   or null if they are never airborne together
+ */
+export function findClosestApproach(flightA, flightB, notBefore = 0) {
+  if (!flightA || !flightB) return null;
+
+  const start = Math.max(notBefore, toMillis(flightA.departureUTC), toMillis(flightB.departureUTC));
+  const end = Math.min(toMillis(flightA.arrivalUTC), toMillis(flightB.arrivalUTC));
+  if (!(end > start)) return null;
+
+  const distanceAt = (time) => {
+    const a = getFlightPositionAt(flightA, time);
+    const b = getFlightPositionAt(flightB, time);
+    return a && b ? calculateDistance(a, b) : null;
+  };
+  if (distanceAt(start) === null) return null;
+
+  const step = (end - start) / APPROACH_SAMPLES;
+  let best = start;
+  let bestDistance = distanceAt(start);
+  for (let i = 1; i <= APPROACH_SAMPLES; i++) {
+    const time = start + step * i;
+    const distance = distanceAt(time);
+    if (distance < bestDistance) {
+      best = time;
+      bestDistance = distance;
+    }
+  }
+
+  let low = Math.max(start, best - step);
+  let high = Math.min(end, best + step);
+  for (let i = 0; i < APPROACH_REFINE_STEPS; i++) {
+    const left = low + (high - low) / 3;
+    const right = high - (high - low) / 3;
+    if (distanceAt(left) <= distanceAt(right)) {
+      high = right;
+    } else {
+      low = left;
+    }
+  }
+
+  // Whole seconds, so the time survives a round trip through ISO strings unchanged
+  const refined = Math.round((low + high) / 2000) * 1000;
+  const time = distanceAt(refined) <= bestDistance ? refined : Math.round(best / 1000) * 1000;
+
+  const positionA = getFlightPositionAt(flightA, time);
+  const positionB = getFlightPositionAt(flightB, time);
+  // Halfway along the great circle, which also holds across the antimeridian
+  const midpoint = intermediatePoint(positionA, positionB, 0.5);
+  const meetingPoint = {
+    latitude: round(midpoint.latitude, 5),
+    longitude: round(midpoint.longitude, 5)
+  };
+
+  return {
+    time,
+    distanceKm: round(distanceAt(time), 3),
+    positionA,
+    positionB,
+    meetingPoint,
+    nearestCity: getNearestCity(meetingPoint)
+  };
+}
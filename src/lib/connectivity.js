@@ -0,0 +1,297 @@
+// src/lib/connectivity.js
+// Connectivity as seen by sync: the OS network state from NetInfo, refined by a
+// reachability probe against the configured sync server, a captive-portal check
+// and in-flight Wi-Fi detection.
+import NetInfo from '@react-native-community/netinfo';
+import { getTransport } from './syncTransport';
+import { getCurrentUser, getFlights } from './storage';
+import defaultFlights from './defaultFlights';
+
+export const CONNECTIVITY_STATE = {
+  UNKNOWN: 'unknown',
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+  CAPTIVE_PORTAL: 'captive_portal',
+  IN_FLIGHT_WIFI: 'in_flight_wifi'
+};
+
+// Answers 204 with an empty body unless a portal intercepts the request
+const CAPTIVE_PORTAL_CHECK_URL = 'http://connectivitycheck.gstatic.com/generate_204';
+const CAPTIVE_PORTAL_TIMEOUT_MS = 5000;
+
+// While connected but unable to reach the sync server, probe again this often
+const REPROBE_INTERVAL_MS = 30 * 1000;
+
+// SSIDs used by onboard Wi-Fi providers and airlines
+const IN_FLIGHT_SSID_PATTERNS = [
+  /gogo/i,
+  /inflight/i,
+  /in-flight/i,
+  /onair/i,
+  /flynet/i,
+  /fly-?fi/i,
+  /viasat/i,
+  /panasonic/i,
+  /wifi@/i,
+  /skyconnect/i,
+  /deltawifi/i,
+  /unitedwifi/i,
+  /aainflight/i,
+  /6e-?wifi/i
+];
+
+/**
+ * Whether a Wi-Fi network name belongs to an onboard provider
+ * @param {string|null} ssid - Network name (only available with location permission)
+ * @returns {boolean} True for known in-flight networks
+ */
+export function isInFlightSsid(ssid) {
+  if (!ssid) return false;
+  return IN_FLIGHT_SSID_PATTERNS.some(pattern => pattern.test(ssid));
+}
+
+/**
+ * Whether the current user's flight is airborne right now
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True between departure and arrival
+ */
+async function isOwnFlightAirborne(now = new Date()) {
+  try {
+    const [user, saved] = await Promise.all([getCurrentUser(), getFlights()]);
+    const flights = saved || defaultFlights;
+    const flight = flights[`flight${user}`];
+    if (!flight) return false;
+
+    const departure = new Date(flight.departureUTC);
+    const arrival = new Date(flight.arrivalUTC);
+    return now >= departure && now <= arrival;
+  } catch (error) {
+    console.warn('Failed to check flight window:', error);
+    return false;
+  }
+}
+
+/**
+ * Check for a captive portal (hotel, airport or onboard sign-in page)
+ * @returns {Promise<boolean|null>} True if a portal answered, null if nothing did
+ */
+async function probeCaptivePortal() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CAPTIVE_PORTAL_TIMEOUT_MS);
+  try {
+    const response = await fetch(CAPTIVE_PORTAL_CHECK_URL, {
+      method: 'GET',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    return response.status !== 204 || response.redirected === true;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Classify a connectivity snapshot; a sign-in page comes first, onboard networks included
+ * @param {Object} snapshot - { isConnected, type, syncReachable, captivePortal, inFlightWifi }
+ * @returns {string} CONNECTIVITY_STATE value
+ */
+export function classifyConnectivity({ isConnected, type, syncReachable, captivePortal, inFlightWifi }) {
+  if (isConnected === false || type === 'none') return CONNECTIVITY_STATE.OFFLINE;
+  if (captivePortal) return CONNECTIVITY_STATE.CAPTIVE_PORTAL;
+  if (inFlightWifi) return CONNECTIVITY_STATE.IN_FLIGHT_WIFI;
+  if (syncReachable) return CONNECTIVITY_STATE.ONLINE;
+  if (isConnected === null && syncReachable === null) return CONNECTIVITY_STATE.UNKNOWN;
+  return CONNECTIVITY_STATE.OFFLINE;
+}
+
+/**
+ * Tracks connectivity and publishes changes
+ */
+class ConnectivityService {
+  constructor() {
+    this.listeners = new Set();
+    this.unsubscribeNetInfo = null;
+    this.reprobeTimer = null;
+    this.activeRefresh = null;
+    this.networkState = null;
+    this.snapshot = {
+      state: CONNECTIVITY_STATE.UNKNOWN,
+      type: 'unknown',
+      isConnected: null,
+      syncReachable: null,
+      captivePortal: null,
+      inFlightWifi: false,
+      ssid: null,
+      checkedAt: null
+    };
+  }
+
+  /**
+   * Start following OS network changes (idempotent)
+   * @returns {Promise<Object>} Current snapshot
+   */
+  start() {
+    if (!this.unsubscribeNetInfo) {
+      this.unsubscribeNetInfo = NetInfo.addEventListener(networkState => {
+        this.networkState = networkState;
+        this.refresh().catch(error => console.warn('Connectivity refresh failed:', error));
+      });
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Stop following network changes
+   */
+  stop() {
+    if (this.unsubscribeNetInfo) this.unsubscribeNetInfo();
+    this.unsubscribeNetInfo = null;
+    if (this.reprobeTimer) clearTimeout(this.reprobeTimer);
+    this.reprobeTimer = null;
+  }
+
+  /**
+   * Latest snapshot without probing
+   * @returns {Object} Connectivity snapshot
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Whether the sync server was reachable at the last check
+   * @returns {boolean} True if sync can run
+   */
+  isOnline() {
+    return this.snapshot.syncReachable === true;
+  }
+
+  /**
+   * Re-read network state and probe the sync server (concurrent calls share one probe)
+   * @returns {Promise<Object>} Updated snapshot
+   */
+  refresh() {
+    if (this.activeRefresh) return this.activeRefresh;
+
+    this.activeRefresh = this.probe().finally(() => {
+      this.activeRefresh = null;
+    });
+    return this.activeRefresh;
+  }
+
+  async probe() {
+    let networkState = this.networkState;
+    try {
+      networkState = await NetInfo.fetch();
+      this.networkState = networkState;
+    } catch (error) {
+      console.warn('Failed to read network state:', error);
+    }
+
+    const type = networkState?.type || 'unknown';
+    const isConnected = networkState ? networkState.isConnected : null;
+    const ssid = networkState?.details?.ssid || null;
+
+    let syncReachable = false;
+    let captivePortal = false;
+    if (isConnected !== false) {
+      try {
+        const transport = await getTransport();
+        syncReachable = await transport.ping();
+      } catch (error) {
+        syncReachable = false;
+      }
+      if (!syncReachable) captivePortal = await probeCaptivePortal();
+    }
+
+    // The flight's schedule only stands in for the network name when that is hidden
+    const inFlightWifi = type === 'wifi' && (ssid ? isInFlightSsid(ssid) : await isOwnFlightAirborne());
+
+    this.update({ type, isConnected, syncReachable, captivePortal, inFlightWifi, ssid });
+    return this.snapshot;
+  }
+
+  /**
+   * Feed in the outcome of a real sync request, which is as good as a probe
+   * @param {boolean} reachable - Whether the sync server answered
+   */
+  reportSyncReachable(reachable) {
+    if (this.snapshot.syncReachable === reachable) return;
+    this.update({
+      ...this.snapshot,
+      syncReachable: reachable,
+      captivePortal: reachable ? false : this.snapshot.captivePortal
+    });
+  }
+
+  update(fields) {
+    const previous = this.snapshot;
+    const next = {
+      type: fields.type,
+      isConnected: fields.isConnected,
+      syncReachable: fields.syncReachable,
+      captivePortal: fields.captivePortal,
+      inFlightWifi: fields.inFlightWifi,
+      ssid: fields.ssid,
+      checkedAt: new Date().toISOString()
+    };
+    next.state = classifyConnectivity(next);
+    this.snapshot = next;
+    this.scheduleReprobe();
+
+    if (previous.state !== next.state || previous.syncReachable !== next.syncReachable) {
+      this.notifyListeners('connectivityChanged', { current: next, previous });
+    }
+  }
+
+  // Keep probing while the network is up but the sync server is not answering
+  scheduleReprobe() {
+    if (this.reprobeTimer) clearTimeout(this.reprobeTimer);
+    this.reprobeTimer = null;
+    if (!this.unsubscribeNetInfo) return;
+    if (this.snapshot.syncReachable || this.snapshot.isConnected === false) return;
+
+    this.reprobeTimer = setTimeout(() => {
+      this.reprobeTimer = null;
+      this.refresh().catch(error => console.warn('Connectivity refresh failed:', error));
+    }, REPROBE_INTERVAL_MS);
+  }
+
+  /**
+   * Add event listener
+   * @param {Function} listener - Event listener function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove event listener
+   * @param {Function} listener - Event listener function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in connectivity listener:', error);
+      }
+    });
+  }
+}
+
+const connectivity = new ConnectivityService();
+
+export default connectivity;
+export { ConnectivityService };
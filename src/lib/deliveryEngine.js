@@ -0,0 +1,255 @@
+// src/lib/deliveryEngine.js
+// Decides when a letter is delivered and where it is on the way, using only the letter,
+// the two flights' schedules and routes, the delivery rule and the clock passed in.
+// Both phones therefore compute the same position, ETA and delivery time for a letter.
+import letterRepository, { LETTER_STATUS, applyTransition } from './letterRepository';
+import { getFlights } from './storage';
+import defaultFlights from './defaultFlights';
+import { getFlightPositionAt } from './flightPaths';
+import { findClosestApproach } from './closestApproach';
+import { intermediatePoint } from '../utils/mapUtils';
+import { getInactiveLetterTripIds } from './trips';
+import { getTripPolicy, saveTripPolicy } from './tripPolicy';
+
+export const DELIVERY_RULE = {
+  ON_LANDING: 'on_landing',
+  CLOSEST_APPROACH: 'closest_approach',
+  MEET_MID_AIR: 'meet_mid_air',
+  FIXED_DELAY: 'fixed_delay'
+};
+
+export const DELIVERY_RULE_LABELS = {
+  [DELIVERY_RULE.ON_LANDING]: 'When both flights land',
+  [DELIVERY_RULE.CLOSEST_APPROACH]: 'When the flights are closest',
+  [DELIVERY_RULE.MEET_MID_AIR]: 'Hand over mid-air',
+  [DELIVERY_RULE.FIXED_DELAY]: 'After a fixed delay'
+};
+
+// Recorded in the status history when the rule delivers a letter
+const DELIVERY_REASONS = {
+  [DELIVERY_RULE.ON_LANDING]: 'Both flights landed',
+  [DELIVERY_RULE.CLOSEST_APPROACH]: 'Flights at closest approach',
+  [DELIVERY_RULE.MEET_MID_AIR]: 'Handed over mid-air',
+  [DELIVERY_RULE.FIXED_DELAY]: 'Delivery delay elapsed'
+};
+
+export const DEFAULT_DELIVERY_CONFIG = {
+  rule: DELIVERY_RULE.ON_LANDING,
+  fixedDelayMinutes: 30
+};
+
+// Rules that deliver when the two aircraft are closest
+const APPROACH_RULES = [DELIVERY_RULE.CLOSEST_APPROACH, DELIVERY_RULE.MEET_MID_AIR];
+
+const toMillis = (value) => new Date(value).getTime();
+const round = (value, places) => Number(value.toFixed(places));
+
+/**
+ * Get the delivery rule used for new letters, from the trip policy
+ * @returns {Promise<Object>} { rule, fixedDelayMinutes }
+ */
+export async function getDeliveryConfig() {
+  const { delivery } = await getTripPolicy();
+  return { ...DEFAULT_DELIVERY_CONFIG, ...(delivery || {}) };
+}
+
+/**
+ * Save the delivery rule used for new letters into the trip policy
+ * @param {Object} config - { rule, fixedDelayMinutes }
+ * @returns {Promise<Object>} Saved config
+ */
+export async function saveDeliveryConfig(config) {
+  const rule = Object.values(DELIVERY_RULE).includes(config.rule)
+    ? config.rule
+    : DEFAULT_DELIVERY_CONFIG.rule;
+  const minutes = parseInt(config.fixedDelayMinutes, 10);
+  const saved = {
+    rule,
+    fixedDelayMinutes: minutes > 0 ? minutes : DEFAULT_DELIVERY_CONFIG.fixedDelayMinutes
+  };
+
+  await saveTripPolicy({ delivery: saved });
+  return saved;
+}
+
+/**
+ * Rule for one letter. Letters carry the rule they were sent with, so changing the
+ * setting later does not move letters already on their way.
+ * @param {Object} letter - Letter
+ * @param {Object} config - Fallback config for letters sent before rules existed
+ * @returns {Object} { rule, fixedDelayMinutes }
+ */
+export function getLetterDeliveryRule(letter, config = DEFAULT_DELIVERY_CONFIG) {
+  return { ...DEFAULT_DELIVERY_CONFIG, ...config, ...(letter.delivery || {}) };
+}
+
+/**
+ * Carrying and receiving flight of a letter
+ * @param {Object} letter - Letter
+ * @param {Object} flights - { flightA, flightB, … }
+ * @returns {Object} { sender, recipient }
+ */
+export function getLetterFlights(letter, flights = {}) {
+  return {
+    sender: flights[`flight${letter.fromFlight}`] || null,
+    recipient: flights[`flight${letter.toFlight}`] || null
+  };
+}
+
+/**
+ * When a letter leaves and when it arrives under its rule
+ * @param {Object} letter - Letter
+ * @param {Object} flights - { flightA, flightB, … }
+ * @param {Object} config - Fallback delivery config
+ * @returns {Object} { rule, sentAt, deliverAt, approach } with times in milliseconds
+ */
+export function getDeliveryPlan(letter, flights, config = DEFAULT_DELIVERY_CONFIG) {
+  const { rule, fixedDelayMinutes } = getLetterDeliveryRule(letter, config);
+  const { sender, recipient } = getLetterFlights(letter, flights);
+  const sentAt = toMillis(letter.scheduledSendUTC || letter.createdAt);
+  const afterDelay = sentAt + fixedDelayMinutes * 60 * 1000;
+
+  // Without both flights there is nothing to measure against
+  if (!sender || !recipient) {
+    return { rule: DELIVERY_RULE.FIXED_DELAY, sentAt, deliverAt: afterDelay, approach: null };
+  }
+
+  const bothLanded = Math.max(sentAt, toMillis(sender.arrivalUTC), toMillis(recipient.arrivalUTC));
+
+  if (rule === DELIVERY_RULE.FIXED_DELAY) {
+    return { rule, sentAt, deliverAt: afterDelay, approach: null };
+  }
+  if (APPROACH_RULES.includes(rule)) {
+    const approach = findClosestApproach(sender, recipient, sentAt);
+    // Flights that are never in the air together after sending meet on the ground
+    return approach
+      ? { rule, sentAt, deliverAt: approach.time, approach }
+      : { rule: DELIVERY_RULE.ON_LANDING, sentAt, deliverAt: bothLanded, approach: null };
+  }
+  return { rule: DELIVERY_RULE.ON_LANDING, sentAt, deliverAt: bothLanded, approach: null };
+}
+
+/**
+ * Full picture of a letter at a moment
+ * @param {Object} letter - Letter
+ * @param {Object} flights - { flightA, flightB, … }
+ * @param {Date} now - Moment to evaluate
+ * @param {Object} config - Fallback delivery config
+ * @returns {Object} { status, progress, position, eta, rule, approach }
+ */
+export function getLetterDeliveryState(letter, flights, now = new Date(), config = DEFAULT_DELIVERY_CONFIG) {
+  const plan = getDeliveryPlan(letter, flights, config);
+  const time = now.getTime();
+  const duration = plan.deliverAt - plan.sentAt;
+  const progress = duration > 0
+    ? Math.max(0, Math.min(1, (time - plan.sentAt) / duration))
+    : (time >= plan.deliverAt ? 1 : 0);
+
+  let status = LETTER_STATUS.IN_TRANSIT;
+  if (time < plan.sentAt) status = LETTER_STATUS.SCHEDULED;
+  else if (time >= plan.deliverAt) status = LETTER_STATUS.DELIVERED;
+
+  const { sender, recipient } = getLetterFlights(letter, flights);
+  const from = sender ? getFlightPositionAt(sender, time) : null;
+  const to = recipient ? getFlightPositionAt(recipient, time) : null;
+  let position = null;
+  if (plan.rule === DELIVERY_RULE.MEET_MID_AIR) {
+    // The letter rides on the carrying plane until the handover, then on the receiving one
+    const aboard = status === LETTER_STATUS.DELIVERED ? to : from;
+    position = aboard
+      ? { latitude: round(aboard.latitude, 5), longitude: round(aboard.longitude, 5) }
+      : null;
+  } else if (from && to) {
+    // The letter travels from the carrying plane to the receiving plane as both move,
+    // along the great circle between them
+    const point = intermediatePoint(from, to, progress);
+    position = { latitude: round(point.latitude, 5), longitude: round(point.longitude, 5) };
+  }
+
+  return {
+    status,
+    progress: round(progress, 4),
+    position,
+    eta: new Date(plan.deliverAt).toISOString(),
+    rule: plan.rule,
+    approach: plan.approach
+  };
+}
+
+/**
+ * Fields a letter gets on delivery. The delivery time is the computed moment,
+ * not whenever this device happened to look.
+ * @param {Object} state - Result of getLetterDeliveryState
+ * @returns {Object} Letter updates
+ */
+export function getDeliveryUpdates(state) {
+  const { approach } = state;
+  return {
+    deliveredAt: state.eta,
+    estimatedDelivery: state.eta,
+    currentPosition: approach ? approach.meetingPoint : state.position,
+    // Where the planes met, for "delivered over <city>"
+    deliveredOver: approach
+      ? { ...approach.meetingPoint, city: approach.nearestCity ? approach.nearestCity.name : null }
+      : null
+  };
+}
+
+/**
+ * Move one letter forward to where the engine says it should be.
+ * Only scheduled and in-transit letters change; the rest are returned as they are.
+ * @param {Object} letter - Letter
+ * @param {Object} flights - { flightA, flightB, … }
+ * @param {Date} now - Current time
+ * @param {Object} config - Fallback delivery config
+ * @param {Object} context - History context ({ source })
+ * @returns {Object} Updated letter
+ */
+export function advanceLetter(letter, flights, now = new Date(), config = DEFAULT_DELIVERY_CONFIG, context = {}) {
+  if (letter.status !== LETTER_STATUS.SCHEDULED && letter.status !== LETTER_STATUS.IN_TRANSIT) {
+    return letter;
+  }
+
+  const state = getLetterDeliveryState(letter, flights, now, config);
+  const source = context.source || 'scheduler';
+  let next = letter;
+
+  if (next.status === LETTER_STATUS.SCHEDULED && state.status !== LETTER_STATUS.SCHEDULED) {
+    next = applyTransition(next, LETTER_STATUS.IN_TRANSIT, {}, now, { source });
+  }
+  if (next.status !== LETTER_STATUS.IN_TRANSIT) return next;
+
+  if (state.status === LETTER_STATUS.DELIVERED) {
+    return applyTransition(next, LETTER_STATUS.DELIVERED, getDeliveryUpdates(state), now, {
+      source,
+      reason: DELIVERY_REASONS[state.rule]
+    });
+  }
+
+  return {
+    ...next,
+    animationProgress: state.progress,
+    estimatedDelivery: state.eta,
+    currentPosition: state.position
+  };
+}
+
+/**
+ * Advance every stored letter using the saved flights and delivery rule. Letters of
+ * trips that are put away wait until their trip is active again.
+ * @param {Object} options - { now, flights (defaults to the saved flights), source }
+ * @returns {Promise<Array>} Updated letters
+ */
+export async function processLetterStatuses({ now = new Date(), flights, source } = {}) {
+  const [savedFlights, config, inactiveTrips] = await Promise.all([
+    flights ? null : getFlights(),
+    getDeliveryConfig(),
+    getInactiveLetterTripIds()
+  ]);
+  const current = flights || savedFlights || defaultFlights;
+  return letterRepository.mutate(letters =>
+    letters.map(letter => (inactiveTrips.includes(letter.tripId)
+      ? letter
+      : advanceLetter(letter, current, now, config, { source })))
+  );
+}
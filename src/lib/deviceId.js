@@ -0,0 +1,23 @@
+// src/lib/deviceId.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DEVICE_ID_KEY = '@airletters_device_id';
+
+let cachedDeviceId = null;
+
+// Generate a unique device ID (stable for the lifetime of the install)
+export async function getOrCreateDeviceId() {
+  if (cachedDeviceId) return cachedDeviceId;
+  try {
+    let deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = 'device_' + Math.random().toString(36).slice(2) + Date.now();
+      await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    cachedDeviceId = deviceId;
+    return deviceId;
+  } catch (error) {
+    console.warn('Failed to get device ID:', error);
+    return 'device_unknown_' + Date.now();
+  }
+}
@@ -1 +1,3 @@
 // Firebase setup will go here
+// A Firebase backend would plug into sync as another transport in syncTransport.js
+// (ping/pull/push/close), alongside the REST and WebSocket transports.
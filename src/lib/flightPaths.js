@@ -0,0 +1,47 @@
+// src/lib/flightPaths.js
+// Where a flight is at any moment, from its schedule and route. Pure functions of
+// the flight and the time, shared by the delivery engine and the map.
+import { interpolateAlongPath } from '../utils/mapUtils';
+import { getFlightAirports } from './airports';
+import { buildAirportRoute } from './routeBuilder';
+
+const toMillis = (value) => new Date(value).getTime();
+
+/**
+ * Route flown by a flight: its own waypoints, or the great circle between its airports
+ * @param {Object} flight - Flight
+ * @returns {Array|null} Waypoints ({ latitude, longitude }), or null if an airport is unknown
+ */
+export function getFlightRoute(flight) {
+  if (!flight) return null;
+  if (Array.isArray(flight.route) && flight.route.length >= 2) return flight.route;
+
+  const { origin, destination } = getFlightAirports(flight);
+  return buildAirportRoute(origin, destination);
+}
+
+/**
+ * Share of the flight completed at a time (0 before departure, 1 after arrival)
+ * @param {Object} flight - Flight with departureUTC and arrivalUTC
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Progress from 0 to 1
+ */
+export function getFlightProgressAt(flight, time) {
+  const departure = toMillis(flight.departureUTC);
+  const arrival = toMillis(flight.arrivalUTC);
+  if (!(arrival > departure)) return time >= arrival ? 1 : 0;
+  return Math.max(0, Math.min(1, (time - departure) / (arrival - departure)));
+}
+
+/**
+ * Where a flight is at a time (at the gate before departure, at the destination after)
+ * @param {Object} flight - Flight
+ * @param {number} time - Time in milliseconds
+ * @returns {Object|null} { latitude, longitude }, or null if the route is unknown
+ */
+export function getFlightPositionAt(flight, time) {
+  const route = getFlightRoute(flight);
+  if (!route) return null;
+  const position = interpolateAlongPath(route, getFlightProgressAt(flight, time));
+  return { latitude: position.latitude, longitude: position.longitude };
+}
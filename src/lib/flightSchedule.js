@@ -0,0 +1,263 @@
+// src/lib/flightSchedule.js
+// Flight entry for FlightSetup: airport-local times to UTC and back, checks for
+// impossible or conflicting schedules, and the flights entered before so their
+// numbers can be picked again.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DateTime } from 'luxon';
+import { calculateDistance } from '../utils/mapUtils';
+import { findAirport } from './airports';
+
+const FLIGHT_HISTORY_KEY = '@airletters_flight_history';
+const MAX_FLIGHT_HISTORY = 50;
+
+// No scheduled airliner covers the ground faster than this, or stays up longer
+const MAX_GROUND_SPEED_KMH = 1100;
+const MAX_FLIGHT_HOURS = 20;
+
+const FLIGHT_NUMBER_PATTERN = /^([A-Z0-9]{2})\s*(\d{1,4}[A-Z]?)$/;
+
+/**
+ * Flight number in the usual "6E 6633" form
+ * @param {string} value - As typed
+ * @returns {string} Normalized flight number
+ */
+export function normalizeFlightNumber(value) {
+  const text = (value || '').trim().toUpperCase();
+  const match = FLIGHT_NUMBER_PATTERN.exec(text);
+  return match ? `${match[1]} ${match[2]}` : text;
+}
+
+// Check a flight number looks like airline code + number
+export function isValidFlightNumber(value) {
+  return FLIGHT_NUMBER_PATTERN.test(normalizeFlightNumber(value));
+}
+
+/**
+ * Time zone of the airport in a label
+ * @param {string} label - Airport label
+ * @returns {string} IANA zone, or 'utc' if the airport is unknown
+ */
+export function getAirportTimeZone(label) {
+  const airport = findAirport(label);
+  return airport ? airport.tz : 'utc';
+}
+
+/**
+ * A UTC time as the clock on the wall at an airport shows it
+ * @param {string} utcIso - UTC time (ISO)
+ * @param {string} label - Airport label
+ * @returns {DateTime} Time in the airport's zone; the next full hour if utcIso is not a time
+ */
+export function toAirportTime(utcIso, label) {
+  const zone = getAirportTimeZone(label);
+  const time = utcIso ? DateTime.fromISO(utcIso, { zone: 'utc' }) : null;
+  if (time && time.isValid) return time.setZone(zone);
+  return DateTime.now().setZone(zone).startOf('hour').plus({ hours: 1 });
+}
+
+/**
+ * UTC string stored on a flight
+ * @param {DateTime} time - Time in any zone
+ * @returns {string} e.g. '2025-08-20T04:45:00Z'
+ */
+export function toUTCString(time) {
+  return time.toUTC().toISO({ suppressMilliseconds: true });
+}
+
+/**
+ * A date and time typed as the clock on the wall at an airport shows it
+ * @param {string} date - e.g. '2025-08-20'
+ * @param {string} time - 24-hour, e.g. '10:15'
+ * @param {string} label - Airport label
+ * @returns {string|null} UTC string stored on a flight, or null if the date or time is not valid
+ */
+export function fromAirportTime(date, time, label) {
+  const local = DateTime.fromFormat(`${(date || '').trim()} ${(time || '').trim()}`, 'yyyy-MM-dd H:mm', {
+    zone: getAirportTimeZone(label)
+  });
+  return local.isValid ? toUTCString(local) : null;
+}
+
+function parseUTC(value) {
+  const time = value ? DateTime.fromISO(value, { zone: 'utc' }) : null;
+  return time && time.isValid ? time : null;
+}
+
+function checkFlight(name, flight, errors) {
+  if (!isValidFlightNumber(flight.flightNumber)) {
+    errors.push(`${name}: enter a flight number like 6E 6633`);
+  }
+
+  const origin = findAirport(flight.origin);
+  const destination = findAirport(flight.destination);
+  if (!origin) errors.push(`${name}: choose the departure airport from the list`);
+  if (!destination) errors.push(`${name}: choose the arrival airport from the list`);
+  if (origin && destination && origin.iata === destination.iata) {
+    errors.push(`${name}: departure and arrival airports are the same`);
+  }
+
+  const departure = parseUTC(flight.departureUTC);
+  const arrival = parseUTC(flight.arrivalUTC);
+  if (!departure || !arrival) {
+    errors.push(`${name}: set departure and arrival times`);
+    return;
+  }
+  if (arrival <= departure) {
+    errors.push(`${name}: lands before it takes off`);
+    return;
+  }
+
+  const hours = arrival.diff(departure, 'hours').hours;
+  if (hours > MAX_FLIGHT_HOURS) {
+    errors.push(`${name}: ${Math.round(hours)} hours is longer than any scheduled flight`);
+  } else if (origin && destination) {
+    const distanceKm = calculateDistance(
+      { latitude: origin.lat, longitude: origin.lon },
+      { latitude: destination.lat, longitude: destination.lon }
+    );
+    const speed = distanceKm / hours;
+    if (speed > MAX_GROUND_SPEED_KMH) {
+      errors.push(`${name}: ${Math.round(distanceKm)} km in ${Math.round(hours * 60)} minutes would need ${Math.round(speed)} km/h`);
+    }
+  }
+}
+
+function sameSchedule(a, b) {
+  return findAirport(a.origin)?.iata === findAirport(b.origin)?.iata
+    && findAirport(a.destination)?.iata === findAirport(b.destination)?.iata
+    && parseUTC(a.departureUTC)?.toMillis() === parseUTC(b.departureUTC)?.toMillis()
+    && parseUTC(a.arrivalUTC)?.toMillis() === parseUTC(b.arrivalUTC)?.toMillis();
+}
+
+/**
+ * Check the flights before they are saved
+ * @param {Object} flights - { flightA, flightB, … }
+ * @returns {Object} { errors, warnings } - errors block saving, warnings need confirming
+ */
+export function validateFlights(flights) {
+  const errors = [];
+  const warnings = [];
+  const entries = Object.entries(flights).filter(([, flight]) => flight);
+
+  entries.forEach(([key, flight]) => checkFlight(`Flight ${key.replace('flight', '')}`, flight, errors));
+  if (errors.length > 0) return { errors, warnings };
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [keyA, a] = entries[i];
+      const [keyB, b] = entries[j];
+      const names = `Flights ${keyA.replace('flight', '')} and ${keyB.replace('flight', '')}`;
+
+      // The same flight number on the same day is the same aircraft
+      const sameNumber = normalizeFlightNumber(a.flightNumber) === normalizeFlightNumber(b.flightNumber);
+      const sameDay = parseUTC(a.departureUTC).hasSame(parseUTC(b.departureUTC), 'day');
+      if (sameNumber && sameDay && !sameSchedule(a, b)) {
+        errors.push(`${names} are both ${normalizeFlightNumber(a.flightNumber)} but with different schedules`);
+        continue;
+      }
+
+      const overlap = Math.min(parseUTC(a.arrivalUTC).toMillis(), parseUTC(b.arrivalUTC).toMillis())
+        - Math.max(parseUTC(a.departureUTC).toMillis(), parseUTC(b.departureUTC).toMillis());
+      if (overlap <= 0) {
+        warnings.push(`${names} are never in the air at the same time, so letters are handed over after landing`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Flights entered before, most recent first
+ * @returns {Promise<Array>} Flights
+ */
+export async function getFlightHistory() {
+  try {
+    const raw = await AsyncStorage.getItem(FLIGHT_HISTORY_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.warn('Failed to get flight history:', error);
+    return [];
+  }
+}
+
+/**
+ * Remember flights so their numbers can be picked next time
+ * @param {Array} flights - Flights just saved
+ * @returns {Promise<Array>} Updated history
+ */
+export async function rememberFlights(flights) {
+  const history = await getFlightHistory();
+  const entries = flights
+    .filter(flight => flight && isValidFlightNumber(flight.flightNumber))
+    .map(flight => ({
+      flightNumber: normalizeFlightNumber(flight.flightNumber),
+      origin: flight.origin,
+      destination: flight.destination,
+      departure: flight.departure,
+      arrival: flight.arrival,
+      departureUTC: flight.departureUTC,
+      arrivalUTC: flight.arrivalUTC
+    }));
+
+  const numbers = new Set(entries.map(entry => entry.flightNumber));
+  const updated = [
+    ...entries.filter((entry, index) => entries.findIndex(e => e.flightNumber === entry.flightNumber) === index),
+    ...history.filter(entry => !numbers.has(entry.flightNumber))
+  ].slice(0, MAX_FLIGHT_HISTORY);
+
+  try {
+    await AsyncStorage.setItem(FLIGHT_HISTORY_KEY, JSON.stringify(updated));
+  } catch (error) {
+    console.warn('Failed to save flight history:', error);
+  }
+  return updated;
+}
+
+/**
+ * Fill a flight from one entered before. Flight numbers repeat at the same local time,
+ * so the remembered time of day and duration move onto the date already chosen.
+ * @param {Object} flight - Flight being edited
+ * @param {Object} remembered - Entry from getFlightHistory
+ * @returns {Object} Updated flight
+ */
+export function applyRememberedFlight(flight, remembered) {
+  const updated = {
+    ...flight,
+    flightNumber: remembered.flightNumber,
+    origin: remembered.origin,
+    destination: remembered.destination,
+    departure: findAirport(remembered.origin)?.city || remembered.departure,
+    arrival: findAirport(remembered.destination)?.city || remembered.arrival,
+    departureUTC: remembered.departureUTC,
+    arrivalUTC: remembered.arrivalUTC
+  };
+
+  // The day chosen, as a date at the remembered departure airport
+  const chosen = parseUTC(flight.departureUTC);
+  if (!chosen) return updated;
+  return moveFlightToDate(updated, chosen.setZone(getAirportTimeZone(remembered.origin)).toISODate());
+}
+
+/**
+ * Move a flight to another day, keeping its local departure time and duration
+ * @param {Object} flight - Flight with departureUTC and arrivalUTC
+ * @param {string} date - Departure date at the origin airport, e.g. '2025-08-20'
+ * @returns {Object} Updated flight; unchanged without both times or a valid date
+ */
+export function moveFlightToDate(flight, date) {
+  const departure = parseUTC(flight.departureUTC);
+  const arrival = parseUTC(flight.arrivalUTC);
+  const day = date ? DateTime.fromISO(date) : null;
+  if (!departure || !arrival || !day || !day.isValid) return flight;
+
+  const moved = departure
+    .setZone(getAirportTimeZone(flight.origin))
+    .set({ year: day.year, month: day.month, day: day.day, second: 0, millisecond: 0 });
+
+  return {
+    ...flight,
+    departureUTC: toUTCString(moved),
+    arrivalUTC: toUTCString(moved.plus(arrival.diff(departure)))
+  };
+}
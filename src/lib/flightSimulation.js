@@ -1,6 +1,6 @@
 // src/lib/flightSimulation.js
 
-import { calculateDistance, calculateBearing } from '../utils/mapUtils';
+import { calculateDistance, interpolateAlongPath } from '../utils/mapUtils';
 
 /**
  * Flight simulation engine for realistic flight tracking
@@ -134,28 +134,8 @@ class FlightSimulation {
    * @returns {Object} Current position
    */
   interpolatePosition(route, progress) {
-    if (!route || route.length === 0) return null;
-    if (progress <= 0) return route[0];
-    if (progress >= 1) return route[route.length - 1];
-
-    const totalSegments = route.length - 1;
-    const segmentIndex = Math.floor(progress * totalSegments);
-    const segmentProgress = (progress * totalSegments) - segmentIndex;
-
-    const startPoint = route[segmentIndex];
-    const endPoint = route[Math.min(segmentIndex + 1, route.length - 1)];
-
-    // Linear interpolation with smooth curves
-    const lat = startPoint.latitude + (endPoint.latitude - startPoint.latitude) * segmentProgress;
-    const lon = startPoint.longitude + (endPoint.longitude - startPoint.longitude) * segmentProgress;
-
-    // Add slight curvature for realistic flight path
-    const curvature = Math.sin(segmentProgress * Math.PI) * 0.01;
-
-    return {
-      latitude: lat + curvature,
-      longitude: lon
-    };
+    const position = interpolateAlongPath(route, progress);
+    return position ? { latitude: position.latitude, longitude: position.longitude } : null;
   }
 
   /**
@@ -215,14 +195,7 @@ class FlightSimulation {
    */
   calculateFlightBearing(route, progress) {
     if (!route || route.length < 2) return 0;
-
-    const totalSegments = route.length - 1;
-    const segmentIndex = Math.min(Math.floor(progress * totalSegments), totalSegments - 1);
-
-    const startPoint = route[segmentIndex];
-    const endPoint = route[segmentIndex + 1] || route[segmentIndex];
-
-    return calculateBearing(startPoint, endPoint);
+    return interpolateAlongPath(route, progress).bearing;
   }
 
   /**
@@ -0,0 +1,328 @@
+// src/lib/itineraryParser.js
+// Reads flight details out of itinerary and boarding pass PDFs offline. Only the PDF's
+// text layer is used, so scanned documents yield nothing.
+import * as FileSystem from 'expo-file-system';
+import { inflate } from 'pako';
+import { DateTime } from 'luxon';
+import { findAirport, getAirportByCode, formatAirportLabel } from './airports';
+import { normalizeFlightNumber, toUTCString } from './flightSchedule';
+
+// Kerning gaps in a TJ array wider than this (thousandths of an em) are word breaks
+const TJ_SPACE_THRESHOLD = 200;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Bytes as a string with one character per byte, so offsets match the file
+function toBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+function toBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function readObjects(source) {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const start = pattern.lastIndex;
+    let end = source.indexOf('endobj', start);
+    if (end === -1) end = source.length;
+
+    // Skip over stream data so a stray "endobj" inside it cannot cut the object short
+    const streamAt = source.indexOf('stream', start);
+    if (streamAt !== -1 && streamAt < end) {
+      const streamEnd = source.indexOf('endstream', streamAt);
+      if (streamEnd !== -1) end = source.indexOf('endobj', streamEnd);
+      if (end === -1) end = source.length;
+    }
+
+    objects.set(Number(match[1]), source.slice(start, end));
+    pattern.lastIndex = end;
+  }
+  return objects;
+}
+
+function readStream(body) {
+  const start = /stream\r?\n/.exec(body);
+  if (!start) return null;
+  const end = body.lastIndexOf('endstream');
+  const data = body.slice(start.index + start[0].length, end === -1 ? body.length : end);
+
+  if (!/\/FlateDecode/.test(body)) return data;
+  try {
+    return toBinaryString(inflate(toBytes(data)));
+  } catch (error) {
+    // Compressed data with trailing line breaks still inflates once they are trimmed
+    try {
+      return toBinaryString(inflate(toBytes(data.replace(/[\r\n]+$/, ''))));
+    } catch (retryError) {
+      return null;
+    }
+  }
+}
+
+function unicodeFromHex(hex) {
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  return text;
+}
+
+function readCMap(text) {
+  const map = new Map();
+  const range = /<([0-9A-Fa-f]+)>\s*<[0-9A-Fa-f]+>/.exec((/begincodespacerange([\s\S]*?)endcodespacerange/.exec(text) || [])[1] || '');
+  const width = range ? range[1].length / 2 : 2;
+
+  (text.match(/beginbfchar[\s\S]*?endbfchar/g) || []).forEach(block => {
+    const pairs = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g;
+    let pair;
+    while ((pair = pairs.exec(block))) map.set(parseInt(pair[1], 16), unicodeFromHex(pair[2]));
+  });
+
+  (text.match(/beginbfrange[\s\S]*?endbfrange/g) || []).forEach(block => {
+    const ranges = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<([0-9A-Fa-f]+)>|\[([^\]]*)\])/g;
+    let entry;
+    while ((entry = ranges.exec(block))) {
+      const first = parseInt(entry[1], 16);
+      const last = parseInt(entry[2], 16);
+      if (entry[4]) {
+        const base = parseInt(entry[4], 16);
+        for (let code = first; code <= last; code++) map.set(code, String.fromCharCode(base + code - first));
+      } else {
+        const targets = entry[5].match(/<([0-9A-Fa-f]+)>/g) || [];
+        targets.forEach((target, i) => map.set(first + i, unicodeFromHex(target.slice(1, -1))));
+      }
+    }
+  });
+
+  return { map, width };
+}
+
+function resolve(objects, value) {
+  const ref = /^\s*(\d+)\s+\d+\s+R/.exec(value || '');
+  return ref ? objects.get(Number(ref[1])) || '' : value || '';
+}
+
+// Font resource names (/F4) of a page mapped to their decoders
+function readPageFonts(objects, page, fonts) {
+  const resources = resolve(objects, (/\/Resources\s+(\d+\s+\d+\s+R)/.exec(page) || [])[1]) || page;
+  const fontEntry = /\/Font\s*(<<[\s\S]*?>>|\d+\s+\d+\s+R)/.exec(resources);
+  const dictionary = fontEntry ? (fontEntry[1].startsWith('<<') ? fontEntry[1] : resolve(objects, fontEntry[1])) : '';
+
+  const names = new Map();
+  const entries = /\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g;
+  let entry;
+  while ((entry = entries.exec(dictionary))) {
+    names.set(entry[1], fonts.get(Number(entry[2])) || null);
+  }
+  return names;
+}
+
+function decodeLiteral(literal) {
+  return literal
+    .replace(/\\([0-7]{1,3})/g, (m, octal) => String.fromCharCode(parseInt(octal, 8)))
+    .replace(/\\([nrtbf()\\])/g, (m, c) => ({ n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[c] || c));
+}
+
+function decodeString(raw, font) {
+  const bytes = raw.startsWith('<')
+    ? (raw.slice(1, -1).replace(/\s+/g, '').match(/../g) || []).map(h => String.fromCharCode(parseInt(h, 16))).join('')
+    : decodeLiteral(raw.slice(1, -1));
+  if (!font) return bytes;
+
+  let text = '';
+  for (let i = 0; i + font.width <= bytes.length; i += font.width) {
+    let code = 0;
+    for (let j = 0; j < font.width; j++) code = code * 256 + bytes.charCodeAt(i + j);
+    text += font.map.has(code) ? font.map.get(code) : '';
+  }
+  return text;
+}
+
+function readContentText(content, fontNames) {
+  const tokens = /\/([^\s/<>[\]()]+)\s+[-\d.]+\s+Tf|(<[0-9A-Fa-f\s]*>|\((?:\\[\s\S]|[^\\)])*\))\s*(?:Tj|'|")|\[((?:\\[\s\S]|[^\]])*)\]\s*TJ|[-\d.]+\s+([-\d.]+)\s+T[dD]\b|\bT\*|\bET\b/g;
+  const parts = /<[0-9A-Fa-f\s]*>|\((?:\\[\s\S]|[^\\)])*\)|-?[\d.]+/g;
+  let font = null;
+  let text = '';
+  let token;
+
+  while ((token = tokens.exec(content))) {
+    if (token[1] !== undefined) {
+      font = fontNames.get(token[1]) || null;
+    } else if (token[2] !== undefined) {
+      text += decodeString(token[2], font);
+    } else if (token[3] !== undefined) {
+      (token[3].match(parts) || []).forEach(part => {
+        if (/^-?[\d.]+$/.test(part)) {
+          if (-Number(part) > TJ_SPACE_THRESHOLD) text += ' ';
+        } else {
+          text += decodeString(part, font);
+        }
+      });
+    } else if (token[4] !== undefined) {
+      // Moving to another line starts a new line; moving along the same line does not
+      if (Number(token[4]) !== 0) text += '\n';
+    } else {
+      text += '\n';
+    }
+  }
+  return text;
+}
+
+/**
+ * Text layer of a PDF, one line per positioned run of text
+ * @param {Uint8Array} bytes - PDF file contents
+ * @returns {string} Text, empty if the PDF has none
+ */
+export function extractPdfText(bytes) {
+  const objects = readObjects(toBinaryString(bytes));
+
+  const fonts = new Map();
+  objects.forEach((body, number) => {
+    const toUnicode = /\/ToUnicode\s+(\d+)\s+\d+\s+R/.exec(body);
+    if (!toUnicode) return;
+    const cmap = readStream(objects.get(Number(toUnicode[1])) || '');
+    if (cmap) fonts.set(number, readCMap(cmap));
+  });
+
+  const pages = [];
+  objects.forEach(body => {
+    if (!/\/Type\s*\/Page\b/.test(body)) return;
+    const fontNames = readPageFonts(objects, body, fonts);
+    const contents = /\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/.exec(body);
+    const refs = contents ? contents[1].match(/\d+\s+\d+\s+R/g) || [] : [];
+    const text = refs
+      .map(ref => readStream(resolve(objects, ref)) || '')
+      .map(content => readContentText(content, fontNames))
+      .join('\n');
+    pages.push(text);
+  });
+
+  return pages.join('\n').replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+function localTime(day, month, year, hour, minute, airport) {
+  const monthIndex = MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+  if (monthIndex === -1 || !airport) return null;
+  const time = DateTime.fromObject(
+    { year: Number(year), month: monthIndex + 1, day: Number(day), hour: Number(hour), minute: Number(minute) },
+    { zone: airport.tz }
+  );
+  return time.isValid ? time : null;
+}
+
+// Scheduled times, in the order they appear. Itineraries print local airport times.
+function findTimes(text) {
+  const timeFirst = /(\d{1,2}):(\d{2})\s*(?:hrs?|h)?,?\s+(\d{1,2})\s+([A-Za-z]{3,9})\s+(\d{4})/g;
+  const dateFirst = /(\d{1,2})\s+([A-Za-z]{3,9}),?\s+(\d{4}),?\s+(\d{1,2}):(\d{2})/g;
+  const found = [];
+  let match;
+
+  while ((match = timeFirst.exec(text))) {
+    found.push({ index: match.index, day: match[3], month: match[4], year: match[5], hour: match[1], minute: match[2] });
+  }
+  if (found.length < 2) {
+    while ((match = dateFirst.exec(text))) {
+      // The booking date is not a flight time
+      if (/book/i.test(text.slice(Math.max(0, match.index - 30), match.index))) continue;
+      found.push({ index: match.index, day: match[1], month: match[2], year: match[3], hour: match[4], minute: match[5] });
+    }
+  }
+  if (found.length === 0) {
+    // Boarding passes print "Date 20 Aug 2025" and "Departure 0445 Hrs" apart
+    const date = /\bDate\s*:?\s*(\d{1,2})\s+([A-Za-z]{3,9})\s+(\d{4})/.exec(text);
+    const departure = /\bDeparture\s*(?:Time)?\s*:?\s*(\d{1,2}):?(\d{2})\s*hrs?\b/i.exec(text);
+    if (date && departure) {
+      found.push({ index: departure.index, day: date[1], month: date[2], year: date[3], hour: departure[1], minute: departure[2] });
+    }
+  }
+  return found
+    .filter(time => MONTHS.includes(time.month.slice(0, 3).toLowerCase()))
+    .sort((a, b) => a.index - b.index);
+}
+
+function findAirports(text) {
+  const sector = /\b([A-Z]{3})\s*(?:-|–|→|to)\s*([A-Z]{3})\b/g;
+  let match;
+  while ((match = sector.exec(text))) {
+    const origin = getAirportByCode(match[1]);
+    const destination = getAirportByCode(match[2]);
+    if (origin && destination && origin !== destination) return { origin, destination };
+  }
+
+  // Boarding passes: "BENGALURU (T1) To CHANDIGARH"
+  const cities = /\b([A-Za-z]+(?: [A-Za-z]+)?)\s*(?:\([^)]*\)\s*)?\bTo\s+([A-Za-z]+(?: [A-Za-z]+)?)\b/g;
+  while ((match = cities.exec(text))) {
+    const origin = findAirport(match[1]) || findAirport(match[1].split(' ').pop());
+    const destination = findAirport(match[2]) || findAirport(match[2].split(' ')[0]);
+    if (origin && destination && origin !== destination) return { origin, destination };
+  }
+
+  // Nothing that reads like a route: take the first two airport codes mentioned
+  const codes = [];
+  (text.match(/\b[A-Z]{3}\b/g) || []).forEach(code => {
+    const airport = getAirportByCode(code);
+    if (airport && !codes.includes(airport)) codes.push(airport);
+  });
+  return { origin: codes[0] || null, destination: codes[1] || null };
+}
+
+function findFlightNumber(text) {
+  // Itineraries usually print the aircraft type after the flight number: "6E 6633 (A320)"
+  const withAircraft = /\b([A-Z][A-Z0-9]|[0-9][A-Z])\s?(\d{1,4})\s*\(\s*[A-Z0-9]{3,4}\s*\)/.exec(text);
+  const plain = withAircraft || /\b([A-Z][A-Z0-9]|[0-9][A-Z])\s?(\d{2,4})\b/.exec(text);
+  return plain ? normalizeFlightNumber(`${plain[1]} ${plain[2]}`) : null;
+}
+
+/**
+ * Flight details in an itinerary's text
+ * @param {string} text - Text of the document
+ * @returns {Object|null} Flight fields found ({ flightNumber, origin, destination, departure,
+ *   arrival, departureUTC, arrivalUTC, bookingReference }), or null if nothing was found
+ */
+export function parseItineraryText(text) {
+  if (!text) return null;
+  const flat = text.replace(/\s*\n\s*/g, ' ');
+
+  const flightNumber = findFlightNumber(flat);
+  const { origin, destination } = findAirports(flat);
+  const [departs, arrives] = findTimes(flat);
+  const departureTime = departs && localTime(departs.day, departs.month, departs.year, departs.hour, departs.minute, origin);
+  const arrivalTime = arrives && localTime(arrives.day, arrives.month, arrives.year, arrives.hour, arrives.minute, destination);
+  const reference = /PNR[\s\S]{0,60}?\b(?=[A-Z0-9]*[A-Z])([A-Z0-9]{6})\b/.exec(flat);
+
+  if (!flightNumber && !origin && !departureTime) return null;
+
+  return {
+    flightNumber,
+    origin: origin ? formatAirportLabel(origin) : null,
+    destination: destination ? formatAirportLabel(destination) : null,
+    departure: origin ? origin.city : null,
+    arrival: destination ? destination.city : null,
+    departureUTC: departureTime ? toUTCString(departureTime) : null,
+    arrivalUTC: arrivalTime ? toUTCString(arrivalTime) : null,
+    bookingReference: reference ? reference[1] : null
+  };
+}
+
+/**
+ * Flight details from an itinerary PDF on the device
+ * @param {string} uri - Local file URI
+ * @returns {Promise<Object|null>} Result of parseItineraryText, or null if unreadable
+ */
+export async function readItineraryPdf(uri) {
+  try {
+    const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+    return parseItineraryText(extractPdfText(toBytes(atob(base64))));
+  } catch (error) {
+    console.warn('Failed to read itinerary:', error);
+    return null;
+  }
+}
@@ -0,0 +1,282 @@
+// src/lib/letterAttachments.js
+// Photos and voice notes that travel with a letter. The files live under the app's
+// document directory; the letter keeps only their descriptions in metadata.attachments,
+// so letters stay small and the files go to other devices separately (see syncManager).
+//
+// { id, type: 'photo' | 'voice', fileName, mimeType, size, durationMs, name, createdAt }
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import { Audio } from 'expo-av';
+
+export const ATTACHMENT_TYPE = {
+  PHOTO: 'photo',
+  VOICE: 'voice'
+};
+
+export const MAX_ATTACHMENTS = 4;
+export const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+export const MAX_VOICE_BYTES = 1024 * 1024;
+export const MAX_VOICE_MS = 60 * 1000;
+
+const ATTACHMENTS_DIR = `${FileSystem.documentDirectory}letter_attachments/`;
+// Names come with synced letters, so only names this module makes are used as paths
+const ID_PATTERN = /^att_[\w-]+$/;
+const FILE_NAME_PATTERN = /^att_[\w-]+\.[a-z0-9]+$/;
+
+const MAX_BYTES = {
+  [ATTACHMENT_TYPE.PHOTO]: MAX_PHOTO_BYTES,
+  [ATTACHMENT_TYPE.VOICE]: MAX_VOICE_BYTES
+};
+
+const AUDIO_TYPES = {
+  m4a: 'audio/mp4',
+  '3gp': 'audio/3gpp',
+  caf: 'audio/x-caf',
+  webm: 'audio/webm'
+};
+
+function generateAttachmentId() {
+  return `att_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function extensionOf(uri, fallback) {
+  const match = /\.([a-z0-9]+)(?:\?.*)?$/i.exec(uri || '');
+  return match ? match[1].toLowerCase() : fallback;
+}
+
+/**
+ * Size of a file or attachment for lists and messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '1.2 MB'
+ */
+export function formatAttachmentSize(bytes = 0) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Length of a voice note
+ * @param {number} millis - Duration in milliseconds
+ * @returns {string} e.g. '0:42'
+ */
+export function formatVoiceDuration(millis = 0) {
+  const seconds = Math.round(millis / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function isValidAttachment(attachment) {
+  return !!attachment &&
+    typeof attachment.id === 'string' &&
+    ID_PATTERN.test(attachment.id) &&
+    typeof attachment.fileName === 'string' &&
+    FILE_NAME_PATTERN.test(attachment.fileName) &&
+    attachment.fileName.startsWith(`${attachment.id}.`) &&
+    Object.values(ATTACHMENT_TYPE).includes(attachment.type);
+}
+
+// Bytes a base64 string decodes to
+function base64Size(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor((data.length * 3) / 4) - padding;
+}
+
+/**
+ * Where an attachment's file is on this device
+ * @param {Object} attachment - Attachment
+ * @returns {string} File URI
+ * @throws {Error} If the attachment's file name is not one this module made
+ */
+export function getAttachmentUri(attachment) {
+  if (!isValidAttachment(attachment)) throw new Error('Invalid attachment file name');
+  return ATTACHMENTS_DIR + attachment.fileName;
+}
+
+// Move a picked or recorded file into the attachments directory
+async function storeFile(from, attachment) {
+  await FileSystem.makeDirectoryAsync(ATTACHMENTS_DIR, { intermediates: true });
+  await FileSystem.copyAsync({ from, to: getAttachmentUri(attachment) });
+  return attachment;
+}
+
+/**
+ * Let the user choose a photo from the device
+ * @returns {Promise<Object|null>} Attachment, or null if nothing was chosen
+ * @throws {Error} If the photo is larger than MAX_PHOTO_BYTES
+ */
+export async function pickPhoto() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: 'image/*',
+    copyToCacheDirectory: true
+  });
+  if (result.canceled || !result.assets || !result.assets[0]) return null;
+
+  const asset = result.assets[0];
+  const size = asset.size || (await FileSystem.getInfoAsync(asset.uri)).size || 0;
+  if (size > MAX_PHOTO_BYTES) {
+    throw new Error(`Photos can be at most ${formatAttachmentSize(MAX_PHOTO_BYTES)}; this one is ${formatAttachmentSize(size)}.`);
+  }
+
+  const id = generateAttachmentId();
+  return storeFile(asset.uri, {
+    id,
+    type: ATTACHMENT_TYPE.PHOTO,
+    fileName: `${id}.${extensionOf(asset.name || asset.uri, 'jpg')}`,
+    mimeType: asset.mimeType || 'image/jpeg',
+    size,
+    durationMs: null,
+    name: asset.name || 'Photo',
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Start recording a voice note
+ * @param {Function} onStatus - Called with the recording status while it records
+ * @returns {Promise<Audio.Recording>} Recording in progress
+ * @throws {Error} If the microphone may not be used
+ */
+export async function startVoiceRecording(onStatus) {
+  const permission = await Audio.requestPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Allow microphone access in Settings to record voice notes.');
+  }
+
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+  const { recording } = await Audio.Recording.createAsync(
+    Audio.RecordingOptionsPresets.LOW_QUALITY,
+    onStatus,
+    500
+  );
+  return recording;
+}
+
+async function stopRecording(recording) {
+  const status = await recording.getStatusAsync();
+  if (status.isRecording) await recording.stopAndUnloadAsync();
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+  return status.durationMillis || 0;
+}
+
+/**
+ * Stop a recording and keep it as a voice note
+ * @param {Audio.Recording} recording - Recording from startVoiceRecording
+ * @returns {Promise<Object>} Attachment
+ * @throws {Error} If the recording is empty or larger than MAX_VOICE_BYTES
+ */
+export async function finishVoiceRecording(recording) {
+  const durationMs = Math.min(await stopRecording(recording), MAX_VOICE_MS);
+  const uri = recording.getURI();
+  const info = uri ? await FileSystem.getInfoAsync(uri) : { exists: false };
+  if (!info.exists || durationMs < 500) {
+    throw new Error('The voice note was too short to keep.');
+  }
+  if (info.size > MAX_VOICE_BYTES) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    throw new Error(`Voice notes can be at most ${formatAttachmentSize(MAX_VOICE_BYTES)}.`);
+  }
+
+  const id = generateAttachmentId();
+  const extension = extensionOf(uri, 'm4a');
+  const attachment = await storeFile(uri, {
+    id,
+    type: ATTACHMENT_TYPE.VOICE,
+    fileName: `${id}.${extension}`,
+    mimeType: AUDIO_TYPES[extension] || 'audio/mp4',
+    size: info.size,
+    durationMs,
+    name: 'Voice note',
+    createdAt: new Date().toISOString()
+  });
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+  return attachment;
+}
+
+/**
+ * Stop a recording and throw it away
+ * @param {Audio.Recording} recording - Recording from startVoiceRecording
+ */
+export async function cancelVoiceRecording(recording) {
+  try {
+    await stopRecording(recording);
+    const uri = recording.getURI();
+    if (uri) await FileSystem.deleteAsync(uri, { idempotent: true });
+  } catch (error) {
+    console.warn('Failed to cancel voice recording:', error);
+  }
+}
+
+/**
+ * Delete an attachment's file, e.g. when it is taken off a letter before sending
+ * @param {Object} attachment - Attachment
+ */
+export async function deleteAttachment(attachment) {
+  try {
+    await FileSystem.deleteAsync(getAttachmentUri(attachment), { idempotent: true });
+  } catch (error) {
+    console.warn('Failed to delete attachment:', error);
+  }
+}
+
+/**
+ * Whether an attachment's file is on this device; attachments of letters from
+ * other devices arrive after the letter
+ * @param {Object} attachment - Attachment
+ * @returns {Promise<boolean>} True if the file is here
+ */
+export async function hasAttachmentFile(attachment) {
+  try {
+    const info = await FileSystem.getInfoAsync(getAttachmentUri(attachment));
+    return info.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * An attachment's file as base64, for sync
+ * @param {Object} attachment - Attachment
+ * @returns {Promise<string|null>} File contents, or null if the file is not on this device
+ */
+export async function readAttachmentData(attachment) {
+  if (!(await hasAttachmentFile(attachment))) return null;
+  return FileSystem.readAsStringAsync(getAttachmentUri(attachment), {
+    encoding: FileSystem.EncodingType.Base64
+  });
+}
+
+/**
+ * Save an attachment's file received through sync
+ * @param {Object} attachment - Attachment
+ * @param {string} data - File contents as base64
+ */
+export async function writeAttachmentData(attachment, data) {
+  const uri = getAttachmentUri(attachment);
+  if (typeof data !== 'string' || base64Size(data) > MAX_BYTES[attachment.type]) {
+    throw new Error(`Attachment ${attachment.id} is larger than a ${attachment.type} may be`);
+  }
+  await FileSystem.makeDirectoryAsync(ATTACHMENTS_DIR, { intermediates: true });
+  await FileSystem.writeAsStringAsync(uri, data, {
+    encoding: FileSystem.EncodingType.Base64
+  });
+}
+
+/**
+ * Attachment descriptions as a letter keeps them, within the limits
+ * @param {Array} attachments - Attachments
+ * @returns {Array} At most MAX_ATTACHMENTS photos and voice notes, with file names this
+ *   module made (anything else could point outside the attachments directory)
+ */
+export function normalizeAttachments(attachments = []) {
+  return (Array.isArray(attachments) ? attachments : [])
+    .filter(isValidAttachment)
+    .slice(0, MAX_ATTACHMENTS);
+}
+
+/**
+ * Attachments of a letter
+ * @param {Object} letter - Letter
+ * @returns {Array} Attachments
+ */
+export function getLetterAttachments(letter) {
+  return normalizeAttachments(letter?.metadata?.attachments);
+}
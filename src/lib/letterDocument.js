@@ -0,0 +1,414 @@
+// src/lib/letterDocument.js
+// A letter as a document: lines of text with bold and italic runs, headings, emoji
+// stickers around the page, one handwritten drawing and the stationery it is written on.
+// The composer edits the text as light markup (**bold**, _italic_, "# " for a heading);
+// markers only count at the edges of words, so snake_case stays as typed, and a backslash
+// keeps the next marker as text (\_). letter.text keeps a plain copy for lists,
+// notifications and older versions of the app.
+//
+// {
+//   version: 1,
+//   stationery: 'airmail',                     // look in theme.stationery
+//   blocks: [{ type: 'heading' | 'paragraph', spans: [{ text, bold, italic }] }],
+//   stickers: [{ emoji, x, y }],               // x, y: share of the page width and height
+//   drawing: { width, height, strokes: [{ color, width, points: [x1, y1, x2, y2, …] }] } | null
+// }
+
+export const DOCUMENT_VERSION = 1;
+
+export const BLOCK_TYPE = {
+  PARAGRAPH: 'paragraph',
+  HEADING: 'heading'
+};
+
+export const FORMAT = {
+  BOLD: 'bold',
+  ITALIC: 'italic',
+  HEADING: 'heading'
+};
+
+export const DEFAULT_STATIONERY = 'plain';
+
+export const STICKERS = ['✈️', '🌍', '☁️', '🌅', '💌', '❤️', '🧳', '🗺️', '🌙', '⭐', '🎉', '😊'];
+
+// Where stickers go, in order: the corners first, then the middle of each edge
+const STICKER_SPOTS = [
+  [0.86, 0.02], [0.02, 0.02], [0.86, 0.9], [0.02, 0.9],
+  [0.45, 0.01], [0.45, 0.92], [0.9, 0.45], [0.01, 0.45]
+];
+export const MAX_STICKERS = STICKER_SPOTS.length;
+
+// Every drawing uses this coordinate space, whatever the size of the screen it was drawn on
+export const DRAWING_SIZE = { width: 300, height: 200 };
+export const PEN_WIDTHS = [2, 4, 8];
+// Inks offered besides the stationery's own
+export const INK_COLORS = ['#1E40AF', '#EF4444', '#10B981', '#F59E0B'];
+// Keeps a drawing small enough to sync with the letter
+export const MAX_DRAWING_POINTS = 3000;
+// Points closer than this to the last one are left out
+const MIN_POINT_SPACING = 1.5;
+
+const MARKUP = {
+  [FORMAT.BOLD]: '**',
+  [FORMAT.ITALIC]: '_'
+};
+const FORMAT_OF_MARKER = {
+  '**': FORMAT.BOLD,
+  _: FORMAT.ITALIC
+};
+const HEADING_PREFIX = '# ';
+// Characters a backslash keeps as text
+const ESCAPABLE = '\\*_#';
+// Spaces, punctuation and emoji: what a word ends at
+const WORD_EDGE = /[\s!-/:-@[-`{-~\u2000-\u206f\u3000-\u303f\ud800-\udfff]/;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const isWordEdge = (ch) => ch === undefined || WORD_EDGE.test(ch);
+const isSpace = (ch) => ch === undefined || /\s/.test(ch);
+
+function markerAt(line, index) {
+  if (line.startsWith(MARKUP[FORMAT.BOLD], index)) return MARKUP[FORMAT.BOLD];
+  if (line.startsWith(MARKUP[FORMAT.ITALIC], index)) return MARKUP[FORMAT.ITALIC];
+  return null;
+}
+
+// A marker opens at the start of a word and closes at its end
+function canOpen(line, index, marker) {
+  return isWordEdge(line[index - 1]) && !isSpace(line[index + marker.length]);
+}
+
+function canClose(line, index, marker) {
+  return !isSpace(line[index - 1]) && isWordEdge(line[index + marker.length]);
+}
+
+function isEscape(line, index) {
+  return line[index] === '\\' && index + 1 < line.length && ESCAPABLE.includes(line[index + 1]);
+}
+
+function findCloser(line, from, marker) {
+  for (let i = from; i < line.length; i++) {
+    if (isEscape(line, i)) {
+      i++;
+    } else if (i > from && line.startsWith(marker, i) && canClose(line, i, marker)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Runs of a line; markers without a partner stay as typed
+function parseSpans(line, marks = {}) {
+  const spans = [];
+  let text = '';
+  let i = 0;
+  while (i < line.length) {
+    if (isEscape(line, i)) {
+      text += line[i + 1];
+      i += 2;
+      continue;
+    }
+    const marker = markerAt(line, i);
+    const close = marker && canOpen(line, i, marker) ? findCloser(line, i + marker.length, marker) : -1;
+    if (close === -1) {
+      text += line[i];
+      i++;
+      continue;
+    }
+    if (text) spans.push({ text, ...marks });
+    text = '';
+    spans.push(...parseSpans(line.slice(i + marker.length, close), {
+      ...marks,
+      [FORMAT_OF_MARKER[marker]]: true
+    }));
+    i = close + marker.length;
+  }
+  if (text) spans.push({ text, ...marks });
+  return spans;
+}
+
+function mergeSpans(spans) {
+  return spans.reduce((merged, span) => {
+    const clean = { text: span.text, bold: !!span.bold, italic: !!span.italic };
+    const last = merged[merged.length - 1];
+    if (last && last.bold === clean.bold && last.italic === clean.italic) {
+      last.text += clean.text;
+    } else if (clean.text) {
+      merged.push(clean);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Blocks of a letter written in markup
+ * @param {string} markup - One block per line
+ * @returns {Array} Blocks
+ */
+export function parseMarkup(markup = '') {
+  return markup.replace(/\s+$/, '').split('\n').map(line => (
+    line.startsWith(HEADING_PREFIX)
+      ? { type: BLOCK_TYPE.HEADING, spans: mergeSpans(parseSpans(line.slice(HEADING_PREFIX.length))) }
+      : { type: BLOCK_TYPE.PARAGRAPH, spans: mergeSpans(parseSpans(line)) }
+  ));
+}
+
+// Whether a character of a span's text would be read as markup if written as it is;
+// the ends of a span border on markers, so they count as the edge of a word
+function needsEscape(text, index, atLineStart) {
+  const ch = text[index];
+  const prev = text[index - 1];
+  const next = text[index + 1];
+  if (ch === '\\') return next === undefined || ESCAPABLE.includes(next);
+  if (ch === '#') return atLineStart && index === 0 && isSpace(next);
+  if (ch === '_') {
+    return prev === undefined || next === undefined ||
+      (isWordEdge(prev) && !isSpace(next)) || (!isSpace(prev) && isWordEdge(next));
+  }
+  if (ch === '*') {
+    let first = index;
+    let last = index;
+    while (text[first - 1] === '*') first--;
+    while (text[last + 1] === '*') last++;
+    const before = text[first - 1];
+    const after = text[last + 1];
+    if (before === undefined || after === undefined) return true;
+    // A lone star is never a marker, and neither are two with spaces around them
+    return last - first > 1 || (last > first && !(/\s/.test(before) && /\s/.test(after)));
+  }
+  return false;
+}
+
+function escapeText(text, atLineStart) {
+  let escaped = '';
+  for (let i = 0; i < text.length; i++) {
+    escaped += needsEscape(text, i, atLineStart) ? `\\${text[i]}` : text[i];
+  }
+  return escaped;
+}
+
+// Characters from a span on that keep a format
+function runLength(spans, index, format) {
+  let length = 0;
+  for (let i = index; i < spans.length && spans[i][format]; i++) length += spans[i].text.length;
+  return length;
+}
+
+// Close formats, innermost first, before any spaces the line ends with
+function closeMarkers(line, formats) {
+  const trailing = /\s*$/.exec(line)[0];
+  const markers = formats.slice().reverse().map(format => MARKUP[format]).join('');
+  return line.slice(0, line.length - trailing.length) + markers + trailing;
+}
+
+// One pair of markers for each run of a format, e.g. a **b _c_ d** e
+function spansToMarkup(blockSpans, isParagraph) {
+  // Markers cannot open before a space, so spaces on their own only keep formats
+  // already open
+  const spans = mergeSpans(blockSpans.map((span, i) => (
+    span.text.trim() ? span : {
+      text: span.text,
+      bold: !!(span.bold && blockSpans[i - 1]?.bold),
+      italic: !!(span.italic && blockSpans[i - 1]?.italic)
+    }
+  )));
+
+  let line = '';
+  let open = [];
+  spans.forEach((span, index) => {
+    const ended = open.findIndex(format => !span[format]);
+    if (ended !== -1) {
+      line = closeMarkers(line, open.slice(ended));
+      open = open.slice(0, ended);
+    }
+
+    let { text } = span;
+    const opening = [FORMAT.BOLD, FORMAT.ITALIC]
+      .filter(format => span[format] && !open.includes(format))
+      .sort((a, b) => runLength(spans, index, b) - runLength(spans, index, a));
+    if (opening.length > 0) {
+      const leading = /^\s*/.exec(text)[0];
+      line += leading + opening.map(format => MARKUP[format]).join('');
+      text = text.slice(leading.length);
+      open = [...open, ...opening];
+    }
+    line += escapeText(text, isParagraph && line === '');
+  });
+  return closeMarkers(line, open);
+}
+
+/**
+ * Markup for a document's text, to edit it again
+ * @param {Object} document - Letter document
+ * @returns {string} Markup that parseMarkup reads back as the same text
+ */
+export function toMarkup(document) {
+  return document.blocks.map(block => (
+    block.type === BLOCK_TYPE.HEADING
+      ? HEADING_PREFIX + spansToMarkup(block.spans, false)
+      : spansToMarkup(block.spans, true)
+  )).join('\n');
+}
+
+/**
+ * A document's text without formatting
+ * @param {Object} document - Letter document
+ * @returns {string} Plain text
+ */
+export function toPlainText(document) {
+  return document.blocks
+    .map(block => block.spans.map(span => span.text).join(''))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Apply a toolbar format to the markup being edited
+ * @param {string} markup - Current markup
+ * @param {Object} selection - { start, end } from the text input
+ * @param {string} format - FORMAT value
+ * @returns {Object} { markup, selection } with the cursor after the change
+ */
+export function applyFormat(markup, selection, format) {
+  let start = Math.min(selection?.start ?? markup.length, markup.length);
+  let end = Math.min(selection?.end ?? start, markup.length);
+
+  if (format === FORMAT.HEADING) {
+    // Headings are whole lines: toggle the prefix of the line holding the cursor
+    const lineStart = markup.lastIndexOf('\n', start - 1) + 1;
+    if (markup.startsWith(HEADING_PREFIX, lineStart)) {
+      const next = markup.slice(0, lineStart) + markup.slice(lineStart + HEADING_PREFIX.length);
+      const cursor = Math.max(lineStart, start - HEADING_PREFIX.length);
+      return { markup: next, selection: { start: cursor, end: cursor } };
+    }
+    const next = markup.slice(0, lineStart) + HEADING_PREFIX + markup.slice(lineStart);
+    const cursor = start + HEADING_PREFIX.length;
+    return { markup: next, selection: { start: cursor, end: cursor } };
+  }
+
+  const marker = MARKUP[format];
+  if (!marker) return { markup, selection: { start, end } };
+  // Markers only count next to words, so leave spaces at the ends of the selection outside
+  while (start < end && /\s/.test(markup[start])) start++;
+  while (end > start && /\s/.test(markup[end - 1])) end--;
+  const next = markup.slice(0, start) + marker + markup.slice(start, end) + marker + markup.slice(end);
+  // With nothing selected the cursor goes between the markers, ready to type
+  const cursor = start === end ? start + marker.length : end + marker.length * 2;
+  return { markup: next, selection: { start: cursor, end: cursor } };
+}
+
+/**
+ * Put a sticker on the next free spot of the page
+ * @param {Array} stickers - Stickers already placed
+ * @param {string} emoji - Sticker
+ * @returns {Array} Stickers, unchanged when the page is full
+ */
+export function addSticker(stickers, emoji) {
+  const spot = STICKER_SPOTS.find(([x, y]) => !stickers.some(s => s.x === x && s.y === y));
+  return spot ? [...stickers, { emoji, x: spot[0], y: spot[1] }] : stickers;
+}
+
+/**
+ * Number of points in a drawing's strokes
+ * @param {Array} strokes - Strokes
+ * @returns {number} Points
+ */
+export function countDrawingPoints(strokes = []) {
+  return strokes.reduce((total, stroke) => total + stroke.points.length / 2, 0);
+}
+
+/**
+ * Begin a stroke where the pen touches
+ * @param {Object} pen - { color, width }
+ * @param {number} x - In DRAWING_SIZE coordinates
+ * @param {number} y - In DRAWING_SIZE coordinates
+ * @returns {Object} Stroke
+ */
+export function startStroke(pen, x, y) {
+  return { color: pen.color, width: pen.width, points: [round(x), round(y)] };
+}
+
+/**
+ * Continue a stroke to where the pen moved
+ * @param {Object} stroke - Stroke being drawn
+ * @param {number} x - In DRAWING_SIZE coordinates
+ * @param {number} y - In DRAWING_SIZE coordinates
+ * @returns {Object} The same stroke when the point is too close to add
+ */
+export function extendStroke(stroke, x, y) {
+  const { points } = stroke;
+  const lastX = points[points.length - 2];
+  const lastY = points[points.length - 1];
+  if (Math.hypot(x - lastX, y - lastY) < MIN_POINT_SPACING) return stroke;
+  return { ...stroke, points: [...points, round(x), round(y)] };
+}
+
+/**
+ * SVG path of a stroke
+ * @param {Object} stroke - Stroke
+ * @returns {string} Path data; a single touch becomes a dot
+ */
+export function strokeToPath(stroke) {
+  const { points } = stroke;
+  if (points.length <= 2) return `M ${points[0]} ${points[1]} l 0.1 0`;
+
+  let path = `M ${points[0]} ${points[1]}`;
+  for (let i = 2; i < points.length; i += 2) {
+    path += ` L ${points[i]} ${points[i + 1]}`;
+  }
+  return path;
+}
+
+function normalizeDrawing(drawing) {
+  if (!drawing || !Array.isArray(drawing.strokes)) return null;
+
+  const strokes = [];
+  let budget = MAX_DRAWING_POINTS;
+  for (const stroke of drawing.strokes) {
+    if (!Array.isArray(stroke.points) || stroke.points.length < 2 || budget <= 0) continue;
+    const points = stroke.points.slice(0, budget * 2).map(Number).map(round);
+    budget -= points.length / 2;
+    strokes.push({ color: stroke.color, width: Number(stroke.width) || PEN_WIDTHS[0], points });
+  }
+  return strokes.length > 0 ? { ...DRAWING_SIZE, strokes } : null;
+}
+
+/**
+ * Bring a document into the current shape, within the size limits
+ * @param {Object} document - Letter document
+ * @returns {Object} Normalized document
+ */
+export function normalizeDocument(document = {}) {
+  return {
+    version: DOCUMENT_VERSION,
+    stationery: document.stationery || DEFAULT_STATIONERY,
+    blocks: Array.isArray(document.blocks) ? document.blocks : [],
+    stickers: (Array.isArray(document.stickers) ? document.stickers : []).slice(0, MAX_STICKERS),
+    drawing: normalizeDrawing(document.drawing)
+  };
+}
+
+/**
+ * Document from what the composer holds
+ * @param {Object} parts - { markup, stationery, stickers, drawing }
+ * @returns {Object} Letter document
+ */
+export function createDocument({ markup, stationery, stickers, drawing }) {
+  return normalizeDocument({ stationery, blocks: parseMarkup(markup), stickers, drawing });
+}
+
+/**
+ * The document of any letter; letters written before documents are plain paragraphs,
+ * shown exactly as typed
+ * @param {Object} letter - Letter
+ * @returns {Object} Letter document
+ */
+export function getLetterDocument(letter) {
+  if (letter?.document) return normalizeDocument(letter.document);
+  return normalizeDocument({
+    blocks: (letter?.text || '').split('\n').map(line => ({
+      type: BLOCK_TYPE.PARAGRAPH,
+      spans: line ? [{ text: line, bold: false, italic: false }] : []
+    }))
+  });
+}
@@ -0,0 +1,392 @@
+// src/lib/letterMerge.js
+// Deterministic merge of letter copies from two devices.
+//
+// Every letter carries:
+//   version    - version vector { [deviceId]: counter }, bumped on each local change
+//   fieldClock - { [field]: { at, deviceId, counter } } for the last write of each field,
+//                where counter is the writer's version entry after that write
+// Deleted letters leave a tombstone { id, deletedAt, deviceId, version }.
+//
+// merge(a, b) and merge(b, a) give the same letter, so devices converge
+// whichever order they sync in.
+import { LETTER_STATUS, canAdvance, getStatusRank } from './letterStateMachine';
+
+// Bookkeeping fields that never count as content
+const META_FIELDS = ['id', 'version', 'fieldClock', 'updatedAt'];
+
+// Fields derived from status or the simulation; merged by rule, never reported as conflicts
+const DERIVED_FIELDS = [
+  'animationProgress',
+  'currentPosition',
+  'estimatedDelivery',
+  'errorCount',
+  'deliveredAt',
+  'deliveredOver',
+  'readAt',
+  'statusHistory',
+  'trackingHistory'
+];
+
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Check whether a field is versioned content (text, recipient, tags, status...)
+ * @param {string} field - Field name
+ * @returns {boolean} True if changes to it are stamped and can conflict
+ */
+export function isVersionedField(field) {
+  return !META_FIELDS.includes(field) && !DERIVED_FIELDS.includes(field);
+}
+
+/**
+ * Compare two version vectors
+ * @param {Object} a - Version vector
+ * @param {Object} b - Version vector
+ * @returns {string} 'equal' | 'before' (a < b) | 'after' (a > b) | 'concurrent'
+ */
+export function compareVersions(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+  const devices = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+
+  devices.forEach(device => {
+    const av = (a && a[device]) || 0;
+    const bv = (b && b[device]) || 0;
+    if (av > bv) aAhead = true;
+    if (bv > av) bAhead = true;
+  });
+
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+/**
+ * Pointwise maximum of two version vectors
+ * @param {Object} a - Version vector
+ * @param {Object} b - Version vector
+ * @returns {Object} Merged version vector
+ */
+export function mergeVersions(a = {}, b = {}) {
+  const merged = { ...(a || {}) };
+  Object.entries(b || {}).forEach(([device, counter]) => {
+    merged[device] = Math.max(merged[device] || 0, counter);
+  });
+  return merged;
+}
+
+// Total order on field clocks: later time wins, device ID breaks ties
+function compareClocks(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  if (a.at !== b.at) return a.at > b.at ? 1 : -1;
+  if (a.deviceId !== b.deviceId) return a.deviceId > b.deviceId ? 1 : -1;
+  return 0;
+}
+
+// Side-independent tie breaker so both devices pick the same value
+function compareValues(a, b) {
+  const aJson = JSON.stringify(a) ?? '';
+  const bJson = JSON.stringify(b) ?? '';
+  if (aJson === bJson) return 0;
+  return aJson > bJson ? 1 : -1;
+}
+
+function sameValue(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Stamp the content fields that changed between two copies of a letter
+ * @param {Object|null} previous - Stored copy (null for a new letter)
+ * @param {Object} next - Updated copy
+ * @param {string} deviceId - This device
+ * @param {Date} now - Change time
+ * @returns {Object} Letter with bumped version and field clocks
+ */
+export function stampLetterChanges(previous, next, deviceId, now = new Date()) {
+  const fields = new Set([...Object.keys(previous || {}), ...Object.keys(next)]);
+  const changed = [...fields].filter(field =>
+    isVersionedField(field) && (!previous || !sameValue(previous[field], next[field]))
+  );
+  if (changed.length === 0) return next;
+
+  const base = previous || next;
+  const at = now.toISOString();
+  const version = { ...(base.version || {}) };
+  version[deviceId] = (version[deviceId] || 0) + 1;
+
+  const fieldClock = { ...(base.fieldClock || {}) };
+  changed.forEach(field => {
+    fieldClock[field] = { at, deviceId, counter: version[deviceId] };
+  });
+
+  return { ...next, version, fieldClock };
+}
+
+/**
+ * Stamp every letter in a collection against the stored collection
+ * @param {Array} previousLetters - Stored letters
+ * @param {Array} nextLetters - Updated letters
+ * @param {string} deviceId - This device
+ * @param {Date} now - Change time
+ * @returns {Array} Stamped letters
+ */
+export function stampCollection(previousLetters, nextLetters, deviceId, now = new Date()) {
+  const previousById = new Map(previousLetters.map(l => [l.id, l]));
+  return nextLetters.map(letter =>
+    stampLetterChanges(previousById.get(letter.id) || null, letter, deviceId, now)
+  );
+}
+
+// Union of two history lists, deduplicated and ordered by time
+function mergeHistory(a = [], b = [], keyOf, timeOf) {
+  const entries = new Map();
+  [...(a || []), ...(b || [])].forEach(entry => {
+    const key = keyOf(entry);
+    const existing = entries.get(key);
+    if (!existing || timeOf(entry) < timeOf(existing)) entries.set(key, entry);
+  });
+  return Array.from(entries.values())
+    .sort((x, y) => (timeOf(x) === timeOf(y) ? compareValues(x, y) : timeOf(x) < timeOf(y) ? -1 : 1))
+    .slice(-MAX_HISTORY_ENTRIES);
+}
+
+// Earliest of two optional ISO timestamps
+function earliest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a < b ? a : b;
+}
+
+// The copy whose delivery counts: the earlier one, or for the same time the one whose
+// place sorts first, so the result doesn't depend on which copy is local
+function firstDelivery(local, remote) {
+  if (local.deliveredAt !== remote.deliveredAt) {
+    return earliest(local.deliveredAt, remote.deliveredAt) === local.deliveredAt ? local : remote;
+  }
+  if (!local.deliveredOver) return remote;
+  if (!remote.deliveredOver) return local;
+  return compareValues(local.deliveredOver, remote.deliveredOver) <= 0 ? local : remote;
+}
+
+// Whether a copy's version vector already includes the write behind a field clock
+function hasSeen(copy, clock) {
+  if (!clock || !clock.counter) return true;
+  return ((copy.version || {})[clock.deviceId] || 0) >= clock.counter;
+}
+
+/**
+ * Resolve a content field that differs between the two copies
+ * @returns {{ useRemote: boolean, concurrent: boolean }} Winner and whether the edits were concurrent
+ */
+function resolveField(field, local, remote) {
+  const localClock = local.fieldClock?.[field];
+  const remoteClock = remote.fieldClock?.[field];
+  const localSawRemote = hasSeen(local, remoteClock);
+  const remoteSawLocal = hasSeen(remote, localClock);
+
+  // One side already saw the other's write and changed the field again: it is newer
+  if (localSawRemote && !remoteSawLocal) return { useRemote: false, concurrent: false };
+  if (remoteSawLocal && !localSawRemote) return { useRemote: true, concurrent: false };
+
+  // Neither saw the other (or no history): last writer wins, ties broken deterministically
+  let useRemote;
+  const byClock = compareClocks(remoteClock, localClock);
+  if (byClock !== 0) {
+    useRemote = byClock > 0;
+  } else if (local.updatedAt !== remote.updatedAt) {
+    useRemote = (remote.updatedAt || '') > (local.updatedAt || '');
+  } else {
+    useRemote = compareValues(remote[field], local[field]) > 0;
+  }
+  return { useRemote, concurrent: !localSawRemote && !remoteSawLocal };
+}
+
+/**
+ * Merge two copies of the same letter
+ * @param {Object} local - Local copy
+ * @param {Object} remote - Remote copy
+ * @returns {{ letter: Object, conflicts: Array }} Merged letter and concurrent edits that were resolved
+ */
+export function mergeLetter(local, remote) {
+  const merged = { id: local.id };
+  const fieldClock = {};
+  const conflicts = [];
+
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  fields.forEach(field => {
+    if (!isVersionedField(field)) return;
+
+    const localValue = local[field];
+    const remoteValue = remote[field];
+    let useRemote;
+
+    if (sameValue(localValue, remoteValue)) {
+      useRemote = compareClocks(remote.fieldClock?.[field], local.fieldClock?.[field]) > 0;
+    } else if (field === 'status' && canAdvance(localValue, remoteValue)) {
+      // The state machine only moves forward: the further status wins
+      useRemote = true;
+    } else if (field === 'status' && canAdvance(remoteValue, localValue)) {
+      useRemote = false;
+    } else {
+      const resolution = resolveField(field, local, remote);
+      useRemote = resolution.useRemote;
+      if (resolution.concurrent) {
+        conflicts.push({
+          letterId: local.id,
+          field,
+          localValue,
+          remoteValue,
+          resolution: useRemote ? 'remote' : 'local'
+        });
+      }
+    }
+
+    const winner = useRemote ? remote : local;
+    if (winner[field] !== undefined) merged[field] = winner[field];
+    const clock = winner.fieldClock?.[field];
+    if (clock) fieldClock[field] = clock;
+  });
+
+  // Status-derived fields follow the merged status
+  const rank = getStatusRank(merged.status);
+  const delivered = rank >= getStatusRank(LETTER_STATUS.DELIVERED);
+  const delivery = firstDelivery(local, remote);
+  const otherDelivery = delivery === local ? remote : local;
+  merged.deliveredAt = delivered ? delivery.deliveredAt || null : null;
+  // Where it was delivered comes from the same copy as when
+  merged.deliveredOver = delivered
+    ? delivery.deliveredOver || otherDelivery.deliveredOver || null
+    : null;
+  merged.readAt = merged.status === LETTER_STATUS.READ
+    ? earliest(local.readAt, remote.readAt)
+    : null;
+
+  if (rank >= getStatusRank(LETTER_STATUS.DELIVERED)) {
+    merged.animationProgress = 1;
+  } else if (local.status === remote.status) {
+    merged.animationProgress = Math.max(local.animationProgress || 0, remote.animationProgress || 0);
+  } else {
+    merged.animationProgress = (merged.status === remote.status ? remote : local).animationProgress || 0;
+  }
+
+  merged.statusHistory = mergeHistory(
+    local.statusHistory,
+    remote.statusHistory,
+    entry => `${entry.from}>${entry.to}`,
+    entry => entry.at || ''
+  );
+  merged.trackingHistory = mergeHistory(
+    local.trackingHistory,
+    remote.trackingHistory,
+    entry => `${entry.timestamp}|${entry.message}`,
+    entry => entry.timestamp || ''
+  );
+
+  // Simulation snapshots come from whichever copy was touched last
+  const fresher = (remote.updatedAt || '') > (local.updatedAt || '') ||
+    (remote.updatedAt === local.updatedAt && compareValues(remote, local) > 0)
+    ? remote
+    : local;
+  ['currentPosition', 'estimatedDelivery', 'errorCount'].forEach(field => {
+    if (fresher[field] !== undefined) merged[field] = fresher[field];
+  });
+
+  merged.updatedAt = (local.updatedAt || '') > (remote.updatedAt || '') ? local.updatedAt : remote.updatedAt;
+  merged.version = mergeVersions(local.version, remote.version);
+  merged.fieldClock = fieldClock;
+
+  return { letter: merged, conflicts };
+}
+
+/**
+ * Merge two tombstones for the same letter
+ */
+function mergeTombstone(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const first = a.deletedAt < b.deletedAt ||
+    (a.deletedAt === b.deletedAt && (a.deviceId || '') <= (b.deviceId || ''))
+    ? a
+    : b;
+  return { ...first, version: mergeVersions(a.version, b.version) };
+}
+
+/**
+ * Merge local and remote letter sets, applying deletion tombstones
+ * @param {Array} localLetters - Local letters
+ * @param {Array} remoteLetters - Remote letters
+ * @param {Object} options - { localTombstones, remoteTombstones }
+ * @returns {{ letters: Array, tombstones: Array, conflicts: Array }} Merge result
+ */
+export function mergeLetterSets(localLetters, remoteLetters, options = {}) {
+  const { localTombstones = [], remoteTombstones = [] } = options;
+  const conflicts = [];
+
+  const tombstones = new Map();
+  [...localTombstones, ...remoteTombstones].forEach(tombstone => {
+    tombstones.set(tombstone.id, mergeTombstone(tombstones.get(tombstone.id), tombstone));
+  });
+
+  // Collapse duplicate IDs within each side before merging across sides
+  const collapse = (letters) => {
+    const byId = new Map();
+    letters.forEach(letter => {
+      const existing = byId.get(letter.id);
+      byId.set(letter.id, existing ? mergeLetter(existing, letter).letter : letter);
+    });
+    return byId;
+  };
+  const localById = collapse(localLetters);
+  const remoteById = collapse(remoteLetters);
+
+  const letters = [];
+  const ids = new Set([...localById.keys(), ...remoteById.keys()]);
+  ids.forEach(id => {
+    const local = localById.get(id);
+    const remote = remoteById.get(id);
+    const tombstone = tombstones.get(id);
+
+    if (tombstone) {
+      // Deletion wins; edits the deleting device never saw are reported
+      [local, remote].forEach(copy => {
+        if (!copy) return;
+        const relation = compareVersions(copy.version, tombstone.version);
+        if (relation === 'after' || relation === 'concurrent') {
+          conflicts.push({
+            letterId: id,
+            field: 'deleted',
+            localValue: false,
+            remoteValue: true,
+            resolution: 'deleted'
+          });
+        }
+      });
+      return;
+    }
+
+    if (local && remote) {
+      const result = mergeLetter(local, remote);
+      letters.push(result.letter);
+      conflicts.push(...result.conflicts);
+    } else {
+      letters.push(local || remote);
+    }
+  });
+
+  letters.sort((a, b) => {
+    if (a.createdAt !== b.createdAt) return (a.createdAt || '') < (b.createdAt || '') ? -1 : 1;
+    return a.id < b.id ? -1 : 1;
+  });
+
+  return {
+    letters,
+    tombstones: Array.from(tombstones.values()),
+    conflicts: conflicts.filter((conflict, index, all) =>
+      all.findIndex(c => c.letterId === conflict.letterId && c.field === conflict.field) === index
+    )
+  };
+}
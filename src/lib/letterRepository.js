@@ -0,0 +1,515 @@
+// src/lib/letterRepository.js
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  LETTER_STATUS,
+  LETTER_STATUS_EMOJIS,
+  LETTER_STATUS_LABELS,
+  LETTER_TRANSITIONS,
+  getStatusRank,
+  normalizeStatus,
+  isTerminalStatus,
+  canTransition,
+  canAdvance,
+  applyTransition,
+  advanceTo,
+  createHistoryEntry
+} from './letterStateMachine';
+import { stampCollection } from './letterMerge';
+import { getOrCreateDeviceId } from './deviceId';
+
+export {
+  LETTER_STATUS,
+  LETTER_STATUS_EMOJIS,
+  LETTER_STATUS_LABELS,
+  LETTER_TRANSITIONS,
+  getStatusRank,
+  normalizeStatus,
+  isTerminalStatus,
+  canTransition,
+  canAdvance,
+  applyTransition,
+  advanceTo
+};
+
+const LETTERS_KEY = '@airletters_letters';
+const LEGACY_TRACKING_KEY = 'flight_letters_data';
+const SCHEMA_VERSION_KEY = '@airletters_letters_schema';
+const SCHEMA_VERSION = 1;
+const TOMBSTONES_KEY = '@airletters_letter_tombstones';
+const TOMBSTONE_TTL_DAYS = 30;
+
+/**
+ * Letter priority levels
+ */
+export const LETTER_PRIORITY = {
+  LOW: 'LOW',
+  NORMAL: 'NORMAL',
+  HIGH: 'HIGH',
+  URGENT: 'URGENT'
+};
+
+/**
+ * Generate unique letter ID
+ * @returns {string} Unique identifier
+ */
+export function generateLetterId() {
+  return `letter_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Bring a letter from either legacy model into the unified schema
+ * @param {Object} raw - Letter in storage.js or letterTracking.js shape
+ * @returns {Object} Normalized letter
+ */
+export function normalizeLetter(raw = {}) {
+  const {
+    senderFlight,
+    recipientFlight,
+    scheduledAt,
+    progress,
+    ...rest
+  } = raw;
+  const createdAt = raw.createdAt || new Date().toISOString();
+  const fromFlight = raw.fromFlight || senderFlight || null;
+  const animationProgress = Number(raw.animationProgress ?? progress ?? 0) || 0;
+
+  return {
+    ...rest,
+    id: raw.id || generateLetterId(),
+    text: raw.text || '',
+    tripId: raw.tripId || null,
+    createdAt,
+    updatedAt: raw.updatedAt || createdAt,
+    scheduledSendUTC: raw.scheduledSendUTC || scheduledAt || createdAt,
+    deliveredAt: raw.deliveredAt || null,
+    readAt: raw.readAt || null,
+    status: normalizeStatus(raw.status),
+    fromFlight,
+    toFlight: raw.toFlight || recipientFlight || null,
+    senderUser: raw.senderUser || fromFlight,
+    animationProgress: Math.max(0, Math.min(1, animationProgress)),
+    priority: raw.priority || LETTER_PRIORITY.NORMAL,
+    currentPosition: raw.currentPosition || null,
+    estimatedDelivery: raw.estimatedDelivery || null,
+    trackingHistory: Array.isArray(raw.trackingHistory) ? raw.trackingHistory : [],
+    statusHistory: Array.isArray(raw.statusHistory) ? raw.statusHistory : [],
+    version: raw.version || {},
+    fieldClock: raw.fieldClock || {},
+    metadata: {
+      attachments: [],
+      tags: [],
+      isEncrypted: false,
+      deliveryConfirmation: false,
+      ...(raw.metadata || {})
+    }
+  };
+}
+
+/**
+ * Single owner of letter persistence, status changes and change events
+ */
+class LetterRepository {
+  constructor() {
+    this.listeners = new Set();
+    this.migration = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run the one-time legacy migration (memoized)
+   * @returns {Promise<void>}
+   */
+  ensureMigrated() {
+    if (!this.migration) {
+      this.migration = this.migrateLegacyData().catch(error => {
+        console.warn('Letter migration failed:', error);
+        this.migration = null;
+      });
+    }
+    return this.migration;
+  }
+
+  /**
+   * Merge letters from the old storage.js and letterTracking.js keys
+   */
+  async migrateLegacyData() {
+    const version = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+    if (Number(version) >= SCHEMA_VERSION) return;
+
+    const [rawLetters, rawTracking] = await Promise.all([
+      AsyncStorage.getItem(LETTERS_KEY),
+      AsyncStorage.getItem(LEGACY_TRACKING_KEY)
+    ]);
+
+    const storageLetters = rawLetters ? JSON.parse(rawLetters) : [];
+    const trackingData = rawTracking ? JSON.parse(rawTracking) : null;
+    const trackingLetters = (trackingData?.letters || []).map(([, letter]) => letter);
+
+    // Merge raw records by ID; the copy with the more advanced status wins field clashes
+    const merged = new Map();
+    for (const raw of [...storageLetters, ...trackingLetters]) {
+      const existing = merged.get(raw.id);
+      if (!existing) {
+        merged.set(raw.id, raw);
+      } else if (getStatusRank(normalizeStatus(raw.status)) > getStatusRank(normalizeStatus(existing.status))) {
+        merged.set(raw.id, { ...existing, ...raw });
+      } else {
+        merged.set(raw.id, { ...raw, ...existing });
+      }
+    }
+
+    const letters = Array.from(merged.values()).map(normalizeLetter);
+    await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(letters));
+    await AsyncStorage.removeItem(LEGACY_TRACKING_KEY);
+    await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+
+    console.log(`Migrated ${merged.size} letters to schema v${SCHEMA_VERSION}`);
+  }
+
+  /**
+   * Serialize writes so concurrent read-modify-write cycles don't clobber each other
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(() => this.ensureMigrated()).then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async readLetters() {
+    const raw = await AsyncStorage.getItem(LETTERS_KEY);
+    return raw ? JSON.parse(raw).map(normalizeLetter) : [];
+  }
+
+  async writeLetters(letters) {
+    await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(letters));
+  }
+
+  /**
+   * Write a local change, bumping version vectors and field clocks of changed letters
+   * @param {Array} previous - Letters as read before the change
+   * @param {Array} next - Letters after the change
+   * @returns {Promise<Array>} Stamped letters as stored
+   */
+  async commitLetters(previous, next) {
+    const deviceId = await getOrCreateDeviceId();
+    const stamped = stampCollection(previous, next, deviceId);
+    await this.writeLetters(stamped);
+    return stamped;
+  }
+
+  async readTombstones() {
+    const raw = await AsyncStorage.getItem(TOMBSTONES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  async writeTombstones(tombstones) {
+    const cutoff = Date.now() - TOMBSTONE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const kept = tombstones.filter(t => new Date(t.deletedAt).getTime() >= cutoff);
+    await AsyncStorage.setItem(TOMBSTONES_KEY, JSON.stringify(kept));
+  }
+
+  /**
+   * Get deletion tombstones so deletes can be synced to other devices
+   * @returns {Promise<Array>} Tombstones { id, deletedAt, deviceId, version }
+   */
+  async getTombstones() {
+    try {
+      await this.ensureMigrated();
+      await this.writeQueue;
+      return await this.readTombstones();
+    } catch (error) {
+      console.warn('Failed to get letter tombstones:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all letters
+   * @returns {Promise<Array>} Array of letter objects
+   */
+  async getAll() {
+    try {
+      await this.ensureMigrated();
+      await this.writeQueue;
+      return await this.readLetters();
+    } catch (error) {
+      console.warn('Failed to get letters:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get letter by ID
+   * @param {string} letterId - Letter ID
+   * @returns {Promise<Object|null>} Letter object
+   */
+  async get(letterId) {
+    const letters = await this.getAll();
+    return letters.find(l => l.id === letterId) || null;
+  }
+
+  /**
+   * Get letters belonging to a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Array>} Array of letter objects
+   */
+  async getByTrip(tripId) {
+    const letters = await this.getAll();
+    return letters.filter(l => l.tripId === tripId);
+  }
+
+  /**
+   * Create a new letter
+   * @param {Object} letterData - Letter fields
+   * @param {Object} context - { source, reason } recorded as the first history entry
+   * @returns {Promise<Object>} Created letter
+   */
+  async create(letterData, context = {}) {
+    const letter = normalizeLetter(letterData);
+    if (letter.statusHistory.length === 0) {
+      letter.statusHistory = [
+        createHistoryEntry(null, letter.status, letter.createdAt, { reason: 'created', ...context })
+      ];
+    }
+    const created = await this.enqueue(async () => {
+      const letters = await this.readLetters();
+      const stored = await this.commitLetters(letters, [...letters, letter]);
+      return stored[stored.length - 1];
+    });
+    this.notifyListeners('letterCreated', created);
+    return created;
+  }
+
+  /**
+   * Replace the whole letter collection
+   * @param {Array} letters - Letters to store
+   * @returns {Promise<Array>} Stored letters
+   */
+  async replaceAll(letters) {
+    const normalized = letters.map(normalizeLetter);
+    const stored = await this.enqueue(async () =>
+      this.commitLetters(await this.readLetters(), normalized)
+    );
+    this.notifyListeners('lettersChanged', stored);
+    return stored;
+  }
+
+  /**
+   * Update letter fields (status changes go through transition)
+   * @param {string} letterId - Letter ID
+   * @param {Object} updates - Fields to merge
+   * @returns {Promise<Object|null>} Updated letter
+   */
+  async update(letterId, updates) {
+    const { status, ...fields } = updates;
+    if (status) return this.transition(letterId, status, fields);
+
+    const updated = await this.enqueue(async () => {
+      const letters = await this.readLetters();
+      const index = letters.findIndex(l => l.id === letterId);
+      if (index < 0) return null;
+
+      const next = [...letters];
+      next[index] = { ...letters[index], ...fields, updatedAt: new Date().toISOString() };
+      const stored = await this.commitLetters(letters, next);
+      return stored[index];
+    });
+
+    if (updated) this.notifyListeners('letterUpdated', updated);
+    return updated;
+  }
+
+  /**
+   * Move a letter to a new status
+   * @param {string} letterId - Letter ID
+   * @param {string} status - Target status
+   * @param {Object} updates - Extra fields to set
+   * @param {Object} context - { source, reason } recorded in the status history
+   * @returns {Promise<Object|null>} Updated letter
+   * @throws {Error} If the transition is not allowed
+   */
+  async transition(letterId, status, updates = {}, context = {}) {
+    const updated = await this.enqueue(async () => {
+      const letters = await this.readLetters();
+      const index = letters.findIndex(l => l.id === letterId);
+      if (index < 0) return null;
+
+      const next = [...letters];
+      next[index] = applyTransition(letters[index], status, updates, new Date(), context);
+      const stored = await this.commitLetters(letters, next);
+      return stored[index];
+    });
+
+    if (updated) this.notifyListeners('letterUpdated', updated);
+    return updated;
+  }
+
+  /**
+   * Apply a batch change to all letters in one write
+   * @param {Function} mutator - Receives letters, returns the new array
+   * @returns {Promise<Array>} Resulting letters
+   */
+  async mutate(mutator) {
+    let changed = false;
+    const result = await this.enqueue(async () => {
+      const letters = await this.readLetters();
+      const next = mutator(letters.map(l => ({ ...l }))) || letters;
+      changed = JSON.stringify(next) !== JSON.stringify(letters);
+      return changed ? this.commitLetters(letters, next) : next;
+    });
+
+    if (changed) this.notifyListeners('lettersChanged', result);
+    return result;
+  }
+
+  /**
+   * Apply a sync merge: replaces letters and tombstones as given, without stamping
+   * (the merge result already carries the combined version vectors)
+   * @param {Function} merger - Receives (letters, tombstones), returns { letters, tombstones }
+   * @returns {Promise<Object>} Merger result
+   */
+  async applyMerge(merger) {
+    let changed = false;
+    const result = await this.enqueue(async () => {
+      const [letters, tombstones] = await Promise.all([this.readLetters(), this.readTombstones()]);
+      const merged = merger(letters, tombstones);
+      changed = JSON.stringify(merged.letters) !== JSON.stringify(letters);
+      if (changed) await this.writeLetters(merged.letters);
+      await this.writeTombstones(merged.tombstones);
+      return merged;
+    });
+
+    if (changed) this.notifyListeners('lettersChanged', result.letters);
+    return result;
+  }
+
+  /**
+   * Delete letter, leaving a tombstone so the delete reaches other devices
+   * @param {string} letterId - Letter ID
+   * @returns {Promise<boolean>} True if a letter was removed
+   */
+  async remove(letterId) {
+    const deviceId = await getOrCreateDeviceId();
+    const removed = await this.enqueue(async () => {
+      const letters = await this.readLetters();
+      const letter = letters.find(l => l.id === letterId);
+      if (!letter) return null;
+
+      const tombstones = await this.readTombstones();
+      await this.writeLetters(letters.filter(l => l.id !== letterId));
+      await this.writeTombstones([
+        ...tombstones.filter(t => t.id !== letterId),
+        { id: letterId, deletedAt: new Date().toISOString(), deviceId, version: letter.version }
+      ]);
+      return letter;
+    });
+
+    if (removed) this.notifyListeners('letterDeleted', removed);
+    return !!removed;
+  }
+
+  /**
+   * Remove every letter (local reset; no tombstones are written)
+   */
+  async clear() {
+    await this.enqueue(async () => {
+      await AsyncStorage.removeItem(LETTERS_KEY);
+      await AsyncStorage.removeItem(TOMBSTONES_KEY);
+    });
+    this.notifyListeners('lettersCleared');
+  }
+
+  /**
+   * Remove delivered/read letters older than the cutoff
+   * @param {number} olderThanDays - Age in days
+   * @returns {Promise<number>} Number of letters removed
+   */
+  async pruneOld(olderThanDays = 7) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+    let removed = 0;
+    await this.mutate(letters => {
+      const kept = letters.filter(letter => {
+        if (letter.status === LETTER_STATUS.READ || letter.status === LETTER_STATUS.DELIVERED) {
+          const letterDate = new Date(letter.deliveredAt || letter.createdAt);
+          return letterDate >= cutoffDate;
+        }
+        return true; // Keep non-delivered letters
+      });
+      removed = letters.length - kept.length;
+      return kept;
+    });
+    return removed;
+  }
+
+  /**
+   * Add event listener
+   * @param {Function} listener - Event listener function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove event listener
+   * @param {Function} listener - Event listener function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners
+   * @param {string} event - Event type
+   * @param {*} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in letter repository listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance
+const letterRepository = new LetterRepository();
+
+// Function exports used by screens and the sync manager
+export const getLetters = () => letterRepository.getAll();
+export const updateLetter = (letterId, updates) => letterRepository.update(letterId, updates);
+export const markLetterAsRead = (letterId) =>
+  letterRepository.transition(letterId, LETTER_STATUS.READ, {}, { source: 'user' });
+
+// Clear all letter data
+export async function clearAllLetters() {
+  try {
+    await letterRepository.clear();
+    console.log('All letter data cleared successfully');
+    return true;
+  } catch (error) {
+    console.warn('Failed to clear letter data:', error);
+    return false;
+  }
+}
+
+// Clear old delivered/read letters (optional cleanup)
+export async function clearOldLetters(olderThanDays = 7) {
+  try {
+    const removed = await letterRepository.pruneOld(olderThanDays);
+    console.log(`Cleared ${removed} old letters`);
+    return true;
+  } catch (error) {
+    console.warn('Failed to clear old letters:', error);
+    return false;
+  }
+}
+
+export default letterRepository;
+export { LetterRepository };
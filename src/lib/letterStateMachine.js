@@ -0,0 +1,226 @@
+// src/lib/letterStateMachine.js
+// Declarative letter lifecycle: every status change goes through applyTransition
+
+/**
+ * Letter status enumeration shared by every module
+ * Progression: draft -> scheduled -> in_transit -> delivered -> read
+ * Side exits: failed (delivery problem) and recalled (sender withdrew the letter)
+ */
+export const LETTER_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  IN_TRANSIT: 'in_transit',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+  RECALLED: 'recalled'
+};
+
+// How Letters and past trips show each status
+export const LETTER_STATUS_EMOJIS = {
+  [LETTER_STATUS.DRAFT]: '📝',
+  [LETTER_STATUS.SCHEDULED]: '⏰',
+  [LETTER_STATUS.IN_TRANSIT]: '✈️',
+  [LETTER_STATUS.DELIVERED]: '📬',
+  [LETTER_STATUS.READ]: '✅',
+  [LETTER_STATUS.FAILED]: '⚠️',
+  [LETTER_STATUS.RECALLED]: '↩️'
+};
+
+export const LETTER_STATUS_LABELS = {
+  [LETTER_STATUS.DRAFT]: 'Draft',
+  [LETTER_STATUS.SCHEDULED]: 'Scheduled',
+  [LETTER_STATUS.IN_TRANSIT]: 'Flying',
+  [LETTER_STATUS.DELIVERED]: 'Delivered',
+  [LETTER_STATUS.READ]: 'Read',
+  [LETTER_STATUS.FAILED]: 'Failed',
+  [LETTER_STATUS.RECALLED]: 'Recalled'
+};
+
+/**
+ * Allowed next statuses for each status
+ * Read, failed and recalled are terminal
+ */
+export const LETTER_TRANSITIONS = {
+  [LETTER_STATUS.DRAFT]: [LETTER_STATUS.SCHEDULED, LETTER_STATUS.RECALLED, LETTER_STATUS.FAILED],
+  [LETTER_STATUS.SCHEDULED]: [LETTER_STATUS.IN_TRANSIT, LETTER_STATUS.RECALLED, LETTER_STATUS.FAILED],
+  [LETTER_STATUS.IN_TRANSIT]: [LETTER_STATUS.DELIVERED, LETTER_STATUS.FAILED],
+  [LETTER_STATUS.DELIVERED]: [LETTER_STATUS.READ],
+  [LETTER_STATUS.READ]: [],
+  [LETTER_STATUS.FAILED]: [],
+  [LETTER_STATUS.RECALLED]: []
+};
+
+// Main progression in order, used to step through intermediate states
+const PROGRESSION = [
+  LETTER_STATUS.DRAFT,
+  LETTER_STATUS.SCHEDULED,
+  LETTER_STATUS.IN_TRANSIT,
+  LETTER_STATUS.DELIVERED,
+  LETTER_STATUS.READ
+];
+
+// How far along the progression each status is (terminal side exits sit outside it)
+const STATUS_RANK = {
+  [LETTER_STATUS.DRAFT]: 0,
+  [LETTER_STATUS.SCHEDULED]: 1,
+  [LETTER_STATUS.IN_TRANSIT]: 2,
+  [LETTER_STATUS.DELIVERED]: 3,
+  [LETTER_STATUS.READ]: 4,
+  [LETTER_STATUS.FAILED]: -1,
+  [LETTER_STATUS.RECALLED]: -1
+};
+
+// Keep the audit trail bounded, like LetterTrackingSystem.addTrackingEntry
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Get the position of a status in the letter progression
+ * @param {string} status - Letter status
+ * @returns {number} Rank (higher is further along)
+ */
+export function getStatusRank(status) {
+  return STATUS_RANK[status] ?? 0;
+}
+
+/**
+ * Map legacy status values (e.g. 'IN_TRANSIT') onto LETTER_STATUS
+ * @param {string} status - Raw status value
+ * @returns {string} Normalized status
+ */
+export function normalizeStatus(status) {
+  const value = typeof status === 'string' ? status.toLowerCase() : '';
+  return Object.values(LETTER_STATUS).includes(value) ? value : LETTER_STATUS.SCHEDULED;
+}
+
+/**
+ * Check whether a status has no outgoing transitions
+ * @param {string} status - Letter status
+ * @returns {boolean} True if terminal
+ */
+export function isTerminalStatus(status) {
+  return (LETTER_TRANSITIONS[status] || []).length === 0;
+}
+
+/**
+ * Check whether a letter may move from one status to another
+ * Staying in the same status is always allowed (used for progress updates)
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(from, to) {
+  if (from === to) return true;
+  return (LETTER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a letter can reach a status by stepping forward through the progression
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if reachable
+ */
+export function canAdvance(from, to) {
+  if (canTransition(from, to)) return true;
+  const start = PROGRESSION.indexOf(from);
+  const end = PROGRESSION.indexOf(to);
+  return start >= 0 && end > start;
+}
+
+/**
+ * Build a history entry describing a transition
+ * @param {string|null} from - Previous status (null when the letter is created)
+ * @param {string} to - New status
+ * @param {string} at - ISO timestamp
+ * @param {Object} context - Who triggered it and why
+ * @returns {Object} History entry
+ */
+export function createHistoryEntry(from, to, at, context = {}) {
+  return {
+    from,
+    to,
+    at,
+    source: context.source || 'system',
+    reason: context.reason || null
+  };
+}
+
+/**
+ * Append an entry to a letter's status history
+ * @param {Array} history - Existing history
+ * @param {Object} entry - Entry to add
+ * @returns {Array} New history
+ */
+function appendHistory(history, entry) {
+  return [...(Array.isArray(history) ? history : []), entry].slice(-MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Apply a status transition to a letter without persisting it
+ * @param {Object} letter - Letter object
+ * @param {string} status - Target status
+ * @param {Object} updates - Extra fields to set alongside the status
+ * @param {Date} now - Transition time
+ * @param {Object} context - { source, reason } recorded in the status history
+ * @returns {Object} Updated letter
+ * @throws {Error} If the transition is not allowed
+ */
+export function applyTransition(letter, status, updates = {}, now = new Date(), context = {}) {
+  if (!canTransition(letter.status, status)) {
+    throw new Error(`Invalid letter status transition: ${letter.status} -> ${status}`);
+  }
+
+  const timestamp = now.toISOString();
+  const next = { ...letter, ...updates, status, updatedAt: timestamp };
+  next.statusHistory = letter.statusHistory || [];
+
+  if (status === letter.status) return next;
+
+  next.statusHistory = appendHistory(
+    letter.statusHistory,
+    createHistoryEntry(letter.status, status, timestamp, context)
+  );
+
+  if (status === LETTER_STATUS.IN_TRANSIT) {
+    next.animationProgress = updates.animationProgress ?? 0;
+  }
+  if (status === LETTER_STATUS.DELIVERED) {
+    next.deliveredAt = letter.deliveredAt || updates.deliveredAt || timestamp;
+    next.animationProgress = 1;
+  }
+  if (status === LETTER_STATUS.READ) {
+    next.deliveredAt = letter.deliveredAt || timestamp;
+    next.readAt = letter.readAt || updates.readAt || timestamp;
+    next.animationProgress = 1;
+  }
+
+  return next;
+}
+
+/**
+ * Move a letter forward to a status, recording every intermediate step
+ * (e.g. scheduled -> delivered passes through in_transit)
+ * @param {Object} letter - Letter object
+ * @param {string} status - Target status
+ * @param {Object} updates - Extra fields to set on the final step
+ * @param {Date} now - Transition time
+ * @param {Object} context - { source, reason } recorded in the status history
+ * @returns {Object} Updated letter
+ * @throws {Error} If the status cannot be reached
+ */
+export function advanceTo(letter, status, updates = {}, now = new Date(), context = {}) {
+  if (canTransition(letter.status, status)) {
+    return applyTransition(letter, status, updates, now, context);
+  }
+  if (!canAdvance(letter.status, status)) {
+    throw new Error(`Invalid letter status transition: ${letter.status} -> ${status}`);
+  }
+
+  let next = letter;
+  const start = PROGRESSION.indexOf(letter.status);
+  const end = PROGRESSION.indexOf(status);
+  for (let i = start + 1; i < end; i++) {
+    next = applyTransition(next, PROGRESSION[i], {}, now, context);
+  }
+  return applyTransition(next, status, updates, now, context);
+}
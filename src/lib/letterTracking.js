@@ -1,29 +1,23 @@
 // src/lib/letterTracking.js
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { calculateDistance } from '../utils/mapUtils';
-
-/**
- * Letter status enumeration
- */
-export const LETTER_STATUS = {
-  DRAFT: 'DRAFT',
-  SCHEDULED: 'SCHEDULED',
-  IN_TRANSIT: 'IN_TRANSIT',
-  DELIVERED: 'DELIVERED',
-  READ: 'READ',
-  FAILED: 'FAILED'
-};
-
-/**
- * Letter priority levels
- */
-export const LETTER_PRIORITY = {
-  LOW: 'LOW',
-  NORMAL: 'NORMAL',
-  HIGH: 'HIGH',
-  URGENT: 'URGENT'
-};
+import letterRepository, { LETTER_STATUS, LETTER_PRIORITY } from './letterRepository';
+import flightSimulation from './flightSimulation';
+import { getFlightRoute } from './flightPaths';
+import {
+  DEFAULT_DELIVERY_CONFIG,
+  getDeliveryConfig,
+  getLetterDeliveryState,
+  getDeliveryUpdates
+} from './deliveryEngine';
+import { getFlights } from './storage';
+import defaultFlights from './defaultFlights';
+import { flightKey, getTravellerSlots } from './roster';
+import { getInactiveLetterTripIds } from './trips';
+
+export { LETTER_STATUS, LETTER_PRIORITY };
+
+// Letters name flights by traveller slot; the simulation knows them as flightA, flightB, …
+const simulationId = flightKey;
 
 /**
  * Letter tracking and management system
@@ -32,16 +26,29 @@ class LetterTrackingSystem {
   constructor() {
     this.letters = new Map();
     this.listeners = new Set();
-    this.trackingInterval = null;
-    this.storageKey = 'flight_letters_data';
+    this.isTracking = false;
+    this.activeProcessing = null;
+    this.lettersChanged = false;
+    this.deliveryConfig = DEFAULT_DELIVERY_CONFIG;
+    this.flightSlots = [];
+    this.inactiveTrips = [];
+    // Bumped by cleanup, so an initialize still loading knows it was cancelled
+    this.generation = 0;
+    this.handleRepositoryChange = this.handleRepositoryChange.bind(this);
+    this.handleFlightUpdate = this.handleFlightUpdate.bind(this);
   }
 
   /**
-   * Initialize the system by loading stored data
+   * Initialize the system by loading stored data; does nothing more if cleanup runs
+   * before the data has loaded
    */
   async initialize() {
+    const generation = this.generation;
     try {
       await this.loadFromStorage();
+      await this.loadFlights();
+      if (generation !== this.generation) return;
+      letterRepository.addListener(this.handleRepositoryChange);
       this.startTracking();
     } catch (error) {
       console.error('Failed to initialize letter tracking system:', error);
@@ -54,35 +61,25 @@ class LetterTrackingSystem {
    * @returns {string} Letter ID
    */
   async createLetter(letterData) {
-    const letterId = this.generateId();
-    const letter = {
-      id: letterId,
+    const letter = await letterRepository.create({
       text: letterData.text || '',
-      recipientFlight: letterData.recipientFlight,
-      senderFlight: letterData.senderFlight,
+      toFlight: letterData.toFlight || letterData.recipientFlight,
+      fromFlight: letterData.fromFlight || letterData.senderFlight,
       priority: letterData.priority || LETTER_PRIORITY.NORMAL,
       status: LETTER_STATUS.DRAFT,
-      createdAt: new Date().toISOString(),
-      scheduledAt: letterData.scheduledAt,
-      deliveredAt: null,
-      readAt: null,
-      progress: 0,
-      currentPosition: null,
-      estimatedDelivery: null,
-      trackingHistory: [],
+      scheduledSendUTC: letterData.scheduledSendUTC || letterData.scheduledAt,
       metadata: {
         attachments: letterData.attachments || [],
         tags: letterData.tags || [],
         isEncrypted: letterData.isEncrypted || false,
         deliveryConfirmation: letterData.deliveryConfirmation || false
       }
-    };
+    });
 
-    this.letters.set(letterId, letter);
-    await this.saveToStorage();
+    this.letters.set(letter.id, letter);
     this.notifyListeners('letterCreated', letter);
 
-    return letterId;
+    return letter.id;
   }
 
   /**
@@ -94,14 +91,13 @@ class LetterTrackingSystem {
     const letter = this.letters.get(letterId);
     if (!letter) throw new Error('Letter not found');
 
-    letter.status = LETTER_STATUS.SCHEDULED;
-    letter.scheduledAt = scheduledTime.toISOString();
+    letter.scheduledSendUTC = scheduledTime.toISOString();
     letter.estimatedDelivery = this.calculateEstimatedDelivery(letter);
 
     this.addTrackingEntry(letter, 'Letter scheduled for delivery');
     
-    await this.saveToStorage();
-    this.notifyListeners('letterScheduled', letter);
+    await this.saveLetterState(letter, LETTER_STATUS.SCHEDULED);
+    this.notifyListeners('letterScheduled', this.getLetter(letterId));
   }
 
   /**
@@ -112,14 +108,14 @@ class LetterTrackingSystem {
     const letter = this.letters.get(letterId);
     if (!letter) throw new Error('Letter not found');
 
-    letter.status = LETTER_STATUS.IN_TRANSIT;
-    letter.progress = 0;
-    letter.currentPosition = this.getFlightPosition(letter.senderFlight);
+    letter.animationProgress = 0;
+    letter.currentPosition = this.getFlightPosition(letter.fromFlight);
+    letter.estimatedDelivery = this.calculateEstimatedDelivery(letter);
 
     this.addTrackingEntry(letter, 'Letter departed with flight');
     
-    await this.saveToStorage();
-    this.notifyListeners('letterInTransit', letter);
+    await this.saveLetterState(letter, LETTER_STATUS.IN_TRANSIT);
+    this.notifyListeners('letterInTransit', this.getLetter(letterId));
   }
 
   /**
@@ -132,22 +128,31 @@ class LetterTrackingSystem {
     const letter = this.letters.get(letterId);
     if (!letter || letter.status !== LETTER_STATUS.IN_TRANSIT) return;
 
-    const oldProgress = letter.progress;
-    letter.progress = Math.max(0, Math.min(1, progress));
+    const oldProgress = letter.animationProgress;
+    const nextProgress = Math.max(0, Math.min(1, progress));
+    const estimatedDelivery = this.calculateEstimatedDelivery(letter);
+    if (nextProgress === oldProgress &&
+        estimatedDelivery === letter.estimatedDelivery &&
+        JSON.stringify(position) === JSON.stringify(letter.currentPosition)) {
+      return;
+    }
+
+    letter.animationProgress = nextProgress;
     letter.currentPosition = position;
+    letter.estimatedDelivery = estimatedDelivery;
 
     // Add tracking entries for significant progress milestones
-    if (this.shouldAddTrackingEntry(oldProgress, letter.progress)) {
-      const milestone = this.getProgressMilestone(letter.progress);
+    if (this.shouldAddTrackingEntry(oldProgress, letter.animationProgress)) {
+      const milestone = this.getProgressMilestone(letter.animationProgress);
       this.addTrackingEntry(letter, `Letter ${milestone}`);
     }
 
     // Check if letter should be delivered
-    if (letter.progress >= 1) {
+    if (letter.animationProgress >= 1) {
       await this.deliverLetter(letterId);
     } else {
-      await this.saveToStorage();
-      this.notifyListeners('letterProgressUpdated', letter);
+      await this.saveLetterState(letter);
+      this.notifyListeners('letterProgressUpdated', this.getLetter(letterId));
     }
   }
 
@@ -159,15 +164,16 @@ class LetterTrackingSystem {
     const letter = this.letters.get(letterId);
     if (!letter) throw new Error('Letter not found');
 
-    letter.status = LETTER_STATUS.DELIVERED;
-    letter.deliveredAt = new Date().toISOString();
-    letter.progress = 1;
-    letter.currentPosition = this.getFlightPosition(letter.recipientFlight);
+    // Delivery time and place come from the engine, so every device records the same ones
+    Object.assign(letter, getDeliveryUpdates(this.getDeliveryState(letter)));
+    letter.animationProgress = 1;
 
-    this.addTrackingEntry(letter, 'Letter delivered successfully');
+    this.addTrackingEntry(letter, letter.deliveredOver?.city
+      ? `Letter delivered over ${letter.deliveredOver.city}`
+      : 'Letter delivered successfully');
     
-    await this.saveToStorage();
-    this.notifyListeners('letterDelivered', letter);
+    await this.saveLetterState(letter, LETTER_STATUS.DELIVERED);
+    this.notifyListeners('letterDelivered', this.getLetter(letterId));
   }
 
   /**
@@ -178,13 +184,10 @@ class LetterTrackingSystem {
     const letter = this.letters.get(letterId);
     if (!letter) throw new Error('Letter not found');
 
-    letter.status = LETTER_STATUS.READ;
-    letter.readAt = new Date().toISOString();
-
     this.addTrackingEntry(letter, 'Letter opened by recipient');
     
-    await this.saveToStorage();
-    this.notifyListeners('letterRead', letter);
+    await this.saveLetterState(letter, LETTER_STATUS.READ);
+    this.notifyListeners('letterRead', this.getLetter(letterId));
   }
 
   /**
@@ -196,7 +199,7 @@ class LetterTrackingSystem {
     if (!letter) throw new Error('Letter not found');
 
     this.letters.delete(letterId);
-    await this.saveToStorage();
+    await letterRepository.remove(letterId);
     this.notifyListeners('letterDeleted', letter);
   }
 
@@ -233,7 +236,7 @@ class LetterTrackingSystem {
    */
   getLettersByFlight(flightId) {
     return this.getAllLetters().filter(letter => 
-      letter.senderFlight === flightId || letter.recipientFlight === flightId
+      letter.fromFlight === flightId || letter.toFlight === flightId
     );
   }
 
@@ -255,71 +258,152 @@ class LetterTrackingSystem {
   }
 
   /**
-   * Process letter statuses and update accordingly
-   * @returns {Array} Updated letters array
+   * Process letter statuses and update accordingly.
+   * Flight updates arrive every second; a pass still running is shared, not repeated.
+   * @returns {Promise<Array>} Updated letters array
    */
-  async processLetterStatuses() {
-    const letters = this.getAllLetters();
+  processLetterStatuses() {
+    if (this.activeProcessing) return this.activeProcessing;
+
+    this.activeProcessing = this.runLetterProcessing().finally(() => {
+      this.activeProcessing = null;
+    });
+    return this.activeProcessing;
+  }
+
+  async runLetterProcessing() {
+    // Letters of trips that are put away wait until their trip is active again
+    const letters = this.getAllLetters().filter(letter => !this.inactiveTrips.includes(letter.tripId));
     const now = new Date();
+    this.lettersChanged = false;
 
     for (const letter of letters) {
       try {
         // Check if scheduled letters should start transit
-        if (letter.status === LETTER_STATUS.SCHEDULED) {
-          const scheduledTime = new Date(letter.scheduledAt);
-          if (now >= scheduledTime) {
-            await this.startTransit(letter.id);
-          }
+        if (letter.status === LETTER_STATUS.SCHEDULED &&
+            this.getDeliveryState(letter, now).status !== LETTER_STATUS.SCHEDULED) {
+          await this.startTransit(letter.id);
         }
 
         // Update in-transit letters
-        if (letter.status === LETTER_STATUS.IN_TRANSIT) {
-          const flightProgress = this.getFlightProgress(letter.senderFlight, letter.recipientFlight);
-          if (flightProgress !== null) {
-            const position = this.interpolateLetterPosition(letter, flightProgress);
-            await this.updateLetterProgress(letter.id, flightProgress, position);
-          }
+        const current = this.getLetter(letter.id);
+        if (current && current.status === LETTER_STATUS.IN_TRANSIT) {
+          const state = this.getDeliveryState(current, now);
+          await this.updateLetterProgress(current.id, state.progress, state.position);
         }
       } catch (error) {
         console.error(`Error processing letter ${letter.id}:`, error);
+        const failing = this.getLetter(letter.id);
+        if (!failing) continue;
+
+        failing.errorCount = (failing.errorCount || 0) + 1;
         // Mark letter as failed if too many errors
-        if (letter.errorCount > 3) {
-          letter.status = LETTER_STATUS.FAILED;
-          this.addTrackingEntry(letter, 'Delivery failed due to system errors');
+        if (failing.errorCount > 3) {
+          this.addTrackingEntry(failing, 'Delivery failed due to system errors');
+          await this.saveLetterState(failing, LETTER_STATUS.FAILED);
+        } else {
+          await this.saveLetterState(failing);
         }
-        letter.errorCount = (letter.errorCount || 0) + 1;
       }
     }
 
-    await this.saveToStorage();
+    if (this.lettersChanged) this.notifyListeners('lettersChanged', this.getAllLetters());
     return this.getAllLetters();
   }
 
   /**
-   * Start tracking system
+   * Start tracking system: letters move on every flight simulation update
    */
   startTracking() {
-    if (this.trackingInterval) return;
+    if (this.isTracking) return;
 
-    this.trackingInterval = setInterval(async () => {
-      try {
-        await this.processLetterStatuses();
-      } catch (error) {
-        console.error('Error in letter tracking interval:', error);
-      }
-    }, 2000); // Update every 2 seconds
+    this.isTracking = true;
+    flightSimulation.addListener(this.handleFlightUpdate);
+    flightSimulation.start();
   }
 
   /**
    * Stop tracking system
    */
   stopTracking() {
-    if (this.trackingInterval) {
-      clearInterval(this.trackingInterval);
-      this.trackingInterval = null;
+    if (!this.isTracking) return;
+
+    this.isTracking = false;
+    flightSimulation.removeListener(this.handleFlightUpdate);
+    flightSimulation.stop();
+  }
+
+  /**
+   * Advance letters whenever the simulation moves the flights
+   * @param {string} event - Flight simulation event type
+   */
+  handleFlightUpdate(event) {
+    if (event !== 'flightsUpdated') return;
+
+    this.processLetterStatuses().catch(error => {
+      console.error('Error in letter tracking update:', error);
+    });
+  }
+
+  /**
+   * Put the saved flights into the flight simulation and pick up the delivery rule.
+   * Call again after the flights, the rule or the active trip change.
+   */
+  async loadFlights() {
+    try {
+      const [saved, config, inactiveTrips] = await Promise.all([
+        getFlights(),
+        getDeliveryConfig(),
+        getInactiveLetterTripIds()
+      ]);
+      const flights = saved || defaultFlights;
+      const slots = getTravellerSlots(flights);
+      this.deliveryConfig = config;
+      this.inactiveTrips = inactiveTrips;
+
+      // Travellers taken off the roster leave the simulation
+      this.flightSlots
+        .filter(slot => !slots.includes(slot))
+        .forEach(slot => flightSimulation.removeFlight(simulationId(slot)));
+      this.flightSlots = slots;
+
+      slots.forEach(slot => {
+        const flight = flights[simulationId(slot)];
+        flightSimulation.addFlight({
+          ...flight,
+          id: simulationId(slot),
+          slot,
+          route: getFlightRoute(flight)
+        });
+      });
+
+      // Positions are filled in by an update; do one now rather than on the next tick
+      flightSimulation.updateFlights();
+    } catch (error) {
+      console.error('Failed to load flights for letter tracking:', error);
     }
   }
 
+  /**
+   * Flights as currently simulated, keyed like saved flights
+   * @returns {Object} { flightA, flightB, … }
+   */
+  getSimulatedFlights() {
+    return Object.fromEntries(
+      this.flightSlots.map(slot => [simulationId(slot), flightSimulation.getFlight(simulationId(slot))])
+    );
+  }
+
+  /**
+   * Where a letter should be, from the simulated flights and its delivery rule
+   * @param {Object} letter - Letter object
+   * @param {Date} now - Current time
+   * @returns {Object} Delivery state ({ status, progress, position, eta, ... })
+   */
+  getDeliveryState(letter, now = new Date()) {
+    return getLetterDeliveryState(letter, this.getSimulatedFlights(), now, this.deliveryConfig);
+  }
+
   /**
    * Add tracking entry to letter history
    * @param {Object} letter - Letter object
@@ -330,7 +414,7 @@ class LetterTrackingSystem {
       timestamp: new Date().toISOString(),
       message,
       position: letter.currentPosition ? { ...letter.currentPosition } : null,
-      progress: letter.progress
+      progress: letter.animationProgress
     });
 
     // Keep only last 50 entries to prevent memory bloat
@@ -345,52 +429,18 @@ class LetterTrackingSystem {
    * @returns {string} Estimated delivery time
    */
   calculateEstimatedDelivery(letter) {
-    // Mock calculation - in real app, use flight data
-    const now = new Date();
-    const deliveryTime = new Date(now.getTime() + (Math.random() * 3 + 1) * 60 * 60 * 1000);
-    return deliveryTime.toISOString();
+    return this.getDeliveryState(letter).eta;
   }
 
   /**
-   * Get flight position (mock implementation)
-   * @param {string} flightId - Flight ID
+   * Get the current position of a traveller's flight from the simulation
+   * @param {string} flightId - Traveller slot ('A', 'B', …)
    * @returns {Object|null} Flight position
    */
   getFlightPosition(flightId) {
-    // Mock implementation - in real app, integrate with flight tracking
-    return {
-      latitude: 12.9716 + Math.random() * 10,
-      longitude: 77.5946 + Math.random() * 10
-    };
-  }
-
-  /**
-   * Get flight progress (mock implementation)
-   * @param {string} senderFlightId - Sender flight ID
-   * @param {string} recipientFlightId - Recipient flight ID
-   * @returns {number|null} Flight progress (0-1)
-   */
-  getFlightProgress(senderFlightId, recipientFlightId) {
-    // Mock implementation - return random progress
-    return Math.min(1, Math.random() * 1.2);
-  }
-
-  /**
-   * Interpolate letter position between flights
-   * @param {Object} letter - Letter object
-   * @param {number} progress - Flight progress
-   * @returns {Object} Letter position
-   */
-  interpolateLetterPosition(letter, progress) {
-    const senderPos = this.getFlightPosition(letter.senderFlight);
-    const recipientPos = this.getFlightPosition(letter.recipientFlight);
-
-    if (!senderPos || !recipientPos) return null;
-
-    return {
-      latitude: senderPos.latitude + (recipientPos.latitude - senderPos.latitude) * progress,
-      longitude: senderPos.longitude + (recipientPos.longitude - senderPos.longitude) * progress
-    };
+    const flight = flightSimulation.getFlight(simulationId(flightId));
+    if (!flight) return null;
+    return flight.currentPosition || flightSimulation.interpolatePosition(flight.route, flight.progress);
   }
 
   /**
@@ -420,43 +470,66 @@ class LetterTrackingSystem {
   }
 
   /**
-   * Generate unique ID
-   * @returns {string} Unique identifier
-   */
-  generateId() {
-    return `letter_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
-
-  /**
-   * Save data to storage
+   * Persist a letter through the repository, optionally changing its status
+   * @param {Object} letter - Letter object with local changes
+   * @param {string} status - Target status (omit to keep the current one)
    */
-  async saveToStorage() {
+  async saveLetterState(letter, status) {
+    const { id, ...fields } = letter;
+    delete fields.status;
+    delete fields.statusHistory; // Owned by the state machine
+    // The tracking entry added just before a status change explains it
+    const reason = letter.trackingHistory[letter.trackingHistory.length - 1]?.message;
     try {
-      const data = {
-        letters: Array.from(this.letters.entries()),
-        lastUpdated: new Date().toISOString()
-      };
-      await AsyncStorage.setItem(this.storageKey, JSON.stringify(data));
+      const saved = status
+        ? await letterRepository.transition(id, status, fields, { source: 'tracking', reason })
+        : await letterRepository.update(id, fields);
+      if (saved) this.letters.set(id, saved);
     } catch (error) {
-      console.error('Failed to save letters to storage:', error);
+      console.error('Failed to save letter to repository:', error);
+      throw error;
     }
   }
 
   /**
-   * Load data from storage
+   * Load data from the letter repository
    */
   async loadFromStorage() {
     try {
-      const data = await AsyncStorage.getItem(this.storageKey);
-      if (data) {
-        const parsed = JSON.parse(data);
-        this.letters = new Map(parsed.letters || []);
-      }
+      const letters = await letterRepository.getAll();
+      this.letters = new Map(letters.map(letter => [letter.id, letter]));
     } catch (error) {
       console.error('Failed to load letters from storage:', error);
     }
   }
 
+  /**
+   * Keep the in-memory cache in step with writes made by other modules.
+   * Listeners hear 'lettersChanged' once per processing pass, or right away
+   * for changes made while no pass is running (sync, compose, read).
+   * @param {string} event - Repository event type
+   * @param {*} data - Event data
+   */
+  handleRepositoryChange(event, data) {
+    if (event === 'letterCreated' || event === 'letterUpdated') {
+      this.letters.set(data.id, data);
+    } else if (event === 'letterDeleted') {
+      this.letters.delete(data.id);
+    } else if (event === 'lettersChanged') {
+      this.letters = new Map(data.map(letter => [letter.id, letter]));
+    } else if (event === 'lettersCleared') {
+      this.letters.clear();
+    } else {
+      return;
+    }
+
+    if (this.activeProcessing) {
+      this.lettersChanged = true;
+    } else {
+      this.notifyListeners('lettersChanged', this.getAllLetters());
+    }
+  }
+
   /**
    * Add event listener
    * @param {Function} listener - Event listener function
@@ -522,11 +595,11 @@ class LetterTrackingSystem {
    * @returns {number} Average delivery time in minutes
    */
   calculateAverageDeliveryTime(letters) {
-    const deliveredLetters = letters.filter(l => l.deliveredAt && l.scheduledAt);
+    const deliveredLetters = letters.filter(l => l.deliveredAt && l.scheduledSendUTC);
     if (deliveredLetters.length === 0) return 0;
 
     const totalTime = deliveredLetters.reduce((sum, letter) => {
-      const scheduled = new Date(letter.scheduledAt);
+      const scheduled = new Date(letter.scheduledSendUTC);
       const delivered = new Date(letter.deliveredAt);
       return sum + (delivered - scheduled);
     }, 0);
@@ -554,7 +627,9 @@ class LetterTrackingSystem {
    * Cleanup resources
    */
   cleanup() {
+    this.generation++;
     this.stopTracking();
+    letterRepository.removeListener(this.handleRepositoryChange);
     this.letters.clear();
     this.listeners.clear();
   }
@@ -563,10 +638,5 @@ class LetterTrackingSystem {
 // Singleton instance
 const letterTrackingSystem = new LetterTrackingSystem();
 
-// Export functions for compatibility with existing code
-export const processLetterStatuses = () => letterTrackingSystem.processLetterStatuses();
-export const getLetters = () => letterTrackingSystem.getAllLetters();
-export const markLetterAsRead = (letterId) => letterTrackingSystem.markLetterAsRead(letterId);
-
 export default letterTrackingSystem;
 export { LetterTrackingSystem };
\ No newline at end of file
@@ -4,6 +4,10 @@ import { DateTime } from 'luxon';
 import { Platform } from 'react-native';
 import * as FileSystem from 'expo-file-system';
 import * as MediaLibrary from 'expo-media-library';
+import { flightKey } from './roster';
+import { getCurrentUser, getFlights } from './storage';
+import defaultFlights from './defaultFlights';
+import { DEFAULT_TRIP_POLICY, getTripPolicy, getMovieStartTime } from './tripPolicy';
 
 // Safely import notifications and constants with fallback
 let Notifications = null;
@@ -245,31 +249,19 @@ export async function getMovieSource() {
   }
 }
 
-// Check if letter sending window has expired (movie can be played)
+// When the movie starts for this traveller, from their flight and the trip policy
+async function getMyMovieStartTime() {
+  const [currentUser, saved, policy] = await Promise.all([getCurrentUser(), getFlights(), getTripPolicy()]);
+  const flights = saved || defaultFlights;
+  return getMovieStartTime(flights[flightKey(currentUser)] || flights.flightA, policy);
+}
+
+// Check if the movie has started for this traveller (movie can be played)
 export async function canPlayMovie() {
   try {
-    // Get current flight data
-    const currentUser = await AsyncStorage.getItem('@airletters_current_user');
-    const flightData = await AsyncStorage.getItem('@airletters_flight_data');
-    
-    if (!flightData) {
-      // No flight data, allow movie playback
-      return true;
-    }
-
-    const flights = JSON.parse(flightData);
-    const userFlight = currentUser === 'B' ? flights.flightB : flights.flightA;
-    
-    if (!userFlight || !userFlight.departureUTC) {
-      return true;
-    }
-
-    const now = DateTime.utc();
-    const flightStart = DateTime.fromISO(userFlight.departureUTC, { zone: 'utc' });
-    const letterWindowEnd = flightStart.plus({ minutes: 1 }); // 1 minute window for testing
-    
-    // Movie can be played after letter window expires
-    return now > letterWindowEnd;
+    const movieStart = await getMyMovieStartTime();
+    // Without a departure time there is nothing to wait for
+    return !movieStart || DateTime.utc() >= movieStart;
   } catch (error) {
     console.warn('🎬 Error checking movie availability:', error);
     // Default to allowing movie playback if there's an error
@@ -280,29 +272,9 @@ export async function canPlayMovie() {
 // Get time remaining until movie can be played
 export async function getTimeUntilMovieAvailable() {
   try {
-    const currentUser = await AsyncStorage.getItem('@airletters_current_user');
-    const flightData = await AsyncStorage.getItem('@airletters_flight_data');
-    
-    if (!flightData) {
-      return 0; // No flight data, movie available now
-    }
-
-    const flights = JSON.parse(flightData);
-    const userFlight = currentUser === 'B' ? flights.flightB : flights.flightA;
-    
-    if (!userFlight || !userFlight.departureUTC) {
-      return 0;
-    }
-
-    const now = DateTime.utc();
-    const flightStart = DateTime.fromISO(userFlight.departureUTC, { zone: 'utc' });
-    const letterWindowEnd = flightStart.plus({ minutes: 1 }); // 1 minute window for testing
-    
-    if (now > letterWindowEnd) {
-      return 0; // Movie available now
-    }
-
-    return letterWindowEnd.diff(now, 'milliseconds').milliseconds;
+    const movieStart = await getMyMovieStartTime();
+    if (!movieStart) return 0;
+    return Math.max(0, movieStart.diff(DateTime.utc(), 'milliseconds').milliseconds);
   } catch (error) {
     console.warn('🎬 Error calculating time until movie:', error);
     return 0;
@@ -377,8 +349,8 @@ export function isMovieDownloaded(movieId) {
   return true; // All movies are always "downloaded" since they're local assets
 }
 
-// Calculate movie start time (45 minutes after departure) with timezone handling
-export function calculateMovieStartTime(flightDepartureUTC) {
+// Calculate movie start time (the trip policy's offset after departure) with timezone handling
+export function calculateMovieStartTime(flightDepartureUTC, offsetMinutes = DEFAULT_TRIP_POLICY.movieStartOffsetMinutes) {
   try {
     const departureTime = DateTime.fromISO(flightDepartureUTC, { zone: 'utc' });
     
@@ -388,7 +360,7 @@ export function calculateMovieStartTime(flightDepartureUTC) {
       return DateTime.utc().plus({ minutes: 5 });
     }
     
-    const movieStartTime = departureTime.plus({ minutes: 45 });
+    const movieStartTime = departureTime.plus({ minutes: offsetMinutes });
     console.log(`🎬 Movie start time calculated: ${movieStartTime.toISO()}`);
     
     return movieStartTime;
@@ -553,6 +525,30 @@ export async function cancelMovieNotification() {
   }
 }
 
+// Show a notification right away; never prompts, so it is safe from background tasks
+export async function presentLocalNotification({ title, body, data = {} }) {
+  try {
+    if (!Notifications) return null;
+
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') return null;
+
+    return await Notifications.scheduleNotificationAsync({
+      content: {
+        title,
+        body,
+        sound: true,
+        data,
+        priority: Notifications.AndroidNotificationPriority.HIGH,
+      },
+      trigger: null,
+    });
+  } catch (error) {
+    console.warn('📱 Failed to show notification:', error.message);
+    return null;
+  }
+}
+
 // Enhanced manual reminder system
 export async function checkMovieStartReminder() {
   try {
@@ -0,0 +1,195 @@
+// src/lib/peerExchange.js
+// Direct device-to-device exchange before boarding, no server involved.
+// One phone exports an exchange file and sends it through the share sheet
+// (AirDrop, Nearby Share, Bluetooth); the other imports it with the document picker.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import letterRepository, { normalizeLetter } from './letterRepository';
+import { getOrCreateDeviceId, recordConflicts } from './syncManager';
+import { mergeLetterSets } from './letterMerge';
+import { getCurrentUser, getFlights, saveFlights, getActiveTripId } from './storage';
+import letterTrackingSystem from './letterTracking';
+import { flightKey, getTravellerSlots, pickFlights } from './roster';
+
+const PEERS_KEY = '@airletters_peers';
+
+export const EXCHANGE_FORMAT = 'airletters-exchange';
+export const EXCHANGE_VERSION = 1;
+
+/**
+ * Build the payload this device hands to the other traveller
+ * @returns {Promise<Object>} Exchange payload
+ */
+export async function buildExchangePayload() {
+  const [deviceId, user, flights, tripId] = await Promise.all([
+    getOrCreateDeviceId(),
+    getCurrentUser(),
+    getFlights(),
+    getActiveTripId()
+  ]);
+  const [letters, tombstones] = await Promise.all([
+    letterRepository.getAll(),
+    letterRepository.getTombstones()
+  ]);
+
+  return {
+    format: EXCHANGE_FORMAT,
+    version: EXCHANGE_VERSION,
+    createdAt: new Date().toISOString(),
+    deviceId,
+    user,
+    tripId,
+    flights: flights ? pickFlights(flights) : null,
+    // Only letters this traveller wrote; the peer already owns its own
+    letters: letters.filter(l => l.fromFlight === user),
+    tombstones
+  };
+}
+
+/**
+ * Check that a parsed object is an exchange payload we understand
+ * @param {Object} payload - Parsed payload
+ * @throws {Error} If the payload is invalid
+ */
+export function validateExchangePayload(payload) {
+  if (!payload || payload.format !== EXCHANGE_FORMAT) {
+    throw new Error('This file is not an AirLetters exchange file');
+  }
+  if (payload.version > EXCHANGE_VERSION) {
+    throw new Error('This exchange file was created by a newer version of AirLetters');
+  }
+  if (!payload.deviceId || !Array.isArray(payload.letters)) {
+    throw new Error('The exchange file is incomplete');
+  }
+}
+
+/**
+ * Get travellers this device has exchanged with
+ * @returns {Promise<Array>} Peer records
+ */
+export async function getPeers() {
+  try {
+    const raw = await AsyncStorage.getItem(PEERS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.warn('Failed to get peers:', error);
+    return [];
+  }
+}
+
+async function savePeer(peer) {
+  const peers = await getPeers();
+  const others = peers.filter(p => p.deviceId !== peer.deviceId);
+  await AsyncStorage.setItem(PEERS_KEY, JSON.stringify([...others, peer]));
+}
+
+/**
+ * Take the peer's own flight from their plan, plus travellers we have not heard of;
+ * adopt the whole plan if we have none
+ * @param {Object} payload - Validated exchange payload
+ * @returns {Promise<boolean>} True if the saved flights changed
+ */
+async function mergePeerFlights(payload) {
+  if (!payload.flights) return false;
+
+  const current = await getFlights();
+  if (!current) {
+    await saveFlights(payload.flights);
+    return true;
+  }
+
+  const known = getTravellerSlots(current);
+  const next = { ...pickFlights(current) };
+  getTravellerSlots(payload.flights)
+    .filter(slot => slot === payload.user || !known.includes(slot))
+    .forEach(slot => { next[flightKey(slot)] = payload.flights[flightKey(slot)]; });
+  if (JSON.stringify(next) === JSON.stringify(pickFlights(current))) return false;
+
+  await saveFlights(next);
+  return true;
+}
+
+/**
+ * Merge a peer's payload into local data
+ * @param {Object} payload - Exchange payload from the other device
+ * @returns {Promise<Object>} Summary { peer, newLetters, updatedLetters, flightsUpdated, conflicts }
+ */
+export async function applyExchangePayload(payload) {
+  validateExchangePayload(payload);
+
+  const localDeviceId = await getOrCreateDeviceId();
+  if (payload.deviceId === localDeviceId) {
+    throw new Error('This exchange file came from this phone');
+  }
+
+  const incoming = payload.letters.map(normalizeLetter);
+  const before = new Map((await letterRepository.getAll()).map(l => [l.id, l]));
+  const result = await letterRepository.applyMerge((letters, tombstones) =>
+    mergeLetterSets(letters, incoming, {
+      localTombstones: tombstones,
+      remoteTombstones: payload.tombstones || []
+    })
+  );
+  const merged = result.letters;
+  await recordConflicts(result.conflicts, 'peer');
+
+  const newLetters = merged.filter(l => !before.has(l.id)).length;
+  const updatedLetters = merged.filter(l =>
+    before.has(l.id) && JSON.stringify(before.get(l.id)) !== JSON.stringify(l)
+  ).length;
+  const flightsUpdated = await mergePeerFlights(payload);
+  if (flightsUpdated) await letterTrackingSystem.loadFlights();
+
+  const peer = {
+    deviceId: payload.deviceId,
+    user: payload.user,
+    tripId: payload.tripId || null,
+    exchangedAt: new Date().toISOString()
+  };
+  await savePeer(peer);
+
+  return { peer, newLetters, updatedLetters, flightsUpdated, conflicts: result.conflicts.length };
+}
+
+/**
+ * Write the exchange file and open the share sheet
+ * @returns {Promise<boolean>} True if the share sheet was shown
+ */
+export async function shareExchangeFile() {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const payload = await buildExchangePayload();
+  const uri = `${FileSystem.cacheDirectory}airletters_exchange_user${payload.user}.json`;
+  await FileSystem.writeAsStringAsync(uri, JSON.stringify(payload));
+
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Send to your fellow traveller'
+  });
+  return true;
+}
+
+/**
+ * Pick an exchange file received from the other phone and merge it
+ * @returns {Promise<Object|null>} Merge summary, or null if cancelled
+ */
+export async function importExchangeFile() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', '*/*'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || !result.assets[0]) return null;
+
+  const raw = await FileSystem.readAsStringAsync(result.assets[0].uri);
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    throw new Error('This file is not an AirLetters exchange file');
+  }
+  return applyExchangePayload(payload);
+}
@@ -0,0 +1,84 @@
+// src/lib/roster.js
+// Who is travelling and on which flight. Each traveller has a slot letter (A, B, C, …)
+// and the saved flights keep one entry per slot as `flight<slot>`, so delivery, sync and
+// the flight simulation find any traveller's flight the same way. Travellers sharing a
+// plane each have their own slot with the same flight.
+
+export const MAX_TRAVELLERS = 8;
+export const MIN_TRAVELLERS = 2;
+
+const SLOTS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const FLIGHT_KEY_PATTERN = /^flight([A-H])$/;
+
+// Key of a traveller's flight in the saved flights, e.g. 'flightC'
+export const flightKey = (slot) => `flight${slot}`;
+
+// Position of a slot in the roster order, for per-traveller colours
+export const slotIndex = (slot) => Math.max(0, SLOTS.indexOf(slot));
+
+/**
+ * Slots that have a flight, in order
+ * @param {Object} flights - Saved flights ({ flightA, flightB, … })
+ * @returns {Array} Slots, e.g. ['A', 'B', 'C']
+ */
+export function getTravellerSlots(flights) {
+  if (!flights) return [];
+  return Object.keys(flights)
+    .map(key => FLIGHT_KEY_PATTERN.exec(key))
+    .filter(match => match && flights[match[0]])
+    .map(match => match[1])
+    .sort();
+}
+
+/**
+ * Only the flights from a saved flights object, without savedAt and the like
+ * @param {Object} flights - Saved flights
+ * @returns {Object} { flightA, flightB, … }
+ */
+export function pickFlights(flights) {
+  return Object.fromEntries(getTravellerSlots(flights).map(slot => [flightKey(slot), flights[flightKey(slot)]]));
+}
+
+/**
+ * Name a traveller goes by: the name entered with their flight, or 'User <slot>'
+ * @param {Object} flights - Saved flights
+ * @param {string} slot - Traveller slot
+ * @returns {string} Name
+ */
+export function getTravellerName(flights, slot) {
+  const name = flights?.[flightKey(slot)]?.traveller;
+  return name && name.trim() ? name.trim() : `User ${slot}`;
+}
+
+/**
+ * Everyone travelling
+ * @param {Object} flights - Saved flights
+ * @returns {Array} [{ slot, name, flight }]
+ */
+export function getRoster(flights) {
+  return getTravellerSlots(flights).map(slot => ({
+    slot,
+    name: getTravellerName(flights, slot),
+    flight: flights[flightKey(slot)]
+  }));
+}
+
+/**
+ * Travellers a letter from this one can go to
+ * @param {Object} flights - Saved flights
+ * @param {string} slot - Sending traveller
+ * @returns {Array} [{ slot, name, flight }]
+ */
+export function getRecipients(flights, slot) {
+  return getRoster(flights).filter(traveller => traveller.slot !== slot);
+}
+
+/**
+ * First free slot for a new traveller
+ * @param {Object} flights - Saved flights
+ * @returns {string|null} Slot, or null when the roster is full
+ */
+export function nextTravellerSlot(flights) {
+  const used = getTravellerSlots(flights);
+  return SLOTS.find(slot => !used.includes(slot)) || null;
+}
@@ -0,0 +1,55 @@
+// src/lib/routeBuilder.js
+// Great-circle routes between any two airports in the bundled database, so every
+// screen and the flight simulation draw and move along the same path.
+import { calculateDistance, intermediatePoint } from '../utils/mapUtils';
+import { findAirport, formatAirportLabel } from './airports';
+
+// One waypoint roughly every 100 km keeps long-haul arcs smooth on the map
+const ROUTE_SEGMENT_KM = 100;
+const MAX_ROUTE_SEGMENTS = 64;
+
+// Routes are pure functions of the two airports, so each pair is built once
+const routeCache = new Map();
+
+const round = (value, places) => Number(value.toFixed(places));
+
+/**
+ * Great-circle waypoints between two airports. The endpoints carry the airport
+ * label so the map can mark them.
+ * @param {Object} origin - Departure airport
+ * @param {Object} destination - Arrival airport
+ * @returns {Array|null} Waypoints ({ latitude, longitude, name? }), or null without both airports
+ */
+export function buildAirportRoute(origin, destination) {
+  if (!origin || !destination) return null;
+
+  const key = `${origin.iata}_${destination.iata}`;
+  if (routeCache.has(key)) return routeCache.get(key);
+
+  const start = { latitude: origin.lat, longitude: origin.lon };
+  const end = { latitude: destination.lat, longitude: destination.lon };
+  const distanceKm = calculateDistance(start, end);
+  const segments = Math.max(1, Math.min(MAX_ROUTE_SEGMENTS, Math.ceil(distanceKm / ROUTE_SEGMENT_KM)));
+
+  const route = [];
+  for (let i = 0; i <= segments; i++) {
+    const point = intermediatePoint(start, end, i / segments);
+    route.push({ latitude: round(point.latitude, 5), longitude: round(point.longitude, 5) });
+  }
+  route[0] = { ...start, name: formatAirportLabel(origin) };
+  route[segments] = { ...end, name: formatAirportLabel(destination) };
+
+  routeCache.set(key, route);
+  return route;
+}
+
+/**
+ * Great-circle waypoints between two airport labels or codes
+ * @param {string} from - e.g. 'Bengaluru (BLR – T1)' or 'BLR'
+ * @param {string} to - e.g. 'Chandigarh (IXC)' or 'IXC'
+ * @returns {Array|null} Waypoints, or null if either airport is unknown
+ */
+export function buildRoute(from, to) {
+  return buildAirportRoute(findAirport(from), findAirport(to));
+}
+
@@ -0,0 +1,168 @@
+// src/lib/sendSchedule.js
+// When a letter leaves: straight away, at a moment of one traveller's flight (takeoff,
+// reaching cruising altitude, passing over a city, landing) or at a set time. The moment
+// is worked out from the flight's schedule and route when the letter is scheduled, and
+// again whenever the flights are saved (see storage.saveFlights); the letter waits as
+// scheduled until then.
+import { DateTime } from 'luxon';
+import { calculateDistance } from '../utils/mapUtils';
+import { getFlightPositionAt } from './flightPaths';
+import { flightKey, getTravellerName } from './roster';
+import { citiesData } from '../data/citiesData';
+
+export const SEND_TRIGGER = {
+  NOW: 'now',
+  TAKEOFF: 'takeoff',
+  CRUISING: 'cruising',
+  OVER_CITY: 'over_city',
+  LANDING: 'landing',
+  AT_TIME: 'at_time'
+};
+
+export const SEND_TRIGGER_LABELS = {
+  [SEND_TRIGGER.NOW]: 'Now',
+  [SEND_TRIGGER.TAKEOFF]: 'At takeoff',
+  [SEND_TRIGGER.CRUISING]: 'At cruising altitude',
+  [SEND_TRIGGER.OVER_CITY]: 'Over a city',
+  [SEND_TRIGGER.LANDING]: 'At landing',
+  [SEND_TRIGGER.AT_TIME]: 'At a set time'
+};
+
+// Triggers that follow a traveller's flight
+export const FLIGHT_TRIGGERS = [
+  SEND_TRIGGER.TAKEOFF,
+  SEND_TRIGGER.CRUISING,
+  SEND_TRIGGER.OVER_CITY,
+  SEND_TRIGGER.LANDING
+];
+
+// Share of the flight spent climbing, as in flightSimulation.calculateAltitude
+const CLIMB_SHARE = 0.15;
+// Cities further than this from the route are not offered
+const CITY_RANGE_KM = 150;
+// Same coarse scan and narrowing search as closestApproach.js
+const PASS_SAMPLES = 120;
+const PASS_REFINE_STEPS = 30;
+
+const toMillis = (value) => new Date(value).getTime();
+
+/**
+ * Moment a flight passes nearest a city
+ * @param {Object} flight - Flight
+ * @param {Object} city - { name, lat, lon } from citiesData
+ * @returns {Object|null} { time, distanceKm }, or null if the route is unknown
+ */
+export function findCityPassage(flight, city) {
+  const start = toMillis(flight?.departureUTC);
+  const end = toMillis(flight?.arrivalUTC);
+  if (!(end > start)) return null;
+
+  const point = { latitude: city.lat, longitude: city.lon };
+  const distanceAt = (time) => {
+    const position = getFlightPositionAt(flight, time);
+    return position ? calculateDistance(position, point) : null;
+  };
+  if (distanceAt(start) === null) return null;
+
+  const step = (end - start) / PASS_SAMPLES;
+  let best = start;
+  let bestDistance = distanceAt(start);
+  for (let i = 1; i <= PASS_SAMPLES; i++) {
+    const distance = distanceAt(start + step * i);
+    if (distance < bestDistance) {
+      best = start + step * i;
+      bestDistance = distance;
+    }
+  }
+
+  let low = Math.max(start, best - step);
+  let high = Math.min(end, best + step);
+  for (let i = 0; i < PASS_REFINE_STEPS; i++) {
+    const left = low + (high - low) / 3;
+    const right = high - (high - low) / 3;
+    if (distanceAt(left) <= distanceAt(right)) {
+      high = right;
+    } else {
+      low = left;
+    }
+  }
+
+  // Whole seconds, so the time survives a round trip through ISO strings unchanged
+  const time = Math.round((low + high) / 2000) * 1000;
+  return { time, distanceKm: Number(distanceAt(time).toFixed(1)) };
+}
+
+/**
+ * Cities a flight passes over, in the order it reaches them
+ * @param {Object} flight - Flight
+ * @returns {Array} [{ name, time, distanceKm }]
+ */
+export function getCitiesOnRoute(flight) {
+  if (!flight) return [];
+  return citiesData
+    .map(city => ({ name: city.name, ...findCityPassage(flight, city) }))
+    .filter(passage => passage.time && passage.distanceKm <= CITY_RANGE_KM)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * When a trigger fires
+ * @param {Object} trigger - { type, slot, city, at }; slot is the traveller whose flight it follows
+ * @param {Object} flights - Saved flights ({ flightA, flightB, … })
+ * @param {number} now - Current time in milliseconds, used for SEND_TRIGGER.NOW
+ * @returns {number|null} Send time in milliseconds, or null if it can't be worked out
+ */
+export function resolveSendTime(trigger, flights, now = Date.now()) {
+  if (!trigger || trigger.type === SEND_TRIGGER.NOW) return now;
+  if (trigger.type === SEND_TRIGGER.AT_TIME) {
+    const at = toMillis(trigger.at);
+    return Number.isNaN(at) ? null : at;
+  }
+
+  const flight = flights?.[flightKey(trigger.slot)];
+  const departure = toMillis(flight?.departureUTC);
+  const arrival = toMillis(flight?.arrivalUTC);
+  if (Number.isNaN(departure) || Number.isNaN(arrival)) return null;
+
+  switch (trigger.type) {
+    case SEND_TRIGGER.TAKEOFF:
+      return departure;
+    case SEND_TRIGGER.CRUISING:
+      return Math.round(departure + (arrival - departure) * CLIMB_SHARE);
+    case SEND_TRIGGER.LANDING:
+      return arrival;
+    case SEND_TRIGGER.OVER_CITY: {
+      const city = citiesData.find(c => c.name === trigger.city);
+      return city ? findCityPassage(flight, city)?.time ?? null : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Send time for the composer and the picker
+ * @param {number} millis - Send time in milliseconds
+ * @returns {string} e.g. "14:30, 3 Nov"
+ */
+export function formatSendTime(millis) {
+  return DateTime.fromMillis(millis).toFormat('HH:mm, d LLL');
+}
+
+/**
+ * Trigger summary for the letter list and the picker
+ * @param {Object} trigger - Send trigger
+ * @param {Object} flights - Saved flights
+ * @returns {string} e.g. "Over Delhi (Asha's flight)" or "At 14:30, 3 Nov"
+ */
+export function describeSendTrigger(trigger, flights) {
+  if (!trigger || trigger.type === SEND_TRIGGER.NOW) return SEND_TRIGGER_LABELS[SEND_TRIGGER.NOW];
+  if (trigger.type === SEND_TRIGGER.AT_TIME) {
+    return `At ${formatSendTime(toMillis(trigger.at))}`;
+  }
+
+  const event = trigger.type === SEND_TRIGGER.OVER_CITY
+    ? `Over ${trigger.city}`
+    : SEND_TRIGGER_LABELS[trigger.type];
+  return `${event} (${getTravellerName(flights, trigger.slot)}'s flight)`;
+}
@@ -1,18 +1,15 @@
 // src/lib/storage.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import letterRepository, { LETTER_STATUS } from './letterRepository';
+import defaultFlights from './defaultFlights';
+import { getRecipients, pickFlights } from './roster';
+import { SEND_TRIGGER, FLIGHT_TRIGGERS, resolveSendTime } from './sendSchedule';
+import { normalizeDocument, toPlainText } from './letterDocument';
+import { normalizeAttachments, getLetterAttachments, deleteAttachment } from './letterAttachments';
+import { ACTIVE_TRIP_KEY, FLIGHTS_KEY } from './storageKeys';
 
-const LETTERS_KEY = '@airletters_letters';
-const FLIGHTS_KEY = '@airletters_flights';
 const USER_SELECTION_KEY = '@airletters_user_selection';
 
-// Letter status progression: scheduled -> in_transit -> delivered -> read
-export const LETTER_STATUS = {
-  SCHEDULED: 'scheduled',
-  IN_TRANSIT: 'in_transit', 
-  DELIVERED: 'delivered',
-  READ: 'read'
-};
-
 // Get current user selection
 export async function getCurrentUser() {
   try {
@@ -24,141 +21,150 @@ export async function getCurrentUser() {
   }
 }
 
-// Save letter with enhanced metadata - creates both letters to simulate simultaneous sending
-export async function saveLetter(text, sendDelayMinutes = 45) {
+// Get the ID of the trip the app is working on; new letters are stamped with it
+export async function getActiveTripId() {
+  try {
+    return await AsyncStorage.getItem(ACTIVE_TRIP_KEY);
+  } catch (error) {
+    console.warn('Failed to get active trip:', error);
+    return null;
+  }
+}
+
+// Append a letter to the mailbox without touching earlier letters
+export async function appendLetter(letterData) {
+  try {
+    const tripId = letterData.tripId || await getActiveTripId();
+    return await letterRepository.create({ ...letterData, tripId });
+  } catch (error) {
+    console.warn('Failed to append letter:', error);
+    throw error;
+  }
+}
+
+// Delete a single letter and its attachment files
+export async function deleteLetter(letterId) {
+  try {
+    const letter = await letterRepository.get(letterId);
+    const removed = await letterRepository.remove(letterId);
+    if (removed) await Promise.all(getLetterAttachments(letter).map(deleteAttachment));
+    return removed;
+  } catch (error) {
+    console.warn('Failed to delete letter:', error);
+    return false;
+  }
+}
+
+// Letter content is plain text, or a letter document (see letterDocument.js) that the
+// letter keeps alongside a plain copy of its text
+function letterContent(content) {
+  if (typeof content === 'string') return { text: content.trim() };
+  const document = normalizeDocument(content);
+  return { text: toPlainText(document), document };
+}
+
+// Save the current user's letter; it starts in transit to the chosen traveller, or to the
+// first other traveller when none is chosen.
+// The delivery rule ({ rule, fixedDelayMinutes }) travels with the letter.
+// A send trigger (see sendSchedule.js) keeps the letter scheduled until the moment it names.
+// Photos and voice notes (see letterAttachments.js) go in metadata.attachments.
+export async function saveLetter(content, sendDelayMinutes = 45, delivery = null, recipient = null, sendTrigger = null, attachments = []) {
   const now = new Date();
-  const transitTime = new Date(now.getTime() + parseInt(sendDelayMinutes, 10) * 60000);
+  const flights = (await getFlights()) || defaultFlights;
+  const sendAt = sendTrigger
+    ? resolveSendTime(sendTrigger, flights, now.getTime())
+    : now.getTime() + parseInt(sendDelayMinutes, 10) * 60000;
+  if (sendAt === null) throw new Error('The send time could not be worked out');
   
   // Get current user to determine letter direction
   const currentUser = await getCurrentUser();
   const fromFlight = currentUser;
-  const toFlight = currentUser === 'A' ? 'B' : 'A';
+  const toFlight = recipient || getRecipients(flights, currentUser)[0]?.slot || null;
   
-  // Create the user's letter
-  const userLetter = {
-    id: Math.random().toString(36).slice(2),
-    text: text.trim(),
+  return appendLetter({
+    ...letterContent(content),
     createdAt: now.toISOString(),
-    scheduledSendUTC: transitTime.toISOString(), 
+    scheduledSendUTC: new Date(sendAt).toISOString(), 
     deliveredAt: null,
     readAt: null,
-    status: LETTER_STATUS.IN_TRANSIT, // Start in transit immediately for simulation
+    // Start in transit immediately for simulation, unless the trigger is still ahead
+    status: sendTrigger && sendAt > now.getTime() ? LETTER_STATUS.SCHEDULED : LETTER_STATUS.IN_TRANSIT,
+    sendTrigger,
     // Animation metadata with proper user direction
     fromFlight,
     toFlight,
     animationProgress: 0, // 0 to 1 for map animation
     senderUser: currentUser, // Track who sent this letter
-  };
-  
-  // Create the other user's letter (dummy content for simulation)
-  const otherUserLetter = {
-    id: Math.random().toString(36).slice(2),
-    text: `Letter from User ${toFlight}`, // Dummy content for the other user
-    createdAt: now.toISOString(),
-    scheduledSendUTC: transitTime.toISOString(), 
-    deliveredAt: null,
-    readAt: null,
-    status: LETTER_STATUS.IN_TRANSIT, // Start in transit immediately for simulation
-    // Animation metadata with opposite direction
-    fromFlight: toFlight,
-    toFlight: fromFlight,
-    animationProgress: 0, // 0 to 1 for map animation
-    senderUser: toFlight, // Track who sent this letter
-  };
-
-  try {
-    const existing = await getLetters();
-    // Clear any existing letters to avoid duplicates
-    const newLetters = [userLetter, otherUserLetter];
-    await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(newLetters));
-    return userLetter;
-  } catch (error) {
-    console.warn('Failed to save letter:', error);
-    throw error;
-  }
+    delivery,
+    metadata: { attachments: normalizeAttachments(attachments) },
+  });
 }
 
-// Get all letters
-export async function getLetters() {
-  try {
-    const raw = await AsyncStorage.getItem(LETTERS_KEY);
-    return raw ? JSON.parse(raw) : [];
-  } catch (error) {
-    console.warn('Failed to get letters:', error);
-    return [];
+// Change the content or send trigger of a letter that hasn't left yet
+export async function updateScheduledLetter(letterId, { content, sendTrigger }) {
+  // Plain text replaces any document the letter had
+  const updates = content !== undefined ? { document: null, ...letterContent(content) } : {};
+  if (sendTrigger) {
+    const sendAt = resolveSendTime(sendTrigger, (await getFlights()) || defaultFlights);
+    if (sendAt === null) throw new Error('The send time could not be worked out');
+    // Switching to "now" lets the letter go on the next pass of the scheduler
+    if (sendTrigger.type !== SEND_TRIGGER.NOW && sendAt <= Date.now()) {
+      throw new Error('That moment has already passed');
+    }
+    updates.sendTrigger = sendTrigger;
+    updates.scheduledSendUTC = new Date(sendAt).toISOString();
   }
-}
 
-// Update letter status and metadata
-export async function updateLetter(letterId, updates) {
-  try {
-    const letters = await getLetters();
-    const index = letters.findIndex(l => l.id === letterId);
-    if (index >= 0) {
-      letters[index] = { ...letters[index], ...updates };
-      await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(letters));
-      return letters[index];
+  // Checked inside the write so a letter leaving meanwhile is not changed
+  const currentUser = await getCurrentUser();
+  let updated = null;
+  let notSender = false;
+  await letterRepository.mutate(letters => letters.map(letter => {
+    if (letter.id !== letterId || letter.status !== LETTER_STATUS.SCHEDULED) return letter;
+    if (letter.fromFlight !== currentUser) {
+      notSender = true;
+      return letter;
     }
-  } catch (error) {
-    console.warn('Failed to update letter:', error);
-  }
-  return null;
+    updated = { ...letter, ...updates, updatedAt: new Date().toISOString() };
+    return updated;
+  }));
+  if (notSender) throw new Error('Only the sender can change this letter');
+  if (!updated) throw new Error('This letter has already left and can no longer be changed');
+  return letterRepository.get(letterId);
 }
 
-// Mark letter as read
-export async function markLetterAsRead(letterId) {
-  return updateLetter(letterId, {
-    status: LETTER_STATUS.READ,
-    readAt: new Date().toISOString()
-  });
+// Stop a letter the current user sent before it departs
+export async function recallLetter(letterId) {
+  const [letter, currentUser] = await Promise.all([letterRepository.get(letterId), getCurrentUser()]);
+  if (!letter) return null;
+  if (letter.fromFlight !== currentUser) throw new Error('Only the sender can recall this letter');
+  return letterRepository.transition(letterId, LETTER_STATUS.RECALLED, {}, { source: 'user', reason: 'Recalled by sender' });
 }
 
-// Process letter status changes based on time
-export async function processLetterStatuses() {
-  const letters = await getLetters();
-  const now = new Date();
-  let hasUpdates = false;
-
-  for (let letter of letters) {
-    const scheduledTime = new Date(letter.scheduledSendUTC);
-    
-    // Check if scheduled letter should start transit
-    if (letter.status === LETTER_STATUS.SCHEDULED && now >= scheduledTime) {
-      letter.status = LETTER_STATUS.IN_TRANSIT;
-      letter.animationProgress = 0;
-      hasUpdates = true;
-    }
-    
-    // Check if in-transit letter should be delivered (shortened to 30s for testing)
-    if (letter.status === LETTER_STATUS.IN_TRANSIT) {
-      const transitDuration = 30 * 1000; // 30 seconds in milliseconds (testing)
-      const elapsed = now.getTime() - scheduledTime.getTime();
-      const progress = Math.min(elapsed / transitDuration, 1);
-      
-      if (progress >= 1) {
-        letter.status = LETTER_STATUS.DELIVERED;
-        letter.deliveredAt = now.toISOString();
-        letter.animationProgress = 1;
-        hasUpdates = true;
-      } else {
-        letter.animationProgress = progress;
-        hasUpdates = true;
-      }
+// This user's letters of this trip waiting for a moment of a flight follow the flight's
+// new schedule. Letters from other travellers are left to their own devices.
+async function rescheduleFlightTriggers(flights) {
+  const [tripId, currentUser] = await Promise.all([getActiveTripId(), getCurrentUser()]);
+  await letterRepository.mutate(letters => letters.map(letter => {
+    if (letter.status !== LETTER_STATUS.SCHEDULED || letter.tripId !== tripId ||
+        letter.fromFlight !== currentUser || !FLIGHT_TRIGGERS.includes(letter.sendTrigger?.type)) {
+      return letter;
     }
-  }
-
-  if (hasUpdates) {
-    await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(letters));
-  }
-  
-  return letters;
+    const sendAt = resolveSendTime(letter.sendTrigger, flights);
+    if (sendAt === null) return letter;
+    const scheduledSendUTC = new Date(sendAt).toISOString();
+    return scheduledSendUTC === letter.scheduledSendUTC
+      ? letter
+      : { ...letter, scheduledSendUTC, updatedAt: new Date().toISOString() };
+  }));
 }
 
-// Flight data storage
-export async function saveFlights(flightA, flightB) {
+// Flight data storage: one flight per traveller slot ({ flightA, flightB, … })
+export async function saveFlights(flights) {
   try {
-    const data = { flightA, flightB, savedAt: new Date().toISOString() };
+    const data = { ...pickFlights(flights), savedAt: new Date().toISOString() };
     await AsyncStorage.setItem(FLIGHTS_KEY, JSON.stringify(data));
+    await rescheduleFlightTriggers(data);
   } catch (error) {
     console.warn('Failed to save flights:', error);
   }
@@ -173,39 +179,3 @@ export async function getFlights() {
     return null;
   }
 }
-
-// Clear all letter data
-export async function clearAllLetters() {
-  try {
-    await AsyncStorage.removeItem(LETTERS_KEY);
-    console.log('All letter data cleared successfully');
-    return true;
-  } catch (error) {
-    console.warn('Failed to clear letter data:', error);
-    return false;
-  }
-}
-
-// Clear old delivered/read letters (optional cleanup)
-export async function clearOldLetters(olderThanDays = 7) {
-  try {
-    const letters = await getLetters();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
-    
-    const filteredLetters = letters.filter(letter => {
-      if (letter.status === LETTER_STATUS.READ || letter.status === LETTER_STATUS.DELIVERED) {
-        const letterDate = new Date(letter.deliveredAt || letter.createdAt);
-        return letterDate >= cutoffDate;
-      }
-      return true; // Keep non-delivered letters
-    });
-    
-    await AsyncStorage.setItem(LETTERS_KEY, JSON.stringify(filteredLetters));
-    console.log(`Cleared ${letters.length - filteredLetters.length} old letters`);
-    return true;
-  } catch (error) {
-    console.warn('Failed to clear old letters:', error);
-    return false;
-  }
-}
\ No newline at end of file
@@ -0,0 +1,8 @@
+// src/lib/storageKeys.js
+// AsyncStorage keys more than one module reads; the comment names the module that owns each
+
+// The trip the app is working on (trips.js)
+export const ACTIVE_TRIP_KEY = '@airletters_active_trip';
+
+// The active trip's flights (storage.js)
+export const FLIGHTS_KEY = '@airletters_flights';
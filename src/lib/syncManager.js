@@ -1,169 +1,485 @@
 // src/lib/syncManager.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getLetters, LETTER_STATUS } from './storage';
+import letterRepository, {
+  canTransition,
+  canAdvance,
+  applyTransition,
+  advanceTo,
+  normalizeLetter,
+  LETTER_STATUS
+} from './letterRepository';
+import { getTransport, getSyncConfig } from './syncTransport';
+import { getOrCreateDeviceId } from './deviceId';
+import { mergeLetterSets } from './letterMerge';
+import syncOutbox from './syncOutbox';
+import connectivity from './connectivity';
+import { getDeliveryConfig, getLetterDeliveryState, getDeliveryUpdates } from './deliveryEngine';
+import { getFlights } from './storage';
+import defaultFlights from './defaultFlights';
+import {
+  getLetterAttachments,
+  hasAttachmentFile,
+  readAttachmentData,
+  writeAttachmentData
+} from './letterAttachments';
+
+export { getOrCreateDeviceId };
 
 const SYNC_STATUS_KEY = '@airletters_sync_status';
-const DEVICE_ID_KEY = '@airletters_device_id';
-const REMOTE_LETTERS_KEY = '@airletters_remote_letters';
+const SYNC_CURSOR_KEY = '@airletters_sync_cursor';
+const SYNC_CONFLICTS_KEY = '@airletters_sync_conflicts';
+const MAX_CONFLICT_ENTRIES = 100;
+const SYNC_LOG_KEY = '@airletters_sync_log';
+const MAX_SYNC_LOG_ENTRIES = 200;
+const SYNC_ATTACHMENTS_KEY = '@airletters_sync_attachments';
+const MAX_UPLOADED_ATTACHMENTS = 1000;
 
-// Generate a unique device ID
-export async function getOrCreateDeviceId() {
-  try {
-    let deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
-    if (!deviceId) {
-      deviceId = 'device_' + Math.random().toString(36).slice(2) + Date.now();
-      await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
-    }
-    return deviceId;
-  } catch (error) {
-    console.warn('Failed to get device ID:', error);
-    return 'device_unknown_' + Date.now();
+// What happened to a letter during sync, as shown in the per-letter sync log
+export const SYNC_LOG_ACTION = {
+  PULLED: 'pulled',
+  DELETED: 'deleted',
+  QUEUED: 'queued',
+  PUSHED: 'pushed',
+  PUSH_FAILED: 'push_failed',
+  CONFLICT: 'conflict'
+};
+
+// In-flight sync and outbox flush, and the timer for the next retry
+let activeSync = null;
+let activeFlush = null;
+let retryTimer = null;
+
+// Whether the sync server answered the last probe or sync request
+export function isOnline() {
+  return connectivity.isOnline();
+}
+
+// Probe the network and the sync server; returns true if sync can run
+export async function checkOnline() {
+  const snapshot = await connectivity.refresh();
+  return snapshot.syncReachable === true;
+}
+
+// Sync as soon as the sync server becomes reachable again
+function handleConnectivityChange(event, { current, previous }) {
+  if (event !== 'connectivityChanged') return;
+  if (current.syncReachable && !previous.syncReachable) {
+    // Backoff was measured against a network that was down; send everything now
+    performSync({ flushAll: true }).catch(error => console.warn('Sync after reconnect failed:', error));
   }
 }
 
-// Simulate network connectivity check
-export function isOnline() {
-  // In a real app, you'd use @react-native-netinfo/netinfo
-  // For simulation, we'll randomly return true/false or use a flag
-  return Math.random() > 0.3; // 70% chance of being "online"
+/**
+ * Follow connectivity and sync on every offline -> online change
+ * @returns {Promise<Object>} Current connectivity snapshot
+ */
+export function startAutoSync() {
+  connectivity.addListener(handleConnectivityChange);
+  return connectivity.start();
 }
 
-// Smart estimation: predict where letters would be based on time
-export function estimateLetterProgress(letter, currentTime = new Date()) {
-  const scheduledTime = new Date(letter.scheduledSendUTC);
+// Stop following connectivity
+export function stopAutoSync() {
+  connectivity.removeListener(handleConnectivityChange);
+  connectivity.stop();
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+}
+
+// Offline estimates are recorded in the status history like any other transition
+const ESTIMATE_CONTEXT = { source: 'sync', reason: 'Estimated while offline' };
+
+/**
+ * Offline estimate of where a letter should be, from the delivery engine
+ * @param {Object} letter - Letter
+ * @param {Object} flights - { flightA, flightB, … }
+ * @param {Object} config - Delivery config
+ * @param {Date} currentTime - Current time
+ * @returns {Object} Estimated letter
+ */
+export function estimateLetterProgress(letter, flights, config, currentTime = new Date()) {
   const now = currentTime;
+  const state = getLetterDeliveryState(letter, flights, now, config);
   
-  if (now < scheduledTime) {
+  if (state.status === LETTER_STATUS.SCHEDULED) {
     // Still scheduled
-    return { ...letter, status: LETTER_STATUS.SCHEDULED, animationProgress: 0 };
+    return canTransition(letter.status, LETTER_STATUS.SCHEDULED)
+      ? applyTransition(letter, LETTER_STATUS.SCHEDULED, { animationProgress: 0 }, now, ESTIMATE_CONTEXT)
+      : letter;
   }
   
-  const transitDuration = 5 * 60 * 1000; // 5 minutes
-  const elapsed = now.getTime() - scheduledTime.getTime();
-  
-  if (elapsed < transitDuration) {
-    // In transit
-    const progress = elapsed / transitDuration;
-    return {
-      ...letter,
-      status: LETTER_STATUS.IN_TRANSIT,
-      animationProgress: progress
-    };
+  if (state.status === LETTER_STATUS.IN_TRANSIT) {
+    return canAdvance(letter.status, LETTER_STATUS.IN_TRANSIT)
+      ? advanceTo(letter, LETTER_STATUS.IN_TRANSIT, {
+          animationProgress: state.progress,
+          estimatedDelivery: state.eta,
+          currentPosition: state.position
+        }, now, ESTIMATE_CONTEXT)
+      : letter;
   } else {
     // Should be delivered
-    return {
-      ...letter,
-      status: LETTER_STATUS.DELIVERED,
-      animationProgress: 1,
-      deliveredAt: letter.deliveredAt || new Date(scheduledTime.getTime() + transitDuration).toISOString()
-    };
+    return canAdvance(letter.status, LETTER_STATUS.DELIVERED)
+      ? advanceTo(letter, LETTER_STATUS.DELIVERED, getDeliveryUpdates(state), now, ESTIMATE_CONTEXT)
+      : letter;
   }
 }
 
-// Merge offline and online data intelligently
-export function mergeLetterData(localLetters, remoteLetters) {
-  const merged = [...localLetters];
-  const localIds = new Set(localLetters.map(l => l.id));
-  
-  // Add remote letters that don't exist locally
-  for (const remoteLetter of remoteLetters) {
-    if (!localIds.has(remoteLetter.id)) {
-      merged.push(remoteLetter);
-    } else {
-      // Merge status updates (prefer the more advanced status)
-      const localIndex = merged.findIndex(l => l.id === remoteLetter.id);
-      const local = merged[localIndex];
-      
-      // Status progression priority: scheduled < in_transit < delivered < read
-      const statusPriority = {
-        [LETTER_STATUS.SCHEDULED]: 0,
-        [LETTER_STATUS.IN_TRANSIT]: 1,
-        [LETTER_STATUS.DELIVERED]: 2,
-        [LETTER_STATUS.READ]: 3
-      };
-      
-      if (statusPriority[remoteLetter.status] > statusPriority[local.status]) {
-        merged[localIndex] = { ...local, ...remoteLetter };
+// Merge local and remote letters field by field (see letterMerge.js)
+export function mergeLetterData(localLetters, remoteLetters, options = {}) {
+  return mergeLetterSets(localLetters, remoteLetters, options).letters;
+}
+
+// Record resolved conflicts so SyncStatusScreen can show them
+export async function recordConflicts(conflicts, source) {
+  if (!conflicts || conflicts.length === 0) return;
+  try {
+    const detectedAt = new Date().toISOString();
+    const existing = await getConflictReport();
+    const entries = conflicts.map(conflict => ({ ...conflict, source, detectedAt }));
+    const report = [...entries, ...existing].slice(0, MAX_CONFLICT_ENTRIES);
+    await AsyncStorage.setItem(SYNC_CONFLICTS_KEY, JSON.stringify(report));
+    await appendSyncLog(SYNC_LOG_ACTION.CONFLICT, conflicts.map(conflict => conflict.letterId), {
+      detail: `Resolved conflicting edits from ${source}`
+    });
+  } catch (error) {
+    console.warn('Failed to record sync conflicts:', error);
+  }
+}
+
+// Get recently resolved conflicts, newest first
+export async function getConflictReport() {
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_CONFLICTS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.warn('Failed to get conflict report:', error);
+    return [];
+  }
+}
+
+// Clear the conflict report
+export async function clearConflictReport() {
+  try {
+    await AsyncStorage.removeItem(SYNC_CONFLICTS_KEY);
+    return true;
+  } catch (error) {
+    console.warn('Failed to clear conflict report:', error);
+    return false;
+  }
+}
+
+// Add one sync log entry per letter, newest first
+async function appendSyncLog(action, letterIds, { detail = null } = {}) {
+  if (!letterIds || letterIds.length === 0) return;
+  try {
+    const at = new Date().toISOString();
+    const existing = await getSyncLog();
+    const entries = letterIds.map(letterId => ({ letterId, action, detail, at }));
+    const log = [...entries, ...existing].slice(0, MAX_SYNC_LOG_ENTRIES);
+    await AsyncStorage.setItem(SYNC_LOG_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.warn('Failed to write sync log:', error);
+  }
+}
+
+// Get the sync log, newest first, optionally for one letter
+export async function getSyncLog(letterId = null) {
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_LOG_KEY);
+    const log = raw ? JSON.parse(raw) : [];
+    return letterId ? log.filter(entry => entry.letterId === letterId) : log;
+  } catch (error) {
+    console.warn('Failed to get sync log:', error);
+    return [];
+  }
+}
+
+// Clear the sync log
+export async function clearSyncLog() {
+  try {
+    await AsyncStorage.removeItem(SYNC_LOG_KEY);
+    return true;
+  } catch (error) {
+    console.warn('Failed to clear sync log:', error);
+    return false;
+  }
+}
+
+// Fetch letters changed by other devices since the last pull
+export async function fetchRemoteLetters(deviceId, since = 0) {
+  try {
+    const transport = await getTransport();
+    const { letters, cursor } = await transport.pull({ deviceId, since });
+    connectivity.reportSyncReachable(true);
+    return { success: true, letters, cursor };
+  } catch (error) {
+    if (error.isNetworkError) connectivity.reportSyncReachable(false);
+    return { success: false, offline: !!error.isNetworkError, error: error.message };
+  }
+}
+
+// Upload local letters to the sync server; keys are the outbox idempotency keys
+export async function uploadLocalLetters(letters, deviceId, keys) {
+  try {
+    const transport = await getTransport();
+    const { accepted, duplicates } = await transport.push({ deviceId, letters, keys });
+    connectivity.reportSyncReachable(true);
+    return { success: true, uploaded: accepted.length, duplicates: duplicates.length };
+  } catch (error) {
+    if (error.isNetworkError) connectivity.reportSyncReachable(false);
+    return { success: false, offline: !!error.isNetworkError, error: error.message };
+  }
+}
+
+/**
+ * Upload the files of attachments on letters about to be pushed. The server keeps them
+ * apart from the letters and they never change, so each file goes up once.
+ * @param {Array} records - Outbox records
+ * @param {string} deviceId - This device
+ * @returns {Promise<Object>} { success, offline?, error? }, shaped like uploadLocalLetters
+ */
+export async function uploadAttachments(records, deviceId) {
+  const attachments = records
+    .filter(record => !record.deleted)
+    .flatMap(record => getLetterAttachments(record));
+  if (attachments.length === 0) return { success: true };
+
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_ATTACHMENTS_KEY);
+    const uploaded = new Set(raw ? JSON.parse(raw) : []);
+    const transport = await getTransport();
+    for (const attachment of attachments) {
+      if (uploaded.has(attachment.id)) continue;
+      // Letters from other devices may be pushed back before their files arrive here
+      const data = await readAttachmentData(attachment);
+      if (data === null) continue;
+      await transport.putAttachment({ deviceId, attachment, data });
+      uploaded.add(attachment.id);
+      await AsyncStorage.setItem(
+        SYNC_ATTACHMENTS_KEY,
+        JSON.stringify([...uploaded].slice(-MAX_UPLOADED_ATTACHMENTS))
+      );
+    }
+    connectivity.reportSyncReachable(true);
+    return { success: true };
+  } catch (error) {
+    if (error.isNetworkError) connectivity.reportSyncReachable(false);
+    return { success: false, offline: !!error.isNetworkError, error: error.message };
+  }
+}
+
+/**
+ * Fetch the files of attachments that are not on this device yet. Files the server
+ * doesn't have yet are tried again on the next sync.
+ * @param {Array} letters - Letters to check
+ * @returns {Promise<number>} Files fetched
+ */
+export async function downloadAttachments(letters) {
+  let fetched = 0;
+  try {
+    const transport = await getTransport();
+    for (const attachment of letters.flatMap(letter => getLetterAttachments(letter))) {
+      if (await hasAttachmentFile(attachment)) continue;
+      const data = await transport.getAttachment(attachment.id);
+      if (data === null) continue;
+      try {
+        await writeAttachmentData(attachment, data);
+        fetched += 1;
+      } catch (error) {
+        // An oversized file is skipped; the others still come down
+        console.warn('Skipped attachment:', error.message);
       }
     }
+  } catch (error) {
+    if (error.isNetworkError) connectivity.reportSyncReachable(false);
+    console.warn('Failed to download attachments:', error);
   }
-  
-  return merged;
-}
-
-// Simulate fetching letters from remote server
-export async function fetchRemoteLetters(deviceId) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      if (isOnline()) {
-        // Simulate remote letters (in reality, this would be an API call)
-        const mockRemoteLetters = [
-          {
-            id: 'remote_letter_1',
-            text: 'Hello from the other flight! 👋 Hope your journey is smooth.',
-            createdAt: new Date(Date.now() - 10 * 60000).toISOString(), // 10 min ago
-            scheduledSendUTC: new Date(Date.now() - 5 * 60000).toISOString(), // 5 min ago
-            status: LETTER_STATUS.DELIVERED,
-            fromFlight: 'B',
-            toFlight: 'A',
-            animationProgress: 1,
-            deliveredAt: new Date(Date.now() - 1000).toISOString(),
-            readAt: null
-          }
-        ];
-        resolve({ success: true, letters: mockRemoteLetters });
+  return fetched;
+}
+
+// Wake up when the earliest backed-off outbox item is due
+async function scheduleOutboxRetry() {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+
+  const nextAttemptAt = await syncOutbox.getNextAttemptAt();
+  if (!nextAttemptAt) return;
+
+  const delay = Math.max(0, nextAttemptAt.getTime() - Date.now());
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox().catch(error => console.warn('Outbox flush failed:', error));
+  }, delay);
+}
+
+/**
+ * Push every outbox item that is due. Items stay queued until the server answers;
+ * a retried item the server already applied comes back as a duplicate and is
+ * acknowledged like any other.
+ * @param {Object} options - { force: ignore backoff (used when coming back online) }
+ * @returns {Promise<Object>} { success, sent, remaining, offline? }
+ */
+export function flushOutbox(options = {}) {
+  if (activeFlush) return activeFlush;
+
+  activeFlush = (async () => {
+    const items = await syncOutbox.claimReady(options);
+    let result = { success: true, sent: 0 };
+
+    if (items.length > 0) {
+      const deviceId = await getOrCreateDeviceId();
+      const keys = items.map(item => item.key);
+      const records = items.map(item => item.record);
+      // Files first, so a letter never reaches another device before its attachments
+      const attachmentResult = await uploadAttachments(records, deviceId);
+      const uploadResult = attachmentResult.success
+        ? await uploadLocalLetters(records, deviceId, keys)
+        : attachmentResult;
+
+      const letterIds = items.map(item => item.letterId);
+      if (uploadResult.success) {
+        await syncOutbox.markSent(keys);
+        await appendSyncLog(SYNC_LOG_ACTION.PUSHED, letterIds);
+        result = { success: true, sent: items.length };
       } else {
-        resolve({ success: false, error: 'No network connection' });
+        await syncOutbox.markFailed(keys, uploadResult);
+        await appendSyncLog(SYNC_LOG_ACTION.PUSH_FAILED, letterIds, { detail: uploadResult.error });
+        result = { success: false, sent: 0, offline: uploadResult.offline, error: uploadResult.error };
       }
-    }, 1000 + Math.random() * 2000); // 1-3 second delay
+    }
+
+    const remaining = (await syncOutbox.getItems()).length;
+    await scheduleOutboxRetry();
+    return { ...result, remaining };
+  })().finally(() => {
+    activeFlush = null;
   });
+
+  return activeFlush;
 }
 
-// Upload local letters to remote server
-export async function uploadLocalLetters(letters, deviceId) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      if (isOnline()) {
-        // Simulate successful upload
-        console.log(`Uploaded ${letters.length} letters for device ${deviceId}`);
-        resolve({ success: true, uploaded: letters.length });
-      } else {
-        resolve({ success: false, error: 'No network connection' });
-      }
-    }, 500 + Math.random() * 1500);
+// Pull/push bookkeeping: server cursor and the time local changes were last queued
+async function getSyncCursor() {
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_CURSOR_KEY);
+    const cursor = raw ? JSON.parse(raw) : {};
+    return {
+      pullCursor: cursor.pullCursor || 0,
+      lastQueuedAt: cursor.lastQueuedAt || cursor.lastPushAt || null
+    };
+  } catch (error) {
+    console.warn('Failed to get sync cursor:', error);
+    return { pullCursor: 0, lastQueuedAt: null };
+  }
+}
+
+async function saveSyncCursor(cursor) {
+  await AsyncStorage.setItem(SYNC_CURSOR_KEY, JSON.stringify(cursor));
+}
+
+// Letters changed locally since they were last queued, plus merge results that differ
+// from what we pulled (so the server learns the merged version); tombstones go as records
+function getLocalDeltas(letters, tombstones, lastQueuedAt, pulledLetters = []) {
+  const pulled = new Map(pulledLetters.map(l => [l.id, l]));
+  const since = lastQueuedAt ? new Date(lastQueuedAt) : null;
+
+  const changedLetters = letters.filter(letter => {
+    const remote = pulled.get(letter.id);
+    if (remote) return JSON.stringify(remote) !== JSON.stringify(letter);
+    return !since || new Date(letter.updatedAt) > since;
+  });
+  const deletions = tombstones
+    .filter(t => !since || new Date(t.deletedAt) > since)
+    .map(t => ({ ...t, deleted: true }));
+
+  return [...changedLetters, ...deletions];
+}
+
+// Put local changes in the outbox and note them in the sync log
+async function queueLocalDeltas(records, options) {
+  const queued = await syncOutbox.enqueue(records, options);
+  await appendSyncLog(SYNC_LOG_ACTION.QUEUED, queued);
+  return queued;
+}
+
+/**
+ * Pull changes since a cursor and merge them into the repository
+ * @param {string} deviceId - This device
+ * @param {number} since - Server cursor to pull from (0 pulls everything)
+ * @returns {Promise<Object>} Fetch result plus { remoteLetters, remoteTombstones, merged }
+ */
+async function pullAndMerge(deviceId, since) {
+  const remoteResult = await fetchRemoteLetters(deviceId, since);
+  if (!remoteResult.success) return remoteResult;
+
+  const remoteTombstones = remoteResult.letters.filter(record => record.deleted);
+  const remoteLetters = remoteResult.letters
+    .filter(record => !record.deleted)
+    .map(normalizeLetter);
+
+  // Merge remote letters and deletions with local ones in one repository write
+  const merged = await letterRepository.applyMerge((letters, tombstones) =>
+    mergeLetterSets(letters, remoteLetters, {
+      localTombstones: tombstones,
+      remoteTombstones
+    })
+  );
+  await recordConflicts(merged.conflicts, 'server');
+  await appendSyncLog(SYNC_LOG_ACTION.PULLED, remoteLetters.map(l => l.id));
+  await appendSyncLog(SYNC_LOG_ACTION.DELETED, remoteTombstones.map(t => t.id), {
+    detail: 'Deleted on another device'
   });
+
+  return { ...remoteResult, remoteLetters, remoteTombstones, merged };
+}
+
+/**
+ * Main sync function: pull remote deltas, merge, queue local deltas and flush the outbox.
+ * Overlapping calls (manual, background, reconnect) share the sync already running.
+ * @param {Object} options - { flushAll: ignore outbox backoff }
+ * @returns {Promise<Object>} Sync summary
+ */
+export function performSync(options = {}) {
+  if (!activeSync) {
+    activeSync = runSync(options).finally(() => {
+      activeSync = null;
+    });
+  }
+  return activeSync;
 }
 
-// Main sync function
-export async function performSync() {
+async function runSync({ flushAll = false } = {}) {
   try {
     const deviceId = await getOrCreateDeviceId();
-    const localLetters = await getLetters();
+    const cursor = await getSyncCursor();
+    const syncStartedAt = new Date().toISOString();
+    const config = await getSyncConfig();
     
-    // Try to fetch remote letters
-    const remoteResult = await fetchRemoteLetters(deviceId);
+    // Try to fetch letters other devices changed since our last pull
+    const remoteResult = await pullAndMerge(deviceId, cursor.pullCursor);
     
     if (remoteResult.success) {
-      // Merge remote letters with local
-      const mergedLetters = mergeLetterData(localLetters, remoteResult.letters);
+      const { remoteLetters, remoteTombstones, merged } = remoteResult;
+      const mergedLetters = merged.letters;
       
-      // Save merged data locally
-      await AsyncStorage.setItem('@airletters_letters', JSON.stringify(mergedLetters));
-      
-      // Upload any new local letters to remote
-      const localOnlyLetters = localLetters.filter(local => 
-        !remoteResult.letters.find(remote => remote.id === local.id)
-      );
-      
-      if (localOnlyLetters.length > 0) {
-        await uploadLocalLetters(localOnlyLetters, deviceId);
-      }
+      // Queue everything that changed locally, then send whatever is due
+      await queueLocalDeltas(getLocalDeltas(
+        mergedLetters,
+        merged.tombstones,
+        cursor.lastQueuedAt,
+        remoteLetters
+      ));
+      await saveSyncCursor({ pullCursor: remoteResult.cursor, lastQueuedAt: syncStartedAt });
+      const flushResult = await flushOutbox({ force: flushAll });
+      const attachmentsFetched = await downloadAttachments(mergedLetters);
       
       // Update sync status
       const syncStatus = {
         lastSyncAt: new Date().toISOString(),
         isOnline: true,
         deviceId,
+        transport: config.type,
+        serverUrl: config.serverUrl,
         letterCount: mergedLetters.length
       };
       
@@ -172,21 +488,35 @@ export async function performSync() {
       return {
         success: true,
         merged: mergedLetters.length,
-        newFromRemote: remoteResult.letters.length,
-        uploadedToRemote: localOnlyLetters.length
+        newFromRemote: remoteLetters.length,
+        deletedFromRemote: remoteTombstones.length,
+        uploadedToRemote: flushResult.sent,
+        pendingUploads: flushResult.remaining,
+        attachmentsFetched,
+        conflicts: merged.conflicts.length
       };
-    } else {
-      // Offline mode - use smart estimation
-      const estimatedLetters = localLetters.map(letter => 
-        estimateLetterProgress(letter)
+    } else if (remoteResult.offline) {
+      // Keep local changes in the outbox so they go out as soon as we are back online
+      const [letters, tombstones] = await Promise.all([
+        letterRepository.getAll(),
+        letterRepository.getTombstones()
+      ]);
+      await queueLocalDeltas(getLocalDeltas(letters, tombstones, cursor.lastQueuedAt));
+      await saveSyncCursor({ pullCursor: cursor.pullCursor, lastQueuedAt: syncStartedAt });
+
+      // Offline mode - estimate with the delivery engine
+      const [savedFlights, deliveryConfig] = await Promise.all([getFlights(), getDeliveryConfig()]);
+      const flights = savedFlights || defaultFlights;
+      const estimatedLetters = await letterRepository.mutate(letters =>
+        letters.map(letter => estimateLetterProgress(letter, flights, deliveryConfig))
       );
       
-      await AsyncStorage.setItem('@airletters_letters', JSON.stringify(estimatedLetters));
-      
       const syncStatus = {
         lastSyncAt: new Date().toISOString(),
         isOnline: false,
         deviceId,
+        transport: config.type,
+        serverUrl: config.serverUrl,
         letterCount: estimatedLetters.length,
         offlineEstimation: true
       };
@@ -196,8 +526,11 @@ export async function performSync() {
       return {
         success: true,
         offlineMode: true,
-        estimated: estimatedLetters.length
+        estimated: estimatedLetters.length,
+        pendingUploads: (await syncOutbox.getItems()).length
       };
+    } else {
+      throw new Error(remoteResult.error);
     }
   } catch (error) {
     console.warn('Sync failed:', error);
@@ -205,6 +538,81 @@ export async function performSync() {
   }
 }
 
+/**
+ * Queue every local letter and deletion again and send them all now,
+ * regardless of what the server already acknowledged
+ * @returns {Promise<Object>} Flush result { success, sent, remaining }
+ */
+export async function forcePush() {
+  if (activeSync) await activeSync;
+  const [letters, tombstones] = await Promise.all([
+    letterRepository.getAll(),
+    letterRepository.getTombstones()
+  ]);
+  await queueLocalDeltas(getLocalDeltas(letters, tombstones, null), { force: true });
+  return flushOutbox({ force: true });
+}
+
+/**
+ * Pull everything the server has, from the beginning, and merge it
+ * @returns {Promise<Object>} { success, pulled, deleted, conflicts } or { success: false, error }
+ */
+export async function forcePull() {
+  if (activeSync) await activeSync;
+  try {
+    const deviceId = await getOrCreateDeviceId();
+    const cursor = await getSyncCursor();
+    const result = await pullAndMerge(deviceId, 0);
+    if (!result.success) return { success: false, offline: result.offline, error: result.error };
+
+    await saveSyncCursor({ ...cursor, pullCursor: result.cursor });
+    await downloadAttachments(result.merged.letters);
+    return {
+      success: true,
+      pulled: result.remoteLetters.length,
+      deleted: result.remoteTombstones.length,
+      conflicts: result.merged.conflicts.length
+    };
+  } catch (error) {
+    console.warn('Force pull failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Forget all sync bookkeeping (cursor, outbox, conflicts, log, status, uploaded attachments).
+ * Letters stay; the next sync pulls and pushes everything again.
+ * @returns {Promise<boolean>} True on success
+ */
+export async function resetSyncState() {
+  if (activeSync) await activeSync;
+  try {
+    await syncOutbox.clear();
+    await AsyncStorage.multiRemove([
+      SYNC_CURSOR_KEY,
+      SYNC_CONFLICTS_KEY,
+      SYNC_LOG_KEY,
+      SYNC_STATUS_KEY,
+      SYNC_ATTACHMENTS_KEY
+    ]);
+    return true;
+  } catch (error) {
+    console.warn('Failed to reset sync state:', error);
+    return false;
+  }
+}
+
+// Forget the server cursor so the next sync pulls and pushes everything
+export async function resetSyncCursor() {
+  try {
+    await AsyncStorage.removeItem(SYNC_CURSOR_KEY);
+    return true;
+  } catch (error) {
+    console.warn('Failed to reset sync cursor:', error);
+    return false;
+  }
+}
+
 // Get current sync status
 export async function getSyncStatus() {
   try {
@@ -214,4 +622,4 @@ export async function getSyncStatus() {
     console.warn('Failed to get sync status:', error);
     return null;
   }
-}
\ No newline at end of file
+}
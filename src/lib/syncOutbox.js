@@ -0,0 +1,330 @@
+// src/lib/syncOutbox.js
+// Durable queue of letter records waiting to be pushed to the sync server.
+// Travellers are offline for the whole flight, so every local change is queued here
+// first and only leaves the queue once the server has acknowledged it.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const OUTBOX_KEY = '@airletters_sync_outbox';
+const MAX_ACKNOWLEDGED_ENTRIES = 500;
+
+export const OUTBOX_STATE = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
+
+// Send state shown per letter in LettersScreen
+export const SEND_STATE = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  RETRYING: 'retrying',
+  FAILED: 'failed',
+  SYNCED: 'synced'
+};
+
+export const OUTBOX_RETRY = {
+  baseDelayMs: 5 * 1000,
+  maxDelayMs: 30 * 60 * 1000,
+  // Server rejections count towards this; unreachable-server failures never give up
+  maxAttempts: 6
+};
+
+/**
+ * Stable key for a version vector (sorted so device order does not matter)
+ * @param {Object} version - Version vector
+ * @returns {string} Serialized vector
+ */
+function versionKey(version = {}) {
+  return Object.keys(version)
+    .sort()
+    .map(device => `${device}=${version[device]}`)
+    .join(',');
+}
+
+/**
+ * Idempotency key for one record: the same letter version always gets the same key,
+ * so a retried push the server already applied is recognised as a duplicate
+ * @param {Object} record - Letter or tombstone ({ id, deleted: true, version })
+ * @returns {string} Idempotency key
+ */
+export function getIdempotencyKey(record) {
+  const kind = record.deleted ? 'delete' : 'put';
+  return `${record.id}:${kind}:${versionKey(record.version) || record.updatedAt || record.deletedAt}`;
+}
+
+/**
+ * Delay before the next attempt: exponential, capped, with a little jitter
+ * so several devices landing together do not retry in lockstep
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  const exponential = OUTBOX_RETRY.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+  const capped = Math.min(exponential, OUTBOX_RETRY.maxDelayMs);
+  return Math.round(capped * (0.9 + Math.random() * 0.2));
+}
+
+/**
+ * Persistent outbox with per-item retry counts and backoff
+ */
+class SyncOutbox {
+  constructor() {
+    this.listeners = new Set();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const raw = await AsyncStorage.getItem(OUTBOX_KEY);
+      const data = raw ? JSON.parse(raw) : {};
+      return {
+        items: Array.isArray(data.items) ? data.items : [],
+        acknowledged: data.acknowledged || {}
+      };
+    } catch (error) {
+      console.warn('Failed to read sync outbox:', error);
+      return { items: [], acknowledged: {} };
+    }
+  }
+
+  async write(data) {
+    const entries = Object.entries(data.acknowledged);
+    if (entries.length > MAX_ACKNOWLEDGED_ENTRIES) {
+      entries.sort((a, b) => new Date(b[1].at) - new Date(a[1].at));
+      data.acknowledged = Object.fromEntries(entries.slice(0, MAX_ACKNOWLEDGED_ENTRIES));
+    }
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * Serialize read-modify-write cycles so concurrent callers do not lose items
+   * @param {Function} updater - (data) => result; may mutate data
+   * @returns {Promise<*>} Updater result
+   */
+  modify(updater) {
+    const run = this.writeQueue.then(async () => {
+      const data = await this.read();
+      const result = updater(data);
+      await this.write(data);
+      this.notifyListeners('outboxChanged', data.items);
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue records for upload. A newer record for the same letter replaces the queued
+   * one (only the latest version needs to reach the server) and resets its retries.
+   * @param {Array} records - Letters or tombstones
+   * @param {Object} options - { force: queue again even if the server acknowledged this version }
+   * @returns {Promise<Array<string>>} IDs of the letters queued
+   */
+  enqueue(records, { force = false } = {}) {
+    if (!records || records.length === 0) return Promise.resolve([]);
+
+    return this.modify(data => {
+      const now = new Date().toISOString();
+      const queued = [];
+
+      records.forEach(record => {
+        const key = getIdempotencyKey(record);
+        const existing = data.items.findIndex(item => item.letterId === record.id);
+        if (existing >= 0 && data.items[existing].key === key) return;
+        if (!force && data.acknowledged[record.id]?.key === key) return;
+
+        const item = {
+          key,
+          letterId: record.id,
+          record,
+          state: OUTBOX_STATE.PENDING,
+          attempts: 0,
+          enqueuedAt: now,
+          nextAttemptAt: now,
+          lastError: null
+        };
+        if (existing >= 0) {
+          data.items[existing] = item;
+        } else {
+          data.items.push(item);
+        }
+        queued.push(record.id);
+      });
+
+      return queued;
+    });
+  }
+
+  /**
+   * Claim the items due for an attempt and mark them as sending
+   * @param {Object} options - { force: ignore backoff, now }
+   * @returns {Promise<Array>} Claimed items
+   */
+  claimReady({ force = false, now = new Date() } = {}) {
+    return this.modify(data => {
+      const ready = data.items.filter(item => {
+        if (item.state === OUTBOX_STATE.FAILED) return false;
+        // An app restart mid-send leaves items as sending; they are due again
+        return force || new Date(item.nextAttemptAt) <= now || item.state === OUTBOX_STATE.SENDING;
+      });
+      ready.forEach(item => {
+        item.state = OUTBOX_STATE.SENDING;
+      });
+      return ready.map(item => ({ ...item }));
+    });
+  }
+
+  /**
+   * Drop acknowledged items. Items replaced by a newer version while the push
+   * was in flight keep their new key and stay queued.
+   * @param {Array<string>} keys - Idempotency keys the server acknowledged
+   */
+  markSent(keys) {
+    const sent = new Set(keys);
+    return this.modify(data => {
+      const at = new Date().toISOString();
+      data.items = data.items.filter(item => {
+        if (!sent.has(item.key)) return true;
+        data.acknowledged[item.letterId] = { key: item.key, at };
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {Array<string>} keys - Idempotency keys of the failed items
+   * @param {Object} failure - { error, offline }
+   */
+  markFailed(keys, { error, offline = false } = {}) {
+    const failed = new Set(keys);
+    return this.modify(data => {
+      const now = Date.now();
+      data.items.forEach(item => {
+        if (!failed.has(item.key)) return;
+        item.attempts += 1;
+        item.lastError = error || null;
+        item.lastAttemptAt = new Date(now).toISOString();
+        item.nextAttemptAt = new Date(now + getRetryDelay(item.attempts)).toISOString();
+        item.state = !offline && item.attempts >= OUTBOX_RETRY.maxAttempts
+          ? OUTBOX_STATE.FAILED
+          : OUTBOX_STATE.PENDING;
+      });
+    });
+  }
+
+  /**
+   * Put items that gave up back in the queue
+   * @returns {Promise<number>} Number of items requeued
+   */
+  retryFailed() {
+    return this.modify(data => {
+      const now = new Date().toISOString();
+      let requeued = 0;
+      data.items.forEach(item => {
+        if (item.state !== OUTBOX_STATE.FAILED) return;
+        item.state = OUTBOX_STATE.PENDING;
+        item.attempts = 0;
+        item.nextAttemptAt = now;
+        requeued += 1;
+      });
+      return requeued;
+    });
+  }
+
+  /**
+   * Get queued items, oldest first
+   * @returns {Promise<Array>} Outbox items
+   */
+  async getItems() {
+    const { items } = await this.read();
+    return items;
+  }
+
+  /**
+   * Earliest time a pending item is due, or null if nothing is waiting
+   * @returns {Promise<Date|null>} Next attempt time
+   */
+  async getNextAttemptAt() {
+    const items = await this.getItems();
+    const due = items
+      .filter(item => item.state !== OUTBOX_STATE.FAILED)
+      .map(item => new Date(item.nextAttemptAt).getTime());
+    return due.length > 0 ? new Date(Math.min(...due)) : null;
+  }
+
+  /**
+   * Send state of every letter the outbox knows about
+   * @returns {Promise<Object>} letterId -> { state, attempts, nextAttemptAt, lastError, at }
+   */
+  async getSendStates() {
+    const { items, acknowledged } = await this.read();
+    const states = {};
+
+    Object.entries(acknowledged).forEach(([letterId, ack]) => {
+      states[letterId] = { state: SEND_STATE.SYNCED, attempts: 0, at: ack.at };
+    });
+    items.forEach(item => {
+      let state = SEND_STATE.QUEUED;
+      if (item.state === OUTBOX_STATE.SENDING) state = SEND_STATE.SENDING;
+      else if (item.state === OUTBOX_STATE.FAILED) state = SEND_STATE.FAILED;
+      else if (item.attempts > 0) state = SEND_STATE.RETRYING;
+
+      states[item.letterId] = {
+        state,
+        attempts: item.attempts,
+        nextAttemptAt: item.nextAttemptAt,
+        lastError: item.lastError,
+        at: item.enqueuedAt
+      };
+    });
+
+    return states;
+  }
+
+  /**
+   * Empty the outbox and forget acknowledgements
+   */
+  clear() {
+    return this.modify(data => {
+      data.items = [];
+      data.acknowledged = {};
+    });
+  }
+
+  /**
+   * Add event listener
+   * @param {Function} listener - Event listener function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove event listener
+   * @param {Function} listener - Event listener function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in sync outbox listener:', error);
+      }
+    });
+  }
+}
+
+const syncOutbox = new SyncOutbox();
+
+export default syncOutbox;
+export { SyncOutbox };
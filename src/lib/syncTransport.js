@@ -0,0 +1,334 @@
+// src/lib/syncTransport.js
+// Pluggable transports used by syncManager to exchange letters between devices.
+// Every transport implements the same interface:
+//   ping()                         -> Promise<boolean>
+//   pull({ deviceId, since })      -> Promise<{ letters, cursor }>
+//   push({ deviceId, letters, keys }) -> Promise<{ accepted, duplicates, cursor }>
+//     (keys are optional idempotency keys, one per letter, from the sync outbox)
+//   putAttachment({ deviceId, attachment, data }) -> Promise<void>
+//   getAttachment(id)              -> Promise<string|null>  (base64 file contents)
+//   close()                        -> void
+// The reference server in server/syncServer.js speaks both REST and WebSocket.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SYNC_CONFIG_KEY = '@airletters_sync_config';
+
+export const TRANSPORT_TYPE = {
+  REST: 'rest',
+  WEBSOCKET: 'websocket'
+};
+
+// localhost works for simulators and web; use the dev machine's LAN address on a phone
+export const DEFAULT_SYNC_CONFIG = {
+  type: TRANSPORT_TYPE.REST,
+  serverUrl: 'http://localhost:8787',
+  timeoutMs: 8000
+};
+
+/**
+ * Build an error for a request that never reached the server
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as a network failure
+ */
+function networkError(message) {
+  const error = new Error(message);
+  error.isNetworkError = true;
+  return error;
+}
+
+/**
+ * Transport that talks to the sync server over HTTP
+ */
+export class RestTransport {
+  constructor({ serverUrl, timeoutMs } = DEFAULT_SYNC_CONFIG) {
+    this.serverUrl = serverUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Send a JSON request with a timeout
+   * @param {string} path - Request path
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${this.serverUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw networkError(`Sync server unreachable: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Sync server responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  async ping() {
+    try {
+      const body = await this.request('/health');
+      return body.ok === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async pull({ deviceId, since = 0 }) {
+    const query = `since=${encodeURIComponent(since)}&deviceId=${encodeURIComponent(deviceId)}`;
+    const body = await this.request(`/letters?${query}`);
+    return { letters: body.letters || [], cursor: body.cursor ?? since };
+  }
+
+  async push({ deviceId, letters, keys }) {
+    const body = await this.request('/letters', {
+      method: 'POST',
+      body: JSON.stringify({ deviceId, letters, keys })
+    });
+    return { accepted: body.accepted || [], duplicates: body.duplicates || [], cursor: body.cursor };
+  }
+
+  async putAttachment({ deviceId, attachment, data }) {
+    await this.request(`/attachments/${encodeURIComponent(attachment.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ deviceId, mimeType: attachment.mimeType, data })
+    });
+  }
+
+  async getAttachment(id) {
+    try {
+      const body = await this.request(`/attachments/${encodeURIComponent(id)}`);
+      return body.data || null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * Transport that keeps a WebSocket open and correlates replies by request ID.
+ * The server also pushes { type: 'changed' } messages, surfaced through listeners.
+ */
+export class WebSocketTransport {
+  constructor({ serverUrl, timeoutMs } = DEFAULT_SYNC_CONFIG) {
+    this.socketUrl = serverUrl.replace(/^http/, 'ws').replace(/\/+$/, '') + '/ws';
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Open the socket if it is not already open
+   * @returns {Promise<WebSocket>} Open socket
+   */
+  connect() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      return Promise.resolve(this.socket);
+    }
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.socketUrl);
+      const timer = setTimeout(() => {
+        socket.close();
+        reject(networkError('Sync server connection timed out'));
+      }, this.timeoutMs);
+
+      socket.onopen = () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve(socket);
+      };
+      socket.onerror = () => {
+        clearTimeout(timer);
+        reject(networkError('Sync server unreachable'));
+      };
+      socket.onclose = () => {
+        this.socket = null;
+        this.failPending(networkError('Sync server connection closed'));
+      };
+      socket.onmessage = (event) => this.handleMessage(event.data);
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('Ignoring malformed sync message:', error);
+      return;
+    }
+
+    if (message.requestId && this.pending.has(message.requestId)) {
+      const { resolve, reject, timer } = this.pending.get(message.requestId);
+      clearTimeout(timer);
+      this.pending.delete(message.requestId);
+      if (message.ok === false) {
+        const error = new Error(message.error || 'Sync server rejected the request');
+        error.status = message.status;
+        reject(error);
+      } else {
+        resolve(message);
+      }
+      return;
+    }
+
+    if (message.type) this.notifyListeners(message.type, message);
+  }
+
+  failPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Send a message and wait for the matching reply
+   * @param {Object} message - Message body
+   * @returns {Promise<Object>} Reply
+   */
+  async send(message) {
+    const socket = await this.connect();
+    const requestId = String(this.nextRequestId++);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(networkError('Sync server did not reply in time'));
+      }, this.timeoutMs);
+
+      this.pending.set(requestId, { resolve, reject, timer });
+      socket.send(JSON.stringify({ ...message, requestId }));
+    });
+  }
+
+  async ping() {
+    try {
+      const reply = await this.send({ type: 'ping' });
+      return reply.ok === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async pull({ deviceId, since = 0 }) {
+    const reply = await this.send({ type: 'pull', deviceId, since });
+    return { letters: reply.letters || [], cursor: reply.cursor ?? since };
+  }
+
+  async push({ deviceId, letters, keys }) {
+    const reply = await this.send({ type: 'push', deviceId, letters, keys });
+    return { accepted: reply.accepted || [], duplicates: reply.duplicates || [], cursor: reply.cursor };
+  }
+
+  async putAttachment({ deviceId, attachment, data }) {
+    await this.send({ type: 'putAttachment', deviceId, id: attachment.id, mimeType: attachment.mimeType, data });
+  }
+
+  async getAttachment(id) {
+    try {
+      const reply = await this.send({ type: 'getAttachment', id });
+      return reply.attachment?.data || null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  close() {
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+
+  /**
+   * Add event listener for server-pushed messages
+   * @param {Function} listener - Event listener function
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove event listener
+   * @param {Function} listener - Event listener function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in sync transport listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a transport for a configuration
+ * @param {Object} config - { type, serverUrl, timeoutMs }
+ * @returns {RestTransport|WebSocketTransport} Transport instance
+ */
+export function createTransport(config = DEFAULT_SYNC_CONFIG) {
+  const merged = { ...DEFAULT_SYNC_CONFIG, ...config };
+  return merged.type === TRANSPORT_TYPE.WEBSOCKET
+    ? new WebSocketTransport(merged)
+    : new RestTransport(merged);
+}
+
+let activeTransport = null;
+
+// Get the saved sync configuration
+export async function getSyncConfig() {
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_CONFIG_KEY);
+    return raw ? { ...DEFAULT_SYNC_CONFIG, ...JSON.parse(raw) } : { ...DEFAULT_SYNC_CONFIG };
+  } catch (error) {
+    console.warn('Failed to get sync config:', error);
+    return { ...DEFAULT_SYNC_CONFIG };
+  }
+}
+
+// Save the sync configuration and drop the cached transport
+export async function saveSyncConfig(config) {
+  const merged = { ...(await getSyncConfig()), ...config };
+  await AsyncStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(merged));
+  if (activeTransport) activeTransport.close();
+  activeTransport = null;
+  return merged;
+}
+
+// Get the transport for the saved configuration (created once, reused)
+export async function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport(await getSyncConfig());
+  }
+  return activeTransport;
+}
@@ -0,0 +1,159 @@
+// src/lib/tripPolicy.js
+// The trip's timeline: when letters can be written, when a letter still being written goes
+// out on its own, when the movie starts and which delivery rule new letters travel under.
+// Times count from a traveller's own departure. Compose, Letters and Movie Time all read
+// it from here, and each trip keeps its own (see trips.js).
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DateTime } from 'luxon';
+
+export const TRIP_POLICY_KEY = '@airletters_trip_policy';
+// Where the delivery rule was saved before it became part of the policy
+const LEGACY_DELIVERY_CONFIG_KEY = '@airletters_delivery_config';
+
+export const WRITING_WINDOW_STATUS = {
+  WAITING: 'waiting',
+  ACTIVE: 'active',
+  EXPIRED: 'expired'
+};
+
+export const DEFAULT_TRIP_POLICY = {
+  writingWindowOffsetMinutes: 0, // The window opens this long after departure
+  writingWindowMinutes: 60,
+  autoSend: true, // Send a letter still being written when the window closes
+  autoSendDelayMinutes: 0, // How long after the window closes it is sent
+  movieStartOffsetMinutes: 60, // After departure
+  delivery: null // { rule, fixedDelayMinutes }; null leaves the deliveryEngine default
+};
+
+function toMinutes(value, fallback, min = 0) {
+  const minutes = parseInt(value, 10);
+  return Number.isNaN(minutes) || minutes < min ? fallback : minutes;
+}
+
+function normalizePolicy(policy) {
+  const merged = { ...DEFAULT_TRIP_POLICY, ...policy };
+  return {
+    writingWindowOffsetMinutes: toMinutes(merged.writingWindowOffsetMinutes, DEFAULT_TRIP_POLICY.writingWindowOffsetMinutes),
+    writingWindowMinutes: toMinutes(merged.writingWindowMinutes, DEFAULT_TRIP_POLICY.writingWindowMinutes, 1),
+    autoSend: merged.autoSend !== false,
+    autoSendDelayMinutes: toMinutes(merged.autoSendDelayMinutes, DEFAULT_TRIP_POLICY.autoSendDelayMinutes),
+    movieStartOffsetMinutes: toMinutes(merged.movieStartOffsetMinutes, DEFAULT_TRIP_POLICY.movieStartOffsetMinutes),
+    delivery: merged.delivery || null
+  };
+}
+
+/**
+ * Get the active trip's policy
+ * @returns {Promise<Object>} Policy, with defaults for anything not set
+ */
+export async function getTripPolicy() {
+  try {
+    const raw = await AsyncStorage.getItem(TRIP_POLICY_KEY);
+    if (raw) return normalizePolicy(JSON.parse(raw));
+
+    // Bring a delivery rule saved by an earlier version into the policy
+    const legacy = await AsyncStorage.getItem(LEGACY_DELIVERY_CONFIG_KEY);
+    if (!legacy) return normalizePolicy({});
+    const policy = normalizePolicy({ delivery: JSON.parse(legacy) });
+    await AsyncStorage.setItem(TRIP_POLICY_KEY, JSON.stringify(policy));
+    await AsyncStorage.removeItem(LEGACY_DELIVERY_CONFIG_KEY);
+    return policy;
+  } catch (error) {
+    console.warn('Failed to get trip policy:', error);
+    return normalizePolicy({});
+  }
+}
+
+/**
+ * Change the active trip's policy
+ * @param {Object} changes - Fields to change; the others keep their saved values
+ * @returns {Promise<Object>} Saved policy
+ */
+export async function saveTripPolicy(changes) {
+  const saved = normalizePolicy({ ...(await getTripPolicy()), ...changes });
+  try {
+    await AsyncStorage.setItem(TRIP_POLICY_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to save trip policy:', error);
+  }
+  return saved;
+}
+
+function parseDeparture(flight) {
+  const departure = flight?.departureUTC ? DateTime.fromISO(flight.departureUTC, { zone: 'utc' }) : null;
+  return departure && departure.isValid ? departure : null;
+}
+
+/**
+ * Where a traveller is in their writing window
+ * @param {Object} flight - The traveller's flight
+ * @param {Object} policy - Trip policy
+ * @param {DateTime} now - Current time
+ * @returns {Object|null} { status, opensAt, closesAt, autoSendAt, remainingMs } where
+ *   remainingMs counts down to the window opening, then to it closing; null without a departure
+ */
+export function getWritingWindow(flight, policy = DEFAULT_TRIP_POLICY, now = DateTime.utc()) {
+  const departure = parseDeparture(flight);
+  if (!departure) return null;
+
+  const opensAt = departure.plus({ minutes: policy.writingWindowOffsetMinutes });
+  const closesAt = opensAt.plus({ minutes: policy.writingWindowMinutes });
+  const autoSendAt = policy.autoSend ? closesAt.plus({ minutes: policy.autoSendDelayMinutes }) : null;
+
+  if (now < opensAt) {
+    return { status: WRITING_WINDOW_STATUS.WAITING, opensAt, closesAt, autoSendAt, remainingMs: opensAt.diff(now).milliseconds };
+  }
+  if (now <= closesAt) {
+    return { status: WRITING_WINDOW_STATUS.ACTIVE, opensAt, closesAt, autoSendAt, remainingMs: closesAt.diff(now).milliseconds };
+  }
+  return { status: WRITING_WINDOW_STATUS.EXPIRED, opensAt, closesAt, autoSendAt, remainingMs: 0 };
+}
+
+/**
+ * Whether a letter still being written should go out now
+ * @param {Object} window - Result of getWritingWindow
+ * @param {DateTime} now - Current time
+ * @returns {boolean} True once the auto-send time has passed
+ */
+export function isAutoSendDue(window, now = DateTime.utc()) {
+  return !!window?.autoSendAt && now >= window.autoSendAt;
+}
+
+/**
+ * When the movie starts for a traveller
+ * @param {Object} flight - The traveller's flight
+ * @param {Object} policy - Trip policy
+ * @returns {DateTime|null} Start time (UTC), or null without a departure
+ */
+export function getMovieStartTime(flight, policy = DEFAULT_TRIP_POLICY) {
+  const departure = parseDeparture(flight);
+  return departure ? departure.plus({ minutes: policy.movieStartOffsetMinutes }) : null;
+}
+
+/**
+ * Policy summary for settings and status messages
+ * @param {Object} policy - Trip policy
+ * @returns {string} e.g. 'Write for 1 h from takeoff; sent when it closes; movie 1 h after takeoff'
+ */
+export function describeTripPolicy(policy) {
+  const {
+    writingWindowOffsetMinutes,
+    writingWindowMinutes,
+    autoSend,
+    autoSendDelayMinutes,
+    movieStartOffsetMinutes
+  } = normalizePolicy(policy);
+  const duration = (minutes) => (minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`);
+  const opens = writingWindowOffsetMinutes > 0
+    ? `${duration(writingWindowOffsetMinutes)} after takeoff`
+    : 'takeoff';
+  const sending = !autoSend
+    ? 'no auto-send'
+    : autoSendDelayMinutes > 0
+      ? `sent ${duration(autoSendDelayMinutes)} after it closes`
+      : 'sent when it closes';
+  const movie = movieStartOffsetMinutes > 0
+    ? `movie ${duration(movieStartOffsetMinutes)} after takeoff`
+    : 'movie at takeoff';
+  return `Write for ${duration(writingWindowMinutes)} from ${opens}; ${sending}; ${movie}`;
+}
@@ -0,0 +1,341 @@
+// src/lib/trips.js
+// Trips group everything one journey needs: its flights, vault items, timeline policy,
+// movie schedule and letters. The active trip keeps its data in the usual storage keys,
+// so the rest of the app reads it as before; switching trips puts that data away under
+// the trip and brings the other trip's back. Letters stay in the letter repository and
+// carry the ID of the trip they were written on. Each trip also lists the other letter
+// trip IDs it owns: the other traveller's phone has its own ID for the same trip, and
+// letters from before trips had IDs built from the flights. A letter with an ID no trip
+// lists belongs to the trip that is active when it is first seen; the trip claims it for
+// good when it is put away, so reading letters never writes.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DateTime } from 'luxon';
+import letterRepository from './letterRepository';
+import { cancelMovieNotification } from './movieService';
+import { flightKey, getTravellerSlots } from './roster';
+import { getFlightAirports } from './airports';
+import { TRIP_POLICY_KEY } from './tripPolicy';
+import { ACTIVE_TRIP_KEY, FLIGHTS_KEY } from './storageKeys';
+
+const TRIPS_KEY = '@airletters_trips';
+const TRIP_DATA_PREFIX = '@airletters_trip_data_';
+
+const VAULT_KEY = '@airletters_vault';
+const MOVIE_START_KEY = '@movie_start_time';
+const MOVIE_TITLE_KEY = '@movie_title';
+
+// Storage keys each trip owns; the active trip's values are the live ones
+const TRIP_DATA_KEYS = [
+  FLIGHTS_KEY,
+  VAULT_KEY,
+  TRIP_POLICY_KEY,
+  MOVIE_START_KEY,
+  MOVIE_TITLE_KEY,
+  '@movie_last_reminder'
+];
+
+// Letter trip ID the app used before trips had IDs: one part per traveller's flight
+function legacyLetterTripId(flights) {
+  const parts = getTravellerSlots(flights)
+    .map(slot => flights[flightKey(slot)])
+    .filter(Boolean)
+    .map(f => `${(f.flightNumber || '').replace(/\s+/g, '')}@${(f.departureUTC || '').slice(0, 10)}`);
+  return parts.length > 0 ? `trip_${parts.join('_')}` : null;
+}
+
+// Letter trip IDs a trip owns
+function getLetterTripIds(trip) {
+  return [trip.id, ...(trip.letterTripIds || [])];
+}
+
+function generateTripId() {
+  return `journey_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function parse(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Trips as stored, without the active flag getTrips adds
+async function writeTrips(trips) {
+  const records = trips.map(trip => {
+    const record = { ...trip };
+    delete record.active;
+    return record;
+  });
+  await AsyncStorage.setItem(TRIPS_KEY, JSON.stringify(records));
+}
+
+// The trip's own values of TRIP_DATA_KEYS, live for the active trip, put away otherwise
+async function readTripData(tripId, activeId) {
+  if (tripId === activeId) {
+    const values = await Promise.all(TRIP_DATA_KEYS.map(key => AsyncStorage.getItem(key)));
+    return Object.fromEntries(TRIP_DATA_KEYS.map((key, i) => [key, values[i]]));
+  }
+  return parse(await AsyncStorage.getItem(TRIP_DATA_PREFIX + tripId), {});
+}
+
+// Put the active trip's data away and clear the live keys for the next trip. The trip
+// claims the letters it has seen first, since it is no longer the one new ones fall to.
+async function putAway(trips, activeId) {
+  const claimed = await claimLetterTripIds(trips, activeId);
+  const data = await readTripData(activeId, activeId);
+  await AsyncStorage.setItem(TRIP_DATA_PREFIX + activeId, JSON.stringify(data));
+
+  // Movie reminders belong to the trip being put away
+  await cancelMovieNotification();
+  await AsyncStorage.multiRemove(TRIP_DATA_KEYS);
+  return claimed;
+}
+
+// Trips saved before they owned letter trip IDs take over the ID built from their
+// flights, once; letterTripId was where a put-away trip remembered it
+async function migrateLetterTripIds(trips, activeId) {
+  if (trips.every(trip => Array.isArray(trip.letterTripIds))) return trips;
+
+  const migrated = [];
+  for (const trip of trips) {
+    if (Array.isArray(trip.letterTripIds)) {
+      migrated.push(trip);
+      continue;
+    }
+    const data = await readTripData(trip.id, activeId);
+    const flights = parse(data[FLIGHTS_KEY], null);
+    const legacyId = trip.letterTripId || (flights && legacyLetterTripId(flights));
+    const record = { ...trip, letterTripIds: legacyId ? [legacyId] : [] };
+    delete record.letterTripId;
+    migrated.push(record);
+  }
+  await writeTrips(migrated);
+  return migrated;
+}
+
+// Trips with every letter trip ID no trip owns yet given to the active one, so letters
+// from the other traveller's phone, or written before a flight change, stay with their trip
+function withUnownedLetterTripIds(trips, activeId, letters) {
+  const owned = new Set(trips.flatMap(getLetterTripIds));
+  const unowned = [...new Set(letters.map(letter => letter.tripId))]
+    .filter(tripId => tripId && !owned.has(tripId));
+  if (unowned.length === 0 || !activeId) return trips;
+
+  return trips.map(trip => (trip.id === activeId
+    ? { ...trip, letterTripIds: [...(trip.letterTripIds || []), ...unowned] }
+    : trip));
+}
+
+// Stamp letters saved without a trip (before there were trips) with the given one
+async function stampLetterTripId(tripId) {
+  const letters = await letterRepository.getAll();
+  if (!letters.some(letter => !letter.tripId)) return letters;
+  return letterRepository.mutate(all => all.map(letter => (
+    letter.tripId ? letter : { ...letter, tripId }
+  )));
+}
+
+// Keep withUnownedLetterTripIds for good before the active trip is put away
+async function claimLetterTripIds(trips, activeId) {
+  const letters = await stampLetterTripId(activeId);
+  const claimed = withUnownedLetterTripIds(trips, activeId, letters);
+  if (claimed !== trips) await writeTrips(claimed);
+  return claimed;
+}
+
+// Make a trip's data live again
+async function bringBack(tripId) {
+  const data = parse(await AsyncStorage.getItem(TRIP_DATA_PREFIX + tripId), {});
+  for (const key of TRIP_DATA_KEYS) {
+    if (data[key] != null) await AsyncStorage.setItem(key, data[key]);
+  }
+  await AsyncStorage.removeItem(TRIP_DATA_PREFIX + tripId);
+}
+
+/**
+ * All trips, newest first. The first call turns whatever is saved into the first trip.
+ * @returns {Promise<Array>} [{ id, name, createdAt, archivedAt, letterTripIds, active }]
+ */
+export async function getTrips() {
+  try {
+    let trips = parse(await AsyncStorage.getItem(TRIPS_KEY), []);
+    let activeId = await AsyncStorage.getItem(ACTIVE_TRIP_KEY);
+
+    if (trips.length === 0) {
+      // Letters and flights already saved become the first trip's (see migrateLetterTripIds)
+      const first = { id: generateTripId(), name: null, createdAt: new Date().toISOString(), archivedAt: null };
+      trips = [first];
+      activeId = first.id;
+      await writeTrips(trips);
+      await AsyncStorage.setItem(ACTIVE_TRIP_KEY, activeId);
+      await stampLetterTripId(activeId);
+    }
+    trips = await migrateLetterTripIds(trips, activeId);
+
+    return trips
+      .map(trip => ({ ...trip, active: trip.id === activeId }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  } catch (error) {
+    console.warn('Failed to get trips:', error);
+    return [];
+  }
+}
+
+/**
+ * The trip the app is working on
+ * @returns {Promise<Object|null>} Trip
+ */
+export async function getActiveTrip() {
+  const trips = await getTrips();
+  return trips.find(trip => trip.active) || null;
+}
+
+/**
+ * Start a new, empty trip and make it active. The current trip keeps its data.
+ * @param {string} name - Optional name; without one the trip is named after its flights
+ * @returns {Promise<Object>} New trip
+ */
+export async function createTrip(name = null) {
+  let trips = await getTrips();
+  const active = trips.find(trip => trip.active);
+  if (active) trips = await putAway(trips, active.id);
+
+  const trip = {
+    id: generateTripId(),
+    name: name && name.trim() ? name.trim() : null,
+    createdAt: new Date().toISOString(),
+    archivedAt: null,
+    letterTripIds: []
+  };
+  await writeTrips([...trips, trip]);
+  await AsyncStorage.setItem(ACTIVE_TRIP_KEY, trip.id);
+  return trip;
+}
+
+/**
+ * Make another open trip the active one
+ * @param {string} tripId - Trip to switch to
+ * @throws {Error} If the trip does not exist or is archived
+ */
+export async function switchTrip(tripId) {
+  const all = await getTrips();
+  const target = all.find(trip => trip.id === tripId);
+  if (!target) throw new Error('This trip no longer exists');
+  if (target.archivedAt) throw new Error('Past trips are read-only');
+  if (target.active) return;
+
+  const active = all.find(trip => trip.active);
+  const trips = active ? await putAway(all, active.id) : all;
+
+  await bringBack(tripId);
+  await writeTrips(trips);
+  await AsyncStorage.setItem(ACTIVE_TRIP_KEY, tripId);
+}
+
+/**
+ * End a trip; it stays browsable but read-only. Archiving the active trip moves on to the
+ * newest open trip, or to a new empty one.
+ * @param {string} tripId - Trip to archive
+ */
+export async function archiveTrip(tripId) {
+  const all = await getTrips();
+  const target = all.find(trip => trip.id === tripId);
+  if (!target || target.archivedAt) return;
+
+  const archivedAt = new Date().toISOString();
+  const trips = target.active ? await putAway(all, tripId) : all;
+  await writeTrips(trips.map(trip => (trip.id === tripId ? { ...trip, archivedAt } : trip)));
+  if (!target.active) return;
+
+  const next = all.find(trip => !trip.active && !trip.archivedAt);
+  if (next) {
+    await bringBack(next.id);
+    await AsyncStorage.setItem(ACTIVE_TRIP_KEY, next.id);
+  } else {
+    await AsyncStorage.removeItem(ACTIVE_TRIP_KEY);
+    await createTrip();
+  }
+}
+
+/**
+ * Letter trip IDs of the trips that are put away, so their letters are left alone
+ * while another trip's flights are simulated
+ * @returns {Promise<Array>} Letter trip IDs
+ */
+export async function getInactiveLetterTripIds() {
+  const trips = await getTrips();
+  return trips.filter(trip => !trip.active).flatMap(getLetterTripIds);
+}
+
+/**
+ * Letters of a trip. The active trip also has the letters no trip has claimed yet.
+ * @param {string} tripId - Trip; defaults to the active trip
+ * @returns {Promise<Array>} Letters
+ */
+export async function getLettersByTrip(tripId = null) {
+  try {
+    const [all, letters] = await Promise.all([getTrips(), letterRepository.getAll()]);
+    const activeId = all.find(t => t.active)?.id;
+    const trip = withUnownedLetterTripIds(all, activeId, letters)
+      .find(t => (tripId ? t.id === tripId : t.active));
+    if (!trip) return [];
+    const ids = getLetterTripIds(trip);
+    return letters.filter(letter => (letter.tripId ? ids.includes(letter.tripId) : trip.active));
+  } catch (error) {
+    console.warn('Failed to get trip letters:', error);
+    return [];
+  }
+}
+
+/**
+ * A trip's flights
+ * @param {string} tripId - Trip
+ * @returns {Promise<Object|null>} Saved flights ({ flightA, flightB, … }), or null if none were entered
+ */
+export async function getTripFlights(tripId) {
+  const data = await readTripData(tripId, await AsyncStorage.getItem(ACTIVE_TRIP_KEY));
+  return parse(data[FLIGHTS_KEY], null);
+}
+
+/**
+ * Everything a trip owns, for browsing it
+ * @param {string} tripId - Trip
+ * @returns {Promise<Object|null>} { trip, flights, vault, movie: { title, startTime }, letters }
+ */
+export async function getTripDetails(tripId) {
+  try {
+    const trip = (await getTrips()).find(t => t.id === tripId);
+    if (!trip) return null;
+
+    const data = await readTripData(tripId, trip.active ? tripId : null);
+
+    return {
+      trip,
+      flights: parse(data[FLIGHTS_KEY], null),
+      vault: parse(data[VAULT_KEY], []),
+      movie: data[MOVIE_START_KEY] ? { title: data[MOVIE_TITLE_KEY], startTime: data[MOVIE_START_KEY] } : null,
+      letters: await getLettersByTrip(tripId)
+    };
+  } catch (error) {
+    console.warn('Failed to get trip details:', error);
+    return null;
+  }
+}
+
+/**
+ * Name to show for a trip
+ * @param {Object} trip - Trip
+ * @param {Object} flights - The trip's flights
+ * @returns {string} The trip's name, or its first flight's route and date
+ */
+export function getTripTitle(trip, flights) {
+  if (trip?.name) return trip.name;
+  const first = getTravellerSlots(flights).map(slot => flights[flightKey(slot)])[0];
+  if (!first) return 'New trip';
+
+  const { origin, destination } = getFlightAirports(first);
+  const departure = first.departureUTC ? DateTime.fromISO(first.departureUTC, { zone: 'utc' }) : null;
+  const route = `${origin?.city || first.origin || '?'} → ${destination?.city || first.destination || '?'}`;
+  return departure && departure.isValid ? `${route}, ${departure.toFormat('d LLL yyyy')}` : route;
+}
@@ -13,31 +13,213 @@ import {
   Animated,
   Dimensions,
   StatusBar,
-  Modal
+  Modal,
+  PanResponder
 } from 'react-native';
 import { DateTime } from 'luxon';
-import { saveLetter, getCurrentUser } from '../lib/storage';
+import { saveLetter, getCurrentUser, getFlights } from '../lib/storage';
+import { getLettersByTrip } from '../lib/trips';
+import { DELIVERY_RULE, DELIVERY_RULE_LABELS, getDeliveryConfig } from '../lib/deliveryEngine';
 import { flightProgressPercent } from '../lib/simulation';
 import defaultFlights from '../lib/defaultFlights';
+import { flightKey, getRoster, getRecipients, getTravellerName, slotIndex } from '../lib/roster';
+import {
+  DEFAULT_TRIP_POLICY,
+  WRITING_WINDOW_STATUS,
+  getTripPolicy,
+  getWritingWindow,
+  isAutoSendDue
+} from '../lib/tripPolicy';
+import {
+  SEND_TRIGGER,
+  resolveSendTime,
+  describeSendTrigger,
+  formatSendTime
+} from '../lib/sendSchedule';
+import {
+  FORMAT,
+  STICKERS,
+  MAX_STICKERS,
+  DEFAULT_STATIONERY,
+  DRAWING_SIZE,
+  PEN_WIDTHS,
+  INK_COLORS,
+  MAX_DRAWING_POINTS,
+  applyFormat,
+  addSticker,
+  countDrawingPoints,
+  startStroke,
+  extendStroke,
+  createDocument
+} from '../lib/letterDocument';
+import {
+  MAX_ATTACHMENTS,
+  MAX_VOICE_MS,
+  pickPhoto,
+  startVoiceRecording,
+  finishVoiceRecording,
+  cancelVoiceRecording,
+  deleteAttachment,
+  formatVoiceDuration
+} from '../lib/letterAttachments';
 import theme from '../theme';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from '@react-navigation/native';
+import OptionChip from '../components/OptionChip';
+import DrawingView from '../components/DrawingView';
+import AttachmentList from '../components/AttachmentList';
+import SendTimePicker from '../components/SendTimePicker';
 
 const { width } = Dimensions.get('window');
 
-export default function ComposeScreen({ navigation, route }) {
-  const flightA = route?.params?.flightA || defaultFlights.flightA;
-  const flightB = route?.params?.flightB || defaultFlights.flightB;
-  
+// Stationery, stickers, drawing and attachments of the letter being written, kept next to the text draft
+const DRAFT_EXTRAS_KEY = 'letterDraftExtras';
+
+// The configured delivery rule, for the confirmation after sending
+const describeDelivery = (delivery) => (delivery.rule === DELIVERY_RULE.FIXED_DELAY
+  ? `${DELIVERY_RULE_LABELS[delivery.rule]} of ${delivery.fixedDelayMinutes} min`
+  : DELIVERY_RULE_LABELS[delivery.rule] || DELIVERY_RULE_LABELS[DELIVERY_RULE.ON_LANDING]);
+
+const FORMAT_BUTTONS = [
+  { format: FORMAT.BOLD, label: 'B', style: { fontWeight: '700' } },
+  { format: FORMAT.ITALIC, label: 'I', style: { fontStyle: 'italic' } },
+  { format: FORMAT.HEADING, label: 'H', style: { fontWeight: '700' } }
+];
+
+// Freehand drawing for the letter; strokes are kept in DRAWING_SIZE coordinates
+function DrawingCanvas({ visible, drawing, stationery, onDone, onCancel }) {
+  const paper = theme.stationery[stationery] || theme.stationery[DEFAULT_STATIONERY];
+  const inks = [paper.ink, ...INK_COLORS];
+  const [strokes, setStrokes] = useState([]);
+  const [pen, setPen] = useState({ color: paper.ink, width: PEN_WIDTHS[1] });
+  const sizeRef = useRef({ width: 1, height: 1 });
+  // The responder is created once, so it reads the pen through this
+  const penRef = useRef(pen);
+  penRef.current = pen;
+  const drawingRef = useRef(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setStrokes(drawing ? drawing.strokes : []);
+    setPen(current => ({ ...current, color: paper.ink }));
+  }, [visible]);
+
+  const toCanvas = ({ nativeEvent }) => [
+    Math.max(0, Math.min(DRAWING_SIZE.width, (nativeEvent.locationX / sizeRef.current.width) * DRAWING_SIZE.width)),
+    Math.max(0, Math.min(DRAWING_SIZE.height, (nativeEvent.locationY / sizeRef.current.height) * DRAWING_SIZE.height))
+  ];
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: (event) => {
+      const [x, y] = toCanvas(event);
+      setStrokes(current => {
+        drawingRef.current = countDrawingPoints(current) < MAX_DRAWING_POINTS;
+        return drawingRef.current ? [...current, startStroke(penRef.current, x, y)] : current;
+      });
+    },
+    onPanResponderMove: (event) => {
+      const [x, y] = toCanvas(event);
+      setStrokes(current => {
+        const last = current[current.length - 1];
+        if (!drawingRef.current || !last || countDrawingPoints(current) >= MAX_DRAWING_POINTS) return current;
+        const next = extendStroke(last, x, y);
+        return next === last ? current : [...current.slice(0, -1), next];
+      });
+    },
+    onPanResponderRelease: () => { drawingRef.current = false; },
+    onPanResponderTerminate: () => { drawingRef.current = false; }
+  })).current;
+
+  const full = countDrawingPoints(strokes) >= MAX_DRAWING_POINTS;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.fullScreenContainer}>
+        <View style={styles.fullScreenHeader}>
+          <TouchableOpacity style={styles.closeButton} onPress={onCancel}>
+            <Text style={styles.closeButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          <View style={styles.fullScreenHeaderCenter}>
+            <Text style={styles.fullScreenTitle}>Draw</Text>
+          </View>
+          <TouchableOpacity
+            style={styles.closeButton}
+            onPress={() => onDone(strokes.length > 0 ? { ...DRAWING_SIZE, strokes } : null)}
+          >
+            <Text style={styles.closeButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.canvasContainer}>
+          <View
+            style={[styles.canvas, { backgroundColor: paper.paper }]}
+            onLayout={({ nativeEvent }) => { sizeRef.current = nativeEvent.layout; }}
+            {...responder.panHandlers}
+          >
+            <DrawingView drawing={{ ...DRAWING_SIZE, strokes }} />
+          </View>
+
+          <View style={styles.recipientRow}>
+            {inks.map(color => (
+              <TouchableOpacity
+                key={color}
+                style={[styles.inkSwatch, { backgroundColor: color }, pen.color === color && styles.inkSwatchSelected]}
+                onPress={() => setPen({ ...pen, color })}
+              />
+            ))}
+          </View>
+          <View style={styles.recipientRow}>
+            {PEN_WIDTHS.map(penWidth => (
+              <OptionChip
+                key={penWidth}
+                label={`${penWidth} pt`}
+                selected={pen.width === penWidth}
+                onPress={() => setPen({ ...pen, width: penWidth })}
+              />
+            ))}
+            <OptionChip label="Undo" onPress={() => setStrokes(strokes.slice(0, -1))} />
+            <OptionChip label="Clear" onPress={() => setStrokes([])} />
+          </View>
+          {full && <Text style={styles.hintText}>The page is full — undo a stroke to keep drawing</Text>}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+export default function ComposeScreen({ navigation }) {
   const [text, setText] = useState('');
   const [isFullScreenMode, setIsFullScreenMode] = useState(false);
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [isCountdownActive, setIsCountdownActive] = useState(false);
   const [flightStatus, setFlightStatus] = useState('waiting'); // waiting, active, expired
-  const [progressA, setProgressA] = useState(0);
-  const [progressB, setProgressB] = useState(0);
   const [letterSent, setLetterSent] = useState(false);
+  const [sentCount, setSentCount] = useState(0);
   const [currentUser, setCurrentUser] = useState(null);
+  // Everyone on the trip, and the traveller this letter goes to
+  const [flights, setFlights] = useState(defaultFlights);
+  const [recipient, setRecipient] = useState(null);
+  const [policy, setPolicy] = useState(DEFAULT_TRIP_POLICY);
+  // The recipient's own writing window, counted from their departure
+  const [theirWindow, setTheirWindow] = useState(null);
+  // When the letter leaves (see sendSchedule.js)
+  const [sendTrigger, setSendTrigger] = useState({ type: SEND_TRIGGER.NOW });
+  // What goes on the page besides the text (see letterDocument.js)
+  const [stationery, setStationery] = useState(DEFAULT_STATIONERY);
+  const [stickers, setStickers] = useState([]);
+  const [drawing, setDrawing] = useState(null);
+  const [showStickers, setShowStickers] = useState(false);
+  const [isDrawing, setIsDrawing] = useState(false);
+  // Photos and voice notes (see letterAttachments.js)
+  const [attachments, setAttachments] = useState([]);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingMs, setRecordingMs] = useState(0);
+
+  // The window that matters for sending is the writer's own; the other side has its own clock
+  const myFlight = currentUser ? flights[flightKey(currentUser)] : null;
+  const theirFlight = recipient ? flights[flightKey(recipient)] : null;
   
   // Animation references
   const pulseAnim = useRef(new Animated.Value(1)).current;
@@ -48,12 +230,37 @@ export default function ComposeScreen({ navigation, route }) {
   // Refs for saving optimization
   const saveTimeoutRef = useRef(null);
   const lastSavedTextRef = useRef('');
+  const extrasLoadedRef = useRef(false);
+  // Where the toolbar formats apply
+  const selectionRef = useRef({ start: 0, end: 0 });
+  // Voice note being recorded
+  const recordingRef = useRef(null);
+  // The window timer is set up once; it reads the latest state through this
+  const latestRef = useRef({});
+  latestRef.current = {
+    text,
+    recipient,
+    policy,
+    letterSent,
+    myFlight,
+    theirFlight,
+    flights,
+    sendTrigger,
+    stationery,
+    stickers,
+    drawing,
+    attachments
+  };
+  const autoSendingRef = useRef(false);
 
   useEffect(() => {
     // Load saved draft when component mounts
     loadDraft();
+    loadDraftExtras();
     // Load current user
     loadCurrentUser();
+    loadPolicy();
+    refreshSentCount();
     
     // Start entrance animation
     Animated.sequence([
@@ -85,6 +292,7 @@ export default function ComposeScreen({ navigation, route }) {
     
     return () => {
       clearInterval(timer);
+      if (recordingRef.current) cancelVoiceRecording(recordingRef.current);
       // Clear any pending save timeouts
       if (saveTimeoutRef.current) {
         clearTimeout(saveTimeoutRef.current);
@@ -136,17 +344,46 @@ export default function ComposeScreen({ navigation, route }) {
     };
   }, [text]);
 
-  // Load current user
+  // Stationery, stickers, drawing and attachments change rarely, so they are saved right away
+  useEffect(() => {
+    if (!extrasLoadedRef.current) return;
+    AsyncStorage.setItem(DRAFT_EXTRAS_KEY, JSON.stringify({ stationery, stickers, drawing, attachments }))
+      .catch(error => console.log('Error saving draft extras:', error));
+  }, [stationery, stickers, drawing, attachments]);
+
+  // Load current user and who they can write to
   const loadCurrentUser = async () => {
     try {
       const userType = await getCurrentUser();
+      const saved = (await getFlights()) || defaultFlights;
       setCurrentUser(userType);
+      setFlights(saved);
+      setRecipient(current => current || getRecipients(saved, userType)[0]?.slot || null);
     } catch (error) {
       console.log('Error loading current user:', error);
       setCurrentUser('A'); // Default to A
     }
   };
 
+  // Writing window, auto-send and delivery rule for this trip
+  const loadPolicy = async () => {
+    const tripPolicy = await getTripPolicy();
+    setPolicy(tripPolicy);
+    latestRef.current.policy = tripPolicy;
+    updateFlightStatus();
+  };
+
+  // Count letters this user has sent on the current trip
+  const refreshSentCount = async () => {
+    try {
+      const userType = await getCurrentUser();
+      const tripLetters = await getLettersByTrip();
+      setSentCount(tripLetters.filter(l => l.fromFlight === userType).length);
+    } catch (error) {
+      console.log('Error loading sent letters:', error);
+    }
+  };
+
   // Load draft from storage
   const loadDraft = async () => {
     try {
@@ -162,6 +399,21 @@ export default function ComposeScreen({ navigation, route }) {
     }
   };
 
+  const loadDraftExtras = async () => {
+    try {
+      const saved = JSON.parse(await AsyncStorage.getItem(DRAFT_EXTRAS_KEY));
+      if (saved) {
+        setStationery(saved.stationery || DEFAULT_STATIONERY);
+        setStickers(saved.stickers || []);
+        setDrawing(saved.drawing || null);
+        setAttachments(saved.attachments || []);
+      }
+    } catch (error) {
+      console.log('Error loading draft extras:', error);
+    }
+    extrasLoadedRef.current = true;
+  };
+
   // Debounced save function
   const saveDraftDebounced = async (draftText) => {
     try {
@@ -190,6 +442,10 @@ export default function ComposeScreen({ navigation, route }) {
 
   // Clear draft after sending
   const clearDraft = async () => {
+    // The stationery stays for the next letter; the attachment files now belong to the sent one
+    setStickers([]);
+    setDrawing(null);
+    setAttachments([]);
     try {
       await AsyncStorage.removeItem('letterDraft');
       lastSavedTextRef.current = '';
@@ -204,6 +460,74 @@ export default function ComposeScreen({ navigation, route }) {
     // No immediate save here - let the debounced effect handle it
   };
 
+  const handleFormat = (format) => {
+    const result = applyFormat(text, selectionRef.current, format);
+    setText(result.markup);
+    selectionRef.current = result.selection;
+  };
+
+  const handleAddSticker = (emoji) => {
+    if (stickers.length >= MAX_STICKERS) {
+      Alert.alert('Page Full', `A letter can carry up to ${MAX_STICKERS} stickers. Tap one to take it off.`);
+      return;
+    }
+    setStickers(addSticker(stickers, emoji));
+  };
+
+  const handleAttachPhoto = async () => {
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      Alert.alert('Letter Full', `A letter can carry up to ${MAX_ATTACHMENTS} photos and voice notes.`);
+      return;
+    }
+    try {
+      const photo = await pickPhoto();
+      if (photo) setAttachments(current => [...current, photo]);
+    } catch (error) {
+      Alert.alert('Photo Not Added', error.message);
+    }
+  };
+
+  const finishRecording = async () => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+    recordingRef.current = null;
+    setIsRecording(false);
+    setRecordingMs(0);
+    try {
+      const note = await finishVoiceRecording(recording);
+      setAttachments(current => [...current, note]);
+    } catch (error) {
+      Alert.alert('Voice Note Not Kept', error.message);
+    }
+  };
+
+  // First tap starts recording, the next one keeps the note; it stops by itself at the limit
+  const handleToggleRecording = async () => {
+    if (recordingRef.current) {
+      await finishRecording();
+      return;
+    }
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      Alert.alert('Letter Full', `A letter can carry up to ${MAX_ATTACHMENTS} photos and voice notes.`);
+      return;
+    }
+    try {
+      recordingRef.current = await startVoiceRecording(status => {
+        setRecordingMs(status.durationMillis || 0);
+        if (status.durationMillis >= MAX_VOICE_MS) finishRecording();
+      });
+      setIsRecording(true);
+    } catch (error) {
+      recordingRef.current = null;
+      Alert.alert('Cannot Record', error.message);
+    }
+  };
+
+  const handleRemoveAttachment = (attachment) => {
+    setAttachments(current => current.filter(a => a.id !== attachment.id));
+    deleteAttachment(attachment);
+  };
+
   useEffect(() => {
     // Animate character count when text changes
     if (text.length > 0) {
@@ -224,63 +548,69 @@ export default function ComposeScreen({ navigation, route }) {
 
   const updateFlightStatus = () => {
     const now = DateTime.utc();
-    const flightAStart = DateTime.fromISO(flightA.departureUTC, { zone: 'utc' });
-    const flightAEnd = DateTime.fromISO(flightA.arrivalUTC, { zone: 'utc' });
-    
-  // Letter writing window starts at flight departure and (for testing) lasts 1 minute
-  const letterWindowEnd = flightAStart.plus({ minutes: 1 });
-    
-    const newProgressA = flightProgressPercent(flightA.departureUTC, flightA.arrivalUTC);
-    const newProgressB = flightProgressPercent(flightB.departureUTC, flightB.arrivalUTC);
-    
-    setProgressA(newProgressA);
-    setProgressB(newProgressB);
-
-    if (now < flightAStart) {
-      // Flight hasn't started yet - letter window not open
-      const timeToFlight = flightAStart.diff(now, 'milliseconds').milliseconds;
-      setTimeRemaining(timeToFlight);
-      setFlightStatus('waiting');
-      setIsCountdownActive(false);
-    } else if (now >= flightAStart && now <= letterWindowEnd) {
-      // Flight has started - letter window is OPEN (1-minute window from departure for testing)
-      const timeLeft = letterWindowEnd.diff(now, 'milliseconds').milliseconds;
-      setTimeRemaining(timeLeft);
-      setFlightStatus('active');
-      setIsCountdownActive(true);
-      
+    const {
+      text: currentText,
+      policy: currentPolicy,
+      letterSent: sent,
+      myFlight: mine,
+      theirFlight: theirs
+    } = latestRef.current;
+    setTheirWindow(getWritingWindow(theirs, currentPolicy, now));
+
+    const window = getWritingWindow(mine, currentPolicy, now);
+    if (!window) return;
+
+    setTimeRemaining(window.remainingMs);
+    setFlightStatus(window.status);
+    setIsCountdownActive(window.status === WRITING_WINDOW_STATUS.ACTIVE);
+
+    if (window.status === WRITING_WINDOW_STATUS.ACTIVE) {
       // Animate countdown color as time runs out
-      const progress = 1 - (timeLeft / (60 * 60 * 1000)); // 0 to 1 over 1 hour
+      const progress = 1 - (window.remainingMs / (currentPolicy.writingWindowMinutes * 60 * 1000));
       Animated.timing(countdownColorAnim, {
         toValue: progress,
         duration: 100,
         useNativeDriver: false,
       }).start();
-      
-  // Do not auto-send. Users may compose during the 1-hour window.
-  // Sending is only allowed after the window expires (flightStatus === 'expired').
-    } else {
-      // Letter window has expired (1 hour after flight departure)
-      setTimeRemaining(0);
-      setFlightStatus('expired');
-      setIsCountdownActive(false);
-      
-      // Auto-send both letters when timer expires (if there's content)
-      if (!letterSent && text.trim()) {
+    } else if (window.status === WRITING_WINDOW_STATUS.EXPIRED) {
+      // Send what was written once the policy's auto-send time comes
+      if (!sent && currentText.trim() && isAutoSendDue(window, now)) {
         handleAutoSendLetter();
       }
     }
   };
 
   const handleAutoSendLetter = async () => {
-    if (letterSent || !text.trim()) return;
+    const {
+      text: currentText,
+      recipient: currentRecipient,
+      flights: currentFlights,
+      sendTrigger: trigger,
+      stationery: currentStationery,
+      stickers: currentStickers,
+      drawing: currentDrawing,
+      attachments: currentAttachments
+    } = latestRef.current;
+    if (autoSendingRef.current || !currentText.trim()) return;
     
+    autoSendingRef.current = true;
     setLetterSent(true);
     
     try {
+      // A chosen send moment still ahead is kept; otherwise the letter leaves now
+      const sendAt = resolveSendTime(trigger, currentFlights);
+      const scheduled = trigger.type !== SEND_TRIGGER.NOW && sendAt !== null && sendAt > Date.now();
+
       // Save the current user's letter
-      await saveLetter(text, 0); // Send immediately when auto-sent
+      const document = createDocument({
+        markup: currentText,
+        stationery: currentStationery,
+        stickers: currentStickers,
+        drawing: currentDrawing
+      });
+      await saveLetter(document, 0, await getDeliveryConfig(), currentRecipient, scheduled ? trigger : null, currentAttachments);
       await clearDraft(); // Clear saved draft
+      setSendTrigger({ type: SEND_TRIGGER.NOW });
       
       // Start the simulation by navigating to map
       Animated.sequence([
@@ -291,18 +621,33 @@ export default function ComposeScreen({ navigation, route }) {
         }),
       ]).start();
 
-      Alert.alert(
-        'Letters Auto-Sent! ✈️', 
-        'Time\'s up! Both letters have been sent and are now traveling between flights. Watch them on the map!',
-        [{ 
-          text: 'View Map', 
-          onPress: () => navigation.navigate('Map') 
-        }]
-      );
+      if (scheduled) {
+        Alert.alert(
+          'Letter Auto-Scheduled ⏰',
+          `Time's up! Your letter will leave ${formatSendTime(sendAt)} (${describeSendTrigger(trigger, currentFlights)}). Until then you can edit or cancel it in Letters.`,
+          [{
+            text: 'View Letters',
+            onPress: () => navigation.navigate('Letters')
+          }]
+        );
+      } else {
+        Alert.alert(
+          'Letter Auto-Sent! ✈️', 
+          'Time\'s up! Your letter has been sent and is now traveling between flights. Watch it on the map!',
+          [{ 
+            text: 'View Map', 
+            onPress: () => navigation.navigate('Map') 
+          }]
+        );
+      }
       setText('');
+      setLetterSent(false);
+      refreshSentCount();
     } catch (error) {
       Alert.alert('Failed to send', 'Could not send your letter. Please try again.');
       setLetterSent(false);
+    } finally {
+      autoSendingRef.current = false;
     }
   };
 
@@ -312,18 +657,35 @@ export default function ComposeScreen({ navigation, route }) {
       return;
     }
 
-    if (flightStatus !== 'expired') {
+    // A letter with a send time can be finished while the window is still open
+    const scheduling = sendTrigger.type !== SEND_TRIGGER.NOW;
+    if (flightStatus !== 'expired' && !(scheduling && flightStatus === 'active')) {
       Alert.alert(
         'Cannot Send Yet', 
         flightStatus === 'waiting' 
-          ? 'The letter window opens exactly at flight departure time. Please wait until it ends to send.'
-          : 'The writing window is still open. You can continue composing; letters will be sent automatically when the window ends.'
+          ? 'The letter window has not opened yet. Please wait until it ends to send.'
+          : policy.autoSend
+            ? 'The writing window is still open. You can continue composing; letters will be sent automatically when the window ends.'
+            : 'The writing window is still open. You can continue composing and send once it ends.'
+      );
+      return;
+    }
+
+    const sendAt = scheduling ? resolveSendTime(sendTrigger, flights) : null;
+    if (scheduling && (sendAt === null || sendAt <= Date.now())) {
+      Alert.alert(
+        'Pick Another Time',
+        sendAt === null
+          ? 'This send time could not be worked out. Pick another one or send now.'
+          : 'That moment has already passed. Pick a later one or send now.'
       );
       return;
     }
 
     try {
-      await saveLetter(text, 0); // Send immediately
+      const document = createDocument({ markup: text, stationery, stickers, drawing });
+      const delivery = await getDeliveryConfig();
+      await saveLetter(document, 0, delivery, recipient, scheduling ? sendTrigger : null, attachments);
       await clearDraft(); // Clear saved draft
       setLetterSent(true);
       
@@ -341,16 +703,29 @@ export default function ComposeScreen({ navigation, route }) {
         }),
       ]).start();
 
-      Alert.alert(
-        'Letter Sent ✉️', 
-        'Your letter is now traveling toward the other plane — open the Map to watch the simulation. It will be delivered when both flights land.',
-        [{ 
-          text: 'Open Map', 
-          onPress: () => navigation.navigate('Map') 
-        }]
-      );
+      if (scheduling) {
+        Alert.alert(
+          'Letter Scheduled ⏰',
+          `Your letter to ${getTravellerName(flights, recipient)} will leave ${formatSendTime(sendAt)} (${describeSendTrigger(sendTrigger, flights)}). Until then you can edit or cancel it in Letters.`,
+          [{
+            text: 'Open Letters',
+            onPress: () => navigation.navigate('Letters')
+          }]
+        );
+      } else {
+        Alert.alert(
+          'Letter Sent ✉️', 
+          `Your letter is now traveling toward ${getTravellerName(flights, recipient)}'s plane — open the Map to watch the simulation. Delivery: ${describeDelivery(delivery)}.`,
+          [{ 
+            text: 'Open Map', 
+            onPress: () => navigation.navigate('Map') 
+          }]
+        );
+      }
+      setSendTrigger({ type: SEND_TRIGGER.NOW });
       setText('');
       setLetterSent(false);
+      refreshSentCount();
     } catch (error) {
       Alert.alert('Failed to send', 'Could not send your letter. Please try again.');
     }
@@ -367,14 +742,19 @@ export default function ComposeScreen({ navigation, route }) {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  const formatMinutes = (minutes) => (minutes % 60 === 0 ? `${minutes / 60}-hour` : `${minutes}-minute`);
+
   const getStatusMessage = () => {
+    if (!myFlight) return 'Checking flight status...';
     switch (flightStatus) {
       case 'waiting':
-        return `⏰ Flight ${flightA.flightNumber} hasn't departed yet. Letter window opens exactly at departure time!`;
+        return policy.writingWindowOffsetMinutes > 0
+          ? `⏰ Letter window opens ${policy.writingWindowOffsetMinutes} minutes after ${myFlight.flightNumber} departs.`
+          : `⏰ Flight ${myFlight.flightNumber} hasn't departed yet. Letter window opens exactly at departure time!`;
       case 'active':
-        return `🟢 Flight ${flightA.flightNumber} has departed! Letter window is OPEN for ${formatTimeRemaining(timeRemaining)}`;
+        return `🟢 Flight ${myFlight.flightNumber} has departed! Letter window is OPEN for ${formatTimeRemaining(timeRemaining)}`;
       case 'expired':
-        return `🔴 Letter window closed. The 1-hour window ended 1 hour after ${flightA.flightNumber} departure.`;
+        return `🔴 Letter window closed. The ${formatMinutes(policy.writingWindowMinutes)} window for ${myFlight.flightNumber} has ended.`;
       default:
         return 'Checking flight status...';
     }
@@ -406,10 +786,40 @@ export default function ComposeScreen({ navigation, route }) {
     }
   };
 
+  // Sending now waits for the window to close; scheduling only for it to open
+  const scheduling = sendTrigger.type !== SEND_TRIGGER.NOW;
+  const canSend = !!text.trim() && !letterSent &&
+    (flightStatus === 'expired' || (scheduling && flightStatus === 'active'));
+
   const characterLimit = 6000; // Updated character limit
   const characterCount = text.length;
   const isNearLimit = characterCount > characterLimit * 0.8;
 
+  const paper = theme.stationery[stationery] || theme.stationery[DEFAULT_STATIONERY];
+
+  // Stickers on the page (tap to take one off) and the drawing
+  const renderExtras = () => (stickers.length > 0 || drawing) && (
+    <View style={styles.extrasRow}>
+      {stickers.map((sticker, index) => (
+        <TouchableOpacity
+          key={`${sticker.x}_${sticker.y}`}
+          onPress={() => setStickers(stickers.filter((_, i) => i !== index))}
+        >
+          <Text style={styles.placedSticker}>{sticker.emoji}</Text>
+        </TouchableOpacity>
+      ))}
+      {drawing && (
+        <TouchableOpacity
+          style={[styles.drawingThumb, { backgroundColor: paper.paper }]}
+          onPress={() => setIsDrawing(true)}
+          disabled={!isFullScreenMode} // The canvas opens from the full-screen editor
+        >
+          <DrawingView drawing={drawing} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
   // Full-screen writing modal
   const renderFullScreenEditor = () => (
     <Modal
@@ -446,39 +856,116 @@ export default function ComposeScreen({ navigation, route }) {
           </View>
         </View>
 
+        {/* Formatting, stickers, drawing and stationery */}
+        <View style={styles.toolbar}>
+          {FORMAT_BUTTONS.map(({ format, label, style }) => (
+            <TouchableOpacity key={format} style={styles.toolbarButton} onPress={() => handleFormat(format)}>
+              <Text style={[styles.toolbarButtonText, style]}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity
+            style={[styles.toolbarButton, showStickers && styles.toolbarButtonActive]}
+            onPress={() => setShowStickers(!showStickers)}
+          >
+            <Text style={styles.toolbarButtonText}>😊</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.toolbarButton} onPress={() => setIsDrawing(true)}>
+            <Text style={styles.toolbarButtonText}>✏️</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.toolbarButton} onPress={handleAttachPhoto}>
+            <Text style={styles.toolbarButtonText}>📷</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolbarButton, isRecording && styles.toolbarButtonRecording]}
+            onPress={handleToggleRecording}
+          >
+            <Text style={styles.toolbarButtonText}>{isRecording ? '⏹️' : '🎙️'}</Text>
+          </TouchableOpacity>
+        </View>
+        {isRecording && (
+          <Text style={styles.recordingText}>
+            ● Recording {formatVoiceDuration(recordingMs)} / {formatVoiceDuration(MAX_VOICE_MS)} · tap ⏹️ to keep it
+          </Text>
+        )}
+        {showStickers && (
+          <ScrollView horizontal style={styles.toolbarStrip} showsHorizontalScrollIndicator={false}>
+            {STICKERS.map(emoji => (
+              <TouchableOpacity key={emoji} onPress={() => handleAddSticker(emoji)}>
+                <Text style={styles.stickerOption}>{emoji}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        <ScrollView horizontal style={styles.toolbarStrip} showsHorizontalScrollIndicator={false}>
+          <View style={styles.recipientRow}>
+            {Object.entries(theme.stationery).map(([id, look]) => (
+              <OptionChip
+                key={id}
+                label={look.label}
+                selected={stationery === id}
+                onPress={() => setStationery(id)}
+              />
+            ))}
+          </View>
+        </ScrollView>
+
         {/* Full-screen text input */}
         <View style={styles.fullScreenInputContainer}>
           <TextInput
-            style={styles.fullScreenTextInput}
+            style={[
+              styles.fullScreenTextInput,
+              {
+                backgroundColor: paper.paper,
+                color: paper.ink,
+                borderWidth: 2,
+                borderColor: paper.edge,
+                borderStyle: paper.dashed ? 'dashed' : 'solid'
+              }
+            ]}
             placeholder="Dear fellow traveler,&#10;&#10;I hope your journey is going well..."
             placeholderTextColor={theme.colors.textMuted}
             multiline
             value={text}
             onChangeText={handleTextChange}
             textAlignVertical="top"
+            onSelectionChange={({ nativeEvent }) => { selectionRef.current = nativeEvent.selection; }}
             autoFocus={true}
             maxLength={characterLimit}
           />
+          {renderExtras()}
+          <AttachmentList attachments={attachments} onRemove={handleRemoveAttachment} />
+          <Text style={styles.hintText}>**bold**, _italic_, "# " starts a heading · tap a sticker to take it off</Text>
         </View>
 
+        <DrawingCanvas
+          visible={isDrawing}
+          drawing={drawing}
+          stationery={stationery}
+          onDone={(next) => {
+            setDrawing(next);
+            setIsDrawing(false);
+          }}
+          onCancel={() => setIsDrawing(false)}
+        />
+
         {/* Full-screen bottom bar */}
         <View style={styles.fullScreenBottomBar}>
           <TouchableOpacity 
             style={[
               styles.fullScreenSendButton,
-              (flightStatus !== 'expired' || !text.trim()) && styles.fullScreenSendButtonDisabled
+              !canSend && styles.fullScreenSendButtonDisabled
             ]}
             onPress={() => {
               handleFullScreenClose();
               setTimeout(() => handleManualSendLetter(), 100); // Small delay to ensure state updates
             }}
-            disabled={flightStatus !== 'expired' || !text.trim()}
+            disabled={!canSend}
           >
             <Text style={[
               styles.fullScreenSendButtonText,
               !text.trim() && styles.fullScreenSendButtonTextDisabled
             ]}>
-              Send Letter ✉️
+              {scheduling ? 'Schedule Letter ⏰' : 'Send Letter ✉️'}
             </Text>
           </TouchableOpacity>
         </View>
@@ -520,9 +1007,9 @@ export default function ComposeScreen({ navigation, route }) {
             <View style={styles.userRow}>
               <View style={styles.fromUser}>
                 <Text style={styles.userLabel}>From:</Text>
-                <Text style={styles.userText}>User {currentUser}</Text>
+                <Text style={styles.userText}>{getTravellerName(flights, currentUser)}</Text>
                 <Text style={styles.flightText}>
-                  {currentUser === 'A' ? flightA.flightNumber : flightB.flightNumber}
+                  {flights[flightKey(currentUser)]?.flightNumber}
                 </Text>
               </View>
               <View style={styles.arrow}>
@@ -530,12 +1017,35 @@ export default function ComposeScreen({ navigation, route }) {
               </View>
               <View style={styles.toUser}>
                 <Text style={styles.userLabel}>To:</Text>
-                <Text style={styles.userText}>User {currentUser === 'A' ? 'B' : 'A'}</Text>
+                <Text style={styles.userText}>{recipient ? getTravellerName(flights, recipient) : 'Nobody yet'}</Text>
                 <Text style={styles.flightText}>
-                  {currentUser === 'A' ? flightB.flightNumber : flightA.flightNumber}
+                  {recipient ? flights[flightKey(recipient)]?.flightNumber : 'Add travellers in Flight Setup'}
                 </Text>
               </View>
             </View>
+
+            {/* Group trips: choose who gets this letter */}
+            {getRecipients(flights, currentUser).length > 1 && (
+              <View style={styles.recipientRow}>
+                {getRecipients(flights, currentUser).map(traveller => (
+                  <TouchableOpacity
+                    key={traveller.slot}
+                    style={[
+                      styles.recipientChip,
+                      recipient === traveller.slot && styles.recipientChipSelected
+                    ]}
+                    onPress={() => setRecipient(traveller.slot)}
+                  >
+                    <Text style={[
+                      styles.recipientChipText,
+                      recipient === traveller.slot && styles.recipientChipTextSelected
+                    ]}>
+                      {traveller.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
           </View>
         )}
 
@@ -559,8 +1069,8 @@ export default function ComposeScreen({ navigation, route }) {
           {/* Countdown Display */}
           <View style={styles.countdownContainer}>
             <Text style={styles.countdownLabel}>
-              {flightStatus === 'waiting' ? 'Time until departure (letter window opens):' : 
-               flightStatus === 'active' ? 'Letter window closes in:' : 'Window status:'}
+              {flightStatus === 'waiting' ? 'Time until your letter window opens:' : 
+               flightStatus === 'active' ? 'Your letter window closes in:' : 'Your window:'}
             </Text>
             <Animated.Text style={[
               styles.countdownTime,
@@ -570,35 +1080,43 @@ export default function ComposeScreen({ navigation, route }) {
             </Animated.Text>
           </View>
 
-          {/* Progress Indicators */}
-          <View style={styles.progressSection}>
-            <View style={styles.flightProgress}>
-              <Text style={styles.flightLabel}>
-                ✈️ {flightA.flightNumber}: {Math.round(progressA * 100)}%
+          {/* The recipient's window runs on their own departure */}
+          {theirWindow && (
+            <View style={styles.theirCountdown}>
+              <Text style={styles.theirCountdownLabel}>
+                {getTravellerName(flights, recipient)}'s window ({theirFlight.flightNumber})
+                {theirWindow.status === WRITING_WINDOW_STATUS.WAITING ? ' opens in' :
+                 theirWindow.status === WRITING_WINDOW_STATUS.ACTIVE ? ' closes in' : ''}
               </Text>
-              <View style={styles.progressBar}>
-                <Animated.View 
-                  style={[styles.progressFill, { 
-                    width: `${progressA * 100}%`,
-                    backgroundColor: theme.colors.primary 
-                  }]} 
-                />
-              </View>
-            </View>
-            
-            <View style={styles.flightProgress}>
-              <Text style={styles.flightLabel}>
-                🛫 {flightB.flightNumber}: {Math.round(progressB * 100)}%
+              <Text style={[
+                styles.theirCountdownTime,
+                theirWindow.status === WRITING_WINDOW_STATUS.ACTIVE && { color: theme.colors.success }
+              ]}>
+                {theirWindow.status === WRITING_WINDOW_STATUS.EXPIRED ? 'CLOSED' : formatTimeRemaining(theirWindow.remainingMs)}
               </Text>
-              <View style={styles.progressBar}>
-                <Animated.View 
-                  style={[styles.progressFill, { 
-                    width: `${progressB * 100}%`,
-                    backgroundColor: theme.colors.accent 
-                  }]} 
-                />
-              </View>
             </View>
+          )}
+
+          {/* Progress Indicators */}
+          <View style={styles.progressSection}>
+            {getRoster(flights).map(({ slot, name, flight }) => {
+              const progress = flightProgressPercent(flight.departureUTC, flight.arrivalUTC);
+              return (
+                <View key={slot} style={styles.flightProgress}>
+                  <Text style={styles.flightLabel}>
+                    {slot === currentUser ? '✈️' : '🛫'} {name} · {flight.flightNumber}: {Math.round(progress * 100)}%
+                  </Text>
+                  <View style={styles.progressBar}>
+                    <Animated.View 
+                      style={[styles.progressFill, { 
+                        width: `${progress * 100}%`,
+                        backgroundColor: theme.colors.travellers[slotIndex(slot)]
+                      }]} 
+                    />
+                  </View>
+                </View>
+              );
+            })}
           </View>
         </Animated.View>
 
@@ -630,9 +1148,9 @@ export default function ComposeScreen({ navigation, route }) {
                 ]}
                 placeholder={
                   flightStatus === 'waiting' 
-                    ? 'Letter window opens at flight departure time...'
+                    ? 'Letter window opens after departure...'
                     : flightStatus === 'expired'
-                    ? 'Letter window is closed (ended 1 hour after departure)'
+                    ? `Letter window is closed (the ${formatMinutes(policy.writingWindowMinutes)} window has ended)`
                     : 'Tap to start writing your letter...'
                 }
                 placeholderTextColor={theme.colors.textMuted}
@@ -652,6 +1170,22 @@ export default function ComposeScreen({ navigation, route }) {
               )}
             </TouchableOpacity>
           </View>
+          {renderExtras()}
+          <AttachmentList attachments={attachments} onRemove={handleRemoveAttachment} />
+
+          {/* When the letter leaves */}
+          {currentUser && (
+            <View style={styles.scheduleCard}>
+              <Text style={styles.scheduleTitle}>When to send</Text>
+              <SendTimePicker
+                flights={flights}
+                sender={currentUser}
+                recipient={recipient}
+                trigger={sendTrigger}
+                onChange={setSendTrigger}
+              />
+            </View>
+          )}
         </View>
       </Animated.ScrollView>
 
@@ -665,27 +1199,33 @@ export default function ComposeScreen({ navigation, route }) {
         <TouchableOpacity 
           style={[
             styles.sendButton,
-            (flightStatus !== 'expired' || !text.trim() || letterSent) && styles.sendButtonDisabled
+            !canSend && styles.sendButtonDisabled
           ]} 
           onPress={handleManualSendLetter}
-          disabled={flightStatus !== 'expired' || !text.trim() || letterSent}
+          disabled={!canSend}
         >
           <Text style={[
             styles.sendButtonText,
-            (flightStatus !== 'expired' || !text.trim() || letterSent) && styles.sendButtonTextDisabled
+            !canSend && styles.sendButtonTextDisabled
           ]}>
             {letterSent ? 'Letter Sent ✅' : 
+             scheduling && flightStatus !== 'waiting' ? 'Schedule Letter ⏰' :
              flightStatus === 'expired' ? 'Send Letter ✉️' : 
              flightStatus === 'waiting' ? 'Waiting for Departure...' : 
              'Auto-Send When Timer Ends ⏰'}
           </Text>
         </TouchableOpacity>
         
-        {flightStatus === 'active' && (
+        {flightStatus === 'active' && !scheduling && (
           <Text style={styles.autoSendNote}>
             Letters will be sent automatically when the writing window closes
           </Text>
         )}
+        {sentCount > 0 && (
+          <Text style={styles.autoSendNote}>
+            {sentCount} {sentCount === 1 ? 'letter' : 'letters'} sent on this trip
+          </Text>
+        )}
       </Animated.View>
     </KeyboardAvoidingView>
     </>
@@ -763,6 +1303,32 @@ const styles = StyleSheet.create({
     color: theme.colors.primary,
     fontWeight: '500',
   },
+  recipientRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  recipientChip: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.radius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: theme.colors.backgroundSecondary,
+  },
+  recipientChipSelected: {
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.primary,
+  },
+  recipientChipText: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    fontWeight: '500',
+  },
+  recipientChipTextSelected: {
+    color: '#fff',
+  },
   statusCard: {
     backgroundColor: theme.colors.card,
     marginHorizontal: theme.spacing.page,
@@ -816,6 +1382,27 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     letterSpacing: 2,
   },
+  theirCountdown: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.lg,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    backgroundColor: theme.colors.backgroundSecondary,
+    borderRadius: theme.radius.lg,
+  },
+  theirCountdownLabel: {
+    flex: 1,
+    fontSize: 12,
+    color: theme.colors.textMuted,
+  },
+  theirCountdownTime: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+    letterSpacing: 1,
+  },
   progressSection: {
     gap: theme.spacing.md,
   },
@@ -892,6 +1479,106 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  extrasRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+  },
+  placedSticker: {
+    fontSize: 28,
+  },
+  drawingThumb: {
+    width: 90,
+    borderRadius: theme.radius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    overflow: 'hidden',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.page,
+    paddingTop: theme.spacing.md,
+  },
+  toolbarButton: {
+    width: 40,
+    height: 40,
+    borderRadius: theme.radius.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.card,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  toolbarButtonActive: {
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.backgroundSecondary,
+  },
+  toolbarButtonRecording: {
+    borderColor: theme.colors.danger,
+  },
+  toolbarButtonText: {
+    fontSize: 18,
+    color: theme.colors.text,
+  },
+  recordingText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.danger,
+    paddingHorizontal: theme.spacing.page,
+    marginTop: theme.spacing.sm,
+  },
+  toolbarStrip: {
+    flexGrow: 0,
+    paddingHorizontal: theme.spacing.page,
+    marginTop: theme.spacing.sm,
+  },
+  stickerOption: {
+    fontSize: 30,
+    marginRight: theme.spacing.md,
+  },
+  canvasContainer: {
+    padding: theme.spacing.page,
+  },
+  canvas: {
+    width: '100%',
+    aspectRatio: DRAWING_SIZE.width / DRAWING_SIZE.height,
+    borderRadius: theme.radius.lg,
+    overflow: 'hidden',
+    ...theme.shadows.md,
+  },
+  inkSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: theme.colors.border,
+  },
+  inkSwatchSelected: {
+    borderColor: theme.colors.primary,
+    borderWidth: 3,
+  },
+  scheduleCard: {
+    backgroundColor: theme.colors.card,
+    borderRadius: theme.radius.xl,
+    padding: theme.spacing.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.borderLight,
+    ...theme.shadows.sm,
+  },
+  scheduleTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.md,
+  },
   previewCard: {
     backgroundColor: theme.colors.cardElevated,
     borderRadius: theme.radius.lg,
@@ -1,40 +1,261 @@
 // src/screens/FlightSetupScreen.js
 import React, { useState, useEffect } from 'react';
-import { View, Text, TextInput, Button, Alert, ScrollView } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { View, Text, TextInput, Button, Alert, ScrollView, TouchableOpacity } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
 import theme from '../theme';
-import { DateTime } from 'luxon';
 import defaultFlights from '../lib/defaultFlights';
-
-const STORAGE_KEY = '@airletters_flights';
+import { findAirport, searchAirports, formatAirportLabel } from '../lib/airports';
+import {
+  normalizeFlightNumber,
+  toAirportTime,
+  fromAirportTime,
+  validateFlights,
+  getFlightHistory,
+  rememberFlights,
+  applyRememberedFlight,
+  moveFlightToDate
+} from '../lib/flightSchedule';
+import {
+  DELIVERY_RULE,
+  DELIVERY_RULE_LABELS,
+  DEFAULT_DELIVERY_CONFIG,
+  getDeliveryConfig,
+  saveDeliveryConfig
+} from '../lib/deliveryEngine';
+import letterTrackingSystem from '../lib/letterTracking';
+import { getFlights, saveFlights } from '../lib/storage';
+import { DEFAULT_TRIP_POLICY, getTripPolicy, saveTripPolicy, describeTripPolicy } from '../lib/tripPolicy';
+import { readItineraryPdf } from '../lib/itineraryParser';
+import {
+  MAX_TRAVELLERS,
+  MIN_TRAVELLERS,
+  flightKey,
+  getTravellerSlots,
+  getTravellerName,
+  pickFlights,
+  nextTravellerSlot
+} from '../lib/roster';
 
 const blankFlight = { flightNumber: '', origin: '', destination: '', departureUTC: '', arrivalUTC: '' };
 
-export default function FlightSetupScreen({ navigation }) {
-  const [flightA, setFlightA] = useState({ ...blankFlight });
-  const [flightB, setFlightB] = useState({ ...blankFlight });
+// Trip policy settings entered as minutes
+const TIMELINE_FIELDS = [
+  { key: 'writingWindowOffsetMinutes', label: 'Writing window opens (minutes after takeoff)' },
+  { key: 'writingWindowMinutes', label: 'Writing window length (minutes)' },
+  { key: 'movieStartOffsetMinutes', label: 'Movie starts (minutes after takeoff)' }
+];
+
+// Typed text with suggestions from the offline airport list
+function AirportField({ placeholder, value, onChange }) {
+  const [focused, setFocused] = useState(false);
+  const airport = findAirport(value);
+  const suggestions = focused && value !== formatAirportLabel(airport) ? searchAirports(value, 5) : [];
+
+  return (
+    <View>
+      <TextInput
+        style={styles.input}
+        placeholder={placeholder}
+        value={value}
+        autoCapitalize="words"
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        onChangeText={text => onChange(text, findAirport(text))}
+      />
+      {suggestions.map(match => (
+        <TouchableOpacity key={match.iata} style={styles.suggestion} onPress={() => onChange(formatAirportLabel(match), match)}>
+          <Text style={styles.suggestionTitle}>{match.iata} · {match.city}</Text>
+          <Text style={styles.suggestionMeta}>{match.name}</Text>
+        </TouchableOpacity>
+      ))}
+      <Text style={styles.hint}>
+        {airport ? `${airport.name} · ${airport.tz}` : value ? 'Not in the airport list' : ' '}
+      </Text>
+    </View>
+  );
+}
+
+// Date and time typed as shown at the airport, stored as UTC
+function LocalTimeField({ label, valueUTC, airportLabel, onChange }) {
+  const [open, setOpen] = useState(false);
+  const time = toAirportTime(valueUTC, airportLabel);
+  const [date, setDate] = useState(time.toFormat('yyyy-MM-dd'));
+  const [clock, setClock] = useState(time.toFormat('HH:mm'));
+  const typedUTC = fromAirportTime(date, clock, airportLabel);
+
+  // Follow changes made elsewhere (a document, a remembered flight, another airport)
+  useEffect(() => {
+    setDate(time.toFormat('yyyy-MM-dd'));
+    setClock(time.toFormat('HH:mm'));
+  }, [valueUTC, airportLabel]);
+
+  const type = (nextDate, nextClock) => {
+    setDate(nextDate);
+    setClock(nextClock);
+    const utc = fromAirportTime(nextDate, nextClock, airportLabel);
+    if (utc && utc !== valueUTC) onChange(utc);
+  };
+
+  return (
+    <View style={styles.timeField}>
+      <TouchableOpacity onPress={() => setOpen(!open)}>
+        <Text style={styles.timeLabel}>{label}</Text>
+        <Text style={styles.timeValue}>
+          {valueUTC ? time.toFormat('ccc d LLL yyyy, HH:mm ZZZZ') : 'Tap to set'}
+        </Text>
+        {valueUTC ? <Text style={styles.suggestionMeta}>{time.toUTC().toFormat("HH:mm 'UTC'")}</Text> : null}
+      </TouchableOpacity>
+      {open && (
+        <View>
+          <View style={styles.timeInputRow}>
+            <TextInput
+              style={[styles.input, styles.dateInput]}
+              placeholder="YYYY-MM-DD"
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              value={date}
+              onChangeText={text => type(text, clock)}
+            />
+            <TextInput
+              style={[styles.input, styles.clockInput]}
+              placeholder="HH:MM"
+              keyboardType="numbers-and-punctuation"
+              maxLength={5}
+              value={clock}
+              onChangeText={text => type(date, text)}
+            />
+          </View>
+          <Text style={styles.hint}>
+            {typedUTC ? `Local time at ${airportLabel || 'the airport'}` : 'Enter the date as YYYY-MM-DD and the time as HH:MM (24-hour)'}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+// One traveller's flight: their name, the number (with earlier flights to pick from),
+// airports and local times
+function FlightFields({ title, flight, onChange, onRemove, history }) {
+  const [numberFocused, setNumberFocused] = useState(false);
+  const typed = normalizeFlightNumber(flight.flightNumber).replace(/\s+/g, '');
+  const remembered = numberFocused
+    ? history.filter(entry => {
+      const number = entry.flightNumber.replace(/\s+/g, '');
+      return number.startsWith(typed) && entry.flightNumber !== normalizeFlightNumber(flight.flightNumber);
+    }).slice(0, 4)
+    : [];
+
+  return (
+    <View>
+      <View style={styles.headingRow}>
+        <Text style={styles.heading}>{title}</Text>
+        {onRemove && (
+          <TouchableOpacity onPress={onRemove}>
+            <Text style={styles.removeText}>Remove</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <TextInput
+        style={styles.input}
+        placeholder="Traveller name (optional)"
+        autoCapitalize="words"
+        value={flight.traveller || ''}
+        onChangeText={t => onChange({ ...flight, traveller: t })}
+      />
+      <TextInput
+        style={styles.input}
+        placeholder="Flight number"
+        autoCapitalize="characters"
+        value={flight.flightNumber}
+        onFocus={() => setNumberFocused(true)}
+        onBlur={() => setNumberFocused(false)}
+        onChangeText={t => onChange({ ...flight, flightNumber: t })}
+      />
+      {remembered.map(entry => (
+        <TouchableOpacity
+          key={entry.flightNumber}
+          style={styles.suggestion}
+          onPress={() => onChange(applyRememberedFlight(flight, entry))}
+        >
+          <Text style={styles.suggestionTitle}>{entry.flightNumber}</Text>
+          <Text style={styles.suggestionMeta}>{entry.origin} → {entry.destination}</Text>
+        </TouchableOpacity>
+      ))}
+      <AirportField
+        placeholder="From (city or airport code)"
+        value={flight.origin}
+        onChange={(origin, airport) => onChange({ ...flight, origin, departure: airport ? airport.city : flight.departure })}
+      />
+      <AirportField
+        placeholder="To (city or airport code)"
+        value={flight.destination}
+        onChange={(destination, airport) => onChange({ ...flight, destination, arrival: airport ? airport.city : flight.arrival })}
+      />
+      <LocalTimeField
+        label="Departure (local time)"
+        valueUTC={flight.departureUTC}
+        airportLabel={flight.origin}
+        onChange={departureUTC => onChange({ ...flight, departureUTC })}
+      />
+      <LocalTimeField
+        label="Arrival (local time)"
+        valueUTC={flight.arrivalUTC}
+        airportLabel={flight.destination}
+        onChange={arrivalUTC => onChange({ ...flight, arrivalUTC })}
+      />
+    </View>
+  );
+}
+
+// Fields read from a document replace what is there; fields it lacks are kept.
+// Boarding passes give only the date, so the times come from the same flight entered
+// before, or else the times already set move onto that date.
+function mergeImportedFlight(flight, imported, history) {
+  const { date, ...fields } = imported.flight;
+  const found = Object.entries(fields)
+    .filter(([key, value]) => value && key !== 'bookingReference');
+  const merged = { ...flight, ...Object.fromEntries(found) };
+  if (!date || (fields.departureUTC && fields.arrivalUTC)) return merged;
+
+  const remembered = history.find(entry =>
+    entry.flightNumber === normalizeFlightNumber(merged.flightNumber)
+    && findAirport(entry.origin)?.iata === findAirport(merged.origin)?.iata
+    && findAirport(entry.destination)?.iata === findAirport(merged.destination)?.iata);
+  const timed = remembered
+    ? { ...merged, departureUTC: remembered.departureUTC, arrivalUTC: remembered.arrivalUTC }
+    : merged;
+  return moveFlightToDate(timed, date);
+}
+
+export default function FlightSetupScreen({ navigation, route }) {
+  // One entry per traveller, keyed by slot as they are saved: { flightA, flightB, … }
+  const [flights, setFlights] = useState({ flightA: { ...blankFlight }, flightB: { ...blankFlight } });
+  const [delivery, setDelivery] = useState({ ...DEFAULT_DELIVERY_CONFIG });
+  const [timeline, setTimeline] = useState({ ...DEFAULT_TRIP_POLICY });
+  const [history, setHistory] = useState([]);
+  // Flight read from an itinerary, waiting for the traveller to confirm which flight it is
+  const [imported, setImported] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     (async () => {
       try {
-        const raw = await AsyncStorage.getItem(STORAGE_KEY);
-        if (raw) {
-          const obj = JSON.parse(raw);
-          if (obj?.flightA && obj?.flightB) {
-            setFlightA(obj.flightA);
-            setFlightB(obj.flightB);
+        setDelivery(await getDeliveryConfig());
+        setTimeline(await getTripPolicy());
+        setHistory(await getFlightHistory());
+        const obj = await getFlights();
+        if (obj) {
+          if (getTravellerSlots(obj).length >= MIN_TRAVELLERS) {
+            setFlights(pickFlights(obj));
           } else {
             // No valid saved data → set defaults
-            setFlightA(defaultFlights.flightA);
-            setFlightB(defaultFlights.flightB);
+            setFlights(pickFlights(defaultFlights));
           }
         } else {
           // First run → set defaults and save
-          setFlightA(defaultFlights.flightA);
-          setFlightB(defaultFlights.flightB);
-          const payload = { flightA: defaultFlights.flightA, flightB: defaultFlights.flightB, updatedAt: new Date().toISOString() };
-          await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+          setFlights(pickFlights(defaultFlights));
+          await saveFlights(defaultFlights);
         }
       } catch (e) {
         console.warn('Failed to load flights', e);
@@ -44,40 +265,106 @@ export default function FlightSetupScreen({ navigation }) {
     })();
   }, []);
 
-  const saveAndGo = async () => {
-    if (!flightA.departureUTC || !flightA.arrivalUTC || !flightB.departureUTC || !flightB.arrivalUTC) {
-      Alert.alert('Please enter departure and arrival times (ISO format)', 'Example: 2025-08-08T10:00:00Z');
-      return;
-    }
+  useEffect(() => {
+    const flight = route?.params?.importedFlight;
+    if (flight) setImported({ flight, source: route.params.importSource || 'document' });
+  }, [route?.params?.importedFlight]);
 
+  const importFromPdf = async () => {
     try {
-      const dA = DateTime.fromISO(flightA.departureUTC);
-      const aA = DateTime.fromISO(flightA.arrivalUTC);
-      if (!dA.isValid || !aA.isValid || aA <= dA) {
-        Alert.alert('Flight A times invalid', 'Check departure and arrival times (ISO UTC).');
-        return;
-      }
-      const dB = DateTime.fromISO(flightB.departureUTC);
-      const aB = DateTime.fromISO(flightB.arrivalUTC);
-      if (!dB.isValid || !aB.isValid || aB <= dB) {
-        Alert.alert('Flight B times invalid', 'Check departure and arrival times (ISO UTC).');
+      const result = await DocumentPicker.getDocumentAsync({
+        type: 'application/pdf',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.[0]) return;
+
+      const asset = result.assets[0];
+      const flight = await readItineraryPdf(asset.uri);
+      if (!flight) {
+        Alert.alert('Nothing found', 'No flight details could be read from this document.');
         return;
       }
+      setImported({ flight, source: asset.name || 'document' });
     } catch (e) {
-      Alert.alert('Time parse error', e.message);
-      return;
+      Alert.alert('Import failed', e.message);
     }
+  };
+
+  const slots = getTravellerSlots(flights);
+
+  const setFlight = (slot, flight) => {
+    setFlights(current => ({ ...current, [flightKey(slot)]: flight }));
+  };
+
+  const addTraveller = () => {
+    const slot = nextTravellerSlot(flights);
+    if (slot) setFlight(slot, { ...blankFlight });
+  };
+
+  // Letters already sent to or from this traveller keep their slot, so ask first
+  const removeTraveller = (slot) => {
+    Alert.alert(
+      `Remove ${getTravellerName(flights, slot)}?`,
+      'Their flight is taken off this trip.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => setFlights(current => {
+            const next = { ...current };
+            delete next[flightKey(slot)];
+            return next;
+          })
+        }
+      ]
+    );
+  };
+
+  const applyImported = (slot) => {
+    setFlight(slot, mergeImportedFlight(flights[flightKey(slot)], imported, history));
+    setImported(null);
+  };
 
-    const payload = { flightA, flightB, updatedAt: new Date().toISOString() };
+  const saveSetup = async () => {
+    const saved = Object.fromEntries(slots.map(slot => {
+      const flight = flights[flightKey(slot)];
+      return [flightKey(slot), {
+        ...flight,
+        flightNumber: normalizeFlightNumber(flight.flightNumber),
+        traveller: (flight.traveller || '').trim()
+      }];
+    }));
     try {
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
-      navigation.navigate('Map', { flightA, flightB });
+      // Also moves letters waiting for a moment of a flight to its new time
+      await saveFlights(saved);
+      setHistory(await rememberFlights(Object.values(saved)));
+      setTimeline(await saveTripPolicy(timeline));
+      await saveDeliveryConfig(delivery);
+      await letterTrackingSystem.loadFlights();
+      navigation.navigate('Map', saved);
     } catch (e) {
       Alert.alert('Save failed', 'Could not save flights locally.');
       console.warn(e);
     }
   };
 
+  const saveAndGo = () => {
+    const { errors, warnings } = validateFlights(flights);
+    if (errors.length > 0) {
+      Alert.alert('Check your flights', errors.join('\n'));
+      return;
+    }
+    if (warnings.length > 0) {
+      Alert.alert('Save these flights?', warnings.join('\n'), [
+        { text: 'Edit', style: 'cancel' },
+        { text: 'Save', onPress: saveSetup }
+      ]);
+      return;
+    }
+    saveSetup();
+  };
+
   if (loading) {
     return (
       <View style={styles.center}>
@@ -87,20 +374,105 @@ export default function FlightSetupScreen({ navigation }) {
   }
 
   return (
-    <ScrollView style={styles.page} contentContainerStyle={{ paddingBottom: 60 }}>
-      <Text style={styles.heading}>Flight A</Text>
-      <TextInput style={styles.input} placeholder="Flight number" value={flightA.flightNumber} onChangeText={t => setFlightA({ ...flightA, flightNumber: t })} />
-      <TextInput style={styles.input} placeholder="Origin" value={flightA.origin} onChangeText={t => setFlightA({ ...flightA, origin: t })} />
-      <TextInput style={styles.input} placeholder="Destination" value={flightA.destination} onChangeText={t => setFlightA({ ...flightA, destination: t })} />
-      <TextInput style={styles.input} placeholder="Departure UTC (ISO)" value={flightA.departureUTC} onChangeText={t => setFlightA({ ...flightA, departureUTC: t })} />
-      <TextInput style={styles.input} placeholder="Arrival UTC (ISO)" value={flightA.arrivalUTC} onChangeText={t => setFlightA({ ...flightA, arrivalUTC: t })} />
-
-      <Text style={styles.heading}>Flight B</Text>
-      <TextInput style={styles.input} placeholder="Flight number" value={flightB.flightNumber} onChangeText={t => setFlightB({ ...flightB, flightNumber: t })} />
-      <TextInput style={styles.input} placeholder="Origin" value={flightB.origin} onChangeText={t => setFlightB({ ...flightB, origin: t })} />
-      <TextInput style={styles.input} placeholder="Destination" value={flightB.destination} onChangeText={t => setFlightB({ ...flightB, destination: t })} />
-      <TextInput style={styles.input} placeholder="Departure UTC (ISO)" value={flightB.departureUTC} onChangeText={t => setFlightB({ ...flightB, departureUTC: t })} />
-      <TextInput style={styles.input} placeholder="Arrival UTC (ISO)" value={flightB.arrivalUTC} onChangeText={t => setFlightB({ ...flightB, arrivalUTC: t })} />
+    <ScrollView style={styles.page} contentContainerStyle={{ paddingBottom: 60 }} keyboardShouldPersistTaps="handled">
+      <View style={{ marginBottom: 8 }}>
+        <Button title="Import from itinerary PDF" color={theme.colors.muted} onPress={importFromPdf} />
+      </View>
+
+      {imported && (
+        <View style={styles.importCard}>
+          <Text style={styles.suggestionTitle}>
+            {imported.flight.flightNumber || 'Flight'} · {imported.flight.origin || '?'} → {imported.flight.destination || '?'}
+          </Text>
+          <Text style={styles.suggestionMeta}>
+            From {imported.source}{imported.flight.bookingReference ? ` · Booking ${imported.flight.bookingReference}` : ''}
+          </Text>
+          {imported.flight.date && (
+            <Text style={styles.suggestionMeta}>Flying on {imported.flight.date}</Text>
+          )}
+          {(!imported.flight.departureUTC || !imported.flight.arrivalUTC) && (
+            <Text style={styles.hint}>Some times were not in the document; check them after importing.</Text>
+          )}
+          <View style={styles.importActions}>
+            {slots.map(slot => (
+              <View key={slot} style={styles.importAction}>
+                <Button title={`Use for ${slot}`} onPress={() => applyImported(slot)} />
+              </View>
+            ))}
+            <Button title="Dismiss" color={theme.colors.muted} onPress={() => setImported(null)} />
+          </View>
+        </View>
+      )}
+
+      {slots.map(slot => (
+        <FlightFields
+          key={slot}
+          title={`Flight ${slot}`}
+          flight={flights[flightKey(slot)]}
+          onChange={flight => setFlight(slot, flight)}
+          onRemove={slots.length > MIN_TRAVELLERS ? () => removeTraveller(slot) : null}
+          history={history}
+        />
+      ))}
+      {slots.length < MAX_TRAVELLERS && (
+        <View style={{ marginTop: 4 }}>
+          <Button title="Add traveller" color={theme.colors.muted} onPress={addTraveller} />
+        </View>
+      )}
+      <Text style={styles.hint}>Travellers on the same plane each add the same flight.</Text>
+
+      <Text style={styles.heading}>Trip timeline</Text>
+      {TIMELINE_FIELDS.map(({ key, label }) => (
+        <View key={key}>
+          <Text style={styles.hint}>{label}</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={String(timeline[key])}
+            onChangeText={t => setTimeline({ ...timeline, [key]: t.replace(/[^0-9]/g, '') })}
+          />
+        </View>
+      ))}
+      <View style={{ marginBottom: 8 }}>
+        <Button
+          title={timeline.autoSend ? 'Auto-send unsent letters: on' : 'Auto-send unsent letters: off'}
+          color={timeline.autoSend ? theme.colors.primary : theme.colors.muted}
+          onPress={() => setTimeline({ ...timeline, autoSend: !timeline.autoSend })}
+        />
+      </View>
+      {timeline.autoSend && (
+        <View>
+          <Text style={styles.hint}>Send them this many minutes after the window closes</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={String(timeline.autoSendDelayMinutes)}
+            onChangeText={t => setTimeline({ ...timeline, autoSendDelayMinutes: t.replace(/[^0-9]/g, '') })}
+          />
+        </View>
+      )}
+      <Text style={styles.hint}>{describeTripPolicy(timeline)}. Times count from each traveller's own departure.</Text>
+
+      <Text style={styles.heading}>Letter delivery</Text>
+      {Object.values(DELIVERY_RULE).map(rule => (
+        <View key={rule} style={{ marginBottom: 8 }}>
+          <Button
+            title={DELIVERY_RULE_LABELS[rule]}
+            color={delivery.rule === rule ? theme.colors.primary : theme.colors.muted}
+            onPress={() => setDelivery({ ...delivery, rule })}
+          />
+        </View>
+      ))}
+      {delivery.rule === DELIVERY_RULE.FIXED_DELAY && (
+        <TextInput
+          style={styles.input}
+          placeholder="Delay in minutes"
+          keyboardType="number-pad"
+          value={String(delivery.fixedDelayMinutes)}
+          onChangeText={t => setDelivery({ ...delivery, fixedDelayMinutes: t.replace(/[^0-9]/g, '') })}
+        />
+      )}
+      <Text style={styles.hint}>Applies to letters you send from now on.</Text>
 
       <View style={{ marginTop: 16 }}>
         <Button title="Save & Open Map" onPress={saveAndGo} />
@@ -119,6 +491,16 @@ const styles = {
     padding: theme.spacing.page,
     backgroundColor: theme.colors.background,
   },
+  headingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  removeText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: theme.colors.danger,
+  },
   heading: {
     marginTop: 12,
     marginBottom: 8,
@@ -134,6 +516,73 @@ const styles = {
     borderRadius: 8,
     marginBottom: 10,
   },
+  hint: {
+    fontSize: 13,
+    color: theme.colors.textMuted,
+    marginBottom: 4,
+  },
+  importCard: {
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.primaryLight,
+    backgroundColor: theme.colors.backgroundSecondary,
+  },
+  importActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  importAction: {
+    marginBottom: 6,
+  },
+  suggestion: {
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    marginTop: -6,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: theme.colors.backgroundSecondary,
+  },
+  suggestionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  suggestionMeta: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+  },
+  timeField: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: theme.colors.card,
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  timeLabel: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+  },
+  timeValue: {
+    fontSize: 15,
+    color: theme.colors.text,
+    marginVertical: 2,
+  },
+  timeInputRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  dateInput: {
+    flex: 2,
+    marginRight: 8,
+  },
+  clockInput: {
+    flex: 1,
+  },
   center: {
     flex: 1,
     alignItems: 'center',
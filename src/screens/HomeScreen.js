@@ -1,25 +1,87 @@
 // src/screens/HomeScreen.js
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import theme from '../theme';
 import { generateTestFlights, getMidFlightTest } from '../lib/testFlights';
 import { getUserSelection, clearUserSelection } from './UserSelectionScreen';
+import { getFlights } from '../lib/storage';
+import defaultFlights from '../lib/defaultFlights';
+import { getFlightAirports } from '../lib/airports';
+import { flightKey, getTravellerName, slotIndex } from '../lib/roster';
+import { getTrips, getTripFlights, getTripTitle, createTrip, switchTrip, archiveTrip } from '../lib/trips';
+import letterTrackingSystem from '../lib/letterTracking';
 
 export default function HomeScreen({ navigation, route }) {
   const [currentUser, setCurrentUser] = useState(null);
+  const [flights, setFlights] = useState(null);
+  const [trips, setTrips] = useState([]);
   
-  // Load user selection when screen focuses
+  // Load user selection and trips when screen focuses
   useFocusEffect(
     React.useCallback(() => {
       loadUserSelection();
+      loadTrips();
     }, [])
   );
 
+  const loadTrips = async () => {
+    try {
+      const list = await getTrips();
+      const tripFlights = await Promise.all(list.map(trip => getTripFlights(trip.id)));
+      setTrips(list.map((trip, i) => ({ ...trip, title: getTripTitle(trip, tripFlights[i]) })));
+    } catch (error) {
+      console.error('Failed to load trips:', error);
+    }
+  };
+
+  // After the active trip changes, everything on screen and in the simulation follows it
+  const changeTrip = async (change, failureMessage) => {
+    try {
+      await change();
+      await letterTrackingSystem.loadFlights();
+      await Promise.all([loadUserSelection(), loadTrips()]);
+    } catch (error) {
+      console.error(failureMessage, error);
+      Alert.alert('Error', error.message || failureMessage);
+    }
+  };
+
+  const handleNewTrip = () => {
+    Alert.alert(
+      'Start a new trip?',
+      'Your current trip and its letters, documents and movie stay in the trip list.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'New Trip', onPress: () => changeTrip(() => createTrip(), 'Failed to create trip') }
+      ]
+    );
+  };
+
+  const handleArchiveTrip = (trip) => {
+    Alert.alert(
+      'End this trip?',
+      `"${trip.title}" moves to past trips, where it can be viewed but not changed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'End Trip', style: 'destructive', onPress: () => changeTrip(() => archiveTrip(trip.id), 'Failed to archive trip') }
+      ]
+    );
+  };
+
+  const handleTripPress = (trip) => {
+    if (trip.archivedAt) {
+      navigation.navigate('Trip', { tripId: trip.id });
+    } else if (!trip.active) {
+      changeTrip(() => switchTrip(trip.id), 'Failed to switch trip');
+    }
+  };
+
   const loadUserSelection = async () => {
     try {
       const userType = await getUserSelection();
       setCurrentUser(userType);
+      setFlights((await getFlights()) || defaultFlights);
     } catch (error) {
       console.error('Failed to load user selection:', error);
     }
@@ -51,20 +113,16 @@ export default function HomeScreen({ navigation, route }) {
   };
 
   const getUserInfo = () => {
-    if (currentUser === 'A') {
-      return {
-        flight: 'Flight 6E 6633',
-        route: 'Bengaluru → Chandigarh',
-        color: '#4CAF50'
-      };
-    } else if (currentUser === 'B') {
-      return {
-        flight: 'Flight 6E 5205',
-        route: 'Bengaluru → Mumbai',
-        color: '#2196F3'
-      };
-    }
-    return null;
+    const flight = currentUser && flights?.[flightKey(currentUser)];
+    if (!flight) return null;
+
+    const { origin, destination } = getFlightAirports(flight);
+    return {
+      name: getTravellerName(flights, currentUser),
+      flight: `Flight ${flight.flightNumber}`,
+      route: `${origin?.city || flight.origin} → ${destination?.city || flight.destination}`,
+      color: theme.colors.travellers[slotIndex(currentUser)]
+    };
   };
   
   const startTestSimulation = (testType) => {
@@ -92,9 +150,36 @@ export default function HomeScreen({ navigation, route }) {
   };
 
   const userInfo = getUserInfo();
+  const openTrips = trips.filter(trip => !trip.archivedAt);
+  const pastTrips = trips.filter(trip => trip.archivedAt);
+
+  const renderTrip = (trip) => (
+    <TouchableOpacity
+      key={trip.id}
+      style={[styles.tripRow, trip.active && styles.tripRowActive]}
+      onPress={() => handleTripPress(trip)}
+      disabled={trip.active}
+    >
+      <View style={styles.userInfo}>
+        <Text style={styles.tripTitle}>{trip.title}</Text>
+        <Text style={styles.tripMeta}>
+          {trip.active
+            ? 'Current trip'
+            : trip.archivedAt
+              ? `Ended ${new Date(trip.archivedAt).toLocaleDateString()} · tap to view`
+              : 'Tap to switch to this trip'}
+        </Text>
+      </View>
+      {trip.active && (
+        <TouchableOpacity style={styles.changeUserButton} onPress={() => handleArchiveTrip(trip)}>
+          <Text style={styles.changeUserText}>End</Text>
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
 
   return (
-    <View style={styles.page}>
+    <ScrollView style={styles.page} contentContainerStyle={styles.pageContent}>
       <Text style={styles.title}>AirLetters ✈️</Text>
       <Text style={styles.subtitle}>Share mid-flight letters — simulated offline</Text>
 
@@ -103,7 +188,7 @@ export default function HomeScreen({ navigation, route }) {
         <View style={[styles.userCard, { borderLeftColor: userInfo.color }]}>
           <View style={styles.userHeader}>
             <View style={styles.userInfo}>
-              <Text style={styles.userTitle}>You are User {currentUser}</Text>
+              <Text style={styles.userTitle}>You are {userInfo.name}</Text>
               <Text style={styles.userFlight}>{userInfo.flight}</Text>
               <Text style={styles.userRoute}>{userInfo.route}</Text>
             </View>
@@ -117,6 +202,19 @@ export default function HomeScreen({ navigation, route }) {
         </View>
       )}
 
+      {/* Trips */}
+      <View style={styles.tripSection}>
+        <View style={styles.userHeader}>
+          <Text style={styles.sectionTitle}>🧳 Trips</Text>
+          <TouchableOpacity onPress={handleNewTrip}>
+            <Text style={styles.newTripText}>＋ New trip</Text>
+          </TouchableOpacity>
+        </View>
+        {openTrips.map(renderTrip)}
+        {pastTrips.length > 0 && <Text style={styles.tripGroupLabel}>Past trips</Text>}
+        {pastTrips.map(renderTrip)}
+      </View>
+
       {/* Test Mode Section */}
       {/* <View style={styles.testSection}>
         <Text style={styles.testTitle}>🧪 Test Mode</Text>
@@ -140,7 +238,7 @@ export default function HomeScreen({ navigation, route }) {
       {/* Regular Navigation */}
       <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('FlightSetup')}>
         <Text style={styles.cardTitle}>✈️ Flight Setup</Text>
-        <Text style={styles.cardSubtitle}>Enter both flights to simulate</Text>
+        <Text style={styles.cardSubtitle}>Enter everyone's flights to simulate</Text>
       </TouchableOpacity>
 
       <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('Compose')}>
@@ -168,18 +266,25 @@ export default function HomeScreen({ navigation, route }) {
         <Text style={styles.cardSubtitle}>Store PDFs & images offline</Text>
       </TouchableOpacity>
 
+      <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('PeerExchange')}>
+        <Text style={styles.cardTitle}>🤝 Swap with Traveller</Text>
+        <Text style={styles.cardSubtitle}>Exchange flights & letters phone-to-phone</Text>
+      </TouchableOpacity>
+
       <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('SyncStatus')}>
   <Text style={styles.cardTitle}>🔄 Sync Status</Text>
   <Text style={styles.cardSubtitle}>Monitor offline/online sync</Text>
 </TouchableOpacity>
 
-    </View>
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
   page: {
     flex: 1,
+  },
+  pageContent: {
     padding: theme.spacing.page,
   },
   title: {
@@ -239,6 +344,51 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  tripSection: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 8,
+  },
+  newTripText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  tripGroupLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.muted,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  tripRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.card,
+    padding: 12,
+    borderRadius: theme.radius.md,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  tripRowActive: {
+    borderColor: theme.colors.primary,
+  },
+  tripTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  tripMeta: {
+    fontSize: 12,
+    color: theme.colors.muted,
+    marginTop: 2,
+  },
   testSection: {
     marginBottom: 20,
     padding: 16,
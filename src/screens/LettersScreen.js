@@ -16,35 +16,67 @@ import {
   ActivityIndicator,
   SafeAreaView,
   PanResponder,
-  Platform
+  Platform,
+  TextInput
 } from 'react-native';
 import { DateTime } from 'luxon';
-import { processLetterStatuses, markLetterAsRead, LETTER_STATUS, getCurrentUser } from '../lib/storage';
+import {
+  getLetters,
+  markLetterAsRead,
+  canTransition,
+  LETTER_STATUS,
+  LETTER_STATUS_EMOJIS,
+  LETTER_STATUS_LABELS
+} from '../lib/letterRepository';
+import {
+  getCurrentUser,
+  deleteLetter,
+  getFlights,
+  updateScheduledLetter,
+  recallLetter
+} from '../lib/storage';
+import letterTrackingSystem from '../lib/letterTracking';
 import { flightProgressPercent } from '../lib/simulation';
+import syncOutbox, { SEND_STATE } from '../lib/syncOutbox';
+import { flushOutbox } from '../lib/syncManager';
 import defaultFlights from '../lib/defaultFlights';
+import { getLetterFlights } from '../lib/deliveryEngine';
+import { getFlightAirports } from '../lib/airports';
+import { buildAirportRoute } from '../lib/routeBuilder';
+import { flightKey, getTravellerName, getTravellerSlots } from '../lib/roster';
+import { getLettersByTrip } from '../lib/trips';
+import { DEFAULT_TRIP_POLICY, WRITING_WINDOW_STATUS, getTripPolicy, getWritingWindow } from '../lib/tripPolicy';
+import { SEND_TRIGGER, describeSendTrigger } from '../lib/sendSchedule';
+import {
+  getLetterDocument,
+  parseMarkup,
+  toMarkup
+} from '../lib/letterDocument';
+import flightSimulation from '../lib/flightSimulation';
+import { ATTACHMENT_TYPE, getLetterAttachments } from '../lib/letterAttachments';
+import SendTimePicker from '../components/SendTimePicker';
+import AttachmentList from '../components/AttachmentList';
+import LetterDocumentView from '../components/LetterDocumentView';
 import theme from '../theme';
 
 const { width, height } = Dimensions.get('window');
 
 const STATUS_COLORS = {
+  [LETTER_STATUS.DRAFT]: theme.colors.textLight,
   [LETTER_STATUS.SCHEDULED]: theme.colors.scheduled,
   [LETTER_STATUS.IN_TRANSIT]: theme.colors.inTransit, 
   [LETTER_STATUS.DELIVERED]: theme.colors.delivered,
-  [LETTER_STATUS.READ]: theme.colors.read
-};
-
-const STATUS_EMOJIS = {
-  [LETTER_STATUS.SCHEDULED]: '⏰',
-  [LETTER_STATUS.IN_TRANSIT]: '✈️',
-  [LETTER_STATUS.DELIVERED]: '📬',
-  [LETTER_STATUS.READ]: '✅'
+  [LETTER_STATUS.READ]: theme.colors.read,
+  [LETTER_STATUS.FAILED]: theme.colors.danger,
+  [LETTER_STATUS.RECALLED]: theme.colors.textMuted
 };
 
-const STATUS_LABELS = {
-  [LETTER_STATUS.SCHEDULED]: 'Scheduled',
-  [LETTER_STATUS.IN_TRANSIT]: 'Flying',
-  [LETTER_STATUS.DELIVERED]: 'Delivered',
-  [LETTER_STATUS.READ]: 'Read'
+const SEND_STATE_LABELS = {
+  [SEND_STATE.QUEUED]: '⏳ Waiting to send',
+  [SEND_STATE.SENDING]: '📤 Sending…',
+  [SEND_STATE.RETRYING]: '🔁 Retrying',
+  [SEND_STATE.FAILED]: '⚠️ Not sent',
+  [SEND_STATE.SYNCED]: '☁️ Synced'
 };
 
 // Constants for zoom functionality - optimized for long text reading
@@ -52,6 +84,18 @@ const MIN_ZOOM = 0.6;
 const MAX_ZOOM = 4.0;
 const INITIAL_ZOOM = 1.0;
 
+// Rows of the journey panel, in display order
+const JOURNEY_LABELS = {
+  route: 'Route',
+  flights: 'Flights',
+  distance: 'Distance',
+  altitude: 'Altitude',
+  estimatedTime: 'Arrival',
+  currentStatus: 'Status',
+  position: 'Position',
+  deliveredAt: 'Delivered'
+};
+
 export default function LettersScreen({ navigation }) {
   const [letters, setLetters] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
@@ -62,6 +106,16 @@ export default function LettersScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
+  const [showAllTrips, setShowAllTrips] = useState(false);
+  const [sendStates, setSendStates] = useState({});
+  const [flights, setFlights] = useState(defaultFlights);
+  // Markup and send trigger of the scheduled letter being changed
+  const [editing, setEditing] = useState(null);
+
+  // The polling timer is created once, so it reads the trip filter through a ref
+  const showAllTripsRef = useRef(false);
+  // Likewise the writing window banner reads this traveller's flight and the trip policy
+  const timelineRef = useRef({ flight: defaultFlights.flightA, policy: DEFAULT_TRIP_POLICY });
 
   // Animation references
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -139,11 +193,22 @@ export default function LettersScreen({ navigation }) {
     initializeScreen();
     
     const timer = setInterval(() => {
-      loadLetters();
       updateActiveWindow();
     }, 1000);
+
+    // Letter tracking moves letters with the flights and reports every change
+    const handleTrackingEvent = (event) => {
+      if (event === 'lettersChanged') loadLetters();
+    };
+    const handleOutboxEvent = () => loadLetters();
+    letterTrackingSystem.addListener(handleTrackingEvent);
+    syncOutbox.addListener(handleOutboxEvent);
     
-    return () => clearInterval(timer);
+    return () => {
+      clearInterval(timer);
+      letterTrackingSystem.removeListener(handleTrackingEvent);
+      syncOutbox.removeListener(handleOutboxEvent);
+    };
   }, []);
 
   const initializeScreen = async () => {
@@ -151,7 +216,9 @@ export default function LettersScreen({ navigation }) {
       setLoading(true);
       await Promise.all([
         loadLetters(),
-        loadCurrentUser()
+        loadCurrentUser(),
+        loadFlights(),
+        loadTimeline()
       ]);
       startEntranceAnimations();
     } catch (err) {
@@ -162,6 +229,18 @@ export default function LettersScreen({ navigation }) {
     }
   };
 
+  const loadFlights = async () => {
+    const saved = await getFlights();
+    if (getTravellerSlots(saved).length > 0) setFlights(saved);
+  };
+
+  const loadTimeline = async () => {
+    const [userType, saved, policy] = await Promise.all([getCurrentUser(), getFlights(), getTripPolicy()]);
+    const tripFlights = saved || defaultFlights;
+    timelineRef.current = { flight: tripFlights[flightKey(userType)] || tripFlights.flightA, policy };
+    updateActiveWindow();
+  };
+
   const loadCurrentUser = async () => {
     try {
       const userType = await getCurrentUser();
@@ -209,15 +288,12 @@ export default function LettersScreen({ navigation }) {
   };
 
   const updateActiveWindow = useCallback(() => {
-    const now = DateTime.utc();
-    const flightA = defaultFlights.flightA;
-    const flightStart = DateTime.fromISO(flightA.departureUTC, { zone: 'utc' });
-    const oneHourWindow = flightStart.plus({ hours: 1 });
+    const { flight, policy } = timelineRef.current;
+    const window = getWritingWindow(flight, policy, DateTime.utc());
     
-    if (now >= flightStart && now <= oneHourWindow) {
+    if (window && window.status === WRITING_WINDOW_STATUS.ACTIVE) {
       setActiveWindow(true);
-      const timeLeft = oneHourWindow.diff(now, 'milliseconds').milliseconds;
-      setTimeRemaining(Math.max(0, timeLeft));
+      setTimeRemaining(Math.max(0, window.remainingMs));
     } else {
       setActiveWindow(false);
       setTimeRemaining(0);
@@ -226,7 +302,8 @@ export default function LettersScreen({ navigation }) {
 
   const loadLetters = async () => {
     try {
-      const updatedLetters = await processLetterStatuses();
+      const allLetters = await getLetters();
+      const updatedLetters = showAllTripsRef.current ? allLetters : await getLettersByTrip();
       
       // Enhanced sorting with better prioritization
       const prioritySort = (a, b) => {
@@ -234,7 +311,10 @@ export default function LettersScreen({ navigation }) {
           [LETTER_STATUS.DELIVERED]: 0,
           [LETTER_STATUS.IN_TRANSIT]: 1,
           [LETTER_STATUS.SCHEDULED]: 2,
-          [LETTER_STATUS.READ]: 3
+          [LETTER_STATUS.DRAFT]: 3,
+          [LETTER_STATUS.READ]: 4,
+          [LETTER_STATUS.FAILED]: 5,
+          [LETTER_STATUS.RECALLED]: 6
         };
         
         if (statusPriority[a.status] !== statusPriority[b.status]) {
@@ -247,6 +327,7 @@ export default function LettersScreen({ navigation }) {
       
       const sortedLetters = updatedLetters.sort(prioritySort);
       setLetters(sortedLetters);
+      setSendStates(await syncOutbox.getSendStates());
 
       // Enhanced animation with staggered entrance
       sortedLetters.forEach((letter, index) => {
@@ -286,6 +367,11 @@ export default function LettersScreen({ navigation }) {
     setModalVisible(true);
   }, []);
 
+  // Unsaved changes to a scheduled letter go when the letter is closed
+  useEffect(() => {
+    if (!modalVisible) setEditing(null);
+  }, [modalVisible]);
+
   const resetZoomAndPan = () => {
     zoomScale.setValue(INITIAL_ZOOM);
     panX.setValue(0);
@@ -295,8 +381,133 @@ export default function LettersScreen({ navigation }) {
     lastPanY.current = 0;
   };
 
+  const toggleTripFilter = (showAll) => {
+    showAllTripsRef.current = showAll;
+    setShowAllTrips(showAll);
+    loadLetters();
+  };
+
+  // Letters addressed to the current user are the only ones they can mark as read
+  const isIncoming = useCallback((letter) => letter?.toFlight === currentUser, [currentUser]);
+  // and letters they sent the only ones they can change or recall
+  const isOwn = useCallback((letter) => letter?.fromFlight === currentUser, [currentUser]);
+
+  const handleDeleteLetter = (letter) => {
+    if (!letter) return;
+    
+    Alert.alert(
+      'Delete Letter',
+      'Remove this letter from your mailbox? This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const deleted = await deleteLetter(letter.id);
+            if (!deleted) {
+              Alert.alert('Error', 'Failed to delete letter. Please try again.');
+              return;
+            }
+            letterAnimations.delete(letter.id);
+            if (selectedLetter?.id === letter.id) setModalVisible(false);
+            await loadLetters();
+          }
+        }
+      ]
+    );
+  };
+
+  const handleRecallLetter = (letter) => {
+    if (!letter || !isOwn(letter) || !canTransition(letter.status, LETTER_STATUS.RECALLED)) return;
+    
+    Alert.alert(
+      'Recall Letter',
+      'Stop this letter before it departs? It will stay in your mailbox as recalled.',
+      [
+        { text: 'Keep Sending', style: 'cancel' },
+        {
+          text: 'Recall',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const recalled = await recallLetter(letter.id);
+              if (recalled) setSelectedLetter(recalled);
+              await loadLetters();
+            } catch (error) {
+              console.error('Failed to recall letter:', error);
+              Alert.alert('Too Late', 'This letter has already left and can no longer be recalled.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleEditScheduled = (letter) => {
+    setEditing({
+      text: toMarkup(getLetterDocument(letter)),
+      trigger: letter.sendTrigger || { type: SEND_TRIGGER.AT_TIME, at: letter.scheduledSendUTC }
+    });
+  };
+
+  const handleSaveScheduled = async () => {
+    if (!selectedLetter || !editing) return;
+    if (!editing.text.trim()) {
+      Alert.alert('Empty Letter', 'Please write something, or recall the letter instead.');
+      return;
+    }
+
+    try {
+      // Stationery, stickers and drawing stay as they were sent
+      const updated = await updateScheduledLetter(selectedLetter.id, {
+        content: { ...getLetterDocument(selectedLetter), blocks: parseMarkup(editing.text) },
+        sendTrigger: editing.trigger
+      });
+      setSelectedLetter(updated);
+      setEditing(null);
+      await loadLetters();
+    } catch (error) {
+      console.error('Failed to change scheduled letter:', error);
+      Alert.alert('Not Changed', error.message);
+    }
+  };
+
+  const handleRetrySend = async () => {
+    try {
+      await syncOutbox.retryFailed();
+      await flushOutbox({ force: true });
+    } catch (error) {
+      console.error('Failed to retry sending:', error);
+    }
+    await loadLetters();
+  };
+
+  const renderSendState = (letter) => {
+    const sendState = sendStates[letter.id];
+    const state = sendState ? sendState.state : SEND_STATE.QUEUED;
+    let label = SEND_STATE_LABELS[state];
+
+    if (state === SEND_STATE.RETRYING && sendState.nextAttemptAt) {
+      label += ` (attempt ${sendState.attempts + 1} at ${formatDate(sendState.nextAttemptAt)})`;
+    }
+
+    if (state === SEND_STATE.FAILED) {
+      return (
+        <TouchableOpacity onPress={handleRetrySend}>
+          <Text style={[styles.sendStateText, styles.sendStateFailed]}>{label} · Retry</Text>
+        </TouchableOpacity>
+      );
+    }
+    return (
+      <Text style={[styles.sendStateText, state === SEND_STATE.SYNCED && styles.sendStateSynced]}>
+        {label}
+      </Text>
+    );
+  };
+
   const handleMarkAsRead = async (letter) => {
-    if (!letter || letter.status !== LETTER_STATUS.DELIVERED) return;
+    if (!letter || letter.status !== LETTER_STATUS.DELIVERED || !isIncoming(letter)) return;
     
     try {
       await markLetterAsRead(letter.id);
@@ -358,14 +569,20 @@ export default function LettersScreen({ navigation }) {
   const getJourneyDetails = useCallback((letter) => {
     if (!letter) return {};
     
-    const flightA = defaultFlights.flightA;
-    const flightB = defaultFlights.flightB;
+    // The letter leaves with the sender's flight and ends up on the recipient's
+    const { sender, recipient } = getLetterFlights(letter, flights);
+    const from = getFlightAirports(sender).origin;
+    const to = getFlightAirports(recipient).destination;
+    const path = buildAirportRoute(from, to);
     
     let details = {
-      route: `${flightA.departure} → ${flightB.arrival}`,
-      distance: '~1,250 km',
+      route: from && to ? `${from.city} (${from.iata}) → ${to.city} (${to.iata})` : 'Route unknown',
+      flights: `${sender?.flightNumber || '?'} → ${recipient?.flightNumber || '?'}`,
+      distance: path ? `~${Math.round(flightSimulation.calculateRouteDistance(path)).toLocaleString('en-US')} km` : 'Unknown',
       altitude: '35,000 ft',
-      estimatedTime: '~5 minutes transit'
+      estimatedTime: letter.estimatedDelivery
+        ? `Arrives ${formatDate(letter.estimatedDelivery)}`
+        : 'Arrival not yet known'
     };
     
     if (letter.status === LETTER_STATUS.IN_TRANSIT) {
@@ -373,12 +590,14 @@ export default function LettersScreen({ navigation }) {
       details.currentStatus = `${progress}% delivered`;
       details.position = progress < 50 ? 'En route to midpoint' : 'Approaching destination';
     } else if (letter.status === LETTER_STATUS.DELIVERED) {
-      details.currentStatus = 'Arrived at destination';
+      details.currentStatus = letter.deliveredOver?.city
+        ? `Delivered over ${letter.deliveredOver.city}`
+        : 'Arrived at destination';
       details.deliveredAt = formatDate(letter.deliveredAt || letter.createdAt);
     }
     
     return details;
-  }, [formatDate]);
+  }, [formatDate, flights]);
 
   // Enhanced zoom functionality with better touch handling
   const handleZoomIn = useCallback(() => {
@@ -452,6 +671,107 @@ export default function LettersScreen({ navigation }) {
     </View>
   );
 
+  const renderJourneyInfo = (letter) => {
+    const details = getJourneyDetails(letter);
+    
+    return (
+      <View style={styles.journeyInfoContainer}>
+        <Text style={styles.journeyTitle}>Flight path</Text>
+        <View style={styles.journeyDetails}>
+          {Object.keys(JOURNEY_LABELS).filter(key => details[key]).map(key => (
+            <View key={key} style={styles.journeyRow}>
+              <Text style={styles.journeyLabel}>{JOURNEY_LABELS[key]}</Text>
+              <Text style={styles.journeyValue}>{details[key]}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  // Audit trail of status transitions recorded by the letter state machine
+  const renderStatusTimeline = (letter) => {
+    const history = letter?.statusHistory || [];
+    if (history.length === 0) return null;
+    
+    return (
+      <View style={styles.timelineContainer}>
+        <Text style={styles.timelineTitle}>Journey</Text>
+        {history.map((entry, index) => (
+          <View key={`${entry.at}_${index}`} style={styles.timelineRow}>
+            <View style={styles.timelineMarkerColumn}>
+              <View style={[
+                styles.timelineDot,
+                { backgroundColor: STATUS_COLORS[entry.to] || theme.colors.textLight }
+              ]} />
+              {index < history.length - 1 && <View style={styles.timelineLine} />}
+            </View>
+            <View style={styles.timelineContent}>
+              <Text style={styles.timelineStatus}>
+                {LETTER_STATUS_EMOJIS[entry.to]} {LETTER_STATUS_LABELS[entry.to] || entry.to}
+              </Text>
+              <Text style={styles.timelineMeta}>
+                {formatDate(entry.at)}{entry.reason ? ` · ${entry.reason}` : ''}
+              </Text>
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  // Outgoing letters that haven't left can still be changed or recalled
+  const renderSchedulePanel = (letter) => {
+    if (letter.status !== LETTER_STATUS.SCHEDULED || !isOwn(letter)) return null;
+
+    if (editing) {
+      return (
+        <View style={styles.schedulePanel}>
+          <TextInput
+            style={styles.scheduleTextInput}
+            multiline
+            value={editing.text}
+            onChangeText={text => setEditing(current => ({ ...current, text }))}
+            textAlignVertical="top"
+            maxLength={6000}
+          />
+          <SendTimePicker
+            flights={flights}
+            sender={letter.fromFlight}
+            recipient={letter.toFlight}
+            trigger={editing.trigger}
+            onChange={trigger => setEditing(current => ({ ...current, trigger }))}
+          />
+          <View style={styles.scheduleActions}>
+            <TouchableOpacity style={styles.scheduleSecondaryButton} onPress={() => setEditing(null)}>
+              <Text style={styles.scheduleSecondaryText}>Discard</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.schedulePrimaryButton} onPress={handleSaveScheduled}>
+              <Text style={styles.schedulePrimaryText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.schedulePanel}>
+        <Text style={styles.scheduleText}>
+          ⏰ Leaves {formatDate(letter.scheduledSendUTC)}
+          {letter.sendTrigger ? ` · ${describeSendTrigger(letter.sendTrigger, flights)}` : ''}
+        </Text>
+        <View style={styles.scheduleActions}>
+          <TouchableOpacity style={styles.scheduleSecondaryButton} onPress={() => handleRecallLetter(letter)}>
+            <Text style={styles.scheduleSecondaryText}>Cancel sending</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.schedulePrimaryButton} onPress={() => handleEditScheduled(letter)}>
+            <Text style={styles.schedulePrimaryText}>Edit</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
   const renderEnhancedLetterModal = () => (
     <Modal
       animationType="slide"
@@ -474,7 +794,7 @@ export default function LettersScreen({ navigation }) {
           {selectedLetter && (
             <View style={styles.fullScreenHeaderInfo}>
               <Text style={styles.fullScreenTitle}>
-                {STATUS_EMOJIS[selectedLetter.status]} Letter
+                {LETTER_STATUS_EMOJIS[selectedLetter.status]} Letter
               </Text>
               <Text style={styles.fullScreenSubtitle}>
                 {formatDate(selectedLetter.createdAt)}
@@ -482,7 +802,17 @@ export default function LettersScreen({ navigation }) {
             </View>
           )}
           
-          {selectedLetter?.status === LETTER_STATUS.DELIVERED && (
+          {selectedLetter && isOwn(selectedLetter) &&
+            canTransition(selectedLetter.status, LETTER_STATUS.RECALLED) && (
+            <TouchableOpacity 
+              style={styles.recallHeaderButton}
+              onPress={() => handleRecallLetter(selectedLetter)}
+            >
+              <Text style={styles.recallHeaderText}>Recall</Text>
+            </TouchableOpacity>
+          )}
+          
+          {selectedLetter?.status === LETTER_STATUS.DELIVERED && isIncoming(selectedLetter) && (
             <TouchableOpacity 
               style={styles.markReadHeaderButton}
               onPress={() => handleMarkAsRead(selectedLetter)}
@@ -500,23 +830,31 @@ export default function LettersScreen({ navigation }) {
             showsVerticalScrollIndicator={true}
             bounces={true}
           >
-            <Animated.View 
-              style={[
-                styles.fullScreenLetterContainer,
-                {
-                  transform: [
-                    { scale: zoomScale },
-                    { translateX: panX },
-                    { translateY: panY }
-                  ]
-                }
-              ]}
-              {...panResponder.panHandlers}
-            >
-              <Text style={styles.fullScreenLetterText}>
-                {selectedLetter.text || 'No content available'}
-              </Text>
-            </Animated.View>
+            {renderSchedulePanel(selectedLetter)}
+            {!editing && (
+              <Animated.View 
+                style={[
+                  styles.fullScreenLetterContainer,
+                  {
+                    transform: [
+                      { scale: zoomScale },
+                      { translateX: panX },
+                      { translateY: panY }
+                    ]
+                  }
+                ]}
+                {...panResponder.panHandlers}
+              >
+                <LetterDocumentView
+                  document={getLetterDocument(selectedLetter)}
+                  textStyle={styles.fullScreenLetterText}
+                  style={styles.fullScreenLetterPaper}
+                />
+              </Animated.View>
+            )}
+            <AttachmentList attachments={getLetterAttachments(selectedLetter)} large />
+            {renderJourneyInfo(selectedLetter)}
+            {renderStatusTimeline(selectedLetter)}
           </ScrollView>
         )}
 
@@ -552,13 +890,16 @@ export default function LettersScreen({ navigation }) {
     
     // Enhanced preview text handling
     const letterText = letter.text || 'No content available';
+    const attachments = getLetterAttachments(letter);
     const preview = letterText.length > 80 
       ? letterText.substring(0, 80).trim() + '...'
       : letterText;
 
     const letterAnim = letterAnimations.get(letter.id) || new Animated.Value(1);
-    const isNew = letter.status === LETTER_STATUS.DELIVERED;
-    const isUnread = letter.status === LETTER_STATUS.DELIVERED;
+    const incoming = isIncoming(letter);
+    const isNew = incoming && letter.status === LETTER_STATUS.DELIVERED;
+    const isUnread = isNew;
+    const counterpart = incoming ? letter.fromFlight : letter.toFlight;
 
     return (
       <Animated.View style={[
@@ -585,6 +926,7 @@ export default function LettersScreen({ navigation }) {
             letter.status === LETTER_STATUS.IN_TRANSIT && styles.transitItem
           ]}
           onPress={() => handleLetterPress(letter)}
+          onLongPress={() => handleDeleteLetter(letter)}
           activeOpacity={0.7}
         >
           <View style={styles.letterHeader}>
@@ -595,18 +937,26 @@ export default function LettersScreen({ navigation }) {
                   transform: [{ rotate: '45deg' }]
                 }
               ]}>
-                {STATUS_EMOJIS[letter.status]}
+                {LETTER_STATUS_EMOJIS[letter.status]}
               </Animated.Text>
               <View style={styles.statusInfo}>
                 <Text style={[
                   styles.statusText,
                   { color: STATUS_COLORS[letter.status] }
                 ]}>
-                  {STATUS_LABELS[letter.status]}
+                  {LETTER_STATUS_LABELS[letter.status]}
                 </Text>
                 {letter.status === LETTER_STATUS.IN_TRANSIT && (
                   <Text style={styles.progressSubtext}>
                     {Math.round((letter.animationProgress || 0) * 100)}% delivered
+                    {letter.estimatedDelivery
+                      ? ` · ETA ${DateTime.fromISO(letter.estimatedDelivery).toFormat('t')}`
+                      : ''}
+                  </Text>
+                )}
+                {letter.deliveredOver?.city && letter.status !== LETTER_STATUS.IN_TRANSIT && (
+                  <Text style={styles.progressSubtext}>
+                    Delivered over {letter.deliveredOver.city}
                   </Text>
                 )}
               </View>
@@ -616,6 +966,12 @@ export default function LettersScreen({ navigation }) {
               <Text style={styles.dateText}>
                 {formatDate(letter.createdAt)}
               </Text>
+              {counterpart && (
+                <Text style={styles.directionText}>
+                  {incoming ? `From ${getTravellerName(flights, counterpart)}` : `To ${getTravellerName(flights, counterpart)}`}
+                </Text>
+              )}
+              {!incoming && renderSendState(letter)}
               {isUnread && (
                 <View style={styles.newBadge}>
                   <Text style={styles.newBadgeText}>NEW</Text>
@@ -634,6 +990,12 @@ export default function LettersScreen({ navigation }) {
                 Tap to read full letter...
               </Text>
             )}
+            {attachments.length > 0 && (
+              <Text style={styles.previewAttachments}>
+                {attachments.map(a => (a.type === ATTACHMENT_TYPE.PHOTO ? '📷' : '🎙️')).join(' ')}
+                {attachments.length === 1 ? ' 1 attachment' : ` ${attachments.length} attachments`}
+              </Text>
+            )}
           </View>
           
           {/* Enhanced Progress Bar for In-Transit Letters */}
@@ -661,13 +1023,19 @@ export default function LettersScreen({ navigation }) {
           {/* Enhanced Action Hint */}
           <View style={styles.actionHint}>
             {letter.status === LETTER_STATUS.DELIVERED && (
-              <Text style={styles.actionHintText}>📖 Tap to read</Text>
+              <Text style={styles.actionHintText}>
+                {incoming ? '📖 Tap to read' : '📬 Delivered to their flight'}
+              </Text>
             )}
             {letter.status === LETTER_STATUS.IN_TRANSIT && (
               <Text style={styles.actionHintText}>🗺️ Tap to track</Text>
             )}
             {letter.status === LETTER_STATUS.SCHEDULED && (
-              <Text style={styles.actionHintText}>⏰ Waiting to depart</Text>
+              <Text style={styles.actionHintText}>
+                {!incoming && letter.sendTrigger
+                  ? `⏰ Leaves: ${describeSendTrigger(letter.sendTrigger, flights)}`
+                  : '⏰ Waiting to depart'}
+              </Text>
             )}
             {letter.status === LETTER_STATUS.READ && (
               <Text style={styles.actionHintText}>✅ Read</Text>
@@ -701,11 +1069,30 @@ export default function LettersScreen({ navigation }) {
         </Animated.View>
       )}
       
+      <View style={styles.tripFilterContainer}>
+        <TouchableOpacity
+          style={[styles.tripFilterChip, !showAllTrips && styles.tripFilterChipActive]}
+          onPress={() => toggleTripFilter(false)}
+        >
+          <Text style={[styles.tripFilterText, !showAllTrips && styles.tripFilterTextActive]}>
+            This Trip
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tripFilterChip, showAllTrips && styles.tripFilterChipActive]}
+          onPress={() => toggleTripFilter(true)}
+        >
+          <Text style={[styles.tripFilterText, showAllTrips && styles.tripFilterTextActive]}>
+            All Trips
+          </Text>
+        </TouchableOpacity>
+      </View>
+      
       {letters.length > 0 && (
         <View style={styles.statsContainer}>
           <View style={styles.statItem}>
             <Text style={styles.statNumber}>
-              {letters.filter(l => l.status === LETTER_STATUS.DELIVERED).length}
+              {letters.filter(l => l.status === LETTER_STATUS.DELIVERED && isIncoming(l)).length}
             </Text>
             <Text style={styles.statLabel}>New</Text>
           </View>
@@ -926,6 +1313,28 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textAlign: 'center',
   },
+  tripFilterContainer: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.md,
+  },
+  tripFilterChip: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: 6,
+    borderRadius: theme.radius.lg,
+    backgroundColor: theme.colors.card,
+    marginRight: theme.spacing.sm,
+  },
+  tripFilterChipActive: {
+    backgroundColor: theme.colors.accent,
+  },
+  tripFilterText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.textMuted,
+  },
+  tripFilterTextActive: {
+    color: '#ffffff',
+  },
   statsContainer: {
     flexDirection: 'row',
     backgroundColor: theme.colors.card,
@@ -1015,6 +1424,23 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     fontWeight: '500',
   },
+  directionText: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginBottom: 4,
+  },
+  sendStateText: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginBottom: 4,
+  },
+  sendStateSynced: {
+    color: theme.colors.success,
+  },
+  sendStateFailed: {
+    color: theme.colors.danger,
+    fontWeight: '600',
+  },
   newBadge: {
     backgroundColor: theme.colors.delivered,
     paddingHorizontal: 8,
@@ -1043,6 +1469,11 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     fontWeight: '500',
   },
+  previewAttachments: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginTop: theme.spacing.xs,
+  },
   progressContainer: {
     marginBottom: theme.spacing.sm,
   },
@@ -1417,6 +1848,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: theme.colors.textMuted,
   },
+  recallHeaderButton: {
+    paddingHorizontal: theme.spacing.md,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: theme.colors.danger,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: theme.spacing.sm,
+  },
+  recallHeaderText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   markReadHeaderButton: {
     width: 36,
     height: 36,
@@ -1438,10 +1883,62 @@ const styles = StyleSheet.create({
     padding: theme.spacing.lg,
     minHeight: height - 200, // Ensure full scrollable area
   },
-  fullScreenLetterContainer: {
+  schedulePanel: {
+    backgroundColor: theme.colors.backgroundSecondary,
+    borderRadius: theme.radius.md,
+    padding: theme.spacing.lg,
+    marginBottom: theme.spacing.lg,
+  },
+  scheduleText: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    fontWeight: '500',
+  },
+  scheduleTextInput: {
     backgroundColor: '#ffffff',
     borderRadius: theme.radius.md,
-    padding: theme.spacing.xl,
+    padding: theme.spacing.md,
+    minHeight: 160,
+    fontSize: 16,
+    lineHeight: 24,
+    color: theme.colors.text,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  scheduleActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  schedulePrimaryButton: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.radius.full,
+    backgroundColor: theme.colors.primary,
+  },
+  schedulePrimaryText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  scheduleSecondaryButton: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.radius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  scheduleSecondaryText: {
+    color: theme.colors.textSecondary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  // The letter's own paper fills it (see LetterDocumentView)
+  fullScreenLetterContainer: {
+    borderRadius: theme.radius.md,
+  },
+  fullScreenLetterPaper: {
     minHeight: height - 250,
   },
   fullScreenLetterText: {
@@ -1452,6 +1949,54 @@ const styles = StyleSheet.create({
     textAlign: 'justify',
     letterSpacing: 0.3,
   },
+  timelineContainer: {
+    marginTop: theme.spacing.xl,
+    padding: theme.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.borderLight,
+  },
+  timelineTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: theme.colors.textSecondary,
+    textTransform: 'uppercase',
+    marginBottom: theme.spacing.md,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    minHeight: 48,
+  },
+  timelineMarkerColumn: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 4,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: theme.colors.border,
+    marginVertical: 2,
+  },
+  timelineContent: {
+    flex: 1,
+    paddingLeft: theme.spacing.sm,
+    paddingBottom: theme.spacing.md,
+  },
+  timelineStatus: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  timelineMeta: {
+    fontSize: 12,
+    color: theme.colors.textMuted,
+    marginTop: 2,
+  },
   fullScreenZoomControls: {
     position: 'absolute',
     bottom: 30,
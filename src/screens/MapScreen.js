@@ -1,5 +1,5 @@
 // src/screens/MapScreen.js
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import { 
   View, 
   StyleSheet, 
@@ -14,35 +14,27 @@ import {
 import MapView, { Marker, Polyline, AnimatedRegion, UrlTile } from 'react-native-maps';
 import { Svg, Polygon as SvgPolygon, G, Text as SvgText } from 'react-native-svg';
 import * as FileSystem from 'expo-file-system';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import theme from '../theme';
 import defaultFlights from '../lib/defaultFlights';
 import { flightProgressPercent } from '../lib/simulation';
-import { processLetterStatuses, getLetters, markLetterAsRead, clearAllLetters, clearOldLetters, LETTER_STATUS } from '../lib/storage';
+import {
+  getLetters,
+  markLetterAsRead,
+  LETTER_STATUS
+} from '../lib/letterRepository';
+import letterTrackingSystem from '../lib/letterTracking';
+import flightSimulation from '../lib/flightSimulation';
+import { getFlightRoute } from '../lib/flightPaths';
+import { findClosestApproach } from '../lib/closestApproach';
+import { getFlights } from '../lib/storage';
+import { flightKey, getRoster, getTravellerSlots, slotIndex } from '../lib/roster';
+import { getOptimalMapRegion, interpolateAlongPath } from '../utils/mapUtils';
 import { citiesData } from '../data/citiesData';
 import { statesGeoJsonData } from '../data/statesGeoData';
 
 const { width, height } = Dimensions.get('window');
 
-// Enhanced coordinates with more realistic flight paths
-const FLIGHT_ROUTES = {
-  BLR_IXC: [
-    { latitude: 12.9716, longitude: 77.5946, name: 'Bangalore (BLR)' },
-    { latitude: 13.5, longitude: 77.8 }, // Waypoint 1
-    { latitude: 14.2, longitude: 78.1 }, // Waypoint 2
-    { latitude: 15.8, longitude: 77.9 }, // Waypoint 3
-    { latitude: 28.5, longitude: 77.2 }, // Delhi approach
-    { latitude: 30.7333, longitude: 76.7794, name: 'Chandigarh (IXC)' },
-  ],
-  BLR_BOM: [
-    { latitude: 12.9716, longitude: 77.5946, name: 'Bangalore (BLR)' },
-    { latitude: 13.8, longitude: 76.5 }, // Waypoint 1
-    { latitude: 15.2, longitude: 75.8 }, // Waypoint 2
-    { latitude: 17.1, longitude: 74.9 }, // Waypoint 3
-    { latitude: 18.5, longitude: 73.2 }, // Mumbai approach
-    { latitude: 19.0760, longitude: 72.8777, name: 'Mumbai (BOM)' },
-  ]
-};
+const FLIGHT_EMOJIS = ['✈️', '🛫', '🛬', '🛩️'];
 
 // Approximate India bounds for offline renderer (lat, lon)
 const INDIA_BOUNDS = {
@@ -52,12 +44,22 @@ const INDIA_BOUNDS = {
   lonMax: 97.5,
 };
 
-export default function MapScreen({ route, navigation }) {
-  const flightA = route?.params?.flightA || defaultFlights.flightA;
-  const flightB = route?.params?.flightB || defaultFlights.flightB;
+// Colour and marker of a traveller's route
+const routeColor = (slot) => theme.colors.travellers[slotIndex(slot)];
+const flightEmoji = (index) => FLIGHT_EMOJIS[index % FLIGHT_EMOJIS.length];
 
-  const [progressA, setProgressA] = useState(0);
-  const [progressB, setProgressB] = useState(0);
+export default function MapScreen({ route, navigation }) {
+  // Flights passed in by navigation win; otherwise show the ones configured in FlightSetup
+  const [savedFlights, setSavedFlights] = useState(null);
+  const params = route?.params;
+  const flights = useMemo(() => {
+    if (getTravellerSlots(params).length > 0) return params;
+    return savedFlights || defaultFlights;
+  }, [params, savedFlights]);
+  const travellers = useMemo(() => getRoster(flights), [flights]);
+
+  // Progress of each traveller's flight by slot
+  const [progress, setProgress] = useState({});
   const [letters, setLetters] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [showWeatherLayer, setShowWeatherLayer] = useState(false);
@@ -77,23 +79,34 @@ export default function MapScreen({ route, navigation }) {
   const trailAnimations = useRef(new Map()).current;
   const altitudeAnim = useRef(new Animated.Value(0)).current;
   
-  const coordsA = FLIGHT_ROUTES.BLR_IXC;
-  const coordsB = FLIGHT_ROUTES.BLR_BOM;
+  // Great-circle routes between the configured airports by slot, falling back to the
+  // default flights when an airport is not in the offline database
+  const routes = useMemo(() => Object.fromEntries(travellers.map(({ slot, flight }) => [
+    slot,
+    getFlightRoute(flight) || getFlightRoute(defaultFlights[flightKey(slot)]) || getFlightRoute(defaultFlights.flightA)
+  ])), [travellers]);
+  const allCoords = useMemo(() => Object.values(routes).flat(), [routes]);
+  const routeRegion = useMemo(() => getOptimalMapRegion(allCoords, 0.3), [allCoords]);
+
+  // Where each pair of aircraft pass closest; mid-air letters change planes there.
+  // Travellers sharing a plane have nothing to meet.
+  const approaches = useMemo(() => {
+    const found = [];
+    travellers.forEach((a, i) => travellers.slice(i + 1).forEach(b => {
+      if (a.flight.flightNumber === b.flight.flightNumber && a.flight.departureUTC === b.flight.departureUTC) return;
+      const approach = findClosestApproach(a.flight, b.flight);
+      if (approach) found.push({ key: `${a.slot}${b.slot}`, names: `${a.name} & ${b.name}`, approach });
+    }));
+    return found;
+  }, [travellers]);
+
+  // Where a traveller's aircraft is now; null for a slot no longer on the roster
+  const positionOf = (slot) => (routes[slot] ? interpolateRoute(routes[slot], progress[slot] || 0) : null);
 
   useEffect(() => {
     startPulseAnimation();
     startAltitudeAnimation();
     
-    // Clean up old letter data on component mount
-    (async () => {
-      try {
-        await clearOldLetters(3); // Clear letters older than 3 days
-        console.log('Old letter data cleaned up');
-      } catch (err) {
-        console.warn('Failed to clear old letters:', err);
-      }
-    })();
-    
     // load optional offline overlays and detect preinstalled tiles
     (async () => {
       try {
@@ -172,75 +185,51 @@ export default function MapScreen({ route, navigation }) {
   };
 
   useEffect(() => {
-    const updateData = async () => {
-      // Update flight progress
-      const newProgressA = flightProgressPercent(flightA.departureUTC, flightA.arrivalUTC);
-      const newProgressB = flightProgressPercent(flightB.departureUTC, flightB.arrivalUTC);
+    // Flights move with the flight simulation; fall back to the schedule until it ticks
+    const scheduled = (flight) => flightProgressPercent(flight.departureUTC, flight.arrivalUTC);
+    setProgress(Object.fromEntries(travellers.map(({ slot, flight }) => [slot, scheduled(flight)])));
+
+    const handleFlightEvent = (event, simulated) => {
+      if (event !== 'flightsUpdated') return;
+      setProgress(Object.fromEntries(travellers.map(({ slot, flight }) => {
+        const current = simulated.find(f => f.id === flightKey(slot));
+        return [slot, current ? current.progress : scheduled(flight)];
+      })));
+    };
 
-      setProgressA(newProgressA);
-      setProgressB(newProgressB);
+    // Letter tracking advances letters on each simulation update and reports the result
+    const handleTrackingEvent = (event, updatedLetters) => {
+      if (event !== 'lettersChanged') return;
 
-      // Get actual letters from storage and update their animation progress
-      try {
-        const storedLetters = await getLetters();
-        const now = Date.now();
-        
-        let updatedLetters = storedLetters.map(letter => {
-          if (letter.status !== LETTER_STATUS.IN_TRANSIT) return letter;
-          
-          // Letter follows its carrying flight's progress
-          const letterProgress = letter.fromFlight === 'A' ? newProgressA : newProgressB;
-          
-          // Letter can only be delivered when BOTH conditions are met:
-          // 1. The carrying flight has reached its destination (letter progress >= 1)
-          // 2. The receiving flight has also landed at its destination (both flights completed)
-          const carryingFlightLanded = letterProgress >= 1;
-          const receivingFlightLanded = letter.toFlight === 'B' ? newProgressB >= 1 : newProgressA >= 1;
-          
-          const updatedLetter = { ...letter, animationProgress: letterProgress };
-          
-          // Only mark as delivered when both flights have completed their journeys
-          if (carryingFlightLanded && receivingFlightLanded) {
-            updatedLetter.status = LETTER_STATUS.DELIVERED;
-            updatedLetter.deliveredAt = new Date().toISOString();
-          }
-          
-          return updatedLetter;
-        });
-        
-        // Update letters in storage if any changed
-        const hasChanges = updatedLetters.some((letter, index) => 
-          !storedLetters[index] || 
-          letter.animationProgress !== storedLetters[index].animationProgress ||
-          letter.status !== storedLetters[index].status
-        );
-        
-        if (hasChanges) {
-          await AsyncStorage.setItem('@airletters_letters', JSON.stringify(updatedLetters));
-        }
-        
-        setLetters(updatedLetters);
-        setLettersSim(updatedLetters); // Use the actual letters for simulation
-        
-        // Count unread delivered letters
-        const deliveredCount = updatedLetters.filter(l => 
-          l.status === LETTER_STATUS.DELIVERED && !l.readAt
-        ).length;
-        setUnreadCount(deliveredCount);
-        
-      } catch (error) {
-        console.warn('Failed to update letters:', error);
-      }
+      setLetters(updatedLetters);
+      setLettersSim(updatedLetters); // Use the actual letters for simulation
+      
+      // Count unread delivered letters
+      const deliveredCount = updatedLetters.filter(l => 
+        l.status === LETTER_STATUS.DELIVERED && !l.readAt
+      ).length;
+      setUnreadCount(deliveredCount);
+    };
+
+    flightSimulation.addListener(handleFlightEvent);
+    letterTrackingSystem.addListener(handleTrackingEvent);
+    return () => {
+      flightSimulation.removeListener(handleFlightEvent);
+      letterTrackingSystem.removeListener(handleTrackingEvent);
     };
+  }, [travellers]);
 
-    updateData();
-    const timer = setInterval(updateData, 1000);
-    return () => clearInterval(timer);
-  }, [flightA, flightB]);
+  // Frame every route whenever the flights change
+  useEffect(() => {
+    if (mapRef.current) mapRef.current.animateToRegion(routeRegion, 500);
+  }, [routeRegion]);
 
   // Load initial data
   useEffect(() => {
     (async () => {
+      const saved = await getFlights();
+      if (getTravellerSlots(saved).length > 0) setSavedFlights(saved);
+
       try {
         // Load any existing letters
         const existingLetters = await getLetters();
@@ -278,12 +267,14 @@ export default function MapScreen({ route, navigation }) {
         <View style={styles.offlineGrid} />
         {/* Flight routes as clean lines */}
         <View style={{ position: 'absolute', left: 0, top: 0, width: w, height: h }}>
-          {coordsA.map((c, i) => i > 0 && (
-            <View key={`segA-${i}`} style={{ position: 'absolute', left: Math.min(latLngToPointLocal(coordsA[i-1].latitude, coordsA[i-1].longitude).x, latLngToPointLocal(c.latitude, c.longitude).x), top: Math.min(latLngToPointLocal(coordsA[i-1].latitude, coordsA[i-1].longitude).y, latLngToPointLocal(c.latitude, c.longitude).y), width: Math.abs(latLngToPointLocal(c.latitude, c.longitude).x - latLngToPointLocal(coordsA[i-1].latitude, coordsA[i-1].longitude).x) || 2, height: 2, backgroundColor: theme.colors.primary, opacity: 0.9 }} />
-          ))}
-          {coordsB.map((c, i) => i > 0 && (
-            <View key={`segB-${i}`} style={{ position: 'absolute', left: Math.min(latLngToPointLocal(coordsB[i-1].latitude, coordsB[i-1].longitude).x, latLngToPointLocal(c.latitude, c.longitude).x), top: Math.min(latLngToPointLocal(coordsB[i-1].latitude, coordsB[i-1].longitude).y, latLngToPointLocal(c.latitude, c.longitude).y), width: Math.abs(latLngToPointLocal(c.latitude, c.longitude).x - latLngToPointLocal(coordsB[i-1].latitude, coordsB[i-1].longitude).x) || 2, height: 2, backgroundColor: theme.colors.accent, opacity: 0.9 }} />
-          ))}
+          {travellers.map(({ slot }) => routes[slot].map((c, i) => {
+            if (i === 0) return null;
+            const from = latLngToPointLocal(routes[slot][i - 1].latitude, routes[slot][i - 1].longitude);
+            const to = latLngToPointLocal(c.latitude, c.longitude);
+            return (
+              <View key={`seg${slot}-${i}`} style={{ position: 'absolute', left: Math.min(from.x, to.x), top: Math.min(from.y, to.y), width: Math.abs(to.x - from.x) || 2, height: 2, backgroundColor: routeColor(slot), opacity: 0.9 }} />
+            );
+          }))}
         </View>
 
         {/* Vector state polygons when available */}
@@ -371,7 +362,8 @@ export default function MapScreen({ route, navigation }) {
 
         {/* Letter markers and trails following simulated progress */}
         {lettersSim.map(l => {
-          const pos = l.fromFlight === 'A' ? interpolateRoute(coordsA, l.animationProgress || 0) : interpolateRoute(coordsB, l.animationProgress || 0);
+          if (!routes[l.fromFlight]) return null;
+          const pos = interpolateRoute(routes[l.fromFlight], l.animationProgress || 0);
           const leftPos = ((pos.longitude - INDIA_BOUNDS.lonMin) / (INDIA_BOUNDS.lonMax - INDIA_BOUNDS.lonMin)) * w - 12;
           const topPos = ((INDIA_BOUNDS.latMax - pos.latitude) / (INDIA_BOUNDS.latMax - INDIA_BOUNDS.latMin)) * h - 12;
           
@@ -417,21 +409,10 @@ export default function MapScreen({ route, navigation }) {
       </View>
     );
   };
+  // Same great-circle, distance-weighted position the flight simulation uses
   const interpolateRoute = (route, progress) => {
-    if (progress <= 0) return route[0];
-    if (progress >= 1) return route[route.length - 1];
-    
-    const totalSegments = route.length - 1;
-    const segment = Math.floor(progress * totalSegments);
-    const segmentProgress = (progress * totalSegments) - segment;
-    
-    const start = route[segment];
-    const end = route[Math.min(segment + 1, route.length - 1)];
-    
-    return {
-      latitude: start.latitude + (end.latitude - start.latitude) * segmentProgress,
-      longitude: start.longitude + (end.longitude - start.longitude) * segmentProgress,
-    };
+    const { latitude, longitude } = interpolateAlongPath(route, progress);
+    return { latitude, longitude };
   };
 
   const getAltitudeOffset = (progress) => {
@@ -466,7 +447,7 @@ export default function MapScreen({ route, navigation }) {
             text: 'Mark as Read',
             onPress: async () => {
               await markLetterAsRead(letter.id);
-              const updatedLetters = await processLetterStatuses();
+              const updatedLetters = await getLetters();
               setLetters(updatedLetters);
               const unread = updatedLetters.filter(l => l.status === LETTER_STATUS.DELIVERED).length;
               setUnreadCount(unread);
@@ -497,11 +478,9 @@ export default function MapScreen({ route, navigation }) {
       if (letter.status !== LETTER_STATUS.IN_TRANSIT) return;
       
       const progress = letter.animationProgress || 0;
-      const sourceCoords = letter.fromFlight === 'A' ? coordsA : coordsB;
-      const destCoords = letter.toFlight === 'A' ? coordsA : coordsB;
-      
-      const sourcePos = interpolateRoute(sourceCoords, letter.fromFlight === 'A' ? progressA : progressB);
-      const destPos = interpolateRoute(destCoords, letter.toFlight === 'A' ? progressA : progressB);
+      const sourcePos = positionOf(letter.fromFlight);
+      const destPos = positionOf(letter.toFlight);
+      if (!sourcePos || !destPos) return;
       
       // Create trail markers at previous positions
       const trailLength = 5; // Number of trail markers
@@ -526,7 +505,7 @@ export default function MapScreen({ route, navigation }) {
               width: 8 - (i * 1),
               height: 8 - (i * 1),
               borderRadius: 4 - (i * 0.5),
-              backgroundColor: letter.fromFlight === 'A' ? theme.colors.primary : theme.colors.accent,
+              backgroundColor: routeColor(letter.fromFlight),
               opacity: opacity * 0.6,
               borderWidth: 1,
               borderColor: 'rgba(255,255,255,0.8)'
@@ -553,32 +532,25 @@ export default function MapScreen({ route, navigation }) {
         const progress = letter.animationProgress || 0;
         
         // Get source and destination positions based on letter direction
-        const sourceCoords = letter.fromFlight === 'A' ? coordsA : coordsB;
-        const destCoords = letter.toFlight === 'A' ? coordsA : coordsB;
-        
-        const sourcePos = interpolateRoute(sourceCoords, letter.fromFlight === 'A' ? progressA : progressB);
-        const destPos = interpolateRoute(destCoords, letter.toFlight === 'A' ? progressA : progressB);
+        const sourcePos = positionOf(letter.fromFlight);
+        const destPos = positionOf(letter.toFlight);
         
-        // Interpolate letter position between source and destination flights
-        letterPosition = {
+        // Use the engine's position; fall back to interpolating between the two flights
+        letterPosition = letter.currentPosition || (sourcePos && destPos ? {
           latitude: sourcePos.latitude + (destPos.latitude - sourcePos.latitude) * progress,
           longitude: sourcePos.longitude + (destPos.longitude - sourcePos.longitude) * progress,
-        };
+        } : null);
         
         emoji = '✉️';
         markerSize = 1 + (progress * 0.3); // Grow slightly during transit
       } else if (letter.status === LETTER_STATUS.DELIVERED) {
         // Position at destination flight
-        const destCoords = letter.toFlight === 'A' ? coordsA : coordsB;
-        const destProgress = letter.toFlight === 'A' ? progressA : progressB;
-        letterPosition = interpolateRoute(destCoords, destProgress);
+        letterPosition = positionOf(letter.toFlight);
         emoji = '📬';
         markerSize = 1.2;
       } else if (letter.status === LETTER_STATUS.READ) {
         // Position at destination flight
-        const destCoords = letter.toFlight === 'A' ? coordsA : coordsB;
-        const destProgress = letter.toFlight === 'A' ? progressA : progressB;
-        letterPosition = interpolateRoute(destCoords, destProgress);
+        letterPosition = positionOf(letter.toFlight);
         emoji = '📭';
         markerSize = 0.9;
       }
@@ -626,11 +598,15 @@ export default function MapScreen({ route, navigation }) {
   };
 
   const renderFlightPath = (route, progress, color, strokeWidth = 3) => {
+    // Split the route where the aircraft is now
+    const { latitude, longitude, segment } = interpolateAlongPath(route, progress);
+    const position = { latitude, longitude };
+    
     // Render completed path with full opacity
-    const completedPath = route.slice(0, Math.ceil(progress * (route.length - 1)) + 1);
+    const completedPath = [...route.slice(0, segment + 1), position];
     
     // Render remaining path with reduced opacity
-    const remainingPath = route.slice(Math.floor(progress * (route.length - 1)));
+    const remainingPath = [position, ...route.slice(segment + 1)];
     
     return (
       <>
@@ -679,6 +655,22 @@ export default function MapScreen({ route, navigation }) {
     );
   };
 
+  const renderMeetingPoints = () => approaches.map(({ key, names, approach }) => {
+    const time = new Date(approach.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const over = approach.nearestCity ? ` over ${approach.nearestCity.name}` : '';
+    return (
+      <Marker
+        key={`meet-${key}`}
+        coordinate={approach.meetingPoint}
+        title={`${names} meet${over}`}
+        description={`${Math.round(approach.distanceKm)} km apart at ${time}`}
+        style={{ zIndex: 700 }}
+      >
+        <Text style={styles.meetingEmoji}>🤝</Text>
+      </Marker>
+    );
+  });
+
   const focusOnAction = () => {
     if (mapRef.current && letters.length > 0) {
       // Find the most interesting point (active letters or midpoint)
@@ -686,12 +678,13 @@ export default function MapScreen({ route, navigation }) {
       if (inTransitLetters.length > 0) {
         const letter = inTransitLetters[0];
         const progress = letter.animationProgress || 0;
-        const flightAPos = interpolateRoute(coordsA, progressA);
-        const flightBPos = interpolateRoute(coordsB, progressB);
+        const fromPos = positionOf(letter.fromFlight);
+        const toPos = positionOf(letter.toFlight);
+        if (!fromPos || !toPos) return;
         
-        const focusPoint = {
-          latitude: flightAPos.latitude + (flightBPos.latitude - flightAPos.latitude) * progress,
-          longitude: flightAPos.longitude + (flightBPos.longitude - flightAPos.longitude) * progress,
+        const focusPoint = letter.currentPosition || {
+          latitude: fromPos.latitude + (toPos.latitude - fromPos.latitude) * progress,
+          longitude: fromPos.longitude + (toPos.longitude - fromPos.longitude) * progress,
         };
         
         mapRef.current.animateToRegion({
@@ -716,25 +709,23 @@ export default function MapScreen({ route, navigation }) {
         ref={mapRef}
         style={StyleSheet.absoluteFill}
         mapType={mapStyle}
-        initialRegion={{
-          latitude: 16,
-          longitude: 76,
-          latitudeDelta: 8,
-          longitudeDelta: 8,
-        }}
+        initialRegion={routeRegion}
         showsUserLocation={false}
         showsMyLocationButton={false}
         showsPointsOfInterest={false}
         showsBuildings={true}
         showsTraffic={false}
       >
-        {/* Flight A route and marker */}
-        {renderFlightPath(coordsA, progressA, theme.colors.primary)}
-        {renderFlightMarker(coordsA, progressA, flightA.flightNumber, '✈️')}
+        {/* Each traveller's route and marker */}
+        {travellers.map(({ slot, flight }, index) => (
+          <React.Fragment key={`flight-${slot}`}>
+            {renderFlightPath(routes[slot], progress[slot] || 0, routeColor(slot))}
+            {renderFlightMarker(routes[slot], progress[slot] || 0, flight.flightNumber, flightEmoji(index))}
+          </React.Fragment>
+        ))}
 
-        {/* Flight B route and marker */}
-        {renderFlightPath(coordsB, progressB, theme.colors.accent)}
-        {renderFlightMarker(coordsB, progressB, flightB.flightNumber, '🛫')}
+        {/* Closest approach of each pair of flights */}
+        {renderMeetingPoints()}
 
         {/* Letter markers */}
         {/* Render letter trail markers first (lower z-index) */}
@@ -744,7 +735,7 @@ export default function MapScreen({ route, navigation }) {
         {renderLetterMarkers()}
         
         {/* Airport markers */}
-        {[...coordsA, ...coordsB].filter((coord, index, arr) => 
+        {allCoords.filter((coord, index, arr) => 
           arr.findIndex(c => c.latitude === coord.latitude && c.longitude === coord.longitude) === index
         ).map((airport, index) => (
           airport.name && (
@@ -767,18 +758,14 @@ export default function MapScreen({ route, navigation }) {
         }) }]
       }]}>
         <View style={styles.flightStatus}>
-          <View style={styles.flightRow}>
-            <Text style={[styles.flightEmoji, { color: theme.colors.primary }]}>✈️</Text>
-            <Text style={styles.flightText}>
-              {flightA.flightNumber}: {Math.round(progressA * 100)}%
-            </Text>
-          </View>
-          <View style={styles.flightRow}>
-            <Text style={[styles.flightEmoji, { color: theme.colors.accent }]}>🛫</Text>
-            <Text style={styles.flightText}>
-              {flightB.flightNumber}: {Math.round(progressB * 100)}%
-            </Text>
-          </View>
+          {travellers.map(({ slot, name, flight }, index) => (
+            <View key={slot} style={styles.flightRow}>
+              <Text style={[styles.flightEmoji, { color: routeColor(slot) }]}>{flightEmoji(index)}</Text>
+              <Text style={styles.flightText}>
+                {name} · {flight.flightNumber}: {Math.round((progress[slot] || 0) * 100)}%
+              </Text>
+            </View>
+          ))}
         </View>
         
         {letters.length > 0 && (
@@ -972,6 +959,12 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 1, height: 1 },
     textShadowRadius: 3,
   },
+  meetingEmoji: {
+    fontSize: 22,
+    textShadowColor: 'rgba(0,0,0,0.3)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
   airportEmoji: {
     fontSize: 20,
     textShadowColor: 'rgba(0,0,0,0.3)',
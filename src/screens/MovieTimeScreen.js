@@ -22,6 +22,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from '@react-navigation/native';
 import theme from '../theme';
 import defaultFlights from '../lib/defaultFlights';
+import { flightKey } from '../lib/roster';
 import { getCurrentUser } from '../lib/storage';
 import {
   requestAllPermissions,
@@ -628,7 +629,7 @@ export default function MovieTimeScreen({ navigation }) {
         {currentUser && (
           <View style={styles.userCard}>
             <Text style={styles.userText}>
-              User {currentUser} • {currentUser === 'A' ? defaultFlights.flightA.flightNumber : defaultFlights.flightB.flightNumber}
+              User {currentUser} • {defaultFlights[flightKey(currentUser)]?.flightNumber}
             </Text>
           </View>
         )}
@@ -0,0 +1,218 @@
+// src/screens/PeerExchangeScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  ScrollView
+} from 'react-native';
+import { shareExchangeFile, importExchangeFile, getPeers } from '../lib/peerExchange';
+import { getCurrentUser } from '../lib/storage';
+import theme from '../theme';
+
+export default function PeerExchangeScreen() {
+  const [currentUser, setCurrentUser] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [busyAction, setBusyAction] = useState(null); // 'send' | 'receive'
+  const [lastResult, setLastResult] = useState(null);
+
+  useEffect(() => {
+    loadInitialData();
+  }, []);
+
+  const loadInitialData = async () => {
+    setCurrentUser(await getCurrentUser());
+    setPeers(await getPeers());
+  };
+
+  const handleSend = async () => {
+    setBusyAction('send');
+    try {
+      await shareExchangeFile();
+    } catch (error) {
+      Alert.alert('Could Not Share', error.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleReceive = async () => {
+    setBusyAction('receive');
+    try {
+      const result = await importExchangeFile();
+      if (!result) return;
+
+      setLastResult(result);
+      setPeers(await getPeers());
+      Alert.alert(
+        'Exchange Complete ✅',
+        `Received from User ${result.peer.user}.\n• ${result.newLetters} new letters\n• ${result.updatedLetters} letters updated` +
+          (result.flightsUpdated ? '\n• Flight plan updated' : '')
+      );
+    } catch (error) {
+      Alert.alert('Exchange Failed', error.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const renderButton = (action, label, onPress, style) => (
+    <TouchableOpacity
+      style={[styles.actionButton, style, busyAction && styles.actionButtonDisabled]}
+      onPress={onPress}
+      disabled={!!busyAction}
+    >
+      {busyAction === action ? (
+        <ActivityIndicator color="#fff" size="small" />
+      ) : (
+        <Text style={styles.actionButtonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>Swap with Fellow Traveller</Text>
+
+        <View style={styles.infoCard}>
+          <Text style={styles.infoTitle}>Before you board</Text>
+          <Text style={styles.infoText}>
+            <Text style={styles.bold}>1.</Text> Both phones tap "Send" and share the file with each other over AirDrop, Nearby Share or Bluetooth.
+          </Text>
+          <Text style={styles.infoText}>
+            <Text style={styles.bold}>2.</Text> Each phone taps "Receive" and picks the file it got.
+          </Text>
+          <Text style={styles.infoText}>
+            Flight plans, device IDs and the letters you've written are swapped directly. No internet needed.
+          </Text>
+        </View>
+
+        {renderButton('send', `📤 Send as User ${currentUser || '…'}`, handleSend)}
+        {renderButton('receive', '📥 Receive from Traveller', handleReceive, styles.receiveButton)}
+
+        {lastResult && (
+          <View style={styles.statusCard}>
+            <Text style={styles.cardTitle}>Last Exchange</Text>
+            <Text style={styles.successText}>✅ Merged data from User {lastResult.peer.user}</Text>
+            <Text style={styles.cardText}>• New letters: {lastResult.newLetters}</Text>
+            <Text style={styles.cardText}>• Updated letters: {lastResult.updatedLetters}</Text>
+            <Text style={styles.cardText}>
+              • Flight plan: {lastResult.flightsUpdated ? 'updated' : 'unchanged'}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.statusCard}>
+          <Text style={styles.cardTitle}>Known Travellers</Text>
+          {peers.length === 0 ? (
+            <Text style={styles.cardSubtext}>No exchanges yet</Text>
+          ) : (
+            peers.map(peer => (
+              <View key={peer.deviceId} style={styles.peerRow}>
+                <Text style={styles.cardText}>User {peer.user}</Text>
+                <Text style={styles.cardSubtext}>Device: {peer.deviceId}</Text>
+                <Text style={styles.cardSubtext}>Last swap: {formatDate(peer.exchangedAt)}</Text>
+              </View>
+            ))
+          )}
+        </View>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    padding: theme.spacing.page,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 20,
+  },
+  statusCard: {
+    backgroundColor: theme.colors.card,
+    borderRadius: theme.radius.card,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 16,
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+  cardSubtext: {
+    fontSize: 14,
+    color: theme.colors.textMuted,
+  },
+  successText: {
+    color: '#10B981',
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  peerRow: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.borderLight,
+  },
+  infoCard: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: theme.radius.card,
+    padding: 16,
+    marginBottom: 20,
+  },
+  infoTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 12,
+  },
+  infoText: {
+    fontSize: 14,
+    color: theme.colors.text,
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  bold: {
+    fontWeight: '600',
+  },
+  actionButton: {
+    backgroundColor: theme.colors.primary,
+    paddingVertical: 16,
+    borderRadius: theme.radius.card,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  receiveButton: {
+    backgroundColor: theme.colors.success,
+  },
+  actionButtonDisabled: {
+    opacity: 0.6,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
@@ -9,36 +9,112 @@ import {
   Alert,
   ScrollView
 } from 'react-native';
-import { performSync, getSyncStatus, getOrCreateDeviceId, isOnline } from '../lib/syncManager';
+import {
+  performSync,
+  getSyncStatus,
+  getOrCreateDeviceId,
+  checkOnline,
+  getConflictReport,
+  clearConflictReport,
+  getSyncLog,
+  flushOutbox,
+  forcePush,
+  forcePull,
+  resetSyncState,
+  SYNC_LOG_ACTION
+} from '../lib/syncManager';
+import connectivity, { CONNECTIVITY_STATE } from '../lib/connectivity';
+import syncOutbox, { OUTBOX_STATE } from '../lib/syncOutbox';
+import { getLetters } from '../lib/letterRepository';
+import { getPeers } from '../lib/peerExchange';
+import { getCurrentUser } from '../lib/storage';
+import { getBackgroundStatus } from '../lib/backgroundTasks';
 import theme from '../theme';
 
+const CONNECTIVITY_LABELS = {
+  [CONNECTIVITY_STATE.UNKNOWN]: { text: 'Checking…', icon: '⚪', color: theme.colors.textMuted },
+  [CONNECTIVITY_STATE.ONLINE]: { text: 'Online', icon: '🟢', color: theme.colors.success },
+  [CONNECTIVITY_STATE.OFFLINE]: { text: 'Offline', icon: '🔴', color: theme.colors.danger },
+  [CONNECTIVITY_STATE.CAPTIVE_PORTAL]: { text: 'Sign-in Required', icon: '🟠', color: theme.colors.accent },
+  [CONNECTIVITY_STATE.IN_FLIGHT_WIFI]: { text: 'In-flight Wi-Fi', icon: '✈️', color: theme.colors.inTransit }
+};
+
+const SYNC_LOG_LABELS = {
+  [SYNC_LOG_ACTION.PULLED]: '⬇️ Received from server',
+  [SYNC_LOG_ACTION.DELETED]: '🗑️ Deleted remotely',
+  [SYNC_LOG_ACTION.QUEUED]: '⏳ Queued for upload',
+  [SYNC_LOG_ACTION.PUSHED]: '⬆️ Sent to server',
+  [SYNC_LOG_ACTION.PUSH_FAILED]: '⚠️ Upload failed',
+  [SYNC_LOG_ACTION.CONFLICT]: '🔀 Conflict resolved'
+};
+
+const OUTBOX_STATE_LABELS = {
+  [OUTBOX_STATE.PENDING]: 'Waiting',
+  [OUTBOX_STATE.SENDING]: 'Sending',
+  [OUTBOX_STATE.FAILED]: 'Gave up'
+};
+
 export default function SyncStatusScreen() {
   const [syncStatus, setSyncStatus] = useState(null);
+  const [backgroundStatus, setBackgroundStatus] = useState(null);
   const [deviceId, setDeviceId] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [busyAction, setBusyAction] = useState(null); // 'sync' | 'push' | 'pull' | 'reset'
   const [lastSyncResult, setLastSyncResult] = useState(null);
+  const [network, setNetwork] = useState(connectivity.getSnapshot());
+  const [conflicts, setConflicts] = useState([]);
+  const [outboxItems, setOutboxItems] = useState([]);
+  const [syncLog, setSyncLog] = useState([]);
+  const [letterTexts, setLetterTexts] = useState({});
+  const [expandedLetterId, setExpandedLetterId] = useState(null);
 
   useEffect(() => {
     loadInitialData();
     
+    const handleConnectivity = (event, { current }) => {
+      if (event === 'connectivityChanged') setNetwork(current);
+    };
+    const handleOutbox = (event, items) => {
+      if (event === 'outboxChanged') setOutboxItems(items);
+    };
+    connectivity.addListener(handleConnectivity);
+    syncOutbox.addListener(handleOutbox);
+
     // Auto-refresh every 30 seconds
     const interval = setInterval(loadSyncStatus, 30000);
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      connectivity.removeListener(handleConnectivity);
+      syncOutbox.removeListener(handleOutbox);
+    };
   }, []);
 
   const loadInitialData = async () => {
     const id = await getOrCreateDeviceId();
     setDeviceId(id);
+    setCurrentUser(await getCurrentUser());
+    setPeers(await getPeers());
     await loadSyncStatus();
   };
 
   const loadSyncStatus = async () => {
     const status = await getSyncStatus();
     setSyncStatus(status);
+    setBackgroundStatus(await getBackgroundStatus());
+    setConflicts(await getConflictReport());
+    setOutboxItems(await syncOutbox.getItems());
+    setSyncLog(await getSyncLog());
+
+    const letters = await getLetters();
+    setLetterTexts(Object.fromEntries(letters.map(letter => [letter.id, letter.text])));
+
+    await checkOnline();
+    setNetwork(connectivity.getSnapshot());
   };
 
   const handleManualSync = async () => {
-    setIsLoading(true);
+    setBusyAction('sync');
     try {
       const result = await performSync();
       setLastSyncResult(result);
@@ -52,7 +128,7 @@ export default function SyncStatusScreen() {
         } else {
           Alert.alert(
             'Sync Complete! ✅',
-            `Successfully synced with server.\n• ${result.newFromRemote} new letters from remote\n• ${result.uploadedToRemote} letters uploaded\n• Total: ${result.merged} letters`
+            `Successfully synced with server.\n• ${result.newFromRemote} new letters from remote\n• ${result.uploadedToRemote} letters uploaded\n• ${result.conflicts} conflicts resolved\n• Total: ${result.merged} letters`
           );
         }
       } else {
@@ -61,13 +137,94 @@ export default function SyncStatusScreen() {
     } catch (error) {
       Alert.alert('Sync Error', 'Failed to sync data: ' + error.message);
     } finally {
-      setIsLoading(false);
+      setBusyAction(null);
+      await loadSyncStatus();
+    }
+  };
+
+  const runAction = async (action, task) => {
+    setBusyAction(action);
+    try {
+      await task();
+    } catch (error) {
+      Alert.alert('Sync Error', error.message);
+    } finally {
+      setBusyAction(null);
       await loadSyncStatus();
     }
   };
 
-  const getCurrentConnectionStatus = () => {
-    return isOnline() ? 'Online' : 'Offline';
+  const handleForcePush = () => runAction('push', async () => {
+    const result = await forcePush();
+    if (result.success) {
+      Alert.alert('Force Push Complete', `${result.sent} letters and deletions sent to the server.`);
+    } else {
+      Alert.alert('Force Push Failed', `${result.error}\n${result.remaining} items stay in the outbox.`);
+    }
+  });
+
+  const handleForcePull = () => runAction('pull', async () => {
+    const result = await forcePull();
+    if (result.success) {
+      Alert.alert(
+        'Force Pull Complete',
+        `• ${result.pulled} letters received\n• ${result.deleted} deletions\n• ${result.conflicts} conflicts resolved`
+      );
+    } else {
+      Alert.alert('Force Pull Failed', result.error || 'Unknown error occurred');
+    }
+  });
+
+  const handleResetSyncState = () => {
+    Alert.alert(
+      'Reset Sync State',
+      'Forget the server position, pending uploads, conflicts and the sync log? Your letters stay on this phone and everything is exchanged again on the next sync.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: () => runAction('reset', async () => {
+            const reset = await resetSyncState();
+            if (!reset) throw new Error('Could not reset sync state');
+            setLastSyncResult(null);
+          })
+        }
+      ]
+    );
+  };
+
+  const handleRetryOutbox = () => runAction('push', async () => {
+    await syncOutbox.retryFailed();
+    await flushOutbox({ force: true });
+  });
+
+  const connection = CONNECTIVITY_LABELS[network.state] || CONNECTIVITY_LABELS[CONNECTIVITY_STATE.UNKNOWN];
+
+  const getConnectionDetail = () => {
+    if (network.state === CONNECTIVITY_STATE.CAPTIVE_PORTAL) {
+      return 'Open a browser to sign in to this Wi-Fi network';
+    }
+    if (network.state === CONNECTIVITY_STATE.IN_FLIGHT_WIFI) {
+      return network.syncReachable
+        ? 'Onboard Wi-Fi reaches the sync server'
+        : 'Onboard Wi-Fi without access to the sync server';
+    }
+    if (network.state === CONNECTIVITY_STATE.OFFLINE && network.isConnected) {
+      return `Connected via ${network.type}, but the sync server is not answering`;
+    }
+    return network.type && network.type !== 'unknown' ? `Network: ${network.type}` : null;
+  };
+
+  const handleClearConflicts = async () => {
+    await clearConflictReport();
+    setConflicts([]);
+  };
+
+  const formatConflictValue = (value) => {
+    if (value === undefined || value === null) return '—';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 40 ? text.slice(0, 40) + '…' : text;
   };
 
   const formatDate = (dateString) => {
@@ -76,6 +233,34 @@ export default function SyncStatusScreen() {
     return date.toLocaleString();
   };
 
+  const describeLetter = (letterId) => {
+    const text = letterTexts[letterId];
+    if (text === undefined) return `Letter ${letterId.slice(-8)} (deleted)`;
+    const preview = text.trim() || 'Empty letter';
+    return preview.length > 36 ? preview.slice(0, 36) + '…' : preview;
+  };
+
+  // One row per letter, most recently synced first; entries are newest first already
+  const syncLogByLetter = syncLog.reduce((groups, entry) => {
+    if (!groups.has(entry.letterId)) groups.set(entry.letterId, []);
+    groups.get(entry.letterId).push(entry);
+    return groups;
+  }, new Map());
+
+  const renderActionButton = (action, label, onPress, style) => (
+    <TouchableOpacity
+      style={[styles.actionButton, style, busyAction && styles.syncButtonDisabled]}
+      onPress={onPress}
+      disabled={!!busyAction}
+    >
+      {busyAction === action ? (
+        <ActivityIndicator color="#fff" size="small" />
+      ) : (
+        <Text style={styles.actionButtonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -87,14 +272,38 @@ export default function SyncStatusScreen() {
             <Text style={styles.cardTitle}>Connection Status</Text>
             <Text style={[
               styles.statusIndicator,
-              { color: isOnline() ? '#10B981' : '#EF4444' }
+              { color: connection.color }
             ]}>
-              {getCurrentConnectionStatus()} {isOnline() ? '🟢' : '🔴'}
+              {connection.text} {connection.icon}
             </Text>
           </View>
-          <Text style={styles.cardText}>
-            Device ID: {deviceId}
-          </Text>
+          {getConnectionDetail() && (
+            <Text style={styles.cardSubtext}>{getConnectionDetail()}</Text>
+          )}
+          {syncStatus?.serverUrl && (
+            <Text style={styles.cardSubtext}>
+              Server: {syncStatus.serverUrl} ({syncStatus.transport})
+            </Text>
+          )}
+        </View>
+
+        {/* Device Pairing */}
+        <View style={styles.statusCard}>
+          <Text style={styles.cardTitle}>This Device</Text>
+          <Text style={styles.cardText}>User {currentUser || '…'}</Text>
+          <Text style={styles.cardSubtext} selectable>Device ID: {deviceId}</Text>
+          <Text style={[styles.cardTitle, styles.subsectionTitle]}>Paired Travellers</Text>
+          {peers.length === 0 ? (
+            <Text style={styles.cardSubtext}>Not paired yet. Swap with your fellow traveller before boarding.</Text>
+          ) : (
+            peers.map(peer => (
+              <View key={peer.deviceId} style={styles.listRow}>
+                <Text style={styles.cardText}>User {peer.user}</Text>
+                <Text style={styles.cardSubtext} selectable>Device ID: {peer.deviceId}</Text>
+                <Text style={styles.cardSubtext}>Paired: {formatDate(peer.exchangedAt)}</Text>
+              </View>
+            ))
+          )}
         </View>
 
         {/* Last Sync Status */}
@@ -121,6 +330,10 @@ export default function SyncStatusScreen() {
           <Text style={styles.cardSubtext}>
             Letters: {syncStatus?.letterCount || 0}
           </Text>
+          <Text style={styles.cardSubtext}>
+            Background run: {formatDate(backgroundStatus?.finishedAt)}
+            {backgroundStatus?.error ? ` (failed: ${backgroundStatus.error})` : ''}
+          </Text>
         </View>
 
         {/* Last Sync Result */}
@@ -160,6 +373,106 @@ export default function SyncStatusScreen() {
           </View>
         )}
 
+        {/* Outbox */}
+        <View style={styles.statusCard}>
+          <View style={styles.statusHeader}>
+            <Text style={styles.cardTitle}>Outbox ({outboxItems.length})</Text>
+            {outboxItems.length > 0 && !busyAction && (
+              <TouchableOpacity onPress={handleRetryOutbox}>
+                <Text style={styles.clearText}>Send Now</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {outboxItems.length === 0 ? (
+            <Text style={styles.cardSubtext}>Everything has reached the server</Text>
+          ) : (
+            outboxItems.map(item => (
+              <View key={item.key} style={styles.listRow}>
+                <Text style={styles.conflictTitle}>
+                  {item.record.deleted ? '🗑️ Deletion' : '✉️'} {describeLetter(item.letterId)}
+                </Text>
+                <Text style={styles.cardSubtext}>
+                  {OUTBOX_STATE_LABELS[item.state]} · {item.attempts} failed attempts · queued {formatDate(item.enqueuedAt)}
+                </Text>
+                {item.state === OUTBOX_STATE.PENDING && item.attempts > 0 && (
+                  <Text style={styles.cardSubtext}>Next attempt: {formatDate(item.nextAttemptAt)}</Text>
+                )}
+                {item.lastError && (
+                  <Text style={styles.logError}>{item.lastError}</Text>
+                )}
+              </View>
+            ))
+          )}
+        </View>
+
+        {/* Per-letter Sync Log */}
+        <View style={styles.statusCard}>
+          <Text style={styles.cardTitle}>Sync Log</Text>
+          {syncLogByLetter.size === 0 ? (
+            <Text style={styles.cardSubtext}>No letters synced yet</Text>
+          ) : (
+            Array.from(syncLogByLetter.entries()).slice(0, 30).map(([letterId, entries]) => (
+              <TouchableOpacity
+                key={letterId}
+                style={styles.listRow}
+                onPress={() => setExpandedLetterId(expandedLetterId === letterId ? null : letterId)}
+              >
+                <Text style={styles.conflictTitle}>{describeLetter(letterId)}</Text>
+                <Text style={styles.cardSubtext}>
+                  {SYNC_LOG_LABELS[entries[0].action]} · {formatDate(entries[0].at)}
+                  {entries.length > 1 ? `  (${entries.length} events)` : ''}
+                </Text>
+                {expandedLetterId === letterId && entries.map((entry, index) => (
+                  <View key={`${entry.at}_${index}`} style={styles.logEntry}>
+                    <Text style={styles.logText}>
+                      {formatDate(entry.at)} — {SYNC_LOG_LABELS[entry.action]}
+                    </Text>
+                    {entry.detail && (
+                      <Text style={entry.action === SYNC_LOG_ACTION.PUSH_FAILED ? styles.logError : styles.logText}>
+                        {entry.detail}
+                      </Text>
+                    )}
+                  </View>
+                ))}
+              </TouchableOpacity>
+            ))
+          )}
+        </View>
+
+        {/* Conflict Report */}
+        <View style={styles.statusCard}>
+          <View style={styles.statusHeader}>
+            <Text style={styles.cardTitle}>Conflicts ({conflicts.length})</Text>
+            {conflicts.length > 0 && (
+              <TouchableOpacity onPress={handleClearConflicts}>
+                <Text style={styles.clearText}>Clear</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {conflicts.length === 0 ? (
+            <Text style={styles.cardSubtext}>No conflicting edits so far</Text>
+          ) : (
+            conflicts.slice(0, 20).map((conflict, index) => (
+              <View key={`${conflict.letterId}_${conflict.field}_${index}`} style={styles.conflictRow}>
+                <Text style={styles.conflictTitle}>
+                  {conflict.field === 'deleted' ? 'Deleted while edited' : `"${conflict.field}" edited on both devices`}
+                </Text>
+                <Text style={styles.cardSubtext}>
+                  Letter {conflict.letterId.slice(-8)} · via {conflict.source} · {formatDate(conflict.detectedAt)}
+                </Text>
+                {conflict.field !== 'deleted' && (
+                  <Text style={styles.cardSubtext}>
+                    This phone: {formatConflictValue(conflict.localValue)} · Other: {formatConflictValue(conflict.remoteValue)}
+                  </Text>
+                )}
+                <Text style={styles.conflictResolution}>
+                  Kept: {conflict.resolution === 'remote' ? 'other device' : conflict.resolution === 'local' ? 'this phone' : 'deletion'}
+                </Text>
+              </View>
+            ))
+          )}
+        </View>
+
         {/* Sync Explanation */}
         <View style={styles.infoCard}>
           <Text style={styles.infoTitle}>How Sync Works</Text>
@@ -176,11 +489,11 @@ export default function SyncStatusScreen() {
 
         {/* Manual Sync Button */}
         <TouchableOpacity
-          style={[styles.syncButton, isLoading && styles.syncButtonDisabled]}
+          style={[styles.syncButton, busyAction && styles.syncButtonDisabled]}
           onPress={handleManualSync}
-          disabled={isLoading}
+          disabled={!!busyAction}
         >
-          {isLoading ? (
+          {busyAction === 'sync' ? (
             <View style={styles.loadingContainer}>
               <ActivityIndicator color="#fff" size="small" />
               <Text style={styles.syncButtonText}>Syncing...</Text>
@@ -192,8 +505,15 @@ export default function SyncStatusScreen() {
           )}
         </TouchableOpacity>
 
+        {/* Manual Actions */}
+        <View style={styles.actionRow}>
+          {renderActionButton('push', '⬆️ Force Push', handleForcePush)}
+          {renderActionButton('pull', '⬇️ Force Pull', handleForcePull)}
+        </View>
+        {renderActionButton('reset', '♻️ Reset Sync State', handleResetSyncState, styles.resetButton)}
+
         <Text style={styles.footnote}>
-          Sync happens automatically when the app starts and periodically in the background.
+          Sync happens automatically when the app starts, whenever the connection comes back and periodically in the background.
         </Text>
       </View>
     </ScrollView>
@@ -274,6 +594,51 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  clearText: {
+    color: theme.colors.link,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  subsectionTitle: {
+    fontSize: 16,
+    marginTop: 12,
+  },
+  listRow: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.borderLight,
+  },
+  logEntry: {
+    marginTop: 6,
+    paddingLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: theme.colors.border,
+  },
+  logText: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+  },
+  logError: {
+    fontSize: 13,
+    color: theme.colors.danger,
+    marginTop: 2,
+  },
+  conflictRow: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.borderLight,
+  },
+  conflictTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 2,
+  },
+  conflictResolution: {
+    fontSize: 13,
+    color: theme.colors.success,
+    marginTop: 2,
+  },
   infoCard: {
     backgroundColor: '#F3F4F6',
     borderRadius: theme.radius.card,
@@ -310,6 +675,27 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: theme.colors.accent,
+    paddingVertical: 14,
+    borderRadius: theme.radius.card,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resetButton: {
+    flex: 0,
+    backgroundColor: theme.colors.danger,
+  },
   loadingContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,198 @@
+// src/screens/TripScreen.js
+// A past trip, read-only: who flew where, the letters, the documents and the movie
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { DateTime } from 'luxon';
+import { getTripDetails, getTripTitle } from '../lib/trips';
+import { getRoster, getTravellerName, slotIndex } from '../lib/roster';
+import { getFlightAirports } from '../lib/airports';
+import { toAirportTime } from '../lib/flightSchedule';
+import { getLetterDocument } from '../lib/letterDocument';
+import { LETTER_STATUS_EMOJIS, LETTER_STATUS_LABELS } from '../lib/letterRepository';
+import LetterDocumentView from '../components/LetterDocumentView';
+import theme from '../theme';
+
+export default function TripScreen({ navigation, route }) {
+  const { tripId } = route.params;
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    (async () => {
+      const loaded = await getTripDetails(tripId);
+      setDetails(loaded);
+      if (loaded) navigation.setOptions({ title: getTripTitle(loaded.trip, loaded.flights) });
+      setLoading(false);
+    })();
+  }, [tripId]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.center}>
+        <ActivityIndicator color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  if (!details) {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.cardSubtext}>This trip could not be found.</Text>
+      </View>
+    );
+  }
+
+  const { trip, flights, vault, movie, letters } = details;
+  const roster = getRoster(flights);
+  const sortedLetters = [...letters].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>{getTripTitle(trip, flights)}</Text>
+        <Text style={styles.cardSubtext}>
+          Started {formatDate(trip.createdAt)}{trip.archivedAt ? ` · ended ${formatDate(trip.archivedAt)}` : ''}
+        </Text>
+        <Text style={styles.readOnlyNote}>Past trips are kept as they were and can't be changed.</Text>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>✈️ Flights</Text>
+          {roster.length === 0 ? (
+            <Text style={styles.cardSubtext}>No flights were entered</Text>
+          ) : (
+            roster.map(({ slot, name, flight }) => {
+              const { origin, destination } = getFlightAirports(flight);
+              return (
+                <View key={slot} style={[styles.row, { borderLeftColor: theme.colors.travellers[slotIndex(slot)] }]}>
+                  <Text style={styles.cardText}>{name} · {flight.flightNumber}</Text>
+                  <Text style={styles.cardSubtext}>
+                    {origin?.city || flight.origin} → {destination?.city || flight.destination}
+                  </Text>
+                  {flight.departureUTC ? (
+                    <Text style={styles.cardSubtext}>
+                      {toAirportTime(flight.departureUTC, flight.origin).toFormat('ccc d LLL yyyy, HH:mm ZZZZ')}
+                    </Text>
+                  ) : null}
+                </View>
+              );
+            })
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>✉️ Letters ({sortedLetters.length})</Text>
+          {sortedLetters.length === 0 ? (
+            <Text style={styles.cardSubtext}>No letters on this trip</Text>
+          ) : (
+            sortedLetters.map(letter => (
+              <View key={letter.id} style={styles.letterRow}>
+                <Text style={styles.cardSubtext}>
+                  {getTravellerName(flights, letter.fromFlight)} → {getTravellerName(flights, letter.toFlight)}
+                  {' · '}{LETTER_STATUS_EMOJIS[letter.status]} {LETTER_STATUS_LABELS[letter.status] || letter.status}
+                  {' · '}{formatDate(letter.createdAt)}
+                </Text>
+                <LetterDocumentView document={getLetterDocument(letter)} textStyle={styles.letterText} />
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>💼 Documents ({vault.length})</Text>
+          {vault.length === 0 ? (
+            <Text style={styles.cardSubtext}>No documents were saved</Text>
+          ) : (
+            vault.map(pass => (
+              <View key={pass.id} style={styles.letterRow}>
+                <Text style={styles.cardText}>{pass.name}</Text>
+                <Text style={styles.cardSubtext}>Added {formatDate(pass.addedAt)}</Text>
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>🎬 Movie</Text>
+          {movie ? (
+            <Text style={styles.cardText}>
+              {movie.title || 'Movie'} · {DateTime.fromISO(movie.startTime).toLocal().toFormat('d LLL yyyy, HH:mm')}
+            </Text>
+          ) : (
+            <Text style={styles.cardSubtext}>No movie was scheduled</Text>
+          )}
+        </View>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    padding: theme.spacing.page,
+  },
+  center: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+  readOnlyNote: {
+    fontSize: 13,
+    color: theme.colors.textMuted,
+    fontStyle: 'italic',
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  card: {
+    backgroundColor: theme.colors.card,
+    borderRadius: theme.radius.card,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 16,
+    color: theme.colors.text,
+    marginBottom: 2,
+  },
+  cardSubtext: {
+    fontSize: 14,
+    color: theme.colors.textMuted,
+  },
+  row: {
+    paddingVertical: 6,
+    paddingLeft: 10,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+  },
+  letterRow: {
+    gap: 4,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.borderLight,
+  },
+  letterText: {
+    fontSize: 15,
+    color: theme.colors.text,
+    lineHeight: 21,
+  },
+});
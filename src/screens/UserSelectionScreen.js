@@ -1,14 +1,28 @@
 // src/screens/UserSelectionScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Alert, Dimensions, SafeAreaView, StatusBar, ScrollView } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import theme from '../theme';
+import { getFlights } from '../lib/storage';
+import defaultFlights from '../lib/defaultFlights';
+import { getFlightAirports } from '../lib/airports';
+import { getRoster, getRecipients, slotIndex } from '../lib/roster';
 
 const { width } = Dimensions.get('window');
 const USER_SELECTION_KEY = '@airletters_user_selection';
 
 export default function UserSelectionScreen({ navigation }) {
   const [selectedUser, setSelectedUser] = useState(null);
+  const [flights, setFlights] = useState(defaultFlights);
+
+  useEffect(() => {
+    (async () => {
+      const saved = await getFlights();
+      if (saved) setFlights(saved);
+    })();
+  }, []);
+
+  const roster = getRoster(flights);
 
   const handleUserSelection = async (userType) => {
     try {
@@ -23,19 +37,21 @@ export default function UserSelectionScreen({ navigation }) {
     }
   };
 
-  const handleUserPress = (userType) => {
-    setSelectedUser(userType);
-    
-    const flightInfo = userType === 'A' 
-      ? 'Flight 6E 6633: Bengaluru → Chandigarh' 
-      : 'Flight 6E 5205: Bengaluru → Mumbai';
+  const getRouteText = (flight) => {
+    const { origin, destination } = getFlightAirports(flight);
+    return `${origin?.city || flight.origin} → ${destination?.city || flight.destination}`;
+  };
+
+  const handleUserPress = (traveller) => {
+    setSelectedUser(traveller.slot);
     
-    const recipientUser = userType === 'A' ? 'B' : 'A';
+    const flightInfo = `Flight ${traveller.flight.flightNumber}: ${getRouteText(traveller.flight)}`;
+    const recipients = getRecipients(flights, traveller.slot).map(t => t.name).join(', ');
     
     // Show confirmation with enhanced messaging
     Alert.alert(
-      `Confirm User ${userType} Selection`,
-      `You've selected User ${userType}.\n\n✈️ Your Flight: ${flightInfo}\n\n📨 You'll send letters to User ${recipientUser}\n📬 You'll receive letters from User ${recipientUser}\n\nThis selection determines your flight assignment and letter exchange directions throughout your journey.`,
+      `Confirm ${traveller.name} Selection`,
+      `You've selected ${traveller.name}.\n\n✈️ Your Flight: ${flightInfo}\n\n📨 You'll send letters to ${recipients}\n📬 You'll receive letters from ${recipients}\n\nThis selection determines your flight assignment and letter exchange directions throughout your journey.`,
       [
         {
           text: 'Change Selection',
@@ -45,13 +61,60 @@ export default function UserSelectionScreen({ navigation }) {
         {
           text: 'Confirm & Continue',
           style: 'default',
-          onPress: () => handleUserSelection(userType)
+          onPress: () => handleUserSelection(traveller.slot)
         }
       ],
       { cancelable: true }
     );
   };
 
+  const renderTravellerCard = (traveller, index) => {
+    const recipients = getRecipients(flights, traveller.slot).map(t => t.name).join(', ');
+    return (
+      <TouchableOpacity
+        key={traveller.slot}
+        style={[
+          styles.userCard,
+          { borderTopWidth: 4, borderTopColor: theme.colors.travellers[slotIndex(traveller.slot)] },
+          selectedUser === traveller.slot && styles.selectedCard
+        ]}
+        onPress={() => handleUserPress(traveller)}
+        activeOpacity={0.8}
+      >
+        <View style={styles.userHeader}>
+          <View style={styles.userBadge}>
+            <Text style={styles.userLetter}>{traveller.slot}</Text>
+          </View>
+          <View style={styles.userTitleContainer}>
+            <Text style={styles.userTitle}>{traveller.name}</Text>
+            <Text style={styles.userSubtitle}>{index === 0 ? 'Primary Traveler' : 'Fellow Traveler'}</Text>
+          </View>
+        </View>
+        
+        <View style={styles.flightInfo}>
+          <View style={styles.flightHeader}>
+            <Text style={styles.flightLabel}>✈️ Your Flight</Text>
+          </View>
+          <Text style={styles.flightNumber}>Flight {traveller.flight.flightNumber}</Text>
+          <Text style={styles.flightRoute}>{getRouteText(traveller.flight)}</Text>
+          <Text style={styles.flightDetails}>{traveller.flight.origin} → {traveller.flight.destination}</Text>
+        </View>
+
+        <View style={styles.letterDirection}>
+          <Text style={styles.directionTitle}>Letter Exchange</Text>
+          <View style={styles.directionItem}>
+            <Text style={styles.directionIcon}>📨</Text>
+            <Text style={styles.directionText}>Send letters to {recipients}</Text>
+          </View>
+          <View style={styles.directionItem}>
+            <Text style={styles.directionIcon}>📬</Text>
+            <Text style={styles.directionText}>Receive letters from {recipients}</Text>
+          </View>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor={theme.colors.primary} />
@@ -80,87 +143,7 @@ export default function UserSelectionScreen({ navigation }) {
         </View>
 
         <View style={styles.selectionContainer}>
-          <TouchableOpacity
-            style={[
-              styles.userCard,
-              styles.userCardA,
-              selectedUser === 'A' && styles.selectedCard
-            ]}
-            onPress={() => handleUserPress('A')}
-            activeOpacity={0.8}
-          >
-            <View style={styles.userHeader}>
-              <View style={styles.userBadge}>
-                <Text style={styles.userLetter}>A</Text>
-              </View>
-              <View style={styles.userTitleContainer}>
-                <Text style={styles.userTitle}>User A</Text>
-                <Text style={styles.userSubtitle}>Primary Traveler</Text>
-              </View>
-            </View>
-            
-            <View style={styles.flightInfo}>
-              <View style={styles.flightHeader}>
-                <Text style={styles.flightLabel}>✈️ Your Flight</Text>
-              </View>
-              <Text style={styles.flightNumber}>Flight 6E 6633</Text>
-              <Text style={styles.flightRoute}>Bengaluru → Chandigarh</Text>
-              <Text style={styles.flightDetails}>BLR Terminal 1 → IXC</Text>
-            </View>
-
-            <View style={styles.letterDirection}>
-              <Text style={styles.directionTitle}>Letter Exchange</Text>
-              <View style={styles.directionItem}>
-                <Text style={styles.directionIcon}>📨</Text>
-                <Text style={styles.directionText}>Send letters to User B</Text>
-              </View>
-              <View style={styles.directionItem}>
-                <Text style={styles.directionIcon}>📬</Text>
-                <Text style={styles.directionText}>Receive letters from User B</Text>
-              </View>
-            </View>
-          </TouchableOpacity>
-
-          <TouchableOpacity
-            style={[
-              styles.userCard,
-              styles.userCardB,
-              selectedUser === 'B' && styles.selectedCard
-            ]}
-            onPress={() => handleUserPress('B')}
-            activeOpacity={0.8}
-          >
-            <View style={styles.userHeader}>
-              <View style={styles.userBadge}>
-                <Text style={styles.userLetter}>B</Text>
-              </View>
-              <View style={styles.userTitleContainer}>
-                <Text style={styles.userTitle}>User B</Text>
-                <Text style={styles.userSubtitle}>Secondary Traveler</Text>
-              </View>
-            </View>
-            
-            <View style={styles.flightInfo}>
-              <View style={styles.flightHeader}>
-                <Text style={styles.flightLabel}>✈️ Your Flight</Text>
-              </View>
-              <Text style={styles.flightNumber}>Flight 6E 5205</Text>
-              <Text style={styles.flightRoute}>Bengaluru → Mumbai</Text>
-              <Text style={styles.flightDetails}>BLR Terminal 1 → BOM Terminal 1</Text>
-            </View>
-
-            <View style={styles.letterDirection}>
-              <Text style={styles.directionTitle}>Letter Exchange</Text>
-              <View style={styles.directionItem}>
-                <Text style={styles.directionIcon}>📨</Text>
-                <Text style={styles.directionText}>Send letters to User A</Text>
-              </View>
-              <View style={styles.directionItem}>
-                <Text style={styles.directionIcon}>📬</Text>
-                <Text style={styles.directionText}>Receive letters from User A</Text>
-              </View>
-            </View>
-          </TouchableOpacity>
+          {roster.map(renderTravellerCard)}
         </View>
 
         {/* Footer inside ScrollView */}
@@ -253,14 +236,6 @@ const styles = StyleSheet.create({
     ...theme.shadows.lg,
     elevation: 8,
   },
-  userCardA: {
-    borderTopWidth: 4,
-    borderTopColor: '#4CAF50',
-  },
-  userCardB: {
-    borderTopWidth: 4,
-    borderTopColor: '#2196F3',
-  },
   selectedCard: {
     borderColor: theme.colors.primary,
     backgroundColor: theme.colors.cardElevated,
@@ -14,12 +14,33 @@ import {
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
+import { Asset } from 'expo-asset';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getUserSelection } from './UserSelectionScreen';
+import { readItineraryPdf } from '../lib/itineraryParser';
+import {
+  decodeBCBP,
+  formatPassengerName,
+  getBoardingPassFlight,
+  readBoardingPassImage
+} from '../lib/bcbp';
 import theme from '../theme';
 
 const VAULT_KEY = '@airletters_vault';
 
+// Itinerary documents shipped with the app, by traveller slot. The second traveller's
+// files are named with 'J'; travellers added later bring their own documents.
+const BUNDLED_DOCUMENTS = {
+  A: {
+    Ticket: require('../../assets/pdfs/Ticket/Itinerary_A_done.pdf'),
+    Boarding_Pass: require('../../assets/pdfs/Boarding_Pass/Itinerary_A_done.pdf'),
+  },
+  B: {
+    Ticket: require('../../assets/pdfs/Ticket/Itinerary_J_done.pdf'),
+    Boarding_Pass: require('../../assets/pdfs/Boarding_Pass/Itinerary_J_done.pdf'),
+  },
+};
+
 export default function VaultScreen({ navigation }) {
   const [boardingPasses, setBoardingPasses] = useState([]);
   const [selectedPass, setSelectedPass] = useState(null);
@@ -27,6 +48,10 @@ export default function VaultScreen({ navigation }) {
   const [noteModalVisible, setNoteModalVisible] = useState(false);
   const [currentNote, setCurrentNote] = useState('');
   const [editingPassId, setEditingPassId] = useState(null);
+  const [barcodeModalVisible, setBarcodeModalVisible] = useState(false);
+  const [barcodeText, setBarcodeText] = useState('');
+  // Pass the pasted barcode belongs to; null adds a new entry
+  const [barcodePassId, setBarcodePassId] = useState(null);
 
   useEffect(() => {
     loadBoardingPasses();
@@ -75,6 +100,10 @@ export default function VaultScreen({ navigation }) {
           to: permanentUri,
         });
 
+        // Images of boarding passes usually show the barcode; read it straight away
+        const isImage = asset.mimeType?.startsWith('image/');
+        const bcbp = isImage ? await readBoardingPassImage(permanentUri) : null;
+
         const newPass = {
           id: Math.random().toString(36).slice(2),
           name: asset.name || 'Boarding Pass',
@@ -85,12 +114,18 @@ export default function VaultScreen({ navigation }) {
           addedAt: new Date().toISOString(),
           notes: '',
           tags: [],
+          bcbp,
         };
 
         const updatedPasses = [...boardingPasses, newPass];
         await saveBoardingPasses(updatedPasses);
         
-        Alert.alert('Added!', 'Boarding pass added to vault successfully.');
+        Alert.alert(
+          'Added!',
+          bcbp
+            ? `Boarding pass added and its barcode read: ${getBoardingPassFlight(bcbp).flightNumber}, ${formatPassengerName(bcbp.passengerName)}.`
+            : 'Boarding pass added to vault successfully.'
+        );
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to add boarding pass: ' + error.message);
@@ -126,6 +161,70 @@ export default function VaultScreen({ navigation }) {
     }
   };
 
+  // Read the flight from a document and hand it to FlightSetup for confirmation
+  const importFlight = async (uri, name) => {
+    const flight = await readItineraryPdf(uri);
+    if (!flight) {
+      Alert.alert('Nothing found', 'No flight details could be read from this document.');
+      return;
+    }
+    navigation.navigate('FlightSetup', { importedFlight: flight, importSource: name });
+  };
+
+  // Read the barcode on an image again, or let the traveller paste its contents
+  const scanBarcode = async (pass) => {
+    const bcbp = pass.uri && pass.type?.startsWith('image/')
+      ? await readBoardingPassImage(pass.uri)
+      : null;
+    if (bcbp) {
+      await saveBoardingPasses(boardingPasses.map(p => (p.id === pass.id ? { ...p, bcbp } : p)));
+      return;
+    }
+    Alert.alert(
+      'No barcode found',
+      'The barcode could not be read from this document. Paste the text a barcode scanner app shows for it instead?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Paste', onPress: () => openBarcodeEditor(pass.id) }
+      ]
+    );
+  };
+
+  const openBarcodeEditor = (passId) => {
+    const pass = boardingPasses.find(p => p.id === passId);
+    setBarcodeText(pass?.bcbp?.raw || '');
+    setBarcodePassId(passId);
+    setBarcodeModalVisible(true);
+  };
+
+  const saveBarcode = async () => {
+    const bcbp = decodeBCBP(barcodeText);
+    if (!bcbp) {
+      Alert.alert('Not a boarding pass', 'This text is not a boarding pass barcode. It starts with M1 followed by the passenger name.');
+      return;
+    }
+
+    const flight = getBoardingPassFlight(bcbp);
+    const updatedPasses = barcodePassId
+      ? boardingPasses.map(pass => (pass.id === barcodePassId ? { ...pass, bcbp } : pass))
+      : [...boardingPasses, {
+        id: Math.random().toString(36).slice(2),
+        name: `${flight.flightNumber} ${bcbp.legs[0].from}–${bcbp.legs[0].to}`,
+        type: 'bcbp',
+        size: 0,
+        uri: null,
+        addedAt: new Date().toISOString(),
+        notes: '',
+        tags: [],
+        bcbp,
+      }];
+
+    await saveBoardingPasses(updatedPasses);
+    setBarcodeModalVisible(false);
+    setBarcodeText('');
+    setBarcodePassId(null);
+  };
+
   const deleteBoardingPass = async (passId) => {
     Alert.alert(
       'Delete Boarding Pass',
@@ -138,7 +237,7 @@ export default function VaultScreen({ navigation }) {
           onPress: async () => {
             try {
               const passToDelete = boardingPasses.find(p => p.id === passId);
-              if (passToDelete) {
+              if (passToDelete?.uri) {
                 // Delete the file
                 await FileSystem.deleteAsync(passToDelete.uri, { idempotent: true });
               }
@@ -197,29 +296,79 @@ export default function VaultScreen({ navigation }) {
     });
   };
 
+  const formatFlightDate = (date) =>
+    new Date(`${date}T00:00:00`).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+
+  const renderBarcodeDetails = (pass) => (
+    <View style={styles.barcodeContainer}>
+      <Text style={styles.barcodeTitle}>
+        {formatPassengerName(pass.bcbp.passengerName)} · PNR {pass.bcbp.pnr}
+      </Text>
+      {pass.bcbp.legs.map((leg, index) => (
+        <View key={`${leg.flightNumber}_${index}`} style={styles.barcodeLeg}>
+          <Text style={styles.barcodeText}>
+            {leg.flightNumber} {leg.from} → {leg.to}
+            {leg.date ? ` · ${formatFlightDate(leg.date)}` : ''}
+            {leg.seat ? ` · Seat ${leg.seat}` : ''}
+          </Text>
+          <TouchableOpacity
+            style={styles.createFlightButton}
+            onPress={() => navigation.navigate('FlightSetup', {
+              importedFlight: getBoardingPassFlight(pass.bcbp, index),
+              importSource: pass.name,
+            })}
+          >
+            <Text style={styles.createFlightButtonText}>Create flight</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+
   const renderBoardingPass = (pass) => {
     const isImage = pass.type?.startsWith('image/');
     const isPDF = pass.type === 'application/pdf';
+    const isBarcode = pass.type === 'bcbp';
 
     return (
       <View key={pass.id} style={styles.passCard}>
         <View style={styles.passHeader}>
           <View style={styles.passInfo}>
             <Text style={styles.passName} numberOfLines={1}>
-              {isImage ? '🖼️' : isPDF ? '📄' : '📎'} {pass.name}
+              {isImage ? '🖼️' : isPDF ? '📄' : isBarcode ? '🎫' : '📎'} {pass.name}
             </Text>
             <Text style={styles.passDetails}>
-              {formatFileSize(pass.size)} • {formatDate(pass.addedAt)}
+              {isBarcode ? 'Barcode' : formatFileSize(pass.size)} • {formatDate(pass.addedAt)}
             </Text>
           </View>
           
           <View style={styles.passActions}>
-            <TouchableOpacity
-              style={styles.actionButton}
-              onPress={() => viewBoardingPass(pass)}
-            >
-              <Text style={styles.actionButtonText}>👁️</Text>
-            </TouchableOpacity>
+            {!isBarcode && (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => viewBoardingPass(pass)}
+              >
+                <Text style={styles.actionButtonText}>👁️</Text>
+              </TouchableOpacity>
+            )}
+            
+            {isImage && (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => scanBarcode(pass)}
+              >
+                <Text style={styles.actionButtonText}>🔍</Text>
+              </TouchableOpacity>
+            )}
+            
+            {isPDF && (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => importFlight(pass.uri, pass.name)}
+              >
+                <Text style={styles.actionButtonText}>✈️</Text>
+              </TouchableOpacity>
+            )}
             
             <TouchableOpacity
               style={styles.actionButton}
@@ -239,6 +388,8 @@ export default function VaultScreen({ navigation }) {
           </View>
         </View>
         
+        {pass.bcbp && renderBarcodeDetails(pass)}
+        
         {pass.notes && (
           <View style={styles.noteContainer}>
             <Text style={styles.noteText}>{pass.notes}</Text>
@@ -261,34 +412,45 @@ export default function VaultScreen({ navigation }) {
     </View>
   );
 
-  const viewBundledPDF = (folder) => {
-    // Assumption: app users are 'A' and 'B' in code; bundled PDFs are named with A and J.
-    // We'll map user 'B' -> 'J' (second user's PDF uses 'J').
+  const getBundledPDF = (folder) => BUNDLED_DOCUMENTS[currentUser]?.[folder] || null;
+
+  // Check a bundled document exists for the selected user, explaining why not
+  const checkBundledPDF = (folder) => {
     if (!currentUser) {
       Alert.alert('No user selected', 'Please select a user from the User Selection screen.');
-      return;
+      return false;
     }
+    if (!getBundledPDF(folder)) {
+      Alert.alert('No documents', `There are no bundled documents for User ${currentUser}. Add theirs with the + button.`);
+      return false;
+    }
+    return true;
+  };
 
-    const isUserA = currentUser === 'A';
-    try {
-      let assetModule;
-      if (folder === 'Ticket') {
-        assetModule = isUserA
-          ? require('../../assets/pdfs/Ticket/Itinerary_A_done.pdf')
-          : require('../../assets/pdfs/Ticket/Itinerary_J_done.pdf');
-      } else {
-        assetModule = isUserA
-          ? require('../../assets/pdfs/Boarding_Pass/Itinerary_A_done.pdf')
-          : require('../../assets/pdfs/Boarding_Pass/Itinerary_J_done.pdf');
-      }
+  const viewBundledPDF = (folder) => {
+    if (!checkBundledPDF(folder)) return;
 
-      navigation.navigate('PDFViewer', { assetModule });
+    try {
+      navigation.navigate('PDFViewer', { assetModule: getBundledPDF(folder) });
     } catch (err) {
       console.warn('Failed to load bundled PDF for', folder, currentUser, err);
       Alert.alert('Error', 'Failed to load the requested PDF.');
     }
   };
 
+  const importBundledFlight = async () => {
+    if (!checkBundledPDF('Ticket')) return;
+
+    try {
+      const asset = Asset.fromModule(getBundledPDF('Ticket'));
+      await asset.downloadAsync();
+      await importFlight(asset.localUri || asset.uri, 'your ticket');
+    } catch (err) {
+      console.warn('Failed to import bundled ticket for', currentUser, err);
+      Alert.alert('Error', 'Failed to read the ticket.');
+    }
+  };
+
   return (
     <View style={styles.container}>
       <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
@@ -303,6 +465,10 @@ export default function VaultScreen({ navigation }) {
               {boardingPasses.length} document{boardingPasses.length !== 1 ? 's' : ''} stored
             </Text>
           )}
+          
+          <TouchableOpacity onPress={() => openBarcodeEditor(null)}>
+            <Text style={styles.pasteLink}>🎫 Paste a boarding pass barcode</Text>
+          </TouchableOpacity>
         </View>
 
         {boardingPasses.length === 0 ? (
@@ -324,6 +490,9 @@ export default function VaultScreen({ navigation }) {
               <Text style={styles.bundleButtonText}>🛂 Boarding Pass</Text>
             </TouchableOpacity>
           </View>
+          <TouchableOpacity style={styles.bundleButton} onPress={importBundledFlight}>
+            <Text style={styles.bundleButtonText}>✈️ Import Flight from Ticket</Text>
+          </TouchableOpacity>
           {currentUser && (
             <Text style={styles.bundledHint}>Showing documents for User {currentUser}</Text>
           )}
@@ -402,6 +571,42 @@ export default function VaultScreen({ navigation }) {
           </View>
         </View>
       </Modal>
+
+      {/* Barcode Modal */}
+      <Modal
+        visible={barcodeModalVisible}
+        animationType="slide"
+        onRequestClose={() => setBarcodeModalVisible(false)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Boarding Pass Barcode</Text>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={() => setBarcodeModalVisible(false)}
+            >
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.noteEditor}>
+            <TextInput
+              style={styles.noteInput}
+              placeholder="M1SURNAME/NAME  EABC123 BLRIXC6E 6633 232Y003C0027 100"
+              multiline
+              autoCapitalize="characters"
+              autoCorrect={false}
+              value={barcodeText}
+              onChangeText={setBarcodeText}
+              textAlignVertical="top"
+            />
+            
+            <TouchableOpacity style={styles.saveNoteButton} onPress={saveBarcode}>
+              <Text style={styles.saveNoteButtonText}>Read Barcode</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -492,6 +697,47 @@ const styles = StyleSheet.create({
     color: theme.colors.text,
     lineHeight: 20,
   },
+  barcodeContainer: {
+    marginTop: 12,
+    padding: 12,
+    backgroundColor: theme.colors.backgroundSecondary,
+    borderRadius: 8,
+  },
+  barcodeTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+  barcodeLeg: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  barcodeText: {
+    flex: 1,
+    fontSize: 13,
+    color: theme.colors.muted,
+    marginRight: 8,
+  },
+  createFlightButton: {
+    backgroundColor: theme.colors.primary,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+  },
+  createFlightButtonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  pasteLink: {
+    fontSize: 14,
+    color: theme.colors.primary,
+    fontWeight: '500',
+    marginTop: 8,
+  },
   fab: {
     position: 'absolute',
     bottom: 30,
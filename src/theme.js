@@ -49,8 +49,20 @@ export default {
     shadowStrong: 'rgba(15, 23, 42, 0.15)',
     overlay: 'rgba(15, 23, 42, 0.4)',
     overlayLight: 'rgba(248, 250, 252, 0.95)',
+    
+    // One colour per traveller slot (A, B, C, …), used for their card and route
+    travellers: ['#4CAF50', '#2196F3', '#F59E0B', '#EC4899', '#8B5CF6', '#14B8A6', '#EF4444', '#64748B'],
   },
   
+  // Letter paper, by the stationery id a letter document names (see letterDocument.js)
+  stationery: {
+    plain: { label: 'Plain', paper: '#FFFFFF', ink: '#0F172A', edge: '#E2E8F0' },
+    airmail: { label: 'Airmail', paper: '#F8FAFF', ink: '#1E3A8A', edge: '#EF4444', dashed: true },
+    clouds: { label: 'Clouds', paper: '#EFF6FF', ink: '#1E3A8A', edge: '#BFDBFE' },
+    sunset: { label: 'Sunset', paper: '#FFF7ED', ink: '#7C2D12', edge: '#FDBA74' },
+    night: { label: 'Night flight', paper: '#1E293B', ink: '#F8FAFC', edge: '#475569' },
+  },
+
   spacing: {
     xs: 4,
     sm: 8,
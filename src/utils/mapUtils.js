@@ -54,7 +54,107 @@ export const calculateBearing = (coord1, coord2) => {
 };
 
 /**
- * Generate smooth flight path with realistic waypoints
+ * Convert radians to degrees
+ * @param {number} radians 
+ * @returns {number} Degrees
+ */
+const toDegrees = (radians) => {
+  return radians * (180 / Math.PI);
+};
+
+/**
+ * Point a fraction of the way along the great circle between two coordinates
+ * @param {Object} coord1 - {latitude, longitude}
+ * @param {Object} coord2 - {latitude, longitude}
+ * @param {number} fraction - 0 at coord1, 1 at coord2
+ * @returns {Object} {latitude, longitude}
+ */
+export const intermediatePoint = (coord1, coord2, fraction) => {
+  const R = 6371; // Earth's radius in kilometers
+  const angle = calculateDistance(coord1, coord2) / R;
+  if (angle === 0) return { latitude: coord1.latitude, longitude: coord1.longitude };
+
+  const lat1 = toRadians(coord1.latitude);
+  const lon1 = toRadians(coord1.longitude);
+  const lat2 = toRadians(coord2.latitude);
+  const lon2 = toRadians(coord2.longitude);
+
+  const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+  const b = Math.sin(fraction * angle) / Math.sin(angle);
+  const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return {
+    latitude: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    longitude: toDegrees(Math.atan2(y, x))
+  };
+};
+
+/**
+ * Position a share of the way along a path, measured by distance rather than by
+ * waypoint count, so uneven waypoint spacing does not change the speed
+ * @param {Array} path - Array of {latitude, longitude}
+ * @param {number} progress - 0 at the first point, 1 at the last
+ * @returns {Object|null} {latitude, longitude, bearing, segment} where segment is the index
+ *   of the waypoint the position follows, or null for an empty path
+ */
+export const interpolateAlongPath = (path, progress) => {
+  if (!path || path.length === 0) return null;
+
+  const first = path[0];
+  const last = path[path.length - 1];
+  if (path.length === 1) return { latitude: first.latitude, longitude: first.longitude, bearing: 0, segment: 0 };
+
+  const lengths = [];
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    lengths.push(calculateDistance(path[i - 1], path[i]));
+    total += lengths[i - 1];
+  }
+
+  if (progress <= 0 || total === 0) {
+    return { latitude: first.latitude, longitude: first.longitude, bearing: calculateBearing(first, path[1]), segment: 0 };
+  }
+  if (progress >= 1) {
+    // Heading on arrival is the reverse of the heading back to the previous point
+    const bearing = (calculateBearing(last, path[path.length - 2]) + 180) % 360;
+    return { latitude: last.latitude, longitude: last.longitude, bearing, segment: path.length - 2 };
+  }
+
+  let remaining = progress * total;
+  let index = 0;
+  while (index < lengths.length - 1 && remaining > lengths[index]) {
+    remaining -= lengths[index];
+    index++;
+  }
+
+  const start = path[index];
+  const end = path[index + 1];
+  const fraction = lengths[index] > 0 ? Math.min(1, remaining / lengths[index]) : 0;
+  const point = intermediatePoint(start, end, fraction);
+
+  return { ...point, bearing: calculateBearing(fraction < 1 ? point : start, end), segment: index };
+};
+
+/**
+ * Distance of a point from the great circle through two coordinates
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} start - Start of the path {latitude, longitude}
+ * @param {Object} end - End of the path {latitude, longitude}
+ * @returns {number} Distance in kilometers; positive right of the path, negative left
+ */
+export const crossTrackDistance = (point, start, end) => {
+  const R = 6371;
+  const angleToPoint = calculateDistance(start, point) / R;
+  const bearingToPoint = toRadians(calculateBearing(start, point));
+  const bearingToEnd = toRadians(calculateBearing(start, end));
+
+  return Math.asin(Math.sin(angleToPoint) * Math.sin(bearingToPoint - bearingToEnd)) * R;
+};
+
+/**
+ * Generate a great-circle flight path with evenly spaced waypoints
  * @param {Object} start - Starting coordinate
  * @param {Object} end - Ending coordinate
  * @param {number} waypoints - Number of intermediate waypoints
@@ -63,17 +163,10 @@ export const calculateBearing = (coord1, coord2) => {
 export const generateFlightPath = (start, end, waypoints = 3) => {
   const path = [start];
   
+  // Aircraft follow the great circle, which already curves on a flat map
   for (let i = 1; i <= waypoints; i++) {
-    const ratio = i / (waypoints + 1);
-    const lat = start.latitude + (end.latitude - start.latitude) * ratio;
-    const lon = start.longitude + (end.longitude - start.longitude) * ratio;
-    
-    // Add slight curve for realistic flight path
-    const curvature = Math.sin(ratio * Math.PI) * 0.5;
-    
     path.push({
-      latitude: lat + curvature,
-      longitude: lon,
+      ...intermediatePoint(start, end, i / (waypoints + 1)),
       name: `Waypoint ${i}`,
       type: 'waypoint'
     });
@@ -299,6 +392,9 @@ export const createAnimationSequence = (keyframes, duration) => {
 export default {
   calculateDistance,
   calculateBearing,
+  intermediatePoint,
+  interpolateAlongPath,
+  crossTrackDistance,
   generateFlightPath,
   getOptimalMapRegion,
   isValidCoordinate,